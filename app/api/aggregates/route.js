@@ -0,0 +1,20 @@
+// app/api/aggregates/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { beginRequest, jsonResponse, errorResponse } from '@/lib/http';
+import { resolveApiContext } from '@/lib/resources/context';
+import { requestViewer } from '@/lib/auth';
+import AuthSession from '@/lib/models/AuthSession';
+import { loadAggregates } from '@/lib/resources/aggregates';
+
+// Totals across all pages of the selected range (unique users, most active user, busiest hour, ...)
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/aggregates');
+    if (limited) return limited;
+    try {
+        await connectToDatabase();
+        const ctx = await resolveApiContext(new URL(request.url).searchParams, log, { viewer: await requestViewer({ AuthSession }, request) });
+        return jsonResponse(reqId, await loadAggregates(ctx, log));
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch aggregates');
+    }
+}
@@ -0,0 +1,21 @@
+// app/api/analytics/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { beginRequest, jsonResponse, errorResponse } from '@/lib/http';
+import { resolveApiContext } from '@/lib/resources/context';
+import { loadAnalytics } from '@/lib/resources/analytics';
+import { requestViewer } from '@/lib/auth';
+import AuthSession from '@/lib/models/AuthSession';
+
+// Trend series, retention/streak distributions and cohorts for the selected range (primary lock only);
+// 403 when ?userId= names a private profile
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/analytics');
+    if (limited) return limited;
+    try {
+        await connectToDatabase();
+        const ctx = await resolveApiContext(new URL(request.url).searchParams, log, { viewer: await requestViewer({ AuthSession }, request) });
+        return jsonResponse(reqId, await loadAnalytics(ctx, log));
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch analytics');
+    }
+}
@@ -0,0 +1,73 @@
+// app/api/auth/login/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, redirectResponse, isFormPost, errorResponse, readJson, HttpError } from '@/lib/http';
+import { rateLimitConsume } from '@/lib/rateLimit';
+import { authSettings, normalizeLoginRequest, claimAllowed, registeredEmail, loginToken } from '@/lib/auth';
+import { smtpSettings, createSmtpTransport } from '@/lib/mail';
+import { notificationRecipients } from '@/lib/notifications';
+import { loadAliases, resolveUser, usernameMatch } from '@/lib/aliases';
+import { t } from '@/lib/i18n';
+import Entry from '@/lib/models/Entry';
+import Member from '@/lib/models/Member';
+import NotificationPreference from '@/lib/models/NotificationPreference';
+import UserAlias from '@/lib/models/UserAlias';
+
+// Login links per e-mail address: a burst of 3, then one every 5 minutes
+const LINKS_PER_ADDRESS = { capacity: 3, refillPerSec: 1 / 300 };
+
+// Mail a login link for { user, email, lang } (JSON, or the login page's form, which is redirected back).
+// The reply is the same whether or not the username exists and the address may log in as it, so it
+// reveals neither usernames nor claims.
+// Form posts get errors as ?error=<status> on the login page.
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/auth/login', { bucket: 'auth' });
+    if (limited) return limited;
+    const form = isFormPost(request);
+    let lang = 'lv';
+    try {
+        const input = form ? Object.fromEntries(await request.formData()) : await readJson(request);
+        const { value, errors } = normalizeLoginRequest(input);
+        if (value) lang = value.lang;
+        if (errors.length) throw new HttpError(400, 'Invalid login request', errors);
+
+        const { value: settings, errors: settingErrors } = authSettings();
+        if (settingErrors.length) log.warn('auth_settings_invalid', { errors: settingErrors });
+        const { value: smtp } = smtpSettings();
+        if (!settings.secret || !settings.baseUrl || !smtp) throw new HttpError(503, 'Login is not configured');
+        if (!rateLimitConsume(`login:${value.email}`, LINKS_PER_ADDRESS).ok) throw new HttpError(429, 'Too many login links for this address; try again later');
+
+        await connectToDatabase();
+        const aliases = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+        const sample = await timed(log, 'find_sample_user', () => Entry.findOne({ username: usernameMatch(value.user, aliases) }, { username: 1 }).lean());
+        const canonical = sample ? resolveUser(sample.username, aliases) : null;
+        const user = canonical?.toLowerCase() ?? null;
+
+        const [member, knownEmail] = !user ? [null, null] : await Promise.all([
+            timed(log, 'find_member', () => Member.findOne({ user }).lean()),
+            timed(log, 'find_registered_email', () => registeredEmail({ NotificationPreference }, user, { recipients: notificationRecipients().value })),
+        ]);
+        if (!user) {
+            log.info('login_refused', { reason: 'unknown_user' });
+        } else if (!claimAllowed({ member, knownEmail }, value.email)) {
+            log.info('login_refused', { user, reason: member ? 'claimed' : (knownEmail ? 'address_on_file' : 'no_address_on_file') });
+        } else {
+            const token = loginToken(settings.secret, { user: canonical, email: value.email, minutes: settings.linkMinutes });
+            const url = `${settings.baseUrl}/login/verify?${new URLSearchParams({ token, lang: value.lang })}`;
+            const tr = (key, vars = {}) => t(key, vars, value.lang);
+            await timed(log, 'send_login_link', () => createSmtpTransport(smtp).send({
+                from: smtp.from,
+                to: value.email,
+                subject: tr('auth_link_subject'),
+                text: [tr('notify_greeting', { user: canonical }), '', tr('auth_link_body', { user: canonical, minutes: settings.linkMinutes }), url, '', tr('auth_link_ignore'), ''].join('\n'),
+            }));
+            log.info('login_link_sent', { user, claim: !member });
+        }
+
+        if (form) return redirectResponse(reqId, request, `/login?${new URLSearchParams({ sent: '1', lang: value.lang })}`);
+        return jsonResponse(reqId, { sent: true }, { status: 202 });
+    } catch (error) {
+        if (form && error instanceof HttpError) return redirectResponse(reqId, request, `/login?${new URLSearchParams({ error: String(error.status), lang })}`);
+        return errorResponse(reqId, log, error, 'Failed to send the login link');
+    }
+}
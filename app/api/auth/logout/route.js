@@ -0,0 +1,27 @@
+// app/api/auth/logout/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, redirectResponse, isFormPost, errorResponse } from '@/lib/http';
+import { AUTH_COOKIE, authSettings, readCookie, endSession, clearSessionCookie } from '@/lib/auth';
+import AuthSession from '@/lib/models/AuthSession';
+
+// End the session of the cookie (marked ended, so its login link stays spent) and clear the cookie; form
+// posts go back to the main page
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/auth/logout');
+    if (limited) return limited;
+    try {
+        if (readCookie(request, AUTH_COOKIE)) {
+            await connectToDatabase();
+            await timed(log, 'end_session', () => endSession({ AuthSession }, request));
+        }
+        const lang = new URL(request.url).searchParams.get('lang') === 'en' ? 'en' : 'lv';
+        const resp = isFormPost(request)
+            ? redirectResponse(reqId, request, `/?${new URLSearchParams({ lang })}`)
+            : jsonResponse(reqId, { loggedOut: true });
+        resp.headers.append('Set-Cookie', clearSessionCookie({ secure: authSettings().value.baseUrl?.startsWith('https://') }));
+        return resp;
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to log out');
+    }
+}
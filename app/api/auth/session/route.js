@@ -0,0 +1,19 @@
+// app/api/auth/session/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse } from '@/lib/http';
+import { sessionMember } from '@/lib/auth';
+import AuthSession from '@/lib/models/AuthSession';
+
+// The logged-in member of the session cookie: { member: { user, email } } or { member: null }
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/auth/session');
+    if (limited) return limited;
+    try {
+        await connectToDatabase();
+        const member = await timed(log, 'find_session', () => sessionMember({ AuthSession }, request));
+        return jsonResponse(reqId, { member: member ? { user: member.username, email: member.email } : null });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to read the session');
+    }
+}
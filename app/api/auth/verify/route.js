@@ -0,0 +1,58 @@
+// app/api/auth/verify/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, redirectResponse, isFormPost, errorResponse, HttpError } from '@/lib/http';
+import { authSettings, readLoginToken, claimAllowed, registeredEmail, createSession, sessionCookie } from '@/lib/auth';
+import { notificationRecipients } from '@/lib/notifications';
+import Member from '@/lib/models/Member';
+import AuthSession from '@/lib/models/AuthSession';
+import NotificationPreference from '@/lib/models/NotificationPreference';
+
+// Confirm a login link (?token=): claims the username for the link's address on first login (only the
+// address on file may), starts a session and sets its cookie. The login link page's form is redirected to the member's own profile.
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/auth/verify', { bucket: 'auth' });
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        const { value: settings } = authSettings();
+        const claim = readLoginToken(searchParams.get('token') || '', settings.secret);
+        if (!claim) throw new HttpError(401, 'Invalid or expired login link');
+
+        await connectToDatabase();
+        const user = claim.user.toLowerCase();
+        const now = new Date();
+        // The address on file may have changed since the link was sent, so a first claim is checked again
+        const existing = await timed(log, 'find_member', () => Member.findOne({ user }).lean());
+        if (!existing) {
+            const knownEmail = await timed(log, 'find_registered_email', () => registeredEmail({ NotificationPreference }, user, { recipients: notificationRecipients().value }));
+            if (!claimAllowed({ knownEmail }, claim.email)) throw new HttpError(403, 'This address is not on file for this username');
+        }
+        // An existing claim keeps its address, so a concurrent second one is refused
+        const member = await timed(log, 'upsert_member', () => Member.findOneAndUpdate(
+            { user },
+            { $setOnInsert: { user, username: claim.user, email: claim.email }, $set: { lastLoginAt: now } },
+            { upsert: true, new: true }
+        ).lean());
+        if (member.email !== claim.email) throw new HttpError(409, 'This username is already claimed');
+
+        const session = await timed(log, 'create_session', () => createSession({ AuthSession }, {
+            user: member.username,
+            email: member.email,
+            nonce: claim.nonce,
+            days: settings.sessionDays,
+            userAgent: request.headers.get('user-agent'),
+            now,
+        }));
+        log.info('member_logged_in', { user });
+
+        const lang = searchParams.get('lang') === 'en' ? 'en' : 'lv';
+        const resp = isFormPost(request)
+            ? redirectResponse(reqId, request, `/?${new URLSearchParams({ userId: member.username, lang })}`)
+            : jsonResponse(reqId, { member: { user: member.username, email: member.email } });
+        resp.headers.append('Set-Cookie', sessionCookie(session.token, { expiresAt: session.expiresAt, secure: settings.baseUrl?.startsWith('https://'), now }));
+        return resp;
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to log in');
+    }
+}
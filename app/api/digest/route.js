@@ -0,0 +1,40 @@
+// app/api/digest/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { beginRequest, jsonResponse, errorResponse, HttpError } from '@/lib/http';
+import { resolveApiContext } from '@/lib/resources/context';
+import { requestViewer } from '@/lib/auth';
+import AuthSession from '@/lib/models/AuthSession';
+import { loadUserDigest } from '@/lib/resources/digest';
+import { parseDigestPeriod, renderDigest } from '@/lib/digest';
+import { resolveUser } from '@/lib/aliases';
+
+// Personal digest of one member for the last complete week or month, rendered as it would be sent.
+// Query: user (required), period=week|month (default week), lang=lv|en (default lv), tz. Only admins
+// and the logged-in member themselves may read it.
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/digest');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        const user = (searchParams.get('user') || '').trim();
+        const period = parseDigestPeriod(searchParams.get('period') || 'week');
+        const lang = searchParams.get('lang') === 'en' ? 'en' : 'lv';
+        const errors = [
+            ...(user ? [] : ['user is required']),
+            ...(period ? [] : ['period must be one of: week, month']),
+        ];
+        if (errors.length) throw new HttpError(400, 'Invalid digest request', errors);
+
+        await connectToDatabase();
+        const viewer = await requestViewer({ AuthSession }, request);
+        if (!viewer.admin && !viewer.user) throw new HttpError(401, 'Log in to preview your digest');
+        const ctx = await resolveApiContext(searchParams, log, { viewer });
+        const own = viewer.user && resolveUser(viewer.user, ctx.aliases).toLowerCase() === resolveUser(user, ctx.aliases).toLowerCase();
+        if (!viewer.admin && !own) throw new HttpError(403, 'Only the member and admins can see this digest');
+        const digest = await loadUserDigest(user, ctx, log, { period });
+        if (!digest) throw new HttpError(404, `User ${user} not found`);
+        return jsonResponse(reqId, { digest, ...renderDigest(digest, lang) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to build digest');
+    }
+}
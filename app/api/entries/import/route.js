@@ -0,0 +1,69 @@
+// app/api/entries/import/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, HttpError } from '@/lib/http';
+import { requireAdmin } from '@/lib/adminAuth';
+import { loadLocks } from '@/lib/locks';
+import { readImportFile, summarizeImport, commitImport, parseMapping } from '@/lib/importEntries';
+import { isValidTimeZone, resolveTimeZone } from '@/lib/timezone';
+import Entry from '@/lib/models/Entry';
+import Lock from '@/lib/models/Lock';
+
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+// Upload a vendor CSV/JSON export (admin), as multipart form data with a "file" field or as the raw
+// request body. Query: format=csv|json, lock=<default lockId>, tz=<zone of naive timestamps>,
+// map=field:Column,... and commit=1. Without commit=1 this is a dry run that only returns the summary
+// (see scripts/import-entries.mjs for the same import from the command line).
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/entries/import', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { searchParams } = new URL(request.url);
+        const tz = searchParams.get('tz');
+        if (tz && !isValidTimeZone(tz)) throw new HttpError(400, `Unknown time zone: ${tz}`);
+        const timeZone = resolveTimeZone(tz);
+        const commit = ['1', 'true'].includes(searchParams.get('commit'));
+        let mapping;
+        try {
+            mapping = parseMapping(searchParams.get('map'));
+        } catch (e) {
+            throw new HttpError(400, e.message);
+        }
+
+        if (Number(request.headers.get('content-length')) > MAX_IMPORT_BYTES) throw new HttpError(413, 'File too large');
+        let text, fileName = '';
+        if ((request.headers.get('content-type') || '').startsWith('multipart/form-data')) {
+            const file = (await request.formData()).get('file');
+            if (!file || typeof file === 'string') throw new HttpError(400, 'Missing "file" field');
+            fileName = file.name || '';
+            text = await file.text();
+        } else {
+            text = await request.text();
+        }
+        if (!text.trim()) throw new HttpError(400, 'Empty file');
+        if (text.length > MAX_IMPORT_BYTES) throw new HttpError(413, 'File too large');
+
+        await connectToDatabase();
+        const locks = await timed(log, 'find_locks', () => loadLocks({ Lock }));
+        let parsed;
+        try {
+            parsed = readImportFile(text, {
+                format: searchParams.get('format'), fileName, locks, timeZone, mapping,
+                defaultLockId: searchParams.get('lock') || '',
+            });
+        } catch (e) {
+            throw new HttpError(400, `Could not parse file: ${e.message}`);
+        }
+        const { format, columns, rows } = parsed;
+        const summary = await timed(log, 'summarize_import', () => summarizeImport({ Entry, rows, timeZone }));
+        if (!commit) return jsonResponse(reqId, { dryRun: true, format, columns, summary });
+
+        const result = await timed(log, 'commit_import', () => commitImport({ Entry, rows, log }));
+        log.info('entries_imported', { fileName, format, rows: summary.rows, rejected: summary.rejected, ...result });
+        return jsonResponse(reqId, { dryRun: false, format, columns, summary, result });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to import entries');
+    }
+}
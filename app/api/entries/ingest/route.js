@@ -0,0 +1,48 @@
+// app/api/entries/ingest/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, readJson, HttpError } from '@/lib/http';
+import { MAX_BATCH, apiKeyFromRequest, hashApiKey, ingestEntries } from '@/lib/ingest';
+import { flagNewEntries } from '@/lib/anomalies';
+import { appTimeZone } from '@/lib/timezone';
+import Entry from '@/lib/models/Entry';
+import Flag from '@/lib/models/Flag';
+import Lock from '@/lib/models/Lock';
+
+// Push lock events from a gateway, authenticated with the lock's API key ("Authorization: Bearer <key>"
+// or "X-Api-Key"). The body is one event, an array of events or { events: [...] }. Every event gets
+// its own report item: created, duplicate (already stored) or rejected with the validation errors.
+// New entries are checked for anomalies right away (lib/anomalies.js).
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/entries/ingest', { bucket: 'ingest' });
+    if (limited) return limited;
+    try {
+        const key = apiKeyFromRequest(request);
+        if (!key) throw new HttpError(401, 'Missing API key');
+        const body = await readJson(request);
+        const events = Array.isArray(body) ? body : Array.isArray(body?.events) ? body.events : [body];
+        if (!events.length) throw new HttpError(400, 'No events in request');
+        if (events.length > MAX_BATCH) throw new HttpError(413, `At most ${MAX_BATCH} events per request`);
+
+        await connectToDatabase();
+        const lock = await timed(log, 'find_lock_by_key', () => Lock.findOne({ apiKeyHash: hashApiKey(key) }).lean());
+        if (!lock) throw new HttpError(401, 'Invalid API key');
+        if (lock.active === false) throw new HttpError(403, `Lock ${lock.lockId} is inactive`);
+
+        const { summary, items } = await timed(log, 'ingest_entries', () => ingestEntries({ Entry, lock, events }));
+        log.info('entries_ingested', { lockId: lock.lockId, ...summary });
+        const ids = items.filter(i => i.status === 'created').map(i => i.id);
+        try {
+            const flagged = await timed(log, 'flag_new_entries', () => flagNewEntries({ Entry, Flag, ids, timeZone: appTimeZone(), log }));
+            if (flagged) log.info('entries_flagged', { lockId: lock.lockId, flagged });
+        } catch (error) {
+            // The entries are stored either way; the next anomaly scan checks them
+            log.warn('anomaly_check_failed', { lockId: lock.lockId, error: String(error?.message || error) });
+        }
+        // A batch where nothing could be stored is a client error; otherwise the items tell what happened
+        const status = summary.rejected === summary.received ? 422 : 200;
+        return jsonResponse(reqId, { lockId: lock.lockId, summary, items }, { status });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to ingest entries');
+    }
+}
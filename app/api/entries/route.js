@@ -0,0 +1,20 @@
+// app/api/entries/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { beginRequest, jsonResponse, errorResponse } from '@/lib/http';
+import { resolveApiContext } from '@/lib/resources/context';
+import { requestViewer } from '@/lib/auth';
+import AuthSession from '@/lib/models/AuthSession';
+import { loadEntries } from '@/lib/resources/entries';
+
+// One page of entries for the selected range and filters, with pagination and filter metadata
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/entries');
+    if (limited) return limited;
+    try {
+        await connectToDatabase();
+        const ctx = await resolveApiContext(new URL(request.url).searchParams, log, { viewer: await requestViewer({ AuthSession }, request) });
+        return jsonResponse(reqId, await loadEntries(ctx, log));
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch entries');
+    }
+}
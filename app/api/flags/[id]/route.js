@@ -0,0 +1,52 @@
+// app/api/flags/[id]/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, readJson, HttpError } from '@/lib/http';
+import { requireAdmin } from '@/lib/adminAuth';
+import { normalizeReview, reviewUpdate, toFlagDto } from '@/lib/flags';
+import Flag from '@/lib/models/Flag';
+import Entry from '@/lib/models/Entry';
+
+async function findFlag(log, id) {
+    const flag = /^[a-f0-9]{24}$/i.test(id) ? await timed(log, 'find_flag', () => Flag.findOne({ _id: id }).lean()) : null;
+    if (!flag) throw new HttpError(404, `Flag ${id} not found`);
+    return flag;
+}
+
+// One flag with the entry it points at (admin)
+export async function GET(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/flags/:id', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { id } = await params;
+        await connectToDatabase();
+        const flag = await findFlag(log, id);
+        const entry = await timed(log, 'find_flag_entry', () => Entry.findOne({ _id: flag.entryId }).lean());
+        return jsonResponse(reqId, { flag: toFlagDto(flag), entry });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch flag');
+    }
+}
+
+// Review one flag (admin): { status: 'approved' | 'rejected' | 'pending', note?, reviewedBy? }
+export async function PATCH(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'PATCH /api/flags/:id', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { id } = await params;
+        const body = await readJson(request);
+        const { value, errors } = normalizeReview(body);
+        if (errors.length) throw new HttpError(400, 'Invalid review', errors);
+
+        await connectToDatabase();
+        const current = await findFlag(log, id);
+        const update = reviewUpdate(value);
+        await timed(log, 'review_flag', () => Flag.updateOne({ _id: current._id }, update));
+        log.info('flag_reviewed', { id, rule: current.rule, user: current.user, status: value.status, reviewedBy: value.reviewedBy });
+        return jsonResponse(reqId, { flag: toFlagDto({ ...current, ...update.$set, history: [...(current.history || []), update.$push.history] }) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to review flag');
+    }
+}
@@ -0,0 +1,96 @@
+// app/api/flags/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, readJson, HttpError } from '@/lib/http';
+import { requireAdmin } from '@/lib/adminAuth';
+import { FLAG_STATUSES, normalizeReview, reviewUpdate, toFlagDto } from '@/lib/flags';
+import { ANOMALY_RULE_KEYS } from '@/lib/anomalies';
+import { loadAliases, identitiesOf, usernameMatch } from '@/lib/aliases';
+import { normalizeLimit } from '@/lib/resources/context';
+import Flag from '@/lib/models/Flag';
+import UserAlias from '@/lib/models/UserAlias';
+
+const OBJECT_ID_RE = /^[a-f0-9]{24}$/i;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_IDS = 500;
+
+// Review queue (admin): flags newest first. Query: status=pending|approved|rejected|all (default pending),
+// user (case-insensitive exact, merged usernames included), rule, day (YYYY-MM-DD), page, limit. Includes the count per status.
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/flags', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { searchParams } = new URL(request.url);
+        const status = searchParams.get('status') || 'pending';
+        if (status !== 'all' && !FLAG_STATUSES.includes(status)) throw new HttpError(400, `status must be one of: ${FLAG_STATUSES.join(', ')}, all`);
+        const rule = searchParams.get('rule') || '';
+        if (rule && !ANOMALY_RULE_KEYS.includes(rule)) throw new HttpError(400, `rule must be one of: ${ANOMALY_RULE_KEYS.join(', ')}`);
+        const user = (searchParams.get('user') || '').trim();
+        const day = searchParams.get('day') || '';
+        if (day && !DAY_RE.test(day)) throw new HttpError(400, 'day must be YYYY-MM-DD');
+        const page = Math.max(1, parseInt(searchParams.get('page') || '1', 10) || 1);
+        const limit = normalizeLimit(searchParams.get('limit'));
+
+        await connectToDatabase();
+        const aliases = user ? await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias })) : [];
+        const filter = {
+            ...(status !== 'all' ? { status } : {}),
+            ...(rule ? { rule } : {}),
+            ...(user ? { user: usernameMatch(user, aliases) } : {}),
+            ...(day ? { day } : {}),
+        };
+        const [flags, total, byStatus] = await Promise.all([
+            timed(log, 'find_flags', () => Flag.find(filter).sort({ entryTime: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean()),
+            timed(log, 'count_flags', () => Flag.countDocuments(filter)),
+            timed(log, 'count_flags_by_status', () => Flag.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])),
+        ]);
+        const counts = Object.fromEntries(FLAG_STATUSES.map(s => [s, 0]));
+        for (const row of byStatus || []) if (row._id in counts) counts[row._id] = row.count;
+        return jsonResponse(reqId, {
+            flags: flags.map(toFlagDto),
+            pagination: { total, page, limit, totalPages: Math.ceil(total / limit) },
+            counts,
+        });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch flags');
+    }
+}
+
+// Review several flags at once (admin): { ids: [...] } or every flag of one user-day { user, day },
+// plus { status, note?, reviewedBy? }. Approving all flags of a day makes it count again; a user-day
+// covers every username merged into that user.
+export async function PATCH(request) {
+    const { reqId, log, limited } = beginRequest(request, 'PATCH /api/flags', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const body = await readJson(request);
+        const { value, errors } = normalizeReview(body);
+        let filter = null;
+        let userDay = null;
+        if (Array.isArray(body?.ids)) {
+            if (!body.ids.length || body.ids.length > MAX_IDS || !body.ids.every(id => OBJECT_ID_RE.test(String(id)))) {
+                errors.push(`ids must be 1-${MAX_IDS} flag ids`);
+            } else {
+                filter = { _id: { $in: body.ids.map(String) } };
+            }
+        } else if (typeof body?.user === 'string' && body.user.trim() && DAY_RE.test(body?.day || '')) {
+            userDay = { user: body.user.trim(), day: body.day };
+        } else {
+            errors.push('select flags with ids or with user and day');
+        }
+        if (errors.length) throw new HttpError(400, 'Invalid review', errors);
+
+        await connectToDatabase();
+        if (userDay) {
+            const aliases = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+            filter = { user: { $in: identitiesOf(userDay.user, aliases) }, day: userDay.day };
+        }
+        const res = await timed(log, 'review_flags', () => Flag.updateMany(filter, reviewUpdate(value)));
+        log.info('flags_reviewed', { status: value.status, matched: res?.matchedCount ?? 0, reviewedBy: value.reviewedBy });
+        return jsonResponse(reqId, { status: value.status, matched: res?.matchedCount ?? 0, updated: res?.modifiedCount ?? 0 });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to review flags');
+    }
+}
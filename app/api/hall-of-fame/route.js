@@ -0,0 +1,31 @@
+// app/api/hall-of-fame/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse } from '@/lib/http';
+import { toArchiveDto } from '@/lib/seasonArchive';
+import { requestViewer } from '@/lib/auth';
+import { loadPrivacySettings, privacyPolicy, applyLeaderboardPrivacy } from '@/lib/privacy';
+import SeasonArchive from '@/lib/models/SeasonArchive';
+import AuthSession from '@/lib/models/AuthSession';
+import PrivacySetting from '@/lib/models/PrivacySetting';
+
+// Past seasons' podiums and records, read from the frozen archives (newest first); members' current
+// leaderboard privacy applies to them too
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/hall-of-fame');
+    if (limited) return limited;
+    try {
+        await connectToDatabase();
+        const archives = await timed(log, 'find_season_archives', () => SeasonArchive.find({}, { standings: 0 }).sort({ startAt: -1 }).lean());
+        const viewer = await requestViewer({ AuthSession }, request);
+        const privacy = viewer.admin ? null : privacyPolicy(await timed(log, 'find_privacy_settings', () => loadPrivacySettings({ PrivacySetting })), viewer);
+        const seasons = archives.map(toArchiveDto).map(s => ({
+            ...s,
+            winners: applyLeaderboardPrivacy(s.winners, privacy, { field: 'user' }),
+            leaderboards: Object.fromEntries(Object.entries(s.leaderboards).map(([key, rows]) => [key, applyLeaderboardPrivacy(rows, privacy)])),
+        }));
+        return jsonResponse(reqId, { seasons });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch hall of fame');
+    }
+}
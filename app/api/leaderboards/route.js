@@ -0,0 +1,20 @@
+// app/api/leaderboards/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { beginRequest, jsonResponse, errorResponse } from '@/lib/http';
+import { resolveApiContext } from '@/lib/resources/context';
+import { requestViewer } from '@/lib/auth';
+import AuthSession from '@/lib/models/AuthSession';
+import { loadLeaderboards } from '@/lib/resources/leaderboards';
+
+// Leaderboards for the selected range; closed seasons are served from their archive
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/leaderboards');
+    if (limited) return limited;
+    try {
+        await connectToDatabase();
+        const ctx = await resolveApiContext(new URL(request.url).searchParams, log, { viewer: await requestViewer({ AuthSession }, request) });
+        return jsonResponse(reqId, await loadLeaderboards(ctx, log));
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch leaderboards');
+    }
+}
@@ -0,0 +1,32 @@
+// app/api/lock-health/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, HttpError } from '@/lib/http';
+import { resolveTimeZone } from '@/lib/timezone';
+import { loadLocks, toLockDto } from '@/lib/locks';
+import { lockHealthSettings, normalizeLockHealthSettings, loadLockHealth } from '@/lib/lockHealth';
+import Entry from '@/lib/models/Entry';
+import Lock from '@/lib/models/Lock';
+
+// Battery level, discharge trend, projected low-battery day and last entry of every lock, with the
+// alert list. Query: lowBatteryPercent, silentHours, trendDays, warnDays (override the instance
+// settings), tz (zone of the trend days).
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/lock-health');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        const { value: base, errors: envErrors } = lockHealthSettings();
+        if (envErrors.length) log.warn('lock_health_settings_invalid', { errors: envErrors });
+        const { value: settings, errors } = normalizeLockHealthSettings(Object.fromEntries(searchParams), base);
+        if (errors.length) throw new HttpError(400, 'Invalid lock health settings', errors);
+        const timeZone = resolveTimeZone(searchParams.get('tz'));
+
+        await connectToDatabase();
+        const locks = (await timed(log, 'find_locks', () => loadLocks({ Lock }))).map(l => toLockDto(l));
+        const { locks: health, alerts } = await timed(log, 'agg_lock_health', () => loadLockHealth({ Entry, locks, settings, timeZone }));
+        return jsonResponse(reqId, { settings, timeZone, locks: health, alerts });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch lock health');
+    }
+}
@@ -0,0 +1,50 @@
+// app/api/locks/[lockId]/api-key/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, HttpError } from '@/lib/http';
+import { requireAdmin } from '@/lib/adminAuth';
+import { generateApiKey, hashApiKey } from '@/lib/ingest';
+import Lock from '@/lib/models/Lock';
+
+async function findLock(log, lockId) {
+    const lock = await timed(log, 'find_lock', () => Lock.findOne({ lockId }).lean());
+    if (!lock) throw new HttpError(404, `Lock ${lockId} not found`);
+    return lock;
+}
+
+// Issue a new ingestion API key for the lock (admin). The previous key stops working immediately;
+// the new key is only returned in this response.
+export async function POST(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/locks/:lockId/api-key', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { lockId } = await params;
+        await connectToDatabase();
+        await findLock(log, lockId);
+        const apiKey = generateApiKey();
+        const issuedAt = new Date();
+        await timed(log, 'update_lock', () => Lock.updateOne({ lockId }, { $set: { apiKeyHash: hashApiKey(apiKey), apiKeyIssuedAt: issuedAt } }));
+        log.info('lock_api_key_issued', { lockId });
+        return jsonResponse(reqId, { lockId, apiKey, issuedAt }, { status: 201 });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to issue API key');
+    }
+}
+
+// Revoke the lock's ingestion API key (admin)
+export async function DELETE(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'DELETE /api/locks/:lockId/api-key', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { lockId } = await params;
+        await connectToDatabase();
+        await findLock(log, lockId);
+        await timed(log, 'update_lock', () => Lock.updateOne({ lockId }, { $set: { apiKeyHash: null, apiKeyIssuedAt: null } }));
+        log.info('lock_api_key_revoked', { lockId });
+        return jsonResponse(reqId, { lockId, revoked: true });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to revoke API key');
+    }
+}
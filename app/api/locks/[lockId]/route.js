@@ -0,0 +1,65 @@
+// app/api/locks/[lockId]/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, readJson, HttpError } from '@/lib/http';
+import { isAdminRequest, requireAdmin } from '@/lib/adminAuth';
+import { normalizeLock, toLockDto } from '@/lib/locks';
+import Lock from '@/lib/models/Lock';
+
+async function findLock(log, lockId) {
+    const lock = await timed(log, 'find_lock', () => Lock.findOne({ lockId }).lean());
+    if (!lock) throw new HttpError(404, `Lock ${lockId} not found`);
+    return lock;
+}
+
+export async function GET(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/locks/:lockId');
+    if (limited) return limited;
+    try {
+        const { lockId } = await params;
+        await connectToDatabase();
+        const lock = await findLock(log, lockId);
+        return jsonResponse(reqId, { lock: toLockDto(lock, { admin: isAdminRequest(request) }) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch lock');
+    }
+}
+
+// Update MAC, names, visit counting, location or the active flag (admin); the lock id is immutable
+export async function PATCH(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'PATCH /api/locks/:lockId', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { lockId } = await params;
+        const body = await readJson(request);
+        await connectToDatabase();
+        const current = await findLock(log, lockId);
+        const { value, errors } = normalizeLock(body, current);
+        if (errors.length) throw new HttpError(400, 'Invalid lock', errors);
+
+        const { mac, names, countsTowardVisits, location, active } = value;
+        await timed(log, 'update_lock', () => Lock.updateOne({ lockId }, { $set: { mac, names, countsTowardVisits, location, active } }));
+        log.info('lock_updated', { lockId, countsTowardVisits, active });
+        return jsonResponse(reqId, { lock: toLockDto({ ...current, ...value }, { admin: true }) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to update lock');
+    }
+}
+
+// Remove a lock from the registry (admin). Its entries stay; prefer `active: false` for retired locks.
+export async function DELETE(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'DELETE /api/locks/:lockId', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { lockId } = await params;
+        await connectToDatabase();
+        await findLock(log, lockId);
+        await timed(log, 'delete_lock', () => Lock.deleteOne({ lockId }));
+        log.info('lock_deleted', { lockId });
+        return jsonResponse(reqId, { deleted: lockId });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to delete lock');
+    }
+}
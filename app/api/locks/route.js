@@ -0,0 +1,44 @@
+// app/api/locks/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, readJson, HttpError } from '@/lib/http';
+import { isAdminRequest, requireAdmin } from '@/lib/adminAuth';
+import { normalizeLock, toLockDto, loadLocks } from '@/lib/locks';
+import Lock from '@/lib/models/Lock';
+
+// List the lock registry (the seed locks until the collection is seeded). Inactive locks are listed too so
+// past entries keep their names; MAC addresses are only shown to admins.
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/locks');
+    if (limited) return limited;
+    try {
+        await connectToDatabase();
+        const admin = isAdminRequest(request);
+        const locks = await timed(log, 'find_locks', () => loadLocks({ Lock }));
+        return jsonResponse(reqId, { locks: locks.map(l => toLockDto(l, { admin })) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch locks');
+    }
+}
+
+// Register a lock (admin)
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/locks', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const body = await readJson(request);
+        const { value, errors } = normalizeLock(body);
+        if (errors.length) throw new HttpError(400, 'Invalid lock', errors);
+
+        await connectToDatabase();
+        const existing = await timed(log, 'find_lock', () => Lock.findOne({ lockId: value.lockId }).lean());
+        if (existing) throw new HttpError(409, `Lock ${value.lockId} already exists`);
+
+        const created = await timed(log, 'create_lock', () => Lock.create(value));
+        log.info('lock_created', { lockId: value.lockId, countsTowardVisits: value.countsTowardVisits });
+        return jsonResponse(reqId, { lock: toLockDto(created, { admin: true }) }, { status: 201 });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to create lock');
+    }
+}
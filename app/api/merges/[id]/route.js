@@ -0,0 +1,23 @@
+// app/api/merges/[id]/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, HttpError } from '@/lib/http';
+import { requireAdmin } from '@/lib/adminAuth';
+import { toMergeDto } from '@/lib/aliases';
+import UserMerge from '@/lib/models/UserMerge';
+
+// One merge audit record (admin)
+export async function GET(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/merges/:id', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { id } = await params;
+        await connectToDatabase();
+        const merge = /^[a-f0-9]{24}$/i.test(id) ? await timed(log, 'find_merge', () => UserMerge.findOne({ _id: id }).lean()) : null;
+        if (!merge) throw new HttpError(404, `Merge ${id} not found`);
+        return jsonResponse(reqId, { merge: toMergeDto(merge) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch merge');
+    }
+}
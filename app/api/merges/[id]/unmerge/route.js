@@ -0,0 +1,49 @@
+// app/api/merges/[id]/unmerge/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, readJson, HttpError } from '@/lib/http';
+import { requireAdmin } from '@/lib/adminAuth';
+import { appTimeZone } from '@/lib/timezone';
+import { loadAliases, identitiesAcross, toMergeDto } from '@/lib/aliases';
+import { rebuildUserIdentities } from '@/lib/userDays';
+import Entry from '@/lib/models/Entry';
+import UserDay from '@/lib/models/UserDay';
+import UserAlias from '@/lib/models/UserAlias';
+import UserMerge from '@/lib/models/UserMerge';
+
+// Revert a merge (admin): { note?, revertedBy? }. Its aliases become separate users again and their
+// rollup days are regenerated along with those of the rest of the identity (aliases from other merges into
+// the same canonical user); the merge record is kept, marked as reverted.
+export async function POST(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/merges/:id/unmerge', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { id } = await params;
+        const body = await readJson(request);
+        const errors = [];
+        const note = body?.note === undefined || body?.note === null ? '' : body.note;
+        if (typeof note !== 'string' || note.length > 500) errors.push('note must be a string of at most 500 characters');
+        const revertedBy = body?.revertedBy === undefined || body?.revertedBy === null ? null : body.revertedBy;
+        if (revertedBy !== null && (typeof revertedBy !== 'string' || !revertedBy.trim() || revertedBy.length > 100)) errors.push('revertedBy must be a 1-100 character string');
+        if (errors.length) throw new HttpError(400, 'Invalid unmerge', errors);
+
+        await connectToDatabase();
+        const merge = /^[a-f0-9]{24}$/i.test(id) ? await timed(log, 'find_merge', () => UserMerge.findOne({ _id: id }).lean()) : null;
+        if (!merge) throw new HttpError(404, `Merge ${id} not found`);
+        if (merge.status === 'reverted') throw new HttpError(409, `Merge ${id} is already reverted`);
+
+        const before = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+        await timed(log, 'delete_user_aliases', () => UserAlias.deleteMany({ mergeId: merge._id }));
+        const $set = { status: 'reverted', revertedAt: new Date(), revertedBy: revertedBy?.trim() ?? null, revertNote: note.trim() };
+        await timed(log, 'revert_merge', () => UserMerge.updateOne({ _id: merge._id }, { $set }));
+        const aliases = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+        const { userDays } = await timed(log, 'rebuild_user_identities', () => rebuildUserIdentities({
+            Entry, UserDay, usernames: identitiesAcross(merge.canonical, before, aliases, (merge.aliases || []).map(alias => ({ alias, canonical: merge.canonical }))), timeZone: appTimeZone(), aliases, log,
+        }));
+        log.info('users_unmerged', { id, canonical: merge.canonical, aliases: (merge.aliases || []).length, revertedBy: $set.revertedBy, userDays });
+        return jsonResponse(reqId, { merge: toMergeDto({ ...merge, ...$set }) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to unmerge users');
+    }
+}
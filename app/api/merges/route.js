@@ -0,0 +1,69 @@
+// app/api/merges/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, readJson, HttpError } from '@/lib/http';
+import { requireAdmin } from '@/lib/adminAuth';
+import { appTimeZone } from '@/lib/timezone';
+import { loadAliases, identitiesAcross, normalizeMerge, mergeConflicts, toMergeDto } from '@/lib/aliases';
+import { rebuildUserIdentities } from '@/lib/userDays';
+import Entry from '@/lib/models/Entry';
+import UserDay from '@/lib/models/UserDay';
+import UserAlias from '@/lib/models/UserAlias';
+import UserMerge from '@/lib/models/UserMerge';
+
+const MERGE_STATUSES = ['active', 'reverted'];
+
+// Merge audit log (admin), newest first. Query: status=active|reverted (default: both)
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/merges', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const status = new URL(request.url).searchParams.get('status') || '';
+        if (status && !MERGE_STATUSES.includes(status)) throw new HttpError(400, `status must be one of: ${MERGE_STATUSES.join(', ')}`);
+        await connectToDatabase();
+        const merges = await timed(log, 'find_merges', () => UserMerge.find(status ? { status } : {}).sort({ createdAt: -1 }).lean());
+        return jsonResponse(reqId, { merges: merges.map(toMergeDto) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch merges');
+    }
+}
+
+// Merge usernames into a canonical identity (admin): { canonical, aliases: [...], note?, mergedBy? }.
+// Leaves a UserMerge audit record and regenerates the rollup days of every username of the identity,
+// including aliases from earlier merges into the same canonical user.
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/merges', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const body = await readJson(request);
+        const { value, errors } = normalizeMerge(body);
+        if (errors.length) throw new HttpError(400, 'Invalid merge', errors);
+
+        await connectToDatabase();
+        const existing = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+        const conflicts = mergeConflicts(value, existing);
+        if (conflicts.length) throw new HttpError(409, 'Merge conflicts with existing aliases', conflicts);
+
+        const merge = await timed(log, 'create_merge', () => UserMerge.create({ ...value, status: 'active' }));
+        try {
+            await timed(log, 'create_user_aliases', () => UserAlias.insertMany(value.aliases.map(alias => ({ alias, canonical: value.canonical, mergeId: merge._id }))));
+        } catch (error) {
+            // No half-applied merge: drop the aliases that made it in and the audit record, then fail
+            await timed(log, 'undo_merge', async () => {
+                await UserAlias.deleteMany({ mergeId: merge._id });
+                await UserMerge.deleteOne({ _id: merge._id });
+            });
+            throw error;
+        }
+        const aliases = [...existing, ...value.aliases.map(alias => ({ alias, canonical: value.canonical }))];
+        const { userDays } = await timed(log, 'rebuild_user_identities', () => rebuildUserIdentities({
+            Entry, UserDay, usernames: identitiesAcross(value.canonical, existing, aliases), timeZone: appTimeZone(), aliases, log,
+        }));
+        log.info('users_merged', { id: String(merge._id), canonical: value.canonical, aliases: value.aliases.length, mergedBy: value.mergedBy, userDays });
+        return jsonResponse(reqId, { merge: toMergeDto(merge) }, { status: 201 });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to merge users');
+    }
+}
@@ -0,0 +1,103 @@
+// app/api/notification-preferences/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, redirectResponse, isFormPost, errorResponse, readJson, HttpError } from '@/lib/http';
+import { isAdminRequest } from '@/lib/adminAuth';
+import { loadAliases, resolveUser } from '@/lib/aliases';
+import {
+    notificationDeliverySettings,
+    readPreferencesToken,
+    normalizePreferenceUpdate,
+    preferenceUpdateFromForm,
+    toPreferenceDto,
+} from '@/lib/notificationPreferences';
+import NotificationPreference from '@/lib/models/NotificationPreference';
+import UserAlias from '@/lib/models/UserAlias';
+
+// The member whose preferences are read or changed (lowercased canonical username): from the signed
+// ?token= of a preferences link, or ?user= for admins -> { user, byLink }
+async function preferenceUser(request, searchParams, log) {
+    const token = searchParams.get('token');
+    if (token) {
+        const claim = readPreferencesToken(token, notificationDeliverySettings().value.secret);
+        if (!claim) throw new HttpError(401, 'Invalid or expired link');
+        return { user: claim.user, byLink: true };
+    }
+    const user = (searchParams.get('user') || '').trim();
+    if (!isAdminRequest(request) || !user) throw new HttpError(401, 'Unauthorized');
+    const aliases = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+    return { user: resolveUser(user, aliases).toLowerCase(), byLink: false };
+}
+
+// Preference links never expire and the address on file is the one that may log in as the member,
+// so only admins change it
+function assertEmailChangeAllowed(value, byLink) {
+    if (byLink && 'email' in value) throw new HttpError(403, 'The e-mail address can only be changed by an admin');
+}
+
+async function savePreferences(user, value, log) {
+    return timed(log, 'upsert_notification_preference', () => NotificationPreference.findOneAndUpdate(
+        { user },
+        { $set: value, $setOnInsert: { user } },
+        { upsert: true, new: true }
+    ).lean());
+}
+
+// A member's notification preferences (defaults until changed). Query: token (signed link) or user (admin).
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/notification-preferences');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        await connectToDatabase();
+        const { user } = await preferenceUser(request, searchParams, log);
+        const pref = await timed(log, 'find_notification_preference', () => NotificationPreference.findOne({ user }).lean());
+        return jsonResponse(reqId, { preferences: toPreferenceDto(pref, user) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch notification preferences');
+    }
+}
+
+// Change preferences: { email?, lang?, channels?: { email?: { badge?, streak?, rank?, digest? } } }.
+// email is admin-only (403 with a preferences link).
+export async function PUT(request) {
+    const { reqId, log, limited } = beginRequest(request, 'PUT /api/notification-preferences');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        const { value, errors } = normalizePreferenceUpdate(await readJson(request));
+        if (errors.length) throw new HttpError(400, 'Invalid notification preferences', errors);
+
+        await connectToDatabase();
+        const { user, byLink } = await preferenceUser(request, searchParams, log);
+        assertEmailChangeAllowed(value, byLink);
+        const pref = await savePreferences(user, value, log);
+        log.info('notification_preferences_updated', { user, fields: Object.keys(value) });
+        return jsonResponse(reqId, { preferences: toPreferenceDto(pref, user) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to update notification preferences');
+    }
+}
+
+// Form post from the preferences page; redirects back to it
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/notification-preferences');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        if (!isFormPost(request)) throw new HttpError(415, 'Expected a form post; use PUT for JSON');
+        const form = await request.formData();
+        const { value, errors } = normalizePreferenceUpdate(preferenceUpdateFromForm(form));
+        if (errors.length) throw new HttpError(400, 'Invalid notification preferences', errors);
+
+        await connectToDatabase();
+        const { user, byLink } = await preferenceUser(request, searchParams, log);
+        assertEmailChangeAllowed(value, byLink);
+        await savePreferences(user, value, log);
+        log.info('notification_preferences_updated', { user, fields: Object.keys(value) });
+        const back = new URLSearchParams({ token: searchParams.get('token') || '', saved: '1', lang: String(form.get('pageLang') || 'lv') });
+        return redirectResponse(reqId, request, `/notifications/preferences?${back}`);
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to update notification preferences');
+    }
+}
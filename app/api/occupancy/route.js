@@ -0,0 +1,37 @@
+// app/api/occupancy/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, HttpError } from '@/lib/http';
+import { resolveTimeZone } from '@/lib/timezone';
+import { loadLocks, visitLockIds } from '@/lib/locks';
+import { loadAliases } from '@/lib/aliases';
+import { recordKindSettings, visitKindFilter } from '@/lib/recordKinds';
+import { occupancySettings, normalizeOccupancySettings, loadOccupancy } from '@/lib/occupancy';
+import Entry from '@/lib/models/Entry';
+import Lock from '@/lib/models/Lock';
+import UserAlias from '@/lib/models/UserAlias';
+
+// Estimated current head-count, typical occupancy by weekday (1 = Monday) and hour, and the best time
+// to go. Query: stayMinutes, historyWeeks, lookaheadHours (override the instance settings), tz (zone
+// of the weekday/hour buckets).
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/occupancy');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        const { value: base, errors: envErrors } = occupancySettings();
+        if (envErrors.length) log.warn('occupancy_settings_invalid', { errors: envErrors });
+        const { value: settings, errors } = normalizeOccupancySettings(Object.fromEntries(searchParams), base);
+        if (errors.length) throw new HttpError(400, 'Invalid occupancy settings', errors);
+        const timeZone = resolveTimeZone(searchParams.get('tz'));
+
+        await connectToDatabase();
+        const lockIds = visitLockIds(await timed(log, 'find_locks', () => loadLocks({ Lock })));
+        const aliases = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+        const kindFilter = visitKindFilter(recordKindSettings().value);
+        const occupancy = await timed(log, 'agg_occupancy', () => loadOccupancy({ Entry, visitLockIds: lockIds, kindFilter, aliases, settings, timeZone }));
+        return jsonResponse(reqId, { settings, timeZone, ...occupancy });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch occupancy');
+    }
+}
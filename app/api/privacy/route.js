@@ -0,0 +1,88 @@
+// app/api/privacy/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, redirectResponse, isFormPost, errorResponse, readJson, HttpError } from '@/lib/http';
+import { isAdminRequest } from '@/lib/adminAuth';
+import { sessionMember } from '@/lib/auth';
+import { loadAliases, resolveUser } from '@/lib/aliases';
+import { normalizePrivacyUpdate, privacyUpdateFromForm, toPrivacyDto } from '@/lib/privacy';
+import PrivacySetting from '@/lib/models/PrivacySetting';
+import AuthSession from '@/lib/models/AuthSession';
+import UserAlias from '@/lib/models/UserAlias';
+
+// The member whose settings are read or changed (lowercased canonical username): the logged-in member,
+// or ?user= for admins
+async function privacyUser(request, searchParams, log) {
+    const user = (searchParams.get('user') || '').trim();
+    if (user) {
+        if (!isAdminRequest(request)) throw new HttpError(401, 'Unauthorized');
+        const aliases = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+        return resolveUser(user, aliases).toLowerCase();
+    }
+    const member = await timed(log, 'find_auth_session', () => sessionMember({ AuthSession }, request));
+    if (!member) throw new HttpError(401, 'Log in to change privacy settings');
+    return member.user;
+}
+
+async function saveSettings(user, value, log) {
+    return timed(log, 'upsert_privacy_setting', () => PrivacySetting.findOneAndUpdate(
+        { user },
+        { $set: value, $setOnInsert: { user } },
+        { upsert: true, new: true }
+    ).lean());
+}
+
+// A member's privacy settings (defaults until changed). Logged-in member, or ?user= for admins.
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/privacy');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        await connectToDatabase();
+        const user = await privacyUser(request, searchParams, log);
+        const doc = await timed(log, 'find_privacy_setting', () => PrivacySetting.findOne({ user }).lean());
+        return jsonResponse(reqId, { privacy: toPrivacyDto(doc, user) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch privacy settings');
+    }
+}
+
+// Change settings: { leaderboard?: 'show' | 'anonymous' | 'hidden', privateProfile?, hideEntryTimes? }
+export async function PUT(request) {
+    const { reqId, log, limited } = beginRequest(request, 'PUT /api/privacy');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        const { value, errors } = normalizePrivacyUpdate(await readJson(request));
+        if (errors.length) throw new HttpError(400, 'Invalid privacy settings', errors);
+
+        await connectToDatabase();
+        const user = await privacyUser(request, searchParams, log);
+        const doc = await saveSettings(user, value, log);
+        log.info('privacy_updated', { user, fields: Object.keys(value) });
+        return jsonResponse(reqId, { privacy: toPrivacyDto(doc, user) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to update privacy settings');
+    }
+}
+
+// Form post from the privacy page; redirects back to it
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/privacy');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        if (!isFormPost(request)) throw new HttpError(415, 'Expected a form post; use PUT for JSON');
+        const form = await request.formData();
+        const { value, errors } = normalizePrivacyUpdate(privacyUpdateFromForm(form));
+        if (errors.length) throw new HttpError(400, 'Invalid privacy settings', errors);
+
+        await connectToDatabase();
+        const user = await privacyUser(request, searchParams, log);
+        await saveSettings(user, value, log);
+        log.info('privacy_updated', { user, fields: Object.keys(value) });
+        return redirectResponse(reqId, request, `/privacy?${new URLSearchParams({ saved: '1', lang: String(form.get('pageLang') || 'lv') })}`);
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to update privacy settings');
+    }
+}
@@ -0,0 +1,46 @@
+// app/api/seasons/[key]/close/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, HttpError } from '@/lib/http';
+import { requireAdmin } from '@/lib/adminAuth';
+import { appTimeZone } from '@/lib/timezone';
+import { loadLocks, visitLockIds } from '@/lib/locks';
+import { closeSeason, toArchiveDto } from '@/lib/seasonArchive';
+import { refreshFlaggedDays } from '@/lib/anomalies';
+import { loadAliases } from '@/lib/aliases';
+import { recordKindSettings, visitKindFilter } from '@/lib/recordKinds';
+import Entry from '@/lib/models/Entry';
+import Season from '@/lib/models/Season';
+import SeasonArchive from '@/lib/models/SeasonArchive';
+import Lock from '@/lib/models/Lock';
+import Flag from '@/lib/models/Flag';
+import JobCheckpoint from '@/lib/models/JobCheckpoint';
+import UserAlias from '@/lib/models/UserAlias';
+
+// Freeze the season's final standings into an archive (admin).
+// Only ended seasons can be closed; ?force=1 re-snapshots an already closed season.
+export async function POST(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/seasons/:key/close', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { key } = await params;
+        const force = new URL(request.url).searchParams.get('force') === '1';
+        await connectToDatabase();
+        const season = await timed(log, 'find_season', () => Season.findOne({ key }).lean());
+        if (!season) throw new HttpError(404, `Season ${key} not found`);
+        const now = new Date();
+        if (new Date(season.endAt) > now) throw new HttpError(409, `Season ${key} has not ended yet`);
+
+        const timeZone = appTimeZone();
+        const lockIds = visitLockIds(await timed(log, 'find_locks', () => loadLocks({ Lock })));
+        const aliases = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+        const kindFilter = visitKindFilter(recordKindSettings().value);
+        // Days with unapproved anomaly flags do not count toward the frozen standings
+        const excludeDays = await timed(log, 'find_flagged_days', () => refreshFlaggedDays({ Entry, Flag, JobCheckpoint, timeZone, aliases, log }));
+        const { archive, created } = await timed(log, 'close_season', () => closeSeason({ Entry, Season, SeasonArchive, season, timeZone, lockIds, excludeDays, aliases, kindFilter, now, force, log }));
+        return jsonResponse(reqId, { archive: toArchiveDto(archive), created }, { status: created ? 201 : 200 });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to close season');
+    }
+}
@@ -0,0 +1,69 @@
+// app/api/seasons/[key]/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, readJson, HttpError } from '@/lib/http';
+import { isAdminRequest, requireAdmin } from '@/lib/adminAuth';
+import { normalizeSeason, findOverlappingSeason, toSeasonDto } from '@/lib/seasons';
+import Season from '@/lib/models/Season';
+
+async function findSeason(log, key) {
+    const season = await timed(log, 'find_season', () => Season.findOne({ key }).lean());
+    if (!season) throw new HttpError(404, `Season ${key} not found`);
+    return season;
+}
+
+export async function GET(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/seasons/:key');
+    if (limited) return limited;
+    try {
+        const { key } = await params;
+        await connectToDatabase();
+        const season = await findSeason(log, key);
+        if (!season.active && !isAdminRequest(request)) throw new HttpError(404, `Season ${key} not found`);
+        return jsonResponse(reqId, { season: toSeasonDto(season) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch season');
+    }
+}
+
+// Update name/window/scoring/active (admin); the key is immutable
+export async function PATCH(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'PATCH /api/seasons/:key', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { key } = await params;
+        const body = await readJson(request);
+        await connectToDatabase();
+        const current = await findSeason(log, key);
+        const { value, errors } = normalizeSeason(body, current);
+        if (errors.length) throw new HttpError(400, 'Invalid season', errors);
+
+        const others = await timed(log, 'find_seasons', () => Season.find({ key: { $ne: key } }).lean());
+        const overlap = findOverlappingSeason(value, others);
+        if (overlap) throw new HttpError(409, `Season overlaps ${overlap.key}`);
+
+        const { name, startAt, endAt, scoring, active } = value;
+        await timed(log, 'update_season', () => Season.updateOne({ key }, { $set: { name, startAt, endAt, scoring, active } }));
+        log.info('season_updated', { key });
+        return jsonResponse(reqId, { season: toSeasonDto({ ...current, ...value }) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to update season');
+    }
+}
+
+export async function DELETE(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'DELETE /api/seasons/:key', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const { key } = await params;
+        await connectToDatabase();
+        await findSeason(log, key);
+        await timed(log, 'delete_season', () => Season.deleteOne({ key }));
+        log.info('season_deleted', { key });
+        return jsonResponse(reqId, { deleted: key });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to delete season');
+    }
+}
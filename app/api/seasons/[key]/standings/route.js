@@ -0,0 +1,63 @@
+// app/api/seasons/[key]/standings/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, HttpError } from '@/lib/http';
+import { toSeasonDto } from '@/lib/seasons';
+import { appTimeZone, resolveTimeZone } from '@/lib/timezone';
+import { loadLocks, visitLockIds } from '@/lib/locks';
+import { computeSeasonStandings, computeSeasonProgress } from '@/lib/resources/standings';
+import { loadFlaggedDays } from '@/lib/flags';
+import { loadAliases, resolveUser } from '@/lib/aliases';
+import { recordKindSettings, visitKindFilter } from '@/lib/recordKinds';
+import { rollupReady } from '@/lib/userDays';
+import { requestViewer } from '@/lib/auth';
+import { loadPrivacySettings, privacyPolicy, applyLeaderboardPrivacy, profileHidden } from '@/lib/privacy';
+import Season from '@/lib/models/Season';
+import SeasonArchive from '@/lib/models/SeasonArchive';
+import Lock from '@/lib/models/Lock';
+import Flag from '@/lib/models/Flag';
+import JobCheckpoint from '@/lib/models/JobCheckpoint';
+import UserAlias from '@/lib/models/UserAlias';
+import AuthSession from '@/lib/models/AuthSession';
+import PrivacySetting from '@/lib/models/PrivacySetting';
+
+// Full standings of an active season (frozen once closed); ?userId= adds that user's progress. Members'
+// leaderboard privacy applies to the standings and private profiles get no progress (lib/privacy.js).
+export async function GET(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/seasons/:key/standings');
+    if (limited) return limited;
+    try {
+        const { key } = await params;
+        const { searchParams } = new URL(request.url);
+        const userId = (searchParams.get('userId') || '').trim();
+        await connectToDatabase();
+        const doc = await timed(log, 'find_season', () => Season.findOne({ key, active: true }).lean());
+        if (!doc) throw new HttpError(404, `Season ${key} not found`);
+        const season = toSeasonDto(doc);
+        const archive = season.closedAt
+            ? await timed(log, 'find_season_archive', () => SeasonArchive.findOne({ seasonKey: key }).lean())
+            : null;
+
+        const timeZone = resolveTimeZone(searchParams.get('tz'));
+        const locks = await timed(log, 'find_locks', () => loadLocks({ Lock }));
+        const aliases = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+        const excludeDays = archive ? [] : await timed(log, 'find_flagged_days', () => loadFlaggedDays({ Flag, timeZone, aliases }));
+        const recordKinds = recordKindSettings().value;
+        // The user's streaks come from the UserDay rollup when it is synced in this zone
+        const useRollup = async () => timeZone === appTimeZone()
+            && timed(log, 'find_user_days_checkpoint', () => rollupReady({ JobCheckpoint, timeZone, recordKinds }));
+        const opts = { timeZone, visitLockIds: visitLockIds(locks), excludeDays, aliases, visitKindFilter: visitKindFilter(recordKinds), useRollup };
+        const standings = await computeSeasonStandings(season, archive, opts, log);
+        const viewer = await requestViewer({ AuthSession }, request);
+        const privacy = viewer.admin ? null : privacyPolicy(await timed(log, 'find_privacy_settings', () => loadPrivacySettings({ PrivacySetting })), viewer);
+        const body = { season, closed: !!archive, standings: applyLeaderboardPrivacy(standings, privacy, { field: 'user' }) };
+        if (userId) {
+            body.userSeasonProgress = profileHidden(privacy, resolveUser(userId, aliases))
+                ? null
+                : await computeSeasonProgress(season, archive, standings, userId, opts, log);
+        }
+        return jsonResponse(reqId, body);
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch season standings');
+    }
+}
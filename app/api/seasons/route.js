@@ -0,0 +1,47 @@
+// app/api/seasons/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, errorResponse, readJson, HttpError } from '@/lib/http';
+import { isAdminRequest, requireAdmin } from '@/lib/adminAuth';
+import { normalizeSeason, findOverlappingSeason, toSeasonDto } from '@/lib/seasons';
+import Season from '@/lib/models/Season';
+
+// List seasons (newest first). Public callers see active seasons; admins also see inactive ones.
+export async function GET(request) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/seasons');
+    if (limited) return limited;
+    try {
+        await connectToDatabase();
+        const filter = isAdminRequest(request) ? {} : { active: true };
+        const seasons = await timed(log, 'find_seasons', () => Season.find(filter).sort({ startAt: -1 }).lean());
+        return jsonResponse(reqId, { seasons: seasons.map(toSeasonDto) });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch seasons');
+    }
+}
+
+// Create a season (admin). Rejects invalid windows and windows overlapping an existing season.
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/seasons', { bucket: 'admin' });
+    if (limited) return limited;
+    try {
+        requireAdmin(request);
+        const body = await readJson(request);
+        const { value, errors } = normalizeSeason(body);
+        if (errors.length) throw new HttpError(400, 'Invalid season', errors);
+
+        await connectToDatabase();
+        const existing = await timed(log, 'find_seasons', () => Season.find({}).lean());
+        if (existing.some(s => s.key.toLowerCase() === value.key.toLowerCase())) {
+            throw new HttpError(409, `Season ${value.key} already exists`);
+        }
+        const overlap = findOverlappingSeason(value, existing);
+        if (overlap) throw new HttpError(409, `Season overlaps ${overlap.key}`);
+
+        const created = await timed(log, 'create_season', () => Season.create(value));
+        log.info('season_created', { key: value.key });
+        return jsonResponse(reqId, { season: toSeasonDto(created) }, { status: 201 });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to create season');
+    }
+}
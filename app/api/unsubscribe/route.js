@@ -0,0 +1,34 @@
+// app/api/unsubscribe/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { timed } from '@/lib/logger';
+import { beginRequest, jsonResponse, redirectResponse, isFormPost, errorResponse, HttpError } from '@/lib/http';
+import { notificationDeliverySettings, readUnsubscribeToken, unsubscribeUpdate } from '@/lib/notificationPreferences';
+import NotificationPreference from '@/lib/models/NotificationPreference';
+
+// One-click unsubscribe with the signed ?token= of a message (no login). Mail clients POST here from the
+// List-Unsubscribe header (RFC 8058); the unsubscribe page's form is redirected back to it.
+export async function POST(request) {
+    const { reqId, log, limited } = beginRequest(request, 'POST /api/unsubscribe');
+    if (limited) return limited;
+    try {
+        const { searchParams } = new URL(request.url);
+        const token = searchParams.get('token') || '';
+        const claim = readUnsubscribeToken(token, notificationDeliverySettings().value.secret);
+        if (!claim) throw new HttpError(401, 'Invalid or expired link');
+
+        await connectToDatabase();
+        await timed(log, 'upsert_notification_preference', () => NotificationPreference.updateOne(
+            { user: claim.user },
+            { $set: unsubscribeUpdate(claim), $setOnInsert: { user: claim.user } },
+            { upsert: true }
+        ));
+        log.info('notification_unsubscribed', claim);
+        if (isFormPost(request) && searchParams.get('redirect')) {
+            const back = new URLSearchParams({ token, done: '1', lang: searchParams.get('lang') === 'en' ? 'en' : 'lv' });
+            return redirectResponse(reqId, request, `/unsubscribe?${back}`);
+        }
+        return jsonResponse(reqId, { unsubscribed: claim });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to unsubscribe');
+    }
+}
@@ -0,0 +1,27 @@
+// app/api/users/[username]/route.js
+import { connectToDatabase } from '@/lib/mongodb';
+import { beginRequest, jsonResponse, errorResponse, HttpError } from '@/lib/http';
+import { resolveApiContext } from '@/lib/resources/context';
+import { requestViewer } from '@/lib/auth';
+import AuthSession from '@/lib/models/AuthSession';
+import { loadUserProfile } from '@/lib/resources/users';
+import { profileHidden } from '@/lib/privacy';
+import { resolveUser } from '@/lib/aliases';
+
+// Lifetime profile of one user (case-insensitive username); 404 when the user has no activity, 403 when
+// the member made their profile private (except for themselves and admins)
+export async function GET(request, { params }) {
+    const { reqId, log, limited } = beginRequest(request, 'GET /api/users/:username');
+    if (limited) return limited;
+    try {
+        const { username } = await params;
+        await connectToDatabase();
+        const ctx = await resolveApiContext(new URL(request.url).searchParams, log, { viewer: await requestViewer({ AuthSession }, request) });
+        if (profileHidden(await ctx.privacy(), resolveUser(username, ctx.aliases))) throw new HttpError(403, 'This profile is private');
+        const userProfile = await loadUserProfile(username, ctx, log);
+        if (!userProfile) throw new HttpError(404, `User ${username} not found`);
+        return jsonResponse(reqId, { userProfile });
+    } catch (error) {
+        return errorResponse(reqId, log, error, 'Failed to fetch user profile');
+    }
+}
@@ -2,6 +2,8 @@
 
 import { useMemo, useRef } from 'react';
 import { t as tRaw } from '@/lib/i18n';
+import { formatWeekday } from '@/lib/utils';
+import { alignComparisonSeries } from '@/lib/comparison';
 
 // Helpers
 function toCSV(rows, headers) {
@@ -128,7 +130,7 @@ function BarChart({ data, xKey, yKey, width = 420, height = 140, color = '#0ea5e
 }
 
 function LineChart({ series, width = 420, height = 140, t, yUnit = '' }) {
-  // series: [{ label, data: [{ x, y }], color?: '#hex' }]
+  // series: [{ label, data: [{ x, y }], color?: '#hex', dash?: 'svg dasharray' }]
   // Hide legend/lines for empty series
   const palette = ['#0ea5e9', '#f59e0b', '#f43f5e']; // blue, orange, red
   const filtered = (series || []).filter(s => Array.isArray(s.data) && s.data.length > 0);
@@ -139,7 +141,8 @@ function LineChart({ series, width = 420, height = 140, t, yUnit = '' }) {
   const ys = flat.map(p => Number(p.y || 0));
   const [min, max] = useMinMax(ys);
   const xs = flat.map(p => p.x);
-  const uniqueX = Array.from(new Set(xs));
+  // Sorted so a comparison series with x values the first series lacks still plots in order
+  const uniqueX = Array.from(new Set(xs)).sort();
   const xIndex = new Map(uniqueX.map((x, i) => [x, i]));
   const xStep = uniqueX.length ? innerW / (uniqueX.length - 1 || 1) : innerW;
 
@@ -153,7 +156,7 @@ function LineChart({ series, width = 420, height = 140, t, yUnit = '' }) {
     const color = s.color || palette[si % palette.length];
     return (
       <g key={si}>
-        <path d={path} fill="none" stroke={color} strokeWidth="2" />
+        <path d={path} fill="none" stroke={color} strokeWidth="2" strokeDasharray={s.dash || undefined} />
         {s.data.map((p, i) => {
           const xi = xIndex.get(p.x) ?? i;
           const cx = padding + xi * xStep;
@@ -190,7 +193,7 @@ function LineChart({ series, width = 420, height = 140, t, yUnit = '' }) {
           const lblKey = (s.label || '').toLowerCase();
           return (
             <g key={i} transform={`translate(${width - padding - 90}, ${padding + i * 14})`}>
-              <rect x="0" y="0" width="10" height="4" fill={color} />
+              <line x1="0" y1="2" x2="10" y2="2" stroke={color} strokeWidth="4" strokeDasharray={s.dash ? '3 2' : undefined} />
               <text x="14" y="4" fontSize="9" fill="#374151">{t ? t(lblKey) : s.label}</text>
             </g>
           );
@@ -200,6 +203,55 @@ function LineChart({ series, width = 420, height = 140, t, yUnit = '' }) {
   );
 }
 
+function HeatmapChart({ cells, valueKey, lang, t, color = [14, 165, 233], label = 'heatmap', unit = '' }) {
+  // cells: [{ weekday 1-7, hour 0-23, [valueKey]: number }] — one rect per cell, opacity by value
+  const cellW = 12, cellH = 12, left = 28, top = 14, legendH = 26;
+  const width = left + 24 * cellW + 4;
+  const height = top + 7 * cellH + legendH;
+  const max = Math.max(0, ...cells.map(c => Number(c[valueKey] || 0)));
+  const fill = (v) => (v > 0 ? `rgba(${color.join(',')}, ${(0.15 + 0.85 * (v / (max || 1))).toFixed(3)})` : '#f3f4f6');
+  const hh = (h) => `${String(h).padStart(2, '0')}:00`;
+  // Legend: five swatches from empty to the maximum, labelled with their values
+  const legendSteps = [0, 0.25, 0.5, 0.75, 1].map(f => Math.round(f * max));
+  // Text summary for screen readers: the busiest cell
+  const peak = cells.reduce((best, c) => (Number(c[valueKey] || 0) > Number(best?.[valueKey] || 0) ? c : best), null);
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} width="100%" height="auto" role="img" aria-label={label}>
+      <title>{label}</title>
+      <desc>{peak ? t('heatmap_peak', { day: formatWeekday(peak.weekday, lang), time: hh(peak.hour), count: peak[valueKey] }) : ''}</desc>
+      <rect x="0" y="0" width={width} height={height} fill="#ffffff" />
+      <g fill="#6b7280" fontSize="8">
+        {Array.from({ length: 24 }, (_, h) => (h % 3 === 0 ? (
+          <text key={h} x={left + h * cellW} y={top - 4}>{h}</text>
+        ) : null))}
+        {[1, 2, 3, 4, 5, 6, 7].map(wd => (
+          <text key={wd} x={2} y={top + (wd - 1) * cellH + cellH - 3}>{formatWeekday(wd, lang)}</text>
+        ))}
+      </g>
+      <g>
+        {cells.map((c) => {
+          const v = Number(c[valueKey] || 0);
+          return (
+            <rect key={`${c.weekday}-${c.hour}`} x={left + c.hour * cellW} y={top + (c.weekday - 1) * cellH} width={cellW - 1} height={cellH - 1} rx="1" fill={fill(v)}>
+              <title>{`${formatWeekday(c.weekday, lang)} ${hh(c.hour)}: ${v}${unit ? ` ${unit}` : ''}`}</title>
+            </rect>
+          );
+        })}
+      </g>
+      <g transform={`translate(${left}, ${top + 7 * cellH + 8})`} fontSize="8" fill="#374151">
+        <text x="0" y="8">{t('heatmap_less')}</text>
+        {legendSteps.map((v, i) => (
+          <g key={i} transform={`translate(${28 + i * 30}, 0)`}>
+            <rect x="0" y="0" width="10" height="10" fill={fill(v)} />
+            <text x="13" y="8">{v}</text>
+          </g>
+        ))}
+        <text x={28 + legendSteps.length * 30} y="8">{t('heatmap_more')}{unit ? ` (${unit})` : ''}</text>
+      </g>
+    </svg>
+  );
+}
+
 function ChartBlock({ title, subtitle, note, rows, headers, renderSvg, t, fileKey }) {
   const svgRef = useRef(null);
   const onCSV = () => {
@@ -238,7 +290,7 @@ function ChartBlock({ title, subtitle, note, rows, headers, renderSvg, t, fileKe
   );
 }
 
-export default function Charts({ analytics, lang = 'lv', meta }) {
+export default function Charts({ analytics, comparison = null, lang = 'lv', meta }) {
   const t = (key, vars = {}) => tRaw(key, vars, lang);
   if (!analytics) return null;
   const entriesPerDay = analytics.entriesPerDay || [];
@@ -248,6 +300,16 @@ export default function Charts({ analytics, lang = 'lv', meta }) {
   const retentionBuckets = analytics.retentionBuckets || {};
   const streakBuckets = analytics.streakBuckets || {};
   const cohortByMonth = analytics.cohortByMonth || [];
+  const unlockMethods = analytics.unlockMethods || [];
+  const weekdayHour = analytics.weekdayHour || [];
+  // Comparison window series (?compare=), days moved onto the current range
+  const previousDauPerDay = comparison ? alignComparisonSeries(comparison.analytics?.dauPerDay || [], comparison) : [];
+  const previousDauPerHour = comparison ? comparison.analytics?.dauPerHour || [] : [];
+  const previousDauByDay = new Map(previousDauPerDay.map(d => [d.day, d.count]));
+  const previousDauByHour = new Map(previousDauPerHour.map(d => [d.hour, d.count]));
+  const withPrevious = (row, previous, x) => (comparison ? { ...row, dau_previous: previous.get(x) ?? 0 } : row);
+  const dauHeaders = comparison ? [ 'x', 'dau', 'dau_previous' ] : [ 'x', 'dau' ];
+  const previousSeries = (rows, xOf) => (comparison ? [{ label: `compare_series_${comparison.compare}`, color: '#9ca3af', dash: '4 3', data: rows.map(d => ({ x: xOf(d), y: d.count })) }] : []);
 
   const retentionKeys = Array.from({ length: 19 }, (_, i) => String(i + 1)).concat(['20+']);
   const retentionRows = retentionKeys.map(k => ({ bucket: k, count: retentionBuckets[k] || 0 }));
@@ -306,11 +368,14 @@ export default function Charts({ analytics, lang = 'lv', meta }) {
             note={t('dau_def')}
             t={t}
             fileKey="dau_hour"
-            rows={dauPerHour.map(d => ({ x: d.hour, dau: d.count }))}
-            headers={[ 'x', 'dau' ]}
+            rows={dauPerHour.map(d => withPrevious({ x: d.hour, dau: d.count }, previousDauByHour, d.hour))}
+            headers={dauHeaders}
             renderSvg={() => (
               <LineChart
-                series={[{ label: 'DAU', color: '#0ea5e9', data: dauPerHour.map(d => ({ x: String(d.hour).padStart(2, '0'), y: d.count })) }]}
+                series={[
+                  { label: 'DAU', color: '#0ea5e9', data: dauPerHour.map(d => ({ x: String(d.hour).padStart(2, '0'), y: d.count })) },
+                  ...previousSeries(previousDauPerHour, d => String(d.hour).padStart(2, '0')),
+                ]}
                 t={t}
                 width={320}
                 height={110}
@@ -325,12 +390,13 @@ export default function Charts({ analytics, lang = 'lv', meta }) {
             note={t('dau_def')}
             t={t}
             fileKey="dau"
-            rows={dauPerDay.map(d => ({ x: d.day, dau: d.count }))}
-            headers={[ 'x', 'dau' ]}
+            rows={dauPerDay.map(d => withPrevious({ x: d.day, dau: d.count }, previousDauByDay, d.day))}
+            headers={dauHeaders}
             renderSvg={() => (
               <LineChart
                 series={[
                   { label: 'DAU', color: '#0ea5e9', data: dauPerDay.map(d => ({ x: d.day, y: d.count })) },
+                  ...previousSeries(previousDauPerDay, d => d.day),
                 ]}
                 t={t}
                 width={320}
@@ -366,6 +432,32 @@ export default function Charts({ analytics, lang = 'lv', meta }) {
         </div>
       )}
 
+      {/* Weekday x hour heatmaps — month/season only (a single day covers one weekday) */}
+      {!isDay && weekdayHour.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+          <ChartBlock
+            title={t('chart_heatmap_entries')}
+            subtitle={commonSubtitle}
+            note={t('heatmap_def')}
+            t={t}
+            fileKey="weekday_hour_entries"
+            rows={weekdayHour}
+            headers={[ 'weekday', 'hour', 'entries' ]}
+            renderSvg={() => <HeatmapChart cells={weekdayHour} valueKey="entries" lang={lang} t={t} label={t('chart_heatmap_entries')} unit={t('y_entries')} />}
+          />
+          <ChartBlock
+            title={t('chart_heatmap_users')}
+            subtitle={commonSubtitle}
+            note={t('heatmap_users_def')}
+            t={t}
+            fileKey="weekday_hour_users"
+            rows={weekdayHour}
+            headers={[ 'weekday', 'hour', 'users' ]}
+            renderSvg={() => <HeatmapChart cells={weekdayHour} valueKey="users" lang={lang} t={t} color={[34, 197, 94]} label={t('chart_heatmap_users')} unit={t('y_users')} />}
+          />
+        </div>
+      )}
+
       {/* Cohort — month/season only */}
       {!isDay && (
         <ChartBlock
@@ -429,6 +521,30 @@ export default function Charts({ analytics, lang = 'lv', meta }) {
           }}
         />
       )}
+
+      {/* Unlock methods — all kinds (incl. failed attempts) for the selected filters */}
+      {unlockMethods.length > 0 && (
+        <ChartBlock
+          title={t('chart_unlock_methods')}
+          subtitle={meta?.rangeLabel ? `${t('for')} ${meta.rangeLabel}` : ''}
+          note={t('unlock_methods_def')}
+          t={t}
+          fileKey="unlock_methods"
+          rows={unlockMethods}
+          headers={[ 'kind', 'count' ]}
+          renderSvg={() => (
+            <BarChart
+              data={unlockMethods.map(d => ({ kind: t(`kind_${d.kind}`), count: d.count }))}
+              xKey="kind"
+              yKey="count"
+              color="#a855f7"
+              width={320}
+              height={110}
+              yUnit={t('y_entries')}
+            />
+          )}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,60 @@
+// app/components/OccupancyWidget.js
+// "How busy is it now": estimated head-count, the best time to go and a compact weekday x hour
+// heatmap of typical occupancy (data from /api/occupancy). Server component.
+import { t as tRaw } from '@/lib/i18n';
+import { formatWeekday as weekdayName } from '@/lib/utils';
+
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+export default function OccupancyWidget({ occupancy, lang = 'lv' }) {
+  const t = (key, vars = {}) => tRaw(key, vars, lang);
+  if (!occupancy) return null;
+  const { current, heatmap, bestTime } = occupancy;
+  const max = Math.max(1, ...heatmap.flatMap(row => row.hours));
+  const hh = (h) => `${String(h).padStart(2, '0')}:00`;
+
+  return (
+    <section className="rounded border p-4 bg-white text-gray-900 space-y-2 occupancy">
+      <div className="flex flex-wrap items-baseline gap-x-6 gap-y-1">
+        <h2 className="font-medium">{t('occupancy_title')}</h2>
+        <div className="text-sm">
+          {t('occupancy_now', { count: current.headCount })}
+          <span className="ml-1 text-gray-500">({t('occupancy_typical', { count: current.typical })})</span>
+        </div>
+        <div className="text-sm">
+          {bestTime
+            ? t('occupancy_best', { day: weekdayName(bestTime.weekday, lang), time: hh(bestTime.hour), count: bestTime.expected })
+            : t('occupancy_best_none')}
+        </div>
+      </div>
+      <div className="overflow-auto">
+        <table className="text-[10px] border-separate" style={{ borderSpacing: 1 }}>
+          <thead>
+            <tr>
+              <th />
+              {Array.from({ length: 24 }, (_, h) => (
+                <th key={h} className="font-normal text-gray-500 w-4">{h % 3 === 0 ? h : ''}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {WEEKDAYS.map(wd => (
+              <tr key={wd}>
+                <th className="font-normal text-gray-500 pr-1 text-left">{weekdayName(wd, lang)}</th>
+                {heatmap[wd - 1].hours.map((v, h) => (
+                  <td
+                    key={h}
+                    title={`${weekdayName(wd, lang)} ${hh(h)}: ≈${v}`}
+                    className={`w-4 h-3 rounded-sm ${wd === current.weekday && h === current.hour ? 'outline outline-1 outline-gray-900' : ''}`}
+                    style={{ backgroundColor: v > 0 ? `rgba(14, 165, 233, ${0.15 + 0.85 * (v / max)})` : '#f3f4f6' }}
+                  />
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">{t('occupancy_def', { minutes: occupancy.settings.stayMinutes, weeks: occupancy.settings.historyWeeks })}</p>
+    </section>
+  );
+}
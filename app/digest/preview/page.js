@@ -0,0 +1,103 @@
+// app/digest/preview/page.js
+import { headers } from 'next/headers';
+import { t as tRaw } from '@/lib/i18n';
+import { DIGEST_PERIODS } from '@/lib/digest';
+
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata({ searchParams }) {
+  const sp = await searchParams;
+  const lang = sp?.lang ?? 'lv';
+  return { title: `Ozols Club — ${tRaw('digest_preview', {}, lang)}` };
+}
+
+// Shows a member's digest exactly as it would be e-mailed (subject, HTML and plain text) to check copy;
+// the session cookie is passed on, so members can preview their own
+export default async function DigestPreviewPage({ searchParams }) {
+  const sp = await searchParams;
+  const lang = (sp?.lang ?? 'lv');
+  const t = (key, vars = {}) => tRaw(key, vars, lang);
+  const user = String(sp?.user ?? '').trim();
+  const period = DIGEST_PERIODS.includes(sp?.period) ? sp.period : 'week';
+  const tz = sp?.tz ?? '';
+
+  // Absolute base URL for server-side fetch (same approach as app/page.js)
+  const h = await headers();
+  const host  = h.get('x-forwarded-host') ?? h.get('host');
+  const proto = h.get('x-forwarded-proto') ?? 'http';
+  const base  = `${proto}://${host}`;
+
+  let data = null, status = 200, errText = '';
+  if (user) {
+    try {
+      const qs = new URLSearchParams({ user, period, lang: String(lang), ...(tz ? { tz: String(tz) } : {}) });
+      const res = await fetch(`${base}/api/digest?${qs}`, { cache: 'no-store', headers: { cookie: h.get('cookie') ?? '' } });
+      status = res.status;
+      if (!res.ok) errText = await res.text();
+      else data = await res.json();
+    } catch (e) {
+      status = 0;
+      errText = String(e?.message || e);
+    }
+  }
+
+  const back = `/?${new URLSearchParams({ lang: String(lang), ...(tz ? { tz: String(tz) } : {}) })}`;
+
+  return (
+      <main className="p-6 space-y-6">
+        <div className="flex flex-wrap items-baseline justify-between gap-3">
+          <h1 className="text-2xl font-semibold">{t('digest_preview')}</h1>
+          <a className="underline text-sm" href={back}>{t('back_to_main')}</a>
+        </div>
+
+        <form method="get" className="flex flex-wrap items-end gap-3 text-sm">
+          <label className="flex flex-col gap-1">
+            <span>{t('digest_preview_user')}</span>
+            <input name="user" defaultValue={user} required className="border rounded px-2 py-1" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span>{t('digest_preview_period')}</span>
+            <select name="period" defaultValue={period} className="border rounded px-2 py-1">
+              {DIGEST_PERIODS.map(p => <option key={p} value={p}>{t(`digest_period_${p}`)}</option>)}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            <span>{t('language')}</span>
+            <select name="lang" defaultValue={lang} className="border rounded px-2 py-1">
+              <option value="lv">LV</option>
+              <option value="en">EN</option>
+            </select>
+          </label>
+          {tz ? <input type="hidden" name="tz" value={tz} /> : null}
+          <button type="submit" className="px-3 py-1 rounded bg-gray-700 text-white">{t('digest_preview_show')}</button>
+        </form>
+
+        {!user ? (
+          <p className="text-sm text-gray-600">{t('digest_preview_hint')}</p>
+        ) : status === 401 ? (
+          <div className="space-y-2 text-sm">
+            <p className="text-gray-600">{t('digest_login_required')}</p>
+            <a className="underline" href={`/login?${new URLSearchParams({ lang: String(lang) })}`}>{t('login')}</a>
+          </div>
+        ) : !data ? (
+          <pre className="text-xs bg-gray-100 p-3 rounded overflow-auto">
+{`status: ${status}
+error: ${errText}`}
+          </pre>
+        ) : (
+          <div className="grid gap-4 lg:grid-cols-2">
+            <section className="rounded border p-4 bg-white text-gray-900 space-y-2">
+              <h2 className="text-lg font-semibold">{t('digest_preview_html')}</h2>
+              <p className="text-sm"><strong>{t('digest_preview_subject')}:</strong> {data.subject}</p>
+              {/* Rendered in a sandboxed frame so the mail's own styles apply, as in a mail client */}
+              <iframe title={data.subject} srcDoc={data.html} sandbox="" className="w-full h-[28rem] border rounded" />
+            </section>
+            <section className="rounded border p-4 bg-white text-gray-900 space-y-2">
+              <h2 className="text-lg font-semibold">{t('digest_preview_text')}</h2>
+              <pre className="text-sm whitespace-pre-wrap">{data.text}</pre>
+            </section>
+          </div>
+        )}
+      </main>
+  );
+}
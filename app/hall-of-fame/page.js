@@ -0,0 +1,123 @@
+// app/hall-of-fame/page.js
+import { headers } from 'next/headers';
+import { t as tRaw } from '@/lib/i18n';
+import { resolveTimeZone } from '@/lib/timezone';
+
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata({ searchParams }) {
+  const sp = await searchParams;
+  const lang = sp?.lang ?? 'lv';
+  return { title: `Ozols Club — ${tRaw('hall_of_fame', {}, lang)}` };
+}
+
+export default async function HallOfFamePage({ searchParams }) {
+  const sp = await searchParams;
+  const lang = (sp?.lang ?? 'lv');
+  const t = (key, vars = {}) => tRaw(key, vars, lang);
+  // Season dates are shown in APP_TIMEZONE unless ?tz= asks for another zone
+  const tzOpt = { timeZone: resolveTimeZone(sp?.tz) };
+
+  // Absolute base URL for server-side fetch (same approach as app/page.js)
+  const h = await headers();
+  const host  = h.get('x-forwarded-host') ?? h.get('host');
+  const proto = h.get('x-forwarded-proto') ?? 'http';
+  const base  = `${proto}://${host}`;
+
+  let seasons = null, status = 200, errText = '';
+  try {
+    const res = await fetch(`${base}/api/hall-of-fame`, { cache: 'no-store', headers: { cookie: h.get('cookie') ?? '' } });
+    status = res.status;
+    if (!res.ok) errText = await res.text();
+    else seasons = (await res.json()).seasons || [];
+  } catch (e) {
+    status = 0;
+    errText = String(e?.message || e);
+  }
+
+  const back = `/?${new URLSearchParams({ lang: String(lang) })}`;
+  const userLink = (id, season) => `/?${new URLSearchParams({ userId: id, season, lang: String(lang) })}`;
+  const dayWord = (n) => {
+    const s = String(Number(n || 0));
+    if (s.endsWith('11')) return t('days');
+    return s.endsWith('1') ? t('day') : t('days');
+  };
+  const medals = ['🥇', '🥈', '🥉'];
+
+  // Top record holder of each archived leaderboard
+  const recordRows = (lb) => [
+    { label: t('top_early'), row: lb?.topEarlyBirds?.[0] },
+    { label: t('top_night'), row: lb?.topNightOwls?.[0] },
+    { label: t('longest_streak'), row: lb?.topLongestStreaks?.[0] },
+  ];
+
+  return (
+      <main className="p-6 space-y-6">
+        <div className="flex flex-wrap items-baseline justify-between gap-3">
+          <h1 className="text-2xl font-semibold">{t('hall_of_fame')}</h1>
+          <a className="underline text-sm" href={back}>{t('back_to_main')}</a>
+        </div>
+
+        {!seasons ? (
+          <pre className="text-xs bg-gray-100 p-3 rounded overflow-auto">
+{`status: ${status}
+error: ${errText}`}
+          </pre>
+        ) : seasons.length === 0 ? (
+          <p className="text-sm text-gray-600">{t('hall_of_fame_empty')}</p>
+        ) : (
+          <div className="grid gap-4 md:grid-cols-2">
+            {seasons.map(s => (
+              <section key={s.seasonKey} className="rounded border p-4 bg-white text-gray-900 space-y-3">
+                <div>
+                  <h2 className="text-lg font-semibold">{s.name || s.seasonKey}</h2>
+                  <div className="text-xs text-gray-500">
+                    {new Date(s.startAt).toLocaleDateString(undefined, tzOpt)} – {new Date(s.endAt).toLocaleDateString(undefined, tzOpt)}
+                    {s.closedAt ? <> · {t('season_closed_on', { date: new Date(s.closedAt).toLocaleDateString(undefined, tzOpt) })}</> : null}
+                  </div>
+                </div>
+
+                <div>
+                  <div className="font-medium mb-1">{t('podium')}</div>
+                  {(s.winners || []).length === 0 ? (
+                    <div className="text-sm text-gray-600">{t('no_data')}</div>
+                  ) : (
+                    <ol className="text-sm space-y-1">
+                      {s.winners.map(w => (
+                        <li key={w.rank}>
+                          <span className="mr-1">{medals[w.rank - 1] || `${w.rank}.`}</span>
+                          {w.anonymous
+                            ? <span className="italic text-gray-500">{t('anonymous_member')}</span>
+                            : <a className="underline" href={userLink(w.user, s.seasonKey)}>{w.user}</a>}
+                          {' '}— {w.points} {dayWord(w.points)}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </div>
+
+                <div>
+                  <div className="font-medium mb-1">{t('records')}</div>
+                  <ul className="text-sm space-y-1">
+                    {recordRows(s.leaderboards).map(r => (
+                      <li key={r.label}>
+                        <span className="text-gray-500">{r.label}:</span>{' '}
+                        {r.row ? (
+                          <>
+                            {r.row.anonymous
+                              ? <span className="italic text-gray-500">{t('anonymous_member')}</span>
+                              : <a className="underline" href={userLink(r.row.id, s.seasonKey)}>{r.row.id}</a>}
+                            {' '}— {r.row.count} {dayWord(r.row.count)}
+                          </>
+                        ) : t('no_data')}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </section>
+            ))}
+          </div>
+        )}
+      </main>
+  );
+}
@@ -0,0 +1,139 @@
+// app/lock-health/page.js
+import { headers } from 'next/headers';
+import { t as tRaw } from '@/lib/i18n';
+import { lockDisplayName } from '@/lib/locks';
+
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata({ searchParams }) {
+  const sp = await searchParams;
+  const lang = sp?.lang ?? 'lv';
+  return { title: `Ozols Club — ${tRaw('lock_health', {}, lang)}` };
+}
+
+// Battery level over the trend window (0-100% scale), one point per day with a reading
+function Sparkline({ readings, threshold, width = 160, height = 36 }) {
+  if (readings.length < 2) return null;
+  const x = (i) => (i / (readings.length - 1)) * (width - 2) + 1;
+  const y = (level) => height - 1 - (level / 100) * (height - 2);
+  const points = readings.map((r, i) => `${x(i).toFixed(1)},${y(r.level).toFixed(1)}`).join(' ');
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={`${readings[0].level}% → ${readings[readings.length - 1].level}%`}>
+      <line x1="0" x2={width} y1={y(threshold)} y2={y(threshold)} stroke="#f87171" strokeDasharray="3 3" />
+      <polyline points={points} fill="none" stroke="#0ea5e9" strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+export default async function LockHealthPage({ searchParams }) {
+  const sp = await searchParams;
+  const lang = (sp?.lang ?? 'lv');
+  const t = (key, vars = {}) => tRaw(key, vars, lang);
+  const tz = sp?.tz ?? '';
+
+  // Absolute base URL for server-side fetch (same approach as app/page.js)
+  const h = await headers();
+  const host  = h.get('x-forwarded-host') ?? h.get('host');
+  const proto = h.get('x-forwarded-proto') ?? 'http';
+  const base  = `${proto}://${host}`;
+
+  let data = null, status = 200, errText = '';
+  try {
+    const res = await fetch(`${base}/api/lock-health?${new URLSearchParams(tz ? { tz: String(tz) } : {})}`, { cache: 'no-store' });
+    status = res.status;
+    if (!res.ok) errText = await res.text();
+    else data = await res.json();
+  } catch (e) {
+    status = 0;
+    errText = String(e?.message || e);
+  }
+
+  const back = `/?${new URLSearchParams({ lang: String(lang), ...(tz ? { tz: String(tz) } : {}) })}`;
+  const tzOpt = { timeZone: data?.timeZone || 'UTC' };
+  const lockName = (id) => lockDisplayName(id, data?.locks || [], lang);
+  const formatDate = (d) => new Date(d).toLocaleDateString(undefined, tzOpt);
+  const formatDateTime = (d) => new Date(d).toLocaleString(undefined, tzOpt);
+  // Local YYYY-MM-DD keys are already in the zone
+  const formatDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' });
+  const alertText = (a) => {
+    const lock = lockName(a.lockId);
+    if (a.kind === 'low_battery') return t('alert_low_battery', { lock, level: a.level });
+    if (a.kind === 'battery_soon') return t('alert_battery_soon', { lock, level: a.level, date: formatDay(a.projectedLowDay) });
+    return a.lastSeenAt ? t('alert_silent', { lock, date: formatDateTime(a.lastSeenAt) }) : t('alert_silent_never', { lock });
+  };
+  const levelColor = (level) => (level <= data.settings.lowBatteryPercent ? 'text-red-600' : level <= 50 ? 'text-amber-600' : 'text-green-700');
+
+  return (
+      <main className="p-6 space-y-6">
+        <div className="flex flex-wrap items-baseline justify-between gap-3">
+          <h1 className="text-2xl font-semibold">{t('lock_health')}</h1>
+          <a className="underline text-sm" href={back}>{t('back_to_main')}</a>
+        </div>
+
+        {!data ? (
+          <pre className="text-xs bg-gray-100 p-3 rounded overflow-auto">
+{`status: ${status}
+error: ${errText}`}
+          </pre>
+        ) : (
+          <>
+            <section className="rounded border p-4 bg-white text-gray-900 space-y-2">
+              <h2 className="text-lg font-semibold">{t('lock_health_alerts')}</h2>
+              {data.alerts.length === 0 ? (
+                <p className="text-sm text-gray-600">{t('lock_health_no_alerts')}</p>
+              ) : (
+                <ul className="text-sm space-y-1">
+                  {data.alerts.map(a => (
+                    <li key={`${a.lockId}-${a.kind}`} className={a.kind === 'battery_soon' ? 'text-amber-700' : 'text-red-700'}>⚠ {alertText(a)}</li>
+                  ))}
+                </ul>
+              )}
+              <p className="text-xs text-gray-500">
+                {t('lock_health_settings', { percent: data.settings.lowBatteryPercent, hours: data.settings.silentHours, days: data.settings.trendDays })}
+              </p>
+            </section>
+
+            <div className="overflow-auto border rounded">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-700 text-white">
+                  <tr>
+                    <th className="text-left p-2">{t('table_lock')}</th>
+                    <th className="text-left p-2">{t('table_battery')}</th>
+                    <th className="text-left p-2">{t('lock_health_trend')}</th>
+                    <th className="text-left p-2">{t('lock_health_projected', { percent: data.settings.lowBatteryPercent })}</th>
+                    <th className="text-left p-2">{t('lock_health_last_seen')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.locks.map(l => (
+                    <tr key={l.lockId} className="border-t align-middle">
+                      <td className="p-2">
+                        {lockName(l.lockId)}
+                        {!l.active ? <span className="ml-1 text-xs text-gray-500">({t('lock_health_inactive')})</span> : null}
+                      </td>
+                      <td className="p-2">
+                        {l.battery ? (
+                          <>
+                            <strong className={levelColor(l.battery.level)}>{l.battery.level}%</strong>
+                            <span className="ml-1 text-xs text-gray-500">{formatDate(l.battery.at)}</span>
+                          </>
+                        ) : t('no_data')}
+                      </td>
+                      <td className="p-2">
+                        <div className="flex items-center gap-2">
+                          <Sparkline readings={l.trend.readings} threshold={data.settings.lowBatteryPercent} />
+                          {l.trend.perDay !== null ? <span className="text-xs">{t('lock_health_per_day', { value: l.trend.perDay })}</span> : null}
+                        </div>
+                      </td>
+                      <td className="p-2">{l.projectedLowDay ? formatDay(l.projectedLowDay) : '—'}</td>
+                      <td className="p-2">{l.lastSeenAt ? formatDateTime(l.lastSeenAt) : t('lock_health_never')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </main>
+  );
+}
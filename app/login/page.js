@@ -0,0 +1,47 @@
+// app/login/page.js
+import { t as tRaw } from '@/lib/i18n';
+
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata({ searchParams }) {
+  const sp = await searchParams;
+  const lang = sp?.lang ?? 'lv';
+  return { title: `Ozols Club — ${tRaw('login_title', {}, lang)}` };
+}
+
+// Passwordless login: the member names their log username and an address, and gets a login link.
+// The form posts to /api/auth/login, which redirects back here with sent=1 or error=<status>.
+export default async function LoginPage({ searchParams }) {
+  const sp = await searchParams;
+  const lang = (sp?.lang ?? 'lv');
+  const t = (key, vars = {}) => tRaw(key, vars, lang);
+  const errorKey = { 400: 'login_error_invalid', 429: 'login_error_limited', 503: 'login_error_off' }[sp?.error] || (sp?.error ? 'login_error_failed' : null);
+
+  return (
+      <main className="p-6 space-y-6 max-w-2xl">
+        <div className="flex flex-wrap items-baseline justify-between gap-3">
+          <h1 className="text-2xl font-semibold">{t('login_title')}</h1>
+          <a className="underline text-sm" href={`/?${new URLSearchParams({ lang: String(lang) })}`}>{t('title')}</a>
+        </div>
+
+        {sp?.sent ? (
+          <p className="text-sm text-green-700" role="status">{t('login_sent')}</p>
+        ) : (
+          <form method="post" action="/api/auth/login" className="rounded border p-4 bg-white text-gray-900 space-y-4 text-sm">
+            <p className="text-gray-600">{t('login_intro')}</p>
+            {errorKey ? <p className="text-red-700" role="alert">{t(errorKey)}</p> : null}
+            <input type="hidden" name="lang" value={lang} />
+            <div>
+              <label htmlFor="login-user" className="block">{t('login_user')}</label>
+              <input id="login-user" name="user" required autoComplete="username" defaultValue={sp?.user ?? ''} className="border rounded px-3 py-2 h-10 w-72 bg-white text-gray-900" />
+            </div>
+            <div>
+              <label htmlFor="login-email" className="block">{t('login_email')}</label>
+              <input id="login-email" name="email" type="email" required autoComplete="email" className="border rounded px-3 py-2 h-10 w-72 bg-white text-gray-900" />
+            </div>
+            <button type="submit" className="px-3 py-1 rounded bg-gray-700 text-white">{t('login_send')}</button>
+          </form>
+        )}
+      </main>
+  );
+}
@@ -0,0 +1,38 @@
+// app/login/verify/page.js
+import { t as tRaw } from '@/lib/i18n';
+import { authSettings, readLoginToken } from '@/lib/auth';
+
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata({ searchParams }) {
+  const sp = await searchParams;
+  const lang = sp?.lang ?? 'lv';
+  return { title: `Ozols Club — ${tRaw('login_title', {}, lang)}` };
+}
+
+// Login link target: asks for a click before the single-use link is spent, since mail scanners open links.
+// The form posts to /api/auth/verify, which sets the session cookie and opens the member's profile.
+export default async function LoginVerifyPage({ searchParams }) {
+  const sp = await searchParams;
+  const lang = (sp?.lang ?? 'lv');
+  const t = (key, vars = {}) => tRaw(key, vars, lang);
+  const token = String(sp?.token ?? '');
+  const claim = readLoginToken(token, authSettings().value.secret);
+
+  return (
+      <main className="p-6 space-y-6 max-w-2xl">
+        <h1 className="text-2xl font-semibold">{t('login_title')}</h1>
+        {!claim ? (
+          <div className="space-y-2 text-sm">
+            <p className="text-gray-600">{t('login_invalid_link')}</p>
+            <a className="underline" href={`/login?${new URLSearchParams({ lang: String(lang) })}`}>{t('login_again')}</a>
+          </div>
+        ) : (
+          <form method="post" action={`/api/auth/verify?${new URLSearchParams({ token, lang: String(lang) })}`} className="space-y-3 text-sm">
+            <p>{t('login_confirm', { user: claim.user, email: claim.email })}</p>
+            <button type="submit" className="px-3 py-1 rounded bg-gray-700 text-white">{t('login_button')}</button>
+          </form>
+        )}
+      </main>
+  );
+}
@@ -0,0 +1,96 @@
+// app/notifications/preferences/page.js
+import { headers } from 'next/headers';
+import { t as tRaw } from '@/lib/i18n';
+import { NOTIFICATION_CATEGORIES, NOTIFICATION_CHANNELS } from '@/lib/notificationPreferences';
+
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata({ searchParams }) {
+  const sp = await searchParams;
+  const lang = sp?.lang ?? 'lv';
+  return { title: `Ozols Club — ${tRaw('prefs_title', {}, lang)}` };
+}
+
+// A member's notification settings, opened from the signed link in every message (no login)
+export default async function NotificationPreferencesPage({ searchParams }) {
+  const sp = await searchParams;
+  const lang = (sp?.lang ?? 'lv');
+  const t = (key, vars = {}) => tRaw(key, vars, lang);
+  const token = String(sp?.token ?? '');
+
+  // Absolute base URL for server-side fetch (same approach as app/page.js)
+  const h = await headers();
+  const host  = h.get('x-forwarded-host') ?? h.get('host');
+  const proto = h.get('x-forwarded-proto') ?? 'http';
+  const base  = `${proto}://${host}`;
+
+  let prefs = null, status = 200, errText = '';
+  if (token) {
+    try {
+      const res = await fetch(`${base}/api/notification-preferences?${new URLSearchParams({ token })}`, { cache: 'no-store' });
+      status = res.status;
+      if (!res.ok) errText = await res.text();
+      else prefs = (await res.json()).preferences;
+    } catch (e) {
+      status = 0;
+      errText = String(e?.message || e);
+    }
+  }
+
+  return (
+      <main className="p-6 space-y-6 max-w-2xl">
+        <h1 className="text-2xl font-semibold">{t('prefs_title')}</h1>
+
+        {!token || status === 401 ? (
+          <p className="text-sm text-gray-600">{t('prefs_invalid_link')}</p>
+        ) : !prefs ? (
+          <pre className="text-xs bg-gray-100 p-3 rounded overflow-auto">
+{`status: ${status}
+error: ${errText}`}
+          </pre>
+        ) : (
+          <form method="post" action={`/api/notification-preferences?${new URLSearchParams({ token })}`} className="rounded border p-4 bg-white text-gray-900 space-y-4">
+            <p className="text-sm text-gray-600">{t('prefs_for', { user: prefs.user })}</p>
+            {sp?.saved ? <p className="text-sm text-green-700" role="status">{t('prefs_saved')}</p> : null}
+            <input type="hidden" name="pageLang" value={lang} />
+
+            <table className="text-sm">
+              <thead>
+                <tr>
+                  <th className="text-left pr-6 pb-1">{t('prefs_category')}</th>
+                  {NOTIFICATION_CHANNELS.map(ch => <th key={ch} className="px-2 pb-1">{t(`channel_${ch}`)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {NOTIFICATION_CATEGORIES.map(c => (
+                  <tr key={c}>
+                    <td className="pr-6 py-1">{t(`category_${c}`)}</td>
+                    {NOTIFICATION_CHANNELS.map(ch => (
+                      <td key={ch} className="px-2 py-1 text-center">
+                        <input type="checkbox" name={`${ch}.${c}`} defaultChecked={prefs.channels[ch][c]} aria-label={`${t(`category_${c}`)} — ${t(`channel_${ch}`)}`} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="flex flex-col gap-1 text-sm">
+              <span>{t('prefs_email')}</span>
+              <span>{prefs.email ?? t('prefs_email_none')}</span>
+              <span className="text-xs text-gray-500">{t('prefs_email_hint')}</span>
+            </div>
+            <label className="flex flex-col gap-1 text-sm">
+              <span>{t('prefs_lang')}</span>
+              <select name="lang" defaultValue={prefs.lang ?? ''} className="border rounded px-2 py-1 w-40">
+                <option value="">{t('prefs_lang_default')}</option>
+                <option value="lv">LV</option>
+                <option value="en">EN</option>
+              </select>
+            </label>
+            <button type="submit" className="px-3 py-1 rounded bg-gray-700 text-white">{t('prefs_save')}</button>
+          </form>
+        )}
+      </main>
+  );
+}
@@ -5,8 +5,11 @@ import AutoSubmitCheckbox from './components/AutoSubmitCheckbox';
 import AutoSubmitInput from './components/AutoSubmitInput';
 import AutoSubmitClearableInput from './components/AutoSubmitClearableInput';
 import Charts from './components/Charts';
+import OccupancyWidget from './components/OccupancyWidget';
 import { buildQuery, formatLocalYMD, computeAchievements, formatDurationHM } from '@/lib/utils';
-import { t as tRaw } from '@/lib/i18n';
+import { t as tRaw, getTranslations } from '@/lib/i18n';
+import { lockDisplayName, visitLockIds } from '@/lib/locks';
+import { RECORD_KINDS, recordKindSettings, kindOf } from '@/lib/recordKinds';
 
 export const dynamic = 'force-dynamic';
 
@@ -42,14 +45,20 @@ export default async function Page({ searchParams }) {
   })();
   const limit  = String(safeLimitNum);
   const userId = sp?.userId ?? '';
+  // Unlock method / event kind filter (see lib/recordKinds.js)
+  const kind = sp?.kind ?? '';
   const period = (sp?.period ?? 'day');
   const showGlobal = sp?.showGlobal ?? '';
   const season = sp?.season ?? '';
+  // Period-over-period comparison: '' (off), previous or yoy
+  const compare = sp?.compare ?? '';
   const lang = (sp?.lang ?? 'lv');
+  // Optional IANA zone override (defaults to the instance's APP_TIMEZONE on the server)
+  const tz = sp?.tz ?? '';
 
   const t = (key, vars = {}) => tRaw(key, vars, lang);
 
-  const qs = buildQuery({ page, date, lockId, limit, userId, period, showGlobal, season, lang });
+  const qs = buildQuery({ page, date, lockId, limit, userId, kind, period, showGlobal, season, lang, tz, compare });
 
   // Absolute base URL for server-side fetch (Next 15/Turbopack)
   // headers() is async in Next 15 — await it first
@@ -58,12 +67,59 @@ export default async function Page({ searchParams }) {
   const proto = h.get('x-forwarded-proto') ?? 'http';
   const base  = `${proto}://${host}`;
 
+  // Each resource has its own endpoint; only the ones this view renders are requested (in parallel).
+  // The session cookie is passed on so members see their own data despite their privacy settings.
+  const session = { cookie: h.get('cookie') ?? '' };
+  const getJson = async (path, q = qs) => {
+    const res = await fetch(`${base}${path}?${q}`, { cache: 'no-store', headers: session });
+    return res.ok ? res.json() : (res.status === 403 ? { forbidden: true } : null);
+  };
+  // The logged-in member, for the "me" shortcut; the session cookie is passed on to the API
+  const getMember = async () => {
+    const res = await fetch(`${base}/api/auth/session`, { cache: 'no-store', headers: session });
+    return res.ok ? (await res.json()).member : null;
+  };
+  const wantsLeaderboards = period === 'month' || Boolean(season);
+  const trimmedUser = String(userId || '').trim();
+
   let data, status = 200, errText = '';
   try {
-    const res = await fetch(`${base}/api?${qs}`, { cache: 'no-store' });
+    const res = await fetch(`${base}/api/entries?${qs}`, { cache: 'no-store', headers: session });
     status = res.status;
     if (!res.ok) errText = await res.text();
-    else data = await res.json();
+    else {
+      const [entriesRes, aggregatesRes, leaderboardsRes, globalRes, analyticsRes, profileRes, standingsRes, locksRes, occupancyRes, member] = await Promise.all([
+        res.json(),
+        getJson('/api/aggregates'),
+        wantsLeaderboards ? getJson('/api/leaderboards') : null,
+        String(showGlobal) === '1' ? getJson('/api/leaderboards/global') : null,
+        !trimmedUser ? getJson('/api/analytics') : null,
+        trimmedUser ? getJson(`/api/users/${encodeURIComponent(trimmedUser)}`, buildQuery({ tz })) : null,
+        trimmedUser && season ? getJson(`/api/seasons/${encodeURIComponent(season)}/standings`, buildQuery({ userId: trimmedUser, tz })) : null,
+        getJson('/api/locks', ''),
+        getJson('/api/occupancy', buildQuery({ tz })),
+        getMember().catch(() => null),
+      ]);
+      data = {
+        ...entriesRes,
+        dayAggregates: aggregatesRes?.dayAggregates ?? null,
+        leaderboards: leaderboardsRes?.leaderboards ?? null,
+        globalLeaderboards: globalRes?.globalLeaderboards ?? null,
+        analytics: analyticsRes?.analytics ?? null,
+        userProfile: profileRes?.userProfile ?? null,
+        profilePrivate: Boolean(profileRes?.forbidden),
+        userSeasonProgress: standingsRes?.userSeasonProgress ?? null,
+        locks: locksRes?.locks ?? [],
+        occupancy: occupancyRes ?? null,
+        member,
+        // Comparison window results (present only with ?compare=)
+        comparison: {
+          aggregates: aggregatesRes?.comparison ?? null,
+          leaderboards: leaderboardsRes?.comparison ?? null,
+          analytics: analyticsRes?.comparison ?? null,
+        },
+      };
+    }
   } catch (e) {
     status = 0;
     errText = String(e?.message || e);
@@ -82,16 +138,21 @@ error: ${errText}`}
     );
   }
 
-  const { entries = [], pagination = {}, filters = {}, dayAggregates = null, userProfile = null, leaderboards = null, globalLeaderboards = null, userSeasonProgress = null, analytics = null } = data;
+  const { entries = [], pagination = {}, filters = {}, dayAggregates = null, userProfile = null, leaderboards = null, globalLeaderboards = null, userSeasonProgress = null, analytics = null, locks = [], occupancy = null, comparison = {}, member = null, profilePrivate = false } = data;
   const totalPages = pagination.totalPages ?? 1;
-  // Use LOCAL date formatting to avoid the date going back a day when pressing search
-  const dayISO = filters?.date ? formatLocalYMD(new Date(filters.date)) : '';
+  // Dates and times are shown in the zone the API bucketed them in
+  const timeZone = filters?.timeZone || undefined;
+  const tzOpt = { timeZone };
+  // Format in that zone to avoid the date going back a day when pressing search
+  const dayISO = filters?.date ? formatLocalYMD(new Date(filters.date), timeZone) : '';
   // Ensure a visible default date on very first load even if no query string exists
-  const initialDayISO = dayISO || (date ? String(date) : '') || formatLocalYMD(new Date());
+  const initialDayISO = dayISO || (date ? String(date) : '') || formatLocalYMD(new Date(), timeZone);
   const effectivePeriod = (filters?.period ?? period ?? 'day');
   const seasons = filters?.seasons ?? [];
   const activeSeasonKey = filters?.season ?? (season || '');
   const activeSeason = seasons.find(s => String(s.key) === String(activeSeasonKey));
+  // Weighted seasons score points rather than plain active days
+  const weightedSeason = activeSeason?.scoring?.mode === 'weighted';
   // For month picker default value we need YYYY-MM
   const initialMonthYM = (initialDayISO || '').slice(0, 7);
 
@@ -107,21 +168,26 @@ error: ${errText}`}
   // Whether we truly have multiple pages in the current view (used for labeling)
   const showAllPagesLabel = (pagination?.totalPages ?? totalPages) > 1;
   // Today in local time, used to prevent selecting future dates in the date picker
-  const todayISO = formatLocalYMD(new Date());
+  const todayISO = formatLocalYMD(new Date(), timeZone);
   const thisMonthYM = todayISO.slice(0, 7);
 
   const linkWith = (patch) => {
-    const next = { page, date, lockId, limit, userId, period: effectivePeriod, showGlobal, season: activeSeasonKey, lang, ...patch };
+    const next = { page, date, lockId, limit, userId, kind, period: effectivePeriod, showGlobal, season: activeSeasonKey, lang, tz, compare, ...patch };
     return `/?${buildQuery(next)}`;
   };
+  // Helper: a leaderboard member linked to their entries, or "anonymous member" for those who opted out
+  const memberLink = (u) => (u.anonymous
+    ? <span className="italic text-gray-500">{t('anonymous_member')}</span>
+    : <a className="underline" href={linkWith({ userId: u.id, page: '1' })}>{u.id}</a>);
 
-  // Helper: translate known lock IDs to friendly names
-  const lockName = (id) => {
-    const s = String(id || '');
-    if (s === '19228015') return t('lock_gym');
-    if (s === '21920074') return t('lock_dressing');
-    return id;
-  };
+  // The instance's recordType -> kind mapping (RECORD_KINDS) for the method column
+  const recordKinds = recordKindSettings().value;
+
+  // Helper: lock IDs to their registry names in the current language (unknown IDs are shown as is)
+  const lockName = (id) => lockDisplayName(id, locks, lang);
+  // Locks retired in the registry are left out of the picker unless currently selected
+  const inactiveLockIds = new Set(locks.filter(l => !l.active).map(l => String(l.lockId)));
+  const pickerLockIds = (filters?.availableLockIds ?? []).filter(id => !inactiveLockIds.has(String(id)) || String(id) === String(lockId));
 
   // Helper: Latvian singular for 1 day
   const dayLabel = (n) => {
@@ -138,11 +204,33 @@ error: ${errText}`}
     return s.endsWith('1') ? t('day') : t('days');
   };
 
+  // Helper: percentage change against the comparison window (▲12% / ▼5%), nothing when not comparing
+  const deltaBadge = (pct, previousValue) => {
+    if (!comparison?.aggregates) return null;
+    const title = t('compare_previous_value', { value: previousValue ?? 0 });
+    if (pct === null || pct === undefined) return <span className="ml-1 text-xs text-gray-500" title={title}>({t('compare_no_base')})</span>;
+    const cls = pct > 0 ? 'text-green-700' : pct < 0 ? 'text-red-700' : 'text-gray-500';
+    return <span className={`ml-1 text-xs ${cls}`} title={title}>{pct > 0 ? '▲' : pct < 0 ? '▼' : '='}{Math.abs(pct)}%</span>;
+  };
+
+  // Helper: rank movement of a leaderboard row against the comparison window (rows carry previousRank)
+  const rankMove = (row) => {
+    if (!comparison?.leaderboards || !row || !('previousRank' in row)) return null;
+    if (row.previousRank === null) return <span className="ml-1 text-xs text-sky-700" title={t('rank_new_title')}>{t('rank_new')}</span>;
+    const title = t('rank_previous', { rank: row.previousRank });
+    if (row.rankChange > 0) return <span className="ml-1 text-xs text-green-700" title={title} aria-label={title}>▲{row.rankChange}</span>;
+    if (row.rankChange < 0) return <span className="ml-1 text-xs text-red-700" title={title} aria-label={title}>▼{-row.rankChange}</span>;
+    return <span className="ml-1 text-xs text-gray-500" title={title} aria-label={title}>=</span>;
+  };
+
   // Helper: Localized month label (month name + year) honoring selected language
-  const formatMonthYear = (dateObj) => {
-    if (!(dateObj instanceof Date) || isNaN(dateObj)) return '';
-    const y = dateObj.getFullYear();
-    const m = dateObj.getMonth();
+  // Accepts a Date (month taken in the API's zone) or a YYYY-MM[-DD] key
+  const formatMonthYear = (dateOrKey) => {
+    const key = dateOrKey instanceof Date ? formatLocalYMD(dateOrKey, timeZone) : String(dateOrKey || '');
+    const match = /^(\d{4})-(\d{2})/.exec(key);
+    if (!match) return '';
+    const y = Number(match[1]);
+    const m = Number(match[2]) - 1;
     if (String(lang) === 'lv') {
       const monthsLv = ['janvāris', 'februāris', 'marts', 'aprīlis', 'maijs', 'jūnijs', 'jūlijs', 'augusts', 'septembris', 'oktobris', 'novembris', 'decembris'];
       return `${monthsLv[m]} ${y}`;
@@ -157,19 +245,40 @@ error: ${errText}`}
     activeSeason
       ? (activeSeason.name || activeSeason.key)
       : (effectivePeriod === 'month'
-          ? (initialDayISO ? formatMonthYear(new Date(initialDayISO)) : '')
+          ? (initialDayISO ? formatMonthYear(initialDayISO) : '')
           : (effectivePeriod === 'last7' ? t('range_last7_label')
             : (effectivePeriod === 'last30' ? t('range_last30_label')
               : (effectivePeriod === 'mtd' ? t('range_mtd_label')
-                : (initialDayISO ? new Date(initialDayISO).toLocaleDateString() : t('today'))))))
+                : (initialDayISO ? new Date(initialDayISO).toLocaleDateString(undefined, { timeZone: 'UTC' }) : t('today'))))))
   );
 
   return (
       <main className="p-6 space-y-6">
-        <h1 className="text-2xl font-semibold">{t('title')}</h1>
+        <div className="flex flex-wrap items-baseline justify-between gap-3">
+          <h1 className="text-2xl font-semibold">{t('title')}</h1>
+          <div className="flex gap-4">
+            <a className="underline text-sm" href={`/lock-health?${new URLSearchParams({ lang: String(lang) })}`}>{t('lock_health')}</a>
+            <a className="underline text-sm" href={`/hall-of-fame?${new URLSearchParams({ lang: String(lang) })}`}>{t('hall_of_fame')}</a>
+            {member ? (
+              <>
+                <a className="underline text-sm font-medium" href={linkWith({ userId: member.user, page: '1' })} title={member.user}>{t('me')}</a>
+                <a className="underline text-sm" href={`/privacy?${new URLSearchParams({ lang: String(lang) })}`}>{t('privacy')}</a>
+                <form method="post" action={`/api/auth/logout?${new URLSearchParams({ lang: String(lang) })}`}>
+                  <button type="submit" className="underline text-sm">{t('logout')}</button>
+                </form>
+              </>
+            ) : (
+              <a className="underline text-sm" href={`/login?${new URLSearchParams({ lang: String(lang) })}`}>{t('login')}</a>
+            )}
+          </div>
+        </div>
+
+        {/* How busy is it now */}
+        <OccupancyWidget occupancy={occupancy} lang={lang} />
 
         {/* Filters */}
         <form action="/" method="get" className="flex flex-wrap gap-3 items-end">
+          {tz ? (<input type="hidden" name="tz" value={tz} />) : null}
           {/** Consistent sizing for all controls */}
           {(() => { return null; })()}
           {/** Shared class to unify sizing across different input/select types */}
@@ -227,15 +336,32 @@ error: ${errText}`}
               ))}
             </AutoSubmitSelect>
           </div>
+          <div>
+            <label className="block text-sm">{t('compare_label')}</label>
+            <AutoSubmitSelect name="compare" defaultValue={compare} className="border rounded px-3 py-2 h-10 w-52 bg-white text-gray-900">
+              <option value="">{t('compare_none')}</option>
+              <option value="previous">{t('compare_previous')}</option>
+              <option value="yoy">{t('compare_yoy')}</option>
+            </AutoSubmitSelect>
+          </div>
           <div>
             <label className="block text-sm">{t('lock_id')}</label>
             <AutoSubmitSelect name="lockId" defaultValue={lockId} className="border rounded px-3 py-2 h-10 w-52 bg-white text-gray-900">
               <option value="">{t('all')}</option>
-              {(filters?.availableLockIds ?? []).map((id) => (
+              {pickerLockIds.map((id) => (
                   <option key={id} value={id}>{lockName(id)}</option>
               ))}
             </AutoSubmitSelect>
           </div>
+          <div>
+            <label className="block text-sm">{t('kind_filter')}</label>
+            <AutoSubmitSelect name="kind" defaultValue={kind} className="border rounded px-3 py-2 h-10 w-52 bg-white text-gray-900">
+              <option value="">{t('all')}</option>
+              {RECORD_KINDS.map(k => (
+                  <option key={k} value={k}>{t(`kind_${k}`)}</option>
+              ))}
+            </AutoSubmitSelect>
+          </div>
           <div>
             <label className="block text-sm">{t('user_id')}</label>
             <AutoSubmitClearableInput
@@ -270,22 +396,22 @@ error: ${errText}`}
               <a
                   className="underline"
                   href={linkWith({
-                    date: formatLocalYMD(new Date(filters.previousDateCounts.date)),
+                    date: formatLocalYMD(new Date(filters.previousDateCounts.date), timeZone),
                     page: '1'
                   })}
               >
-                ← {effectivePeriod === 'month' ? formatMonthYear(new Date(filters.previousDateCounts.date)) : new Date(filters.previousDateCounts.date).toLocaleDateString()} ({filters.previousDateCounts.count})
+                ← {effectivePeriod === 'month' ? formatMonthYear(new Date(filters.previousDateCounts.date)) : new Date(filters.previousDateCounts.date).toLocaleDateString(undefined, tzOpt)} ({filters.previousDateCounts.count})
               </a>
           )}
           {filters?.nextDateCounts && (
               <a
                   className="underline"
                   href={linkWith({
-                    date: formatLocalYMD(new Date(filters.nextDateCounts.date)),
+                    date: formatLocalYMD(new Date(filters.nextDateCounts.date), timeZone),
                     page: '1'
                   })}
               >
-                {effectivePeriod === 'month' ? formatMonthYear(new Date(filters.nextDateCounts.date)) : new Date(filters.nextDateCounts.date).toLocaleDateString()} ({filters.nextDateCounts.count}) →
+                {effectivePeriod === 'month' ? formatMonthYear(new Date(filters.nextDateCounts.date)) : new Date(filters.nextDateCounts.date).toLocaleDateString(undefined, tzOpt)} ({filters.nextDateCounts.count}) →
               </a>
           )}
         </div>
@@ -295,7 +421,7 @@ error: ${errText}`}
         <div className="text-sm text-gray-600">
           {t('summary_showing', { page: pagination?.page, pages: totalPages, total: pagination?.total, label: rangeLabel })}
           {activeSeason ? (
-            <> — <span className="text-gray-500">{new Date(activeSeason.startAt).toLocaleDateString()} – {new Date(activeSeason.endAt).toLocaleDateString()}</span></>
+            <> — <span className="text-gray-500">{new Date(activeSeason.startAt).toLocaleDateString(undefined, tzOpt)} – {new Date(activeSeason.endAt).toLocaleDateString(undefined, tzOpt)}</span></>
           ) : null}
         </div>
 
@@ -309,13 +435,15 @@ error: ${errText}`}
               <ul className="list-disc ml-5 text-sm space-y-1">
                 <li>
                   {t('total_entries', { suffix: showAllPagesLabel ? t('all_pages_suffix') : '' })} <strong>{achievementsComputed.totalEntries}</strong>
+                  {deltaBadge(comparison?.aggregates?.deltas?.totalEntries, comparison?.aggregates?.dayAggregates?.totalEntries)}
                 </li>
                 <li>
                   {t('unique_users', { suffix: showAllPagesLabel ? t('all_pages_suffix') : '' })} <strong>{achievementsComputed.uniqueUsers}</strong>
+                  {deltaBadge(comparison?.aggregates?.deltas?.uniqueUsers, comparison?.aggregates?.dayAggregates?.uniqueUsers)}
                 </li>
                 {achievementsComputed.mostActiveUser && (
                   <li>
-                    {t('most_active_user')} <strong>{achievementsComputed.mostActiveUser.id}</strong> ({achievementsComputed.mostActiveUser.count})
+                    {t('most_active_user')} <strong>{achievementsComputed.mostActiveUser.anonymous ? t('anonymous_member') : achievementsComputed.mostActiveUser.id}</strong> ({achievementsComputed.mostActiveUser.count})
                   </li>
                 )}
                 {/* Hide lock-related and hour achievements in month mode */}
@@ -332,9 +460,9 @@ error: ${errText}`}
                 {(achievementsComputed.firstEntryTime || achievementsComputed.lastEntryTime) && (
                   <li title={(achievementsComputed.firstEntryTime && achievementsComputed.lastEntryTime) ?
                     `~${formatDurationHM(new Date(achievementsComputed.lastEntryTime).getTime() - new Date(achievementsComputed.firstEntryTime).getTime())}` : ''}>
-                    {t('time_span')} {achievementsComputed.firstEntryTime ? (effectivePeriod === 'month' ? new Date(achievementsComputed.firstEntryTime).toLocaleString() : new Date(achievementsComputed.firstEntryTime).toLocaleTimeString()) : '—'}
+                    {t('time_span')} {achievementsComputed.firstEntryTime ? (effectivePeriod === 'month' ? new Date(achievementsComputed.firstEntryTime).toLocaleString(undefined, tzOpt) : new Date(achievementsComputed.firstEntryTime).toLocaleTimeString(undefined, tzOpt)) : '—'}
                     {' '}–{' '}
-                    {achievementsComputed.lastEntryTime ? (effectivePeriod === 'month' ? new Date(achievementsComputed.lastEntryTime).toLocaleString() : new Date(achievementsComputed.lastEntryTime).toLocaleTimeString()) : '—'}
+                    {achievementsComputed.lastEntryTime ? (effectivePeriod === 'month' ? new Date(achievementsComputed.lastEntryTime).toLocaleString(undefined, tzOpt) : new Date(achievementsComputed.lastEntryTime).toLocaleTimeString(undefined, tzOpt)) : '—'}
                   </li>
                 )}
               </ul>
@@ -347,7 +475,7 @@ error: ${errText}`}
           <div className="rounded border p-4 user-profile">
             <h2 className="font-medium mb-2">{t('user_profile')} “{userProfile?.username || trimmedUserId}”</h2>
             {!userProfile ? (
-              <p className="text-sm text-gray-600">{t('no_user_lifetime')}</p>
+              <p className="text-sm text-gray-600">{t(profilePrivate ? 'profile_private' : 'no_user_lifetime')}</p>
             ) : (
               <div className="space-y-3">
                 <div className="text-sm text-gray-700">
@@ -362,14 +490,45 @@ error: ${errText}`}
                     </div>
                     <div>
                       <div className="text-xs text-gray-500">{t('first_seen')}</div>
-                      <div className="font-semibold">{userProfile.firstSeen ? new Date(userProfile.firstSeen).toLocaleString() : '—'}</div>
+                      <div className="font-semibold">{userProfile.firstSeen ? new Date(userProfile.firstSeen).toLocaleString(undefined, tzOpt) : (userProfile.firstSeenDay ?? '—')}</div>
                     </div>
                     <div>
                       <div className="text-xs text-gray-500">{t('last_seen')}</div>
-                      <div className="font-semibold">{userProfile.lastSeen ? new Date(userProfile.lastSeen).toLocaleString() : '—'}</div>
+                      <div className="font-semibold">{userProfile.lastSeen ? new Date(userProfile.lastSeen).toLocaleString(undefined, tzOpt) : (userProfile.lastSeenDay ?? '—')}</div>
                     </div>
+                    {userProfile.sessions && (
+                      <>
+                        <div>
+                          <div className="text-xs text-gray-500">{t('avg_session')}</div>
+                          <div className="font-semibold">{formatDurationHM(userProfile.sessions.averageMs)}</div>
+                        </div>
+                        <div>
+                          <div className="text-xs text-gray-500">{t('time_this_month')}</div>
+                          <div className="font-semibold">{formatDurationHM(userProfile.sessions.thisMonthMs)}</div>
+                        </div>
+                      </>
+                    )}
                   </div>
                 </div>
+                {userProfile.sessions?.longest?.length > 0 && (
+                  <div>
+                    <div className="text-sm font-medium mb-1">{t('longest_sessions')}</div>
+                    <ol className="list-decimal ml-5 text-sm space-y-1">
+                      {userProfile.sessions.longest.map((s, i) => (
+                        <li key={`${s.day}-${i}`}>
+                          <strong>{formatDurationHM(s.durationMs)}</strong>
+                          {s.start ? (
+                            <>
+                              {' '}— {new Date(s.start).toLocaleDateString(undefined, tzOpt)}{' '}
+                              {new Date(s.start).toLocaleTimeString(undefined, { ...tzOpt, hour: '2-digit', minute: '2-digit' })}–{new Date(s.end).toLocaleTimeString(undefined, { ...tzOpt, hour: '2-digit', minute: '2-digit' })}
+                            </>
+                          ) : <> — {s.day} <span className="text-xs text-gray-500">({t('time_hidden')})</span></>}
+                          {s.openEnd ? <span className="text-xs text-gray-500"> ({t('session_open_end')})</span> : null}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
                 <div>
                   <div className="text-sm font-medium mb-1">{t('achievements')}</div>
                   {(!userProfile.achievements || userProfile.achievements.length === 0) ? (
@@ -379,12 +538,17 @@ error: ${errText}`}
                       {userProfile.achievements.map((a) => {
                         const titleKey = `ach_title_${a.key}`;
                         const descKey = `ach_desc_${a.key}`;
-                        const title = t(titleKey) || a.title;
-                        const desc = t(descKey) || a.description;
+                        // Built-in badges have dictionary entries; DB-defined rules carry their own copy
+                        const dict = getTranslations(lang);
+                        const title = dict[titleKey] || a.translations?.[lang]?.title || a.title;
+                        const desc = dict[descKey] || a.translations?.[lang]?.description || a.description;
                         return (
                           <span key={a.key} className="inline-flex items-center gap-2 border rounded-full px-3 py-1 bg-white text-gray-900 shadow-sm">
                             <span className="text-xs font-semibold">{title}</span>
                             <span className="text-[11px] text-gray-500">{desc}</span>
+                            {a.earnedAt ? (
+                              <span className="text-[11px] text-gray-400">{t('earned_on', { date: new Date(a.earnedAt).toLocaleDateString(undefined, tzOpt) })}</span>
+                            ) : null}
                           </span>
                         );
                       })}
@@ -394,12 +558,15 @@ error: ${errText}`}
                 {activeSeason && (
                   <div className="rounded border p-3 bg-white text-gray-900">
                     <div className="text-sm font-medium mb-1">{t('season_progress', { season: activeSeason.name || activeSeason.key })}</div>
+                    {activeSeason.closedAt && (
+                      <div className="text-xs text-gray-500 mb-1">{t('season_final')}</div>
+                    )}
                     {!userSeasonProgress ? (
                       <div className="text-sm text-gray-600">{t('no_season_activity')}</div>
                     ) : (
                       <div className="flex flex-wrap gap-4 text-sm">
                         <div>
-                          <div className="text-xs text-gray-500">{t('points_distinct_days')}</div>
+                          <div className="text-xs text-gray-500">{weightedSeason ? t('points') : t('points_distinct_days')}</div>
                           <div className="font-semibold">{userSeasonProgress.points}</div>
                         </div>
                         <div>
@@ -420,6 +587,20 @@ error: ${errText}`}
                         </div>
                       </div>
                     )}
+                    {/* Points breakdown for weighted seasons: how the total was reached */}
+                    {weightedSeason && userSeasonProgress?.breakdown && (() => {
+                      const b = userSeasonProgress.breakdown;
+                      return (
+                        <ul className="mt-2 text-xs text-gray-600 space-y-0.5">
+                          <li>{t('breakdown_days', { days: b.countedDays, points: b.dayPoints })}</li>
+                          {b.earlyDays > 0 && <li>{t('breakdown_early', { days: b.earlyDays, points: b.earlyPoints })}</li>}
+                          {b.nightDays > 0 && <li>{t('breakdown_night', { days: b.nightDays, points: b.nightPoints })}</li>}
+                          {b.streakBonuses > 0 && <li>{t('breakdown_streak', { count: b.streakBonuses, points: b.streakPoints })}</li>}
+                          {b.cappedDays > 0 && <li>{t('breakdown_capped', { days: b.cappedDays })}</li>}
+                          <li className="font-medium">{t('breakdown_total', { points: b.total })}</li>
+                        </ul>
+                      );
+                    })()}
                   </div>
                 )}
               </div>
@@ -439,10 +620,11 @@ error: ${errText}`}
                   <div className="text-sm text-gray-600">{t('no_data')}</div>
                 ) : (
                   <ol className="list-decimal ml-5 text-sm space-y-1">
-                    {leaderboards.topUsers.map(u => (
-                      <li key={u.id}>
-                        <a className="underline" href={linkWith({ userId: u.id, page: '1' })}>{u.id}</a>
-                        {' '}— {u.count} {effectivePeriod === 'month' ? dayWordForCount(u.count) : t('entries_word')}
+                    {leaderboards.topUsers.map((u, i) => (
+                      <li key={u.id ?? `anon-${i}`}>
+                        {memberLink(u)}
+                        {' '}— {u.count} {weightedSeason ? t('points_word') : (effectivePeriod === 'month' ? dayWordForCount(u.count) : t('entries_word'))}
+                        {rankMove(u)}
                       </li>
                     ))}
                   </ol>
@@ -461,6 +643,7 @@ error: ${errText}`}
                         <li key={l.id}>
                           <a className="underline" href={linkWith({ lockId: l.id, page: '1' })}>{lockName(l.id)}</a>
                           {' '}— {l.count} {t('entries_word')}
+                          {rankMove(l)}
                         </li>
                       ))}
                     </ol>
@@ -476,10 +659,11 @@ error: ${errText}`}
                     <div className="text-sm text-gray-600">{t('no_data')}</div>
                   ) : (
                     <ol className="list-decimal ml-5 text-sm space-y-1">
-                      {leaderboards.topEarlyBirds.map(u => (
-                        <li key={u.id}>
-                          <a className="underline" href={linkWith({ userId: u.id, page: '1' })}>{u.id}</a>
+                      {leaderboards.topEarlyBirds.map((u, i) => (
+                        <li key={u.id ?? `anon-${i}`}>
+                          {memberLink(u)}
                           {' '}— {u.count} {dayWordForCount(u.count)}
+                          {rankMove(u)}
                         </li>
                       ))}
                     </ol>
@@ -495,10 +679,11 @@ error: ${errText}`}
                     <div className="text-sm text-gray-600">{t('no_data')}</div>
                   ) : (
                     <ol className="list-decimal ml-5 text-sm space-y-1">
-                      {leaderboards.topNightOwls.map(u => (
-                        <li key={u.id}>
-                          <a className="underline" href={linkWith({ userId: u.id, page: '1' })}>{u.id}</a>
+                      {leaderboards.topNightOwls.map((u, i) => (
+                        <li key={u.id ?? `anon-${i}`}>
+                          {memberLink(u)}
                           {' '}— {u.count} {dayWordForCount(u.count)}
+                          {rankMove(u)}
                         </li>
                       ))}
                     </ol>
@@ -514,10 +699,31 @@ error: ${errText}`}
                     <div className="text-sm text-gray-600">{t('no_data')}</div>
                   ) : (
                     <ol className="list-decimal ml-5 text-sm space-y-1">
-                      {leaderboards.topLongestStreaks.map(u => (
-                        <li key={u.id}>
-                          <a className="underline" href={linkWith({ userId: u.id, page: '1' })}>{u.id}</a>
+                      {leaderboards.topLongestStreaks.map((u, i) => (
+                        <li key={u.id ?? `anon-${i}`}>
+                          {memberLink(u)}
                           {' '}— {u.count} {dayWordForCount(u.count)}
+                          {rankMove(u)}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </div>
+              )}
+
+              {/* Time spent in visit sessions (taps paired into visits) */}
+              {leaderboards.topTimeSpent && (
+                <div>
+                  <div className="font-medium mb-1">{t('top_time_spent')}</div>
+                  {leaderboards.topTimeSpent.length === 0 ? (
+                    <div className="text-sm text-gray-600">{t('no_data')}</div>
+                  ) : (
+                    <ol className="list-decimal ml-5 text-sm space-y-1">
+                      {leaderboards.topTimeSpent.map((u, i) => (
+                        <li key={u.id ?? `anon-${i}`}>
+                          {memberLink(u)}
+                          {' '}— {formatDurationHM(u.durationMs)} ({t('sessions_count', { count: u.sessions })})
+                          {rankMove(u)}
                         </li>
                       ))}
                     </ol>
@@ -539,7 +745,10 @@ error: ${errText}`}
                 <input type="hidden" name="lang" value={lang} />
                 {/* Preserve userId during search so toggling doesn't clear user context */}
                 {trimmedUserId ? (<input type="hidden" name="userId" value={trimmedUserId} />) : null}
+                {kind ? (<input type="hidden" name="kind" value={kind} />) : null}
                 {activeSeasonKey ? (<input type="hidden" name="season" value={activeSeasonKey} />) : null}
+                {tz ? (<input type="hidden" name="tz" value={tz} />) : null}
+                {compare ? (<input type="hidden" name="compare" value={compare} />) : null}
                 <AutoSubmitCheckbox
                   id="showGlobal2"
                   name="showGlobal"
@@ -563,9 +772,9 @@ error: ${errText}`}
                   <div className="text-sm text-gray-600">{t('no_data')}</div>
                 ) : (
                   <ol className="list-decimal ml-5 text-sm space-y-1">
-                    {globalLeaderboards.topUsers.map(u => (
-                      <li key={u.id}>
-                        <a className="underline" href={linkWith({ userId: u.id, page: '1' })}>{u.id}</a>
+                    {globalLeaderboards.topUsers.map((u, i) => (
+                      <li key={u.id ?? `anon-${i}`}>
+                        {memberLink(u)}
                         {' '}— {u.count} {dayWordForCount(u.count)}
                       </li>
                     ))}
@@ -580,9 +789,9 @@ error: ${errText}`}
                   <div className="text-sm text-gray-600">{t('no_data')}</div>
                 ) : (
                   <ol className="list-decimal ml-5 text-sm space-y-1">
-                    {globalLeaderboards.topEarlyBirds.map(u => (
-                      <li key={u.id}>
-                        <a className="underline" href={linkWith({ userId: u.id, page: '1' })}>{u.id}</a>
+                    {globalLeaderboards.topEarlyBirds.map((u, i) => (
+                      <li key={u.id ?? `anon-${i}`}>
+                        {memberLink(u)}
                         {' '}— {u.count} {dayWordForCount(u.count)}
                       </li>
                     ))}
@@ -597,9 +806,9 @@ error: ${errText}`}
                   <div className="text-sm text-gray-600">{t('no_data')}</div>
                 ) : (
                   <ol className="list-decimal ml-5 text-sm space-y-1">
-                    {globalLeaderboards.topNightOwls.map(u => (
-                      <li key={u.id}>
-                        <a className="underline" href={linkWith({ userId: u.id, page: '1' })}>{u.id}</a>
+                    {globalLeaderboards.topNightOwls.map((u, i) => (
+                      <li key={u.id ?? `anon-${i}`}>
+                        {memberLink(u)}
                         {' '}— {u.count} {dayWordForCount(u.count)}
                       </li>
                     ))}
@@ -614,9 +823,9 @@ error: ${errText}`}
                   <div className="text-sm text-gray-600">{t('no_data')}</div>
                 ) : (
                   <ol className="list-decimal ml-5 text-sm space-y-1">
-                    {globalLeaderboards.topLongestStreaks.map(u => (
-                      <li key={u.id}>
-                        <a className="underline" href={linkWith({ userId: u.id, page: '1' })}>{u.id}</a>
+                    {globalLeaderboards.topLongestStreaks.map((u, i) => (
+                      <li key={u.id ?? `anon-${i}`}>
+                        {memberLink(u)}
                         {' '}— {u.count} {dayWordForCount(u.count)}
                       </li>
                     ))}
@@ -635,23 +844,23 @@ error: ${errText}`}
                 <th className="text-left p-2">{effectivePeriod === 'month' ? t('table_datetime') : t('table_time')}</th>
                 <th className="text-left p-2">{t('table_user')}</th>
                 <th className="text-left p-2">{t('table_lock')}</th>
+                <th className="text-left p-2">{t('table_method')}</th>
+                <th className="text-left p-2">{t('table_battery')}</th>
               </tr>
               </thead>
               <tbody>
             {entriesForUser.length === 0 && (
                 <tr>
-                  <td className="p-3" colSpan={3}>{t('no_entries_found')}</td>
+                  <td className="p-3" colSpan={5}>{t('no_entries_found')}</td>
                 </tr>
             )}
             {entriesForUser.map((e) => (
                 <tr key={e._id} className="border-t">
-                  <td className="p-2">{e.entryTime ? (effectivePeriod === 'month' ? new Date(e.entryTime).toLocaleString() : new Date(e.entryTime).toLocaleTimeString()) : ''}</td>
+                  <td className="p-2">{e.timeHidden ? <span className="text-gray-500" title={t('time_hidden')}>{e.entryDay ?? ''} · {t('time_hidden')}</span> : e.entryTime ? (effectivePeriod === 'month' ? new Date(e.entryTime).toLocaleString(undefined, tzOpt) : new Date(e.entryTime).toLocaleTimeString(undefined, tzOpt)) : ''}</td>
                   <td className="p-2">{e.userId || e.username}</td>
-                  <td className="p-2">{/** lock name translation */}{(function(id){
-                    if (String(id) === '19228015') return t('lock_gym');
-                    if (String(id) === '21920074') return t('lock_dressing');
-                    return id;
-                  })(e.lockId)}</td>
+                  <td className="p-2">{lockName(e.lockId)}</td>
+                  <td className={`p-2 ${kindOf(e.recordType, recordKinds) === 'failed' ? 'text-red-700' : ''}`}>{t(`kind_${kindOf(e.recordType, recordKinds)}`)}</td>
+                  <td className="p-2">{typeof e.electricQuantity === 'number' ? `${e.electricQuantity}%` : ''}</td>
                 </tr>
             ))}
             </tbody>
@@ -701,11 +910,12 @@ error: ${errText}`}
             <h2 className="font-medium">{t('charts')}</h2>
             <Charts
               analytics={analytics}
+              comparison={comparison?.analytics}
               lang={lang}
               meta={{
                   rangeLabel: rangeLabel,
-                  // Charts are computed for the primary lock (19228015) regardless of UI lock filter
-                  lockId: lockName('19228015'),
+                  // Charts are computed for the visit locks of the registry regardless of UI lock filter
+                  lockId: visitLockIds(locks).map(lockName).join(', '),
                   period: activeSeason ? 'month' : effectivePeriod
                 }}
               />
@@ -0,0 +1,80 @@
+// app/privacy/page.js
+import { headers } from 'next/headers';
+import { t as tRaw } from '@/lib/i18n';
+import { LEADERBOARD_VISIBILITY } from '@/lib/privacy';
+
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata({ searchParams }) {
+  const sp = await searchParams;
+  const lang = sp?.lang ?? 'lv';
+  return { title: `Ozols Club — ${tRaw('privacy_title', {}, lang)}` };
+}
+
+// The logged-in member's privacy settings; the session cookie is passed on to the API
+export default async function PrivacyPage({ searchParams }) {
+  const sp = await searchParams;
+  const lang = (sp?.lang ?? 'lv');
+  const t = (key, vars = {}) => tRaw(key, vars, lang);
+
+  // Absolute base URL for server-side fetch (same approach as app/page.js)
+  const h = await headers();
+  const host  = h.get('x-forwarded-host') ?? h.get('host');
+  const proto = h.get('x-forwarded-proto') ?? 'http';
+  const base  = `${proto}://${host}`;
+
+  let privacy = null, status = 200, errText = '';
+  try {
+    const res = await fetch(`${base}/api/privacy`, { cache: 'no-store', headers: { cookie: h.get('cookie') ?? '' } });
+    status = res.status;
+    if (!res.ok) errText = await res.text();
+    else privacy = (await res.json()).privacy;
+  } catch (e) {
+    status = 0;
+    errText = String(e?.message || e);
+  }
+
+  return (
+      <main className="p-6 space-y-6 max-w-2xl">
+        <h1 className="text-2xl font-semibold">{t('privacy_title')}</h1>
+
+        {status === 401 ? (
+          <div className="space-y-2 text-sm">
+            <p className="text-gray-600">{t('privacy_login_required')}</p>
+            <a className="underline" href={`/login?${new URLSearchParams({ lang: String(lang) })}`}>{t('login')}</a>
+          </div>
+        ) : !privacy ? (
+          <pre className="text-xs bg-gray-100 p-3 rounded overflow-auto">
+{`status: ${status}
+error: ${errText}`}
+          </pre>
+        ) : (
+          <form method="post" action="/api/privacy" className="rounded border p-4 bg-white text-gray-900 space-y-4">
+            <p className="text-sm text-gray-600">{t('prefs_for', { user: privacy.user })}</p>
+            {sp?.saved ? <p className="text-sm text-green-700" role="status">{t('privacy_saved')}</p> : null}
+            <input type="hidden" name="pageLang" value={lang} />
+
+            <fieldset className="space-y-1 text-sm">
+              <legend className="font-medium mb-1">{t('privacy_leaderboard')}</legend>
+              {LEADERBOARD_VISIBILITY.map(v => (
+                <label key={v} className="flex items-center gap-2">
+                  <input type="radio" name="leaderboard" value={v} defaultChecked={privacy.leaderboard === v} />
+                  <span>{t(`privacy_leaderboard_${v}`)}</span>
+                </label>
+              ))}
+            </fieldset>
+
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" name="privateProfile" defaultChecked={privacy.privateProfile} />
+              <span>{t('privacy_private_profile')}</span>
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" name="hideEntryTimes" defaultChecked={privacy.hideEntryTimes} />
+              <span>{t('privacy_hide_times')}</span>
+            </label>
+            <button type="submit" className="px-3 py-1 rounded bg-gray-700 text-white">{t('privacy_save')}</button>
+          </form>
+        )}
+      </main>
+  );
+}
@@ -0,0 +1,46 @@
+// app/unsubscribe/page.js
+import { t as tRaw } from '@/lib/i18n';
+import { notificationDeliverySettings, readUnsubscribeToken, preferencesToken } from '@/lib/notificationPreferences';
+
+export const dynamic = 'force-dynamic';
+
+export async function generateMetadata({ searchParams }) {
+  const sp = await searchParams;
+  const lang = sp?.lang ?? 'lv';
+  return { title: `Ozols Club — ${tRaw('unsubscribe_title', {}, lang)}` };
+}
+
+// Unsubscribe link target (no login): confirms before anything changes, since mail scanners open links.
+// The form posts to /api/unsubscribe, which redirects back here with done=1.
+export default async function UnsubscribePage({ searchParams }) {
+  const sp = await searchParams;
+  const lang = (sp?.lang ?? 'lv');
+  const t = (key, vars = {}) => tRaw(key, vars, lang);
+  const token = String(sp?.token ?? '');
+  const { secret } = notificationDeliverySettings().value;
+  const claim = readUnsubscribeToken(token, secret);
+  const category = claim ? t(`category_${claim.category}`) : '';
+  const manage = claim ? `/notifications/preferences?${new URLSearchParams({ token: preferencesToken(secret, claim.user), lang: String(lang) })}` : null;
+
+  return (
+      <main className="p-6 space-y-6 max-w-2xl">
+        <h1 className="text-2xl font-semibold">{t('unsubscribe_title')}</h1>
+        {!claim ? (
+          <p className="text-sm text-gray-600">{t('prefs_invalid_link')}</p>
+        ) : sp?.done ? (
+          <div className="space-y-2 text-sm">
+            <p role="status">{t('unsubscribe_done', { user: claim.user, category })}</p>
+            <a className="underline" href={manage}>{t('unsubscribe_manage')}</a>
+          </div>
+        ) : (
+          <form method="post" action={`/api/unsubscribe?${new URLSearchParams({ token, redirect: '1', lang: String(lang) })}`} className="space-y-3 text-sm">
+            <p>{t('unsubscribe_confirm', { user: claim.user, category })}</p>
+            <div className="flex items-center gap-4">
+              <button type="submit" className="px-3 py-1 rounded bg-gray-700 text-white">{t('unsubscribe_button')}</button>
+              <a className="underline" href={manage}>{t('unsubscribe_manage')}</a>
+            </div>
+          </form>
+        )}
+      </main>
+  );
+}
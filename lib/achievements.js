@@ -0,0 +1,163 @@
+// lib/achievements.js
+// Declarative achievement rules and a pure evaluator over per-user day summaries.
+//
+// A day summary describes one user's activity on one lock during one local day:
+//   { day: 'YYYY-MM-DD', lockId, first: Date, last: Date, count, hours: [0..23] }
+// userDaysPipeline() builds them in MongoDB; summarizeUserDays() builds the same shape in JS.
+import { computeStreaks } from './streaks.js';
+import { DEFAULT_VISIT_LOCK_IDS } from './locks.js';
+import { zonedDayHour } from './timezone.js';
+
+export const RULE_TYPES = ['distinct_days', 'hour_window', 'streak'];
+
+// Seed rules: the lifetime badges that used to be hard-coded in app/api/route.js
+export const DEFAULT_ACHIEVEMENT_RULES = [
+  {
+    key: 'milestone_10', version: 1, type: 'distinct_days', order: 10,
+    params: { min: 10, visits: true },
+    title: 'Visitor I', description: '10+ visits (distinct days on visit locks)',
+  },
+  {
+    key: 'milestone_50', version: 1, type: 'distinct_days', order: 20,
+    params: { min: 50, visits: true },
+    title: 'Visitor II', description: '50+ visits (distinct days on visit locks)',
+  },
+  {
+    key: 'milestone_100', version: 1, type: 'distinct_days', order: 30,
+    params: { min: 100, visits: true },
+    title: 'Visitor III', description: '100+ visits (distinct days on visit locks)',
+  },
+  {
+    key: 'early_bird', version: 1, type: 'hour_window', order: 40,
+    params: { fromHour: 0, toHour: 8, min: 1 },
+    title: 'Early Bird', description: 'Visited before 08:00',
+  },
+  {
+    key: 'night_owl', version: 1, type: 'hour_window', order: 50,
+    params: { fromHour: 22, toHour: 24, min: 1 },
+    title: 'Night Owl', description: 'Visited at or after 22:00',
+  },
+  {
+    key: 'active_month', version: 1, type: 'distinct_days', order: 60,
+    params: { min: 5, visits: true, withinDays: 30 },
+    title: 'Active This Month', description: '5+ visits in the last 30 days',
+  },
+];
+
+// Aggregation stages that turn a user's Entry documents into day summaries.
+// With { byUser: true } the summaries also carry `user` so many users can be summarized at once.
+export function userDaysPipeline(timeZone = 'UTC', { byUser = false } = {}) {
+  return [
+    {
+      $group: {
+        _id: {
+          ...(byUser ? { u: '$username' } : {}),
+          d: { $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } },
+          l: '$lockId',
+        },
+        first: { $min: '$entryTime' },
+        last: { $max: '$entryTime' },
+        count: { $sum: 1 },
+        hours: { $addToSet: { $hour: { date: '$entryTime', timezone: timeZone } } },
+      },
+    },
+    { $project: { _id: 0, ...(byUser ? { user: '$_id.u' } : {}), day: '$_id.d', lockId: '$_id.l', first: 1, last: 1, count: 1, hours: 1 } },
+    { $sort: { day: 1, lockId: 1 } },
+  ];
+}
+
+// Fold one entry into a Map of day summaries keyed by 'day|lockId'; returns the touched summary
+export function addEntryToDays(map, entry, timeZone = 'UTC') {
+  if (!entry?.entryTime) return null;
+  const at = new Date(entry.entryTime);
+  if (Number.isNaN(at.getTime())) return null;
+  const { day, hour } = zonedDayHour(at, timeZone);
+  const lockId = entry.lockId ?? null;
+  const k = `${day}|${lockId}`;
+  let s = map.get(k);
+  if (!s) {
+    s = { day, lockId, first: at, last: at, count: 0, hours: [] };
+    map.set(k, s);
+  }
+  if (at < s.first) s.first = at;
+  if (at > s.last) s.last = at;
+  s.count += 1;
+  if (!s.hours.includes(hour)) s.hours.push(hour);
+  return s;
+}
+
+// Pure-JS equivalent of userDaysPipeline() for a list of { entryTime, lockId }
+export function summarizeUserDays(entries = [], timeZone = 'UTC') {
+  const map = new Map();
+  for (const e of entries) addEntryToDays(map, e, timeZone);
+  return Array.from(map.values()).sort((a, b) => (a.day === b.day ? String(a.lockId).localeCompare(String(b.lockId)) : a.day.localeCompare(b.day)));
+}
+
+function inHourWindow(hour, fromHour, toHour) {
+  // Windows may wrap midnight, e.g. 22 -> 4
+  if (fromHour <= toHour) return hour >= fromHour && hour < toHour;
+  return hour >= fromHour || hour < toHour;
+}
+
+// Apply the rule's lock filter and time window to the user's day summaries.
+// `visits: true` keeps days on the registry's visit locks; `locks` lists lock ids explicitly.
+// Time windows are applied at day granularity using each day's first/last entry.
+function selectDays(params, days, now, visitLockIds) {
+  const locks = params.visits ? visitLockIds.map(String) : Array.isArray(params.locks) ? params.locks.map(String) : [];
+  const since = params.withinDays ? new Date(now.getTime() - Number(params.withinDays) * 24 * 60 * 60 * 1000) : null;
+  const startAt = params.startAt ? new Date(params.startAt) : null;
+  const endAt = params.endAt ? new Date(params.endAt) : null;
+  return days.filter((s) => {
+    if (locks.length && !locks.includes(String(s.lockId))) return false;
+    if (since && new Date(s.last) < since) return false;
+    if (startAt && new Date(s.last) < startAt) return false;
+    if (endAt && new Date(s.first) > endAt) return false;
+    return true;
+  });
+}
+
+// Evaluate one rule; returns { key, earned, value } where value is the measured quantity
+export function evaluateRule(rule, days = [], { now = new Date(), visitLockIds = DEFAULT_VISIT_LOCK_IDS } = {}) {
+  const params = rule?.params || {};
+  const selected = selectDays(params, days, now, visitLockIds);
+  let value = 0;
+  let min = Number(params.min ?? 1);
+  if (rule?.type === 'distinct_days') {
+    value = new Set(selected.map(s => s.day)).size;
+  } else if (rule?.type === 'hour_window') {
+    const fromHour = Number(params.fromHour ?? 0);
+    const toHour = Number(params.toHour ?? 24);
+    value = new Set(selected.filter(s => (s.hours || []).some(h => inHourWindow(h, fromHour, toHour))).map(s => s.day)).size;
+  } else if (rule?.type === 'streak') {
+    value = computeStreaks(selected.map(s => s.day)).longest;
+  } else {
+    // Unknown rule types never award
+    min = Infinity;
+  }
+  return { key: rule?.key, earned: value >= min, value };
+}
+
+// Evaluate all active rules and return the earned achievements in display order
+export function evaluateAchievements(rules = [], days = [], { now = new Date(), visitLockIds } = {}) {
+  return rules
+    .filter(r => r && r.active !== false)
+    .slice()
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .filter(r => evaluateRule(r, days, { now, visitLockIds }).earned)
+    .map(r => ({
+      key: r.key,
+      title: r.title,
+      description: r.description,
+      ...(r.translations && Object.keys(r.translations).length ? { translations: r.translations } : {}),
+    }));
+}
+
+export default {
+  RULE_TYPES,
+  DEFAULT_ACHIEVEMENT_RULES,
+  userDaysPipeline,
+  addEntryToDays,
+  summarizeUserDays,
+  evaluateRule,
+  evaluateAchievements,
+};
@@ -0,0 +1,21 @@
+// lib/adminAuth.js
+// Shared-secret check for admin routes: "Authorization: Bearer <ADMIN_TOKEN>"
+import { timingSafeEqual } from 'crypto';
+import { HttpError } from './http.js';
+
+export function isAdminRequest(request) {
+  const expected = process.env.ADMIN_TOKEN || '';
+  if (!expected) return false; // admin routes are disabled until a token is configured
+  const header = request.headers.get('authorization') || '';
+  const m = /^Bearer\s+(.+)$/i.exec(header);
+  if (!m) return false;
+  const a = Buffer.from(m[1].trim());
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+export function requireAdmin(request) {
+  if (!isAdminRequest(request)) throw new HttpError(401, 'Unauthorized');
+}
+
+export default { isAdminRequest, requireAdmin };
@@ -0,0 +1,135 @@
+// lib/aliases.js
+// Username aliases: several raw usernames from the lock logs (e.g. "JanisB" and "janis.b") that belong
+// to one person are merged into a canonical identity. Aggregations map each entry's username to its
+// canonical one with canonicalUsernameStages(); lookups by name resolve through resolveUser(). Both ignore
+// case, so "JB" and "jb" in the logs belong to the same identity.
+// Merges are recorded as UserMerge documents and can be reverted (see app/api/merges/).
+
+export const MAX_MERGE_ALIASES = 50;
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// [{ alias, canonical }] of the active merges
+export async function loadAliases({ UserAlias }) {
+  const docs = await UserAlias.find({}, { alias: 1, canonical: 1 }).lean();
+  return (docs || []).map(({ alias, canonical }) => ({ alias, canonical }));
+}
+
+// Canonical identity of a raw username as stored in Entry (case-insensitive, like the aggregation stage)
+export function canonicalOf(username, aliases = []) {
+  const lower = String(username).toLowerCase();
+  return aliases.find(a => a.alias.toLowerCase() === lower)?.canonical ?? username;
+}
+
+// Canonical identity for a name typed by a user or an admin; the same lookup as canonicalOf()
+export const resolveUser = canonicalOf;
+
+// Every raw username of `name`'s identity: the canonical one first, then its aliases
+export function identitiesOf(name, aliases = []) {
+  const canonical = resolveUser(name, aliases);
+  const lower = String(canonical).toLowerCase();
+  return [canonical, ...aliases.filter(a => a.canonical.toLowerCase() === lower).map(a => a.alias)];
+}
+
+// Every raw username of `name`'s identity under any of `aliasSets` (e.g. before and after a merge), so
+// rebuilding the rollup for them leaves no username of the identity out
+export function identitiesAcross(name, ...aliasSets) {
+  return Array.from(new Set(aliasSets.flatMap(aliases => identitiesOf(name, aliases))));
+}
+
+// Mongo condition matching any of `names`, each case-insensitively
+export function namesMatch(names = []) {
+  return { $in: names.map(n => new RegExp(`^${escapeRegex(n)}$`, 'i')) };
+}
+
+// Mongo condition matching every username of `name`'s identity, each case-insensitively
+export function usernameMatch(name, aliases = []) {
+  return namesMatch(identitiesOf(name, aliases));
+}
+
+// Stage replacing `field` (username by default) with the canonical identity, comparing lowercased names;
+// nothing without aliases
+export function canonicalUsernameStages(aliases = [], { field = 'username' } = {}) {
+  if (!aliases.length) return [];
+  const from = aliases.map(a => a.alias.toLowerCase());
+  const to = aliases.map(a => a.canonical);
+  return [{
+    $set: {
+      [field]: {
+        $let: {
+          vars: { i: { $indexOfArray: [from, { $toLower: `$${field}` }] } },
+          in: { $cond: [{ $gte: ['$$i', 0] }, { $arrayElemAt: [to, '$$i'] }, `$${field}`] },
+        },
+      },
+    },
+  }];
+}
+
+const cleanName = (v) => (typeof v === 'string' ? v.trim() : '');
+
+// Validate a merge request { canonical, aliases: [...], note?, mergedBy? } -> { value, errors }
+export function normalizeMerge(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { value: null, errors: ['merge must be an object'] };
+  const errors = [];
+  const canonical = cleanName(input.canonical);
+  if (!canonical || canonical.length > 100) errors.push('canonical must be a 1-100 character username');
+  // Spellings differing only in case are one alias; the first one is kept
+  const seen = new Set();
+  const aliases = (Array.isArray(input.aliases) ? input.aliases.map(cleanName) : [])
+    .filter(a => !seen.has(a.toLowerCase()) && seen.add(a.toLowerCase()));
+  if (!aliases.length || aliases.length > MAX_MERGE_ALIASES || aliases.some(a => !a || a.length > 100)) {
+    errors.push(`aliases must be 1-${MAX_MERGE_ALIASES} usernames`);
+  } else if (aliases.some(a => a.toLowerCase() === canonical.toLowerCase())) {
+    errors.push('aliases must not include the canonical username');
+  }
+  const note = input.note === undefined || input.note === null ? '' : input.note;
+  if (typeof note !== 'string' || note.length > 500) errors.push('note must be a string of at most 500 characters');
+  const mergedBy = cleanName(input.mergedBy) || null;
+  if (errors.length) return { value: null, errors };
+  return { value: { canonical, aliases, note: note.trim(), mergedBy }, errors };
+}
+
+// Why a validated merge cannot be applied on top of the existing aliases (no chains, one canonical per alias).
+// Names are compared case-insensitively, like the aggregation stage.
+export function mergeConflicts({ canonical, aliases }, existing = []) {
+  const errors = [];
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const owner = existing.find(a => same(a.alias, canonical));
+  if (owner) errors.push(`${canonical} is already an alias of ${owner.canonical}; merge into ${owner.canonical} instead`);
+  for (const alias of aliases) {
+    const taken = existing.find(a => same(a.alias, alias));
+    if (taken) errors.push(`${alias} is already an alias of ${taken.canonical}`);
+    if (existing.some(a => same(a.canonical, alias))) errors.push(`${alias} has aliases of its own; unmerge them first`);
+  }
+  return errors;
+}
+
+export function toMergeDto(m) {
+  return {
+    id: String(m._id),
+    canonical: m.canonical,
+    aliases: m.aliases || [],
+    note: m.note || '',
+    mergedBy: m.mergedBy || null,
+    status: m.status,
+    createdAt: m.createdAt || null,
+    revertedAt: m.revertedAt || null,
+    revertedBy: m.revertedBy || null,
+    revertNote: m.revertNote || '',
+  };
+}
+
+export default {
+  MAX_MERGE_ALIASES,
+  loadAliases,
+  canonicalOf,
+  resolveUser,
+  identitiesOf,
+  identitiesAcross,
+  namesMatch,
+  usernameMatch,
+  canonicalUsernameStages,
+  normalizeMerge,
+  mergeConflicts,
+  toMergeDto,
+};
@@ -0,0 +1,237 @@
+// lib/anomalies.js
+// Anomaly detection for lock entries: configurable rules that spot entries which should not count
+// (bursts of taps, repeated taps seconds apart, clock-skewed future timestamps, replayed events with
+// an identical lock MAC and time), and an incremental scan that records them as Flags for review.
+// Days with unreviewed or rejected flags are left out of leaderboards, streaks and seasons (lib/flags.js).
+import { localDayKey, appTimeZone } from './timezone.js';
+import { loadFlaggedDays } from './flags.js';
+
+export const ANOMALIES_JOB = 'anomalies';
+
+// Rule settings; override any of them with ANOMALY_RULES, e.g. {"burst":{"maxPerMinute":8},"repeatTap":{"enabled":false}}
+export const DEFAULT_ANOMALY_RULES = {
+  // More than maxPerMinute entries by one user within any 60 seconds (all of them are flagged)
+  burst: { enabled: true, maxPerMinute: 5 },
+  // The same user on the same lock again within withinSeconds (the repeat is flagged)
+  repeatTap: { enabled: true, withinSeconds: 10 },
+  // entryTime more than toleranceMinutes after the entry was stored (or the scan ran)
+  future: { enabled: true, toleranceMinutes: 5 },
+  // Another entry with the same lockMac and entryTime (every copy after the first is flagged)
+  duplicateMacTime: { enabled: true },
+};
+export const ANOMALY_RULE_KEYS = Object.keys(DEFAULT_ANOMALY_RULES);
+
+const RULE_LIMITS = {
+  burst: { maxPerMinute: [1, 1000] },
+  repeatTap: { withinSeconds: [1, 3600] },
+  future: { toleranceMinutes: [0, 24 * 60] },
+  duplicateMacTime: {},
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Validate rule overrides and merge them over the defaults -> { value, errors }
+export function normalizeAnomalyRules(input) {
+  const errors = [];
+  const value = structuredClone(DEFAULT_ANOMALY_RULES);
+  if (input === undefined || input === null) return { value, errors };
+  if (typeof input !== 'object' || Array.isArray(input)) return { value, errors: ['anomaly rules must be an object'] };
+  for (const [key, over] of Object.entries(input)) {
+    if (!ANOMALY_RULE_KEYS.includes(key)) {
+      errors.push(`unknown anomaly rule: ${key}`);
+      continue;
+    }
+    if (!over || typeof over !== 'object') {
+      errors.push(`${key} must be an object`);
+      continue;
+    }
+    for (const [field, v] of Object.entries(over)) {
+      if (field === 'enabled') {
+        if (typeof v === 'boolean') value[key].enabled = v;
+        else errors.push(`${key}.enabled must be a boolean`);
+        continue;
+      }
+      const range = RULE_LIMITS[key][field];
+      if (!range) errors.push(`unknown setting ${key}.${field}`);
+      else if (!Number.isInteger(v) || v < range[0] || v > range[1]) errors.push(`${key}.${field} must be an integer from ${range[0]} to ${range[1]}`);
+      else value[key][field] = v;
+    }
+  }
+  return { value, errors };
+}
+
+// Instance rules: ANOMALY_RULES (JSON) over the defaults; invalid settings are ignored and reported
+export function anomalyRules(env = process.env) {
+  if (!env.ANOMALY_RULES) return { value: structuredClone(DEFAULT_ANOMALY_RULES), errors: [] };
+  try {
+    return normalizeAnomalyRules(JSON.parse(env.ANOMALY_RULES));
+  } catch {
+    return { value: structuredClone(DEFAULT_ANOMALY_RULES), errors: ['ANOMALY_RULES is not valid JSON'] };
+  }
+}
+
+const ms = (d) => new Date(d).getTime();
+
+// Flags raised by `entries` ({ _id, username, lockId, lockMac, entryTime, createdAt }) under `rules`
+// -> [{ entryId, rule, details }]. Pure; callers pass every entry a rule needs to see (neighbours included).
+export function detectAnomalies(entries = [], rules = DEFAULT_ANOMALY_RULES, { now = new Date() } = {}) {
+  const flags = [];
+  const add = (e, rule, details) => flags.push({ entryId: e._id, rule, details });
+  const sorted = entries
+    .filter(e => e?.entryTime && !Number.isNaN(ms(e.entryTime)))
+    .sort((a, b) => ms(a.entryTime) - ms(b.entryTime) || String(a._id).localeCompare(String(b._id)));
+  const byUser = new Map();
+  for (const e of sorted) {
+    if (!byUser.has(e.username)) byUser.set(e.username, []);
+    byUser.get(e.username).push(e);
+  }
+
+  if (rules.future?.enabled) {
+    const tolerance = rules.future.toleranceMinutes * MINUTE_MS;
+    for (const e of sorted) {
+      const ahead = ms(e.entryTime) - ms(e.createdAt || now);
+      if (ahead > tolerance) add(e, 'future', { aheadMinutes: Math.round(ahead / MINUTE_MS) });
+    }
+  }
+
+  if (rules.burst?.enabled) {
+    const max = rules.burst.maxPerMinute;
+    for (const list of byUser.values()) {
+      const hit = new Map();
+      let lo = 0;
+      for (let hi = 0; hi < list.length; hi++) {
+        while (ms(list[hi].entryTime) - ms(list[lo].entryTime) >= MINUTE_MS) lo++;
+        const count = hi - lo + 1;
+        if (count > max) for (let i = lo; i <= hi; i++) hit.set(i, Math.max(hit.get(i) || 0, count));
+      }
+      for (const [i, count] of hit) add(list[i], 'burst', { count, windowSeconds: 60 });
+    }
+  }
+
+  if (rules.repeatTap?.enabled) {
+    const within = rules.repeatTap.withinSeconds * 1000;
+    for (const list of byUser.values()) {
+      const lastByLock = new Map();
+      for (const e of list) {
+        const prev = lastByLock.get(e.lockId);
+        if (prev && ms(e.entryTime) - ms(prev.entryTime) <= within) {
+          add(e, 'repeatTap', { secondsAfter: Math.round((ms(e.entryTime) - ms(prev.entryTime)) / 1000), previousEntryId: prev._id });
+        }
+        lastByLock.set(e.lockId, e);
+      }
+    }
+  }
+
+  if (rules.duplicateMacTime?.enabled) {
+    const firstByKey = new Map();
+    for (const e of sorted) {
+      if (!e.lockMac) continue;
+      const key = `${String(e.lockMac).toUpperCase()}|${ms(e.entryTime)}`;
+      const first = firstByKey.get(key);
+      if (first) add(e, 'duplicateMacTime', { firstEntryId: first._id });
+      else firstByKey.set(key, e);
+    }
+  }
+  return flags;
+}
+
+const ENTRY_FIELDS = { username: 1, lockId: 1, lockMac: 1, entryTime: 1, createdAt: 1 };
+
+// Check a batch of entries together with the stored entries their rules compare against, and record
+// new flags. Existing flags (matched by entry and rule) keep their review status. -> number of new flags
+export async function flagEntries({ Entry, Flag, batch = [], rules = DEFAULT_ANOMALY_RULES, timeZone = 'UTC', now = new Date() }) {
+  const entries = batch.filter(e => e?.username && e.entryTime);
+  if (!entries.length) return 0;
+  // Neighbours of the same users close enough to form a burst or a repeated tap
+  const pad = Math.max(MINUTE_MS, (rules.repeatTap?.withinSeconds || 0) * 1000);
+  const times = entries.map(e => ms(e.entryTime));
+  const context = new Map(entries.map(e => [String(e._id), e]));
+  if (rules.burst?.enabled || rules.repeatTap?.enabled) {
+    const near = await Entry.find({
+      username: { $in: Array.from(new Set(entries.map(e => e.username))) },
+      entryTime: { $gte: new Date(Math.min(...times) - pad), $lte: new Date(Math.max(...times) + pad) },
+    }, ENTRY_FIELDS).lean();
+    for (const e of near) context.set(String(e._id), e);
+  }
+  const withMac = entries.filter(e => e.lockMac);
+  if (rules.duplicateMacTime?.enabled && withMac.length) {
+    const twins = await Entry.find({ $or: withMac.map(e => ({ lockMac: e.lockMac, entryTime: e.entryTime })) }, ENTRY_FIELDS).lean();
+    for (const e of twins) context.set(String(e._id), e);
+  }
+
+  const all = Array.from(context.values());
+  const byId = new Map(all.map(e => [String(e._id), e]));
+  const flags = detectAnomalies(all, rules, { now });
+  if (!flags.length) return 0;
+  const res = await Flag.bulkWrite(flags.map(({ entryId, rule, details }) => {
+    const e = byId.get(String(entryId));
+    return {
+      updateOne: {
+        filter: { entryId, rule },
+        update: { $setOnInsert: { user: e.username, lockId: e.lockId ?? null, entryTime: e.entryTime, day: localDayKey(new Date(e.entryTime), timeZone), details, status: 'pending' } },
+        upsert: true,
+      },
+    };
+  }), { ordered: false });
+  return res?.upsertedCount ?? Object.keys(res?.upsertedIds || {}).length;
+}
+
+// Check entries inserted since the last scan (followed by _id, like the UserDay sync). `reset` starts over
+// from the first entry; flags that already exist are left as they are.
+export async function scanAnomalies({ Entry, Flag, JobCheckpoint, rules = DEFAULT_ANOMALY_RULES, timeZone = 'UTC', now = new Date(), chunkSize = 2000, reset = false, log, job = ANOMALIES_JOB }) {
+  const checkpoint = reset ? null : await JobCheckpoint.findOne({ job }).lean();
+  let lastId = checkpoint?.cursor?.lastId ?? null;
+  let processed = 0;
+  let flagged = 0;
+  for (;;) {
+    const batch = await Entry.find(lastId ? { _id: { $gt: lastId } } : {}, ENTRY_FIELDS)
+      .sort({ _id: 1 })
+      .limit(chunkSize)
+      .lean();
+    if (!batch.length) break;
+    flagged += await flagEntries({ Entry, Flag, batch, rules, timeZone, now });
+    lastId = batch[batch.length - 1]._id;
+    processed += batch.length;
+    await JobCheckpoint.updateOne(
+      { job },
+      { $set: { cursor: { lastId }, processed: (checkpoint?.processed || 0) + processed, finishedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+  if (processed) log?.info('anomalies_scanned', { job, processed, flagged });
+  return { processed, flagged };
+}
+
+// Check entries right after POST /api/entries/ingest stored them (`ids`), with the instance rules, so
+// their flags exist before views read Flag. The scan checks them again later; flags are not duplicated.
+// -> number of new flags
+export async function flagNewEntries({ Entry, Flag, ids = [], timeZone = 'UTC', log }) {
+  if (!ids.length) return 0;
+  const { value: rules, errors } = anomalyRules();
+  if (errors.length) log?.warn('anomaly_rules_invalid', { errors });
+  const batch = await Entry.find({ _id: { $in: ids } }, ENTRY_FIELDS).lean();
+  return flagEntries({ Entry, Flag, batch, rules, timeZone });
+}
+
+// Scan new entries with the instance rules, then return the excluded user-days in `timeZone`. For
+// scripts and the season close, which must not miss entries the scan has not reached yet; requests
+// only read Flag (loadFlaggedDays).
+export async function refreshFlaggedDays({ Entry, Flag, JobCheckpoint, timeZone = 'UTC', aliases = [], log }) {
+  const { value: rules, errors } = anomalyRules();
+  if (errors.length) log?.warn('anomaly_rules_invalid', { errors });
+  await scanAnomalies({ Entry, Flag, JobCheckpoint, rules, timeZone: appTimeZone(), log });
+  return loadFlaggedDays({ Flag, timeZone, aliases });
+}
+
+export default {
+  ANOMALIES_JOB,
+  DEFAULT_ANOMALY_RULES,
+  ANOMALY_RULE_KEYS,
+  normalizeAnomalyRules,
+  anomalyRules,
+  detectAnomalies,
+  flagEntries,
+  scanAnomalies,
+  flagNewEntries,
+  refreshFlaggedDays,
+};
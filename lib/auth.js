@@ -0,0 +1,162 @@
+// lib/auth.js
+// Passwordless member login. A member claims a lock-log username by proving an e-mail address: the
+// login link mailed to it carries a signed, expiring token (lib/signedTokens.js), and confirming it
+// records the claim (Member) and starts a session stored in MongoDB (AuthSession). Only an address on
+// file for the username can claim it. The session cookie holds a random token; only its SHA-256 hash is
+// stored.
+import { createHash, randomBytes } from 'crypto';
+import { signToken, verifyToken } from './signedTokens.js';
+import { HttpError } from './http.js';
+import { isAdminRequest } from './adminAuth.js';
+
+export const AUTH_COOKIE = 'member_session';
+export const DEFAULT_LINK_MINUTES = 15;
+export const DEFAULT_SESSION_DAYS = 30;
+
+const LANGS = ['lv', 'en'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LIMITS = { linkMinutes: [5, 1440], sessionDays: [1, 365] };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Login settings: AUTH_SECRET (signs login links; login is off without it), PUBLIC_BASE_URL (links are
+// only ever built from it, never from the request's Host header), AUTH_LINK_MINUTES and
+// AUTH_SESSION_DAYS -> { value: { secret, baseUrl, linkMinutes, sessionDays }, errors }
+export function authSettings(env = process.env) {
+  const errors = [];
+  const value = { secret: null, baseUrl: null, linkMinutes: DEFAULT_LINK_MINUTES, sessionDays: DEFAULT_SESSION_DAYS };
+  for (const [key, name] of [['linkMinutes', 'AUTH_LINK_MINUTES'], ['sessionDays', 'AUTH_SESSION_DAYS']]) {
+    if (env[name] === undefined || env[name] === '') continue;
+    const n = Number(env[name]);
+    const [min, max] = LIMITS[key];
+    if (!Number.isInteger(n) || n < min || n > max) errors.push(`${name} must be an integer between ${min} and ${max}`);
+    else value[key] = n;
+  }
+  const secret = env.AUTH_SECRET || null;
+  if (secret && secret.length < 16) errors.push('AUTH_SECRET must be at least 16 characters');
+  else value.secret = secret;
+  const baseUrl = String(env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '') || null;
+  if (baseUrl && !/^https?:\/\//.test(baseUrl)) errors.push('PUBLIC_BASE_URL must start with http:// or https://');
+  else value.baseUrl = baseUrl;
+  return { value, errors };
+}
+
+// Validate a login request { user, email, lang? } -> { value: { user, email, lang }, errors }
+export function normalizeLoginRequest(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { value: null, errors: ['body must be an object'] };
+  const errors = [];
+  const user = typeof input.user === 'string' ? input.user.trim() : '';
+  const email = typeof input.email === 'string' ? input.email.trim().toLowerCase() : '';
+  const lang = LANGS.includes(input.lang) ? input.lang : 'lv';
+  if (!user) errors.push('user is required');
+  else if (user.length > 100) errors.push('user is too long');
+  if (!EMAIL_RE.test(email)) errors.push('email is not valid');
+  return { value: { user, email, lang }, errors };
+}
+
+// Whether `email` may log in as a username. A claimed username belongs to the address that claimed it;
+// an unclaimed one only to its address on file (see registeredEmail), and to nobody without one.
+export function claimAllowed({ member = null, knownEmail = null }, email) {
+  const lower = String(email).toLowerCase();
+  if (member) return member.email === lower;
+  return Boolean(knownEmail) && String(knownEmail).toLowerCase() === lower;
+}
+
+// The address on file for `user` (lowercased canonical username): from the member's notification
+// settings, else `recipients` (NOTIFICATION_RECIPIENTS, kept by admins) -> address or null
+export async function registeredEmail({ NotificationPreference }, user, { recipients = {} } = {}) {
+  const pref = await NotificationPreference.findOne({ user }).lean();
+  return pref?.email || recipients[user]?.email || null;
+}
+
+// Signed login link token for `user` (canonical username) and `email`, valid for `minutes`. The nonce
+// makes each link single-use: the session it creates stores it under a unique index.
+export function loginToken(secret, { user, email, minutes = DEFAULT_LINK_MINUTES, now = new Date() }) {
+  return signToken({ p: 'login', u: user, e: String(email).toLowerCase(), n: randomBytes(12).toString('base64url') }, secret, { ttlSeconds: minutes * 60, now });
+}
+
+// -> { user, email, nonce } of a valid, unexpired login token, or null
+export function readLoginToken(token, secret, { now = new Date() } = {}) {
+  const p = verifyToken(token, secret, { now });
+  if (p?.p !== 'login' || !p.u || !p.e || !p.n || !p.exp) return null;
+  return { user: p.u, email: p.e, nonce: p.n };
+}
+
+export const hashSessionToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+// Start a session for a verified login -> { token, expiresAt }. A reused login link hits the unique
+// nonce index and is refused; sessions outlive their link (AUTH_SESSION_DAYS >= 1 day >= AUTH_LINK_MINUTES)
+// and are only marked ended on logout (endSession), so the nonce stays taken while the link is valid.
+export async function createSession({ AuthSession }, { user, email, nonce, days = DEFAULT_SESSION_DAYS, userAgent = null, now = new Date() }) {
+  const token = randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + days * DAY_MS);
+  try {
+    await AuthSession.create({ tokenHash: hashSessionToken(token), user: user.toLowerCase(), username: user, email, nonce, userAgent, expiresAt });
+  } catch (err) {
+    if (err?.code === 11000) throw new HttpError(401, 'This login link was already used');
+    throw err;
+  }
+  return { token, expiresAt };
+}
+
+// Value of cookie `name` in the request's Cookie header, or null
+export function readCookie(request, name) {
+  const header = request.headers.get('cookie') || '';
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+// The logged-in member of a request -> { user, username, email } or null (no, unknown or expired session)
+export async function sessionMember({ AuthSession }, request, { now = new Date() } = {}) {
+  const token = readCookie(request, AUTH_COOKIE);
+  if (!token) return null;
+  const session = await AuthSession.findOne({ tokenHash: hashSessionToken(token), endedAt: null, expiresAt: { $gt: now } }).lean();
+  return session ? { user: session.user, username: session.username, email: session.email } : null;
+}
+
+// End the session of the request's cookie. The document is kept (see createSession) -> whether one was ended
+export async function endSession({ AuthSession }, request, { now = new Date() } = {}) {
+  const token = readCookie(request, AUTH_COOKIE);
+  if (!token) return false;
+  const res = await AuthSession.updateOne({ tokenHash: hashSessionToken(token), endedAt: null }, { $set: { endedAt: now } });
+  return (res?.modifiedCount ?? 0) > 0;
+}
+
+// Who is asking (for privacy rules, lib/privacy.js): the session's member and whether the request carries
+// the admin token -> { user: lowercased username | null, admin }
+export async function requestViewer({ AuthSession }, request) {
+  const member = await sessionMember({ AuthSession }, request);
+  return { user: member?.user || null, admin: isAdminRequest(request) };
+}
+
+// Set-Cookie value for a session token; httpOnly, and Secure when the app is served over https
+export function sessionCookie(token, { expiresAt, secure = false, now = new Date() }) {
+  const maxAge = Math.max(0, Math.floor((expiresAt.getTime() - now.getTime()) / 1000));
+  return `${AUTH_COOKIE}=${encodeURIComponent(token)}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+}
+
+export function clearSessionCookie({ secure = false } = {}) {
+  return `${AUTH_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+}
+
+export default {
+  AUTH_COOKIE,
+  DEFAULT_LINK_MINUTES,
+  DEFAULT_SESSION_DAYS,
+  authSettings,
+  normalizeLoginRequest,
+  claimAllowed,
+  registeredEmail,
+  loginToken,
+  readLoginToken,
+  hashSessionToken,
+  createSession,
+  readCookie,
+  sessionMember,
+  endSession,
+  requestViewer,
+  sessionCookie,
+  clearSessionCookie,
+};
@@ -0,0 +1,174 @@
+// lib/awards.js
+// Award ledger helpers: an incremental tracker that replays entries in chronological order,
+// and a resumable backfill job that walks the Entry collection in chunks with checkpoints.
+import { addEntryToDays, evaluateRule, userDaysPipeline } from './achievements.js';
+import { withRecordFilter } from './recordKinds.js';
+import { canonicalOf, canonicalUsernameStages } from './aliases.js';
+
+export const AWARD_BACKFILL_JOB = 'awards-backfill';
+
+const awardKey = (ruleKey, ruleVersion) => `${ruleKey}@${ruleVersion ?? 1}`;
+
+// Ledger user of a raw username: its canonical identity, lowercased, so every username of a member
+// (in any case) earns one set of awards
+export const awardUser = (username, aliases = []) => String(canonicalOf(username, aliases)).toLowerCase();
+
+// Tracks per-user day summaries and emits an award the first time each rule is satisfied
+// (`visitLockIds` are the registry's visit locks, used by rules with `visits: true`). Users are keyed
+// by awardUser().
+export function createAwardTracker({ rules = [], timeZone = 'UTC', visitLockIds, aliases = [] } = {}) {
+  const active = rules.filter(r => r && r.active !== false);
+  const users = new Map();
+
+  const stateFor = (user) => {
+    let st = users.get(user);
+    if (!st) {
+      st = { days: new Map(), awarded: new Set() };
+      users.set(user, st);
+    }
+    return st;
+  };
+
+  return {
+    // Preload a user's day summaries (up to the resume point) and already-awarded { ruleKey, ruleVersion } pairs
+    seed(user, days = [], awards = []) {
+      const st = stateFor(awardUser(user, aliases));
+      for (const d of days) st.days.set(`${d.day}|${d.lockId ?? null}`, { ...d, hours: [...(d.hours || [])] });
+      for (const a of awards) st.awarded.add(awardKey(a.ruleKey, a.ruleVersion));
+    },
+    // Apply one entry; entries must arrive in (entryTime, _id) order. Returns the awards it unlocked.
+    apply(entry) {
+      if (!entry?.username) return [];
+      const user = awardUser(entry.username, aliases);
+      const st = stateFor(user);
+      if (!addEntryToDays(st.days, entry, timeZone)) return [];
+      const pending = active.filter(r => !st.awarded.has(awardKey(r.key, r.version)));
+      if (!pending.length) return [];
+      const now = new Date(entry.entryTime);
+      const days = Array.from(st.days.values());
+      const out = [];
+      for (const rule of pending) {
+        const res = evaluateRule(rule, days, { now, visitLockIds });
+        if (!res.earned) continue;
+        st.awarded.add(awardKey(rule.key, rule.version));
+        out.push({
+          user,
+          ruleKey: rule.key,
+          ruleVersion: rule.version ?? 1,
+          earnedAt: now,
+          metadata: { value: res.value, entryId: entry._id ?? null },
+        });
+      }
+      return out;
+    },
+    get userCount() {
+      return users.size;
+    },
+  };
+}
+
+// Filter for entries strictly after a { entryTime, entryId } cursor (or all dated entries without one)
+function afterCursor(cursor) {
+  if (!cursor) return { entryTime: { $type: 'date' } };
+  const t = new Date(cursor.entryTime);
+  return { $or: [{ entryTime: { $gt: t } }, { entryTime: t, _id: { $gt: cursor.entryId } }] };
+}
+
+// Complement of afterCursor(): everything already replayed up to and including the cursor
+function upToCursor(cursor) {
+  const t = new Date(cursor.entryTime);
+  return { $or: [{ entryTime: { $lt: t } }, { entryTime: t, _id: { $lte: cursor.entryId } }] };
+}
+
+// Replays the Entry collection into the Award ledger. Safe to re-run: awards are upserted by
+// (user, ruleKey, ruleVersion) and a checkpoint lets the next run continue where this one stopped.
+// `kindFilter` keeps only entries of visit kinds (see lib/recordKinds.js); `aliases` map usernames to
+// the canonical user the awards belong to.
+export async function runAwardBackfill({
+  Entry,
+  Award,
+  JobCheckpoint,
+  rules,
+  timeZone = 'UTC',
+  visitLockIds,
+  kindFilter = null,
+  aliases = [],
+  chunkSize = 5000,
+  reset = false,
+  log,
+  job = AWARD_BACKFILL_JOB,
+}) {
+  if (reset) await JobCheckpoint.deleteOne({ job });
+  const checkpoint = await JobCheckpoint.findOne({ job }).lean();
+  let cursor = checkpoint?.cursor || null;
+  let processed = checkpoint?.processed || 0;
+
+  const tracker = createAwardTracker({ rules, timeZone, visitLockIds, aliases });
+
+  // Existing awards are never re-issued, so earnedAt stays stable across runs
+  const existing = await Award.find({}, { user: 1, ruleKey: 1, ruleVersion: 1 }).lean();
+  const awardsByUser = new Map();
+  for (const a of existing) {
+    const user = awardUser(a.user, aliases);
+    if (!awardsByUser.has(user)) awardsByUser.set(user, []);
+    awardsByUser.get(user).push(a);
+  }
+  const daysByUser = new Map();
+  if (cursor) {
+    // Rebuild the day summaries replayed by previous runs so thresholds keep counting from there,
+    // grouped by ledger user like the tracker
+    const seeded = await Entry.aggregate([
+      { $match: withRecordFilter(upToCursor(cursor), kindFilter) },
+      ...canonicalUsernameStages(aliases),
+      { $set: { username: { $toLower: '$username' } } },
+      ...userDaysPipeline(timeZone, { byUser: true }),
+    ]);
+    for (const d of seeded) {
+      if (!daysByUser.has(d.user)) daysByUser.set(d.user, []);
+      daysByUser.get(d.user).push(d);
+    }
+  }
+  for (const user of new Set([...awardsByUser.keys(), ...daysByUser.keys()])) {
+    tracker.seed(user, daysByUser.get(user) || [], awardsByUser.get(user) || []);
+  }
+
+  const remaining = await Entry.countDocuments(withRecordFilter(afterCursor(cursor), kindFilter));
+  log?.info('backfill_start', { job, resumed: !!cursor, processed, remaining, chunkSize });
+
+  let done = 0;
+  let awarded = 0;
+  for (;;) {
+    const batch = await Entry.find(withRecordFilter(afterCursor(cursor), kindFilter), { username: 1, lockId: 1, entryTime: 1 })
+      .sort({ entryTime: 1, _id: 1 })
+      .limit(chunkSize)
+      .lean();
+    if (!batch.length) break;
+
+    const newAwards = [];
+    for (const e of batch) newAwards.push(...tracker.apply(e));
+    if (newAwards.length) {
+      await Award.bulkWrite(newAwards.map(a => ({
+        updateOne: {
+          filter: { user: a.user, ruleKey: a.ruleKey, ruleVersion: a.ruleVersion },
+          update: { $setOnInsert: a },
+          upsert: true,
+        },
+      })), { ordered: false });
+    }
+
+    const last = batch[batch.length - 1];
+    cursor = { entryTime: last.entryTime, entryId: last._id };
+    processed += batch.length;
+    done += batch.length;
+    awarded += newAwards.length;
+    // Checkpoint only after the chunk's awards are written so a crash never skips entries
+    await JobCheckpoint.updateOne({ job }, { $set: { cursor, processed }, $unset: { finishedAt: 1 } }, { upsert: true });
+    log?.info('backfill_progress', { job, processed, done, remaining: Math.max(0, remaining - done), awarded, cursor: last.entryTime });
+  }
+
+  await JobCheckpoint.updateOne({ job }, { $set: { finishedAt: new Date() } }, { upsert: true });
+  log?.info('backfill_done', { job, processed, done, awarded });
+  return { processed, done, awarded, cursor };
+}
+
+export default { AWARD_BACKFILL_JOB, awardUser, createAwardTracker, runAwardBackfill };
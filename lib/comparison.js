@@ -0,0 +1,100 @@
+// lib/comparison.js
+// Period-over-period comparison (?compare=previous|yoy): the window the selected range is compared
+// with, percentage deltas and the rank movement of leaderboard rows. "previous" compares a calendar
+// month with the month before (month-to-date with the same days of the previous month) and any other
+// range with the same number of days right before it; "yoy" compares with the same days a year earlier.
+import { addDays, localDayKey, zonedDayRange } from './timezone.js';
+
+export const COMPARE_MODES = ['previous', 'yoy'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const pad = (n) => String(n).padStart(2, '0');
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+const lastDayOfMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+const monthEnd = (dayKey) => `${dayKey.slice(0, 8)}${pad(lastDayOfMonth(Number(dayKey.slice(0, 4)), Number(dayKey.slice(5, 7))))}`;
+
+// compare query value -> 'previous' | 'yoy' | null (anything else turns comparison off)
+export function parseCompare(raw) {
+  const value = String(raw || '').trim().toLowerCase();
+  return COMPARE_MODES.includes(value) ? value : null;
+}
+
+// Day key `months` calendar months (and `years` years) earlier, clamped to the end of a shorter month
+export function shiftMonths(dayKey, months, years = 0) {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  const index = (y - years) * 12 + (m - 1) - months;
+  const ty = Math.floor(index / 12);
+  const tm = (index % 12) + 1;
+  return `${ty}-${pad(tm)}-${pad(Math.min(d, lastDayOfMonth(ty, tm)))}`;
+}
+
+// Comparison days of the local days [from, to] -> { from, to }. `calendarMonth` marks a whole month
+// (period=month outside seasons); `period` 'mtd' keeps the same days of the month.
+export function comparisonDays({ compare, period, calendarMonth = false, from, to }) {
+  if (compare === 'yoy') {
+    const yearFrom = shiftMonths(from, 0, 1);
+    return { from: yearFrom, to: calendarMonth ? monthEnd(yearFrom) : shiftMonths(to, 0, 1) };
+  }
+  if (calendarMonth) return { from: shiftMonths(from, 1), to: addDays(from, -1) };
+  if (period === 'mtd') return { from: shiftMonths(from, 1), to: shiftMonths(to, 1) };
+  const n = daysBetween(from, to) + 1;
+  return { from: addDays(from, -n), to: addDays(to, -n) };
+}
+
+// Comparison window of the request's range, or null when `compare` is off -> { compare, from, to,
+// rangeStart, rangeEnd, currentFrom, currentTo, shiftDays } (shiftDays moves a comparison day onto the
+// current range)
+export function comparisonWindow({ compare, period, calendarMonth = false, rangeStart, rangeEnd, timeZone = 'UTC' }) {
+  if (!compare) return null;
+  const currentFrom = localDayKey(rangeStart, timeZone);
+  const currentTo = localDayKey(rangeEnd, timeZone);
+  const { from, to } = comparisonDays({ compare, period, calendarMonth, from: currentFrom, to: currentTo });
+  return {
+    compare,
+    from,
+    to,
+    rangeStart: zonedDayRange(from, timeZone).start,
+    rangeEnd: zonedDayRange(to, timeZone).end,
+    currentFrom,
+    currentTo,
+    shiftDays: daysBetween(from, currentFrom),
+  };
+}
+
+// Change from `previous` to `current` in whole percent; null when there is nothing to compare with
+export function percentChange(current, previous) {
+  const cur = Number(current || 0);
+  const prev = Number(previous || 0);
+  if (!prev) return null;
+  return Math.round(((cur - prev) / prev) * 100);
+}
+
+// Leaderboard rows with their rank in `previousRows` -> [{ ...row, previousRank, rankChange }];
+// previousRank is null for users who did not rank before, rankChange > 0 means moved up
+export function withRankMovement(rows = [], previousRows = []) {
+  const previous = new Map(previousRows.map((r, i) => [r.id, i + 1]));
+  return rows.map((r, i) => {
+    const previousRank = previous.get(r.id) ?? null;
+    return { ...r, previousRank, rankChange: previousRank === null ? null : previousRank - (i + 1) };
+  });
+}
+
+// Comparison rows keyed by day moved onto the current range (keys outside it are dropped); other keys
+// (e.g. hours) are kept as they are
+export function alignComparisonSeries(rows = [], window, key = 'day') {
+  if (!window || key !== 'day') return rows;
+  return rows
+    .map(r => ({ ...r, day: addDays(r.day, window.shiftDays) }))
+    .filter(r => r.day >= window.currentFrom && r.day <= window.currentTo);
+}
+
+export default {
+  COMPARE_MODES,
+  parseCompare,
+  shiftMonths,
+  comparisonDays,
+  comparisonWindow,
+  percentChange,
+  withRankMovement,
+  alignComparisonSeries,
+};
@@ -0,0 +1,213 @@
+// lib/digest.js
+// Personal digests: the window a weekly (Monday) or monthly (1st) digest covers, the digest built from
+// the member's profile, visit days and season progress (see lib/resources/digest.js), and its rendering
+// as plain text and HTML e-mail from the lib/i18n.js templates.
+import { t } from './i18n.js';
+import { addDays, localDayKey, zonedDayRange } from './timezone.js';
+import { shiftMonths, percentChange } from './comparison.js';
+
+export const DIGEST_PERIODS = ['week', 'month'];
+// Bars in the visits sparkline: weeks for the weekly digest, months for the monthly one
+export const DIGEST_SERIES_LENGTH = { week: 8, month: 6 };
+
+const SPARK = '▁▂▃▄▅▆▇█';
+const isoWeekday = (dayKey) => new Date(`${dayKey}T00:00:00Z`).getUTCDay() || 7;
+
+// period query value -> 'week' | 'month' | null
+export function parseDigestPeriod(raw) {
+  const value = String(raw || '').trim().toLowerCase();
+  return DIGEST_PERIODS.includes(value) ? value : null;
+}
+
+// Periods whose digest is due on the local day of `now`: the weekly one on Mondays, the monthly one on the 1st
+export function dueDigestPeriods(now = new Date(), timeZone = 'UTC') {
+  const today = localDayKey(now, timeZone);
+  return [
+    ...(isoWeekday(today) === 1 ? ['week'] : []),
+    ...(today.endsWith('-01') ? ['month'] : []),
+  ];
+}
+
+// The last complete week (Monday-Sunday) or calendar month before `now`
+// -> { period, key, from, to, rangeStart, rangeEnd } (key: the week's Monday or YYYY-MM)
+export function digestWindow(period, now = new Date(), timeZone = 'UTC') {
+  const today = localDayKey(now, timeZone);
+  let from, to, key;
+  if (period === 'month') {
+    const monthStart = `${today.slice(0, 7)}-01`;
+    from = shiftMonths(monthStart, 1);
+    to = addDays(monthStart, -1);
+    key = from.slice(0, 7);
+  } else {
+    const monday = addDays(today, 1 - isoWeekday(today));
+    from = addDays(monday, -7);
+    to = addDays(monday, -1);
+    key = from;
+  }
+  return { period, key, from, to, rangeStart: zonedDayRange(from, timeZone).start, rangeEnd: zonedDayRange(to, timeZone).end };
+}
+
+// The `count` periods ending with the digest's window, oldest first -> [{ from, to }]
+export function digestSeries(window, count = DIGEST_SERIES_LENGTH[window.period]) {
+  const series = [];
+  for (let i = count - 1; i >= 0; i -= 1) {
+    if (window.period === 'month') {
+      const from = shiftMonths(window.from, i);
+      series.push({ from, to: addDays(shiftMonths(window.from, i - 1), -1) });
+    } else {
+      series.push({ from: addDays(window.from, -7 * i), to: addDays(window.to, -7 * i) });
+    }
+  }
+  return series;
+}
+
+// Digest of one member. `visitDays` are local days with a visit (flagged days already left out) covering
+// `series`; `profile` is the user profile (lib/resources/users.js); `season` the live season progress
+// ({ key, name, points, pointsGained, rank, previousRank, level, nextLevelAt }) or null.
+export function buildDigest({ user, window, series, visitDays = [], profile, season = null }) {
+  const days = new Set(visitDays);
+  const countIn = (p) => Array.from(days).filter(d => d >= p.from && d <= p.to).length;
+  const counts = series.map(p => ({ from: p.from, to: p.to, visits: countIn(p) }));
+  const visits = counts[counts.length - 1]?.visits ?? 0;
+  const previousVisits = counts.length > 1 ? counts[counts.length - 2].visits : null;
+  const newBadges = (profile?.achievements || [])
+    .filter(a => a.earnedAt && new Date(a.earnedAt) >= window.rangeStart && new Date(a.earnedAt) <= window.rangeEnd)
+    .map(a => ({ key: a.key, title: a.title, description: a.description || '', ...(a.translations ? { translations: a.translations } : {}), earnedAt: a.earnedAt }));
+  return {
+    user,
+    period: window.period,
+    key: window.key,
+    from: window.from,
+    to: window.to,
+    visits,
+    previousVisits,
+    visitsChange: previousVisits === null ? null : percentChange(visits, previousVisits),
+    visitDays: Array.from(days).filter(d => d >= window.from && d <= window.to).sort(),
+    series: counts,
+    currentStreakDays: profile?.currentStreakDays ?? 0,
+    longestStreakDays: profile?.longestStreakDays ?? 0,
+    season,
+    newBadges,
+  };
+}
+
+// Whether a digest has anything to report (visits, a running streak, new badges or season points)
+export function digestHasNews(digest) {
+  return digest.visits > 0 || digest.currentStreakDays > 0 || digest.newBadges.length > 0 || (digest.season?.pointsGained ?? 0) > 0;
+}
+
+// Outbox event for a digest (see lib/notifications.js); one per member, period and window
+export function digestNotification(digest) {
+  return {
+    kind: 'digest',
+    user: digest.user.toLowerCase(),
+    dedupKey: `digest:${digest.period}:${digest.key}:${digest.user.toLowerCase()}`,
+    payload: digest,
+  };
+}
+
+// Values as a one-line block sparkline, scaled to the largest value
+export function sparkline(values = []) {
+  const max = Math.max(0, ...values);
+  return values.map(v => (max ? SPARK[Math.round((v / max) * (SPARK.length - 1))] : SPARK[0])).join('');
+}
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Day keys are already local; format them without shifting the zone
+const formatDay = (dayKey, lang) => new Date(`${dayKey}T00:00:00Z`).toLocaleDateString(lang, { timeZone: 'UTC', day: 'numeric', month: 'short' });
+const formatMonth = (dayKey, lang) => new Date(`${dayKey}T00:00:00Z`).toLocaleDateString(lang, { timeZone: 'UTC', month: 'long', year: 'numeric' });
+
+// Copy of a digest in `lang`: subject, greeting, intro, report lines ([{ key, text }]), new badges, trend label and footer
+function digestCopy(d, lang) {
+  const tr = (key, vars = {}) => t(key, vars, lang);
+  const range = { from: formatDay(d.from, lang), to: formatDay(d.to, lang), month: formatMonth(d.from, lang) };
+  const lines = [];
+  const visits = [tr('digest_visits', { count: d.visits })];
+  if (d.previousVisits !== null) visits.push(tr(`digest_visits_prev_${d.period}`, { count: d.previousVisits }));
+  lines.push({ key: 'visits', text: visits.join(' · ') });
+  lines.push({ key: 'streak', text: tr('digest_streak', { current: d.currentStreakDays, longest: d.longestStreakDays }) });
+  if (d.season) {
+    const s = d.season;
+    const rank = s.rank === null ? tr('digest_rank_none')
+      : s.previousRank === null ? tr('digest_rank_new', { rank: s.rank })
+        : s.rank < s.previousRank ? tr('digest_rank_up', { rank: s.rank, previousRank: s.previousRank })
+          : s.rank > s.previousRank ? tr('digest_rank_down', { rank: s.rank, previousRank: s.previousRank })
+            : tr('digest_rank_same', { rank: s.rank });
+    lines.push({ key: 'season', text: `${tr('digest_season', { season: s.name || s.key, points: s.points, gained: s.pointsGained })} ${rank}` });
+  }
+  const badges = d.newBadges.map((b) => {
+    const copy = b.translations?.[lang] || {};
+    return { title: copy.title || b.title, description: copy.description || b.description || '' };
+  });
+  return {
+    subject: tr(`digest_subject_${d.period}`, range),
+    greeting: tr('notify_greeting', { user: d.user }),
+    intro: tr(`digest_intro_${d.period}`, range),
+    lines,
+    badges,
+    badgesTitle: tr('digest_badges'),
+    trend: tr(`digest_trend_${d.period}`, { count: d.series.length }),
+    footer: tr('notify_footer'),
+  };
+}
+
+// Visits per period as bottom-aligned table bars (inline styles survive most mail clients)
+function htmlBars(series) {
+  const max = Math.max(1, ...series.map(p => p.visits));
+  const cells = series.map((p, i) => {
+    const h = Math.max(2, Math.round((p.visits / max) * 40));
+    const color = i === series.length - 1 ? '#0ea5e9' : '#bae6fd';
+    return `<td style="vertical-align:bottom;padding:0 2px" title="${escapeHtml(`${p.from}: ${p.visits}`)}"><div style="width:12px;height:${h}px;background:${color}"></div></td>`;
+  });
+  return `<table role="presentation" cellspacing="0" cellpadding="0" style="border-collapse:collapse"><tr>${cells.join('')}</tr></table>`;
+}
+
+// Digest as e-mail in `lang` -> { subject, text, html }
+export function renderDigest(digest, lang = 'lv') {
+  const c = digestCopy(digest, lang);
+  const values = digest.series.map(p => p.visits);
+  const text = [
+    c.greeting,
+    '',
+    c.intro,
+    '',
+    ...c.lines.map(l => `- ${l.text}`),
+    ...(c.badges.length ? ['', `${c.badgesTitle}:`, ...c.badges.map(b => `- ${b.title}${b.description ? ` — ${b.description}` : ''}`)] : []),
+    '',
+    `${c.trend}: ${sparkline(values)} (${values.join(', ')})`,
+    '',
+    c.footer,
+    '',
+  ].join('\n');
+  const html = [
+    '<!doctype html>',
+    `<html lang="${escapeHtml(lang)}"><head><meta charset="utf-8"><title>${escapeHtml(c.subject)}</title></head>`,
+    '<body style="font-family:Arial,Helvetica,sans-serif;color:#111827;line-height:1.5">',
+    `<p>${escapeHtml(c.greeting)}</p>`,
+    `<p>${escapeHtml(c.intro)}</p>`,
+    `<ul>${c.lines.map(l => `<li>${escapeHtml(l.text)}</li>`).join('')}</ul>`,
+    ...(c.badges.length
+      ? [`<h3 style="margin-bottom:4px">${escapeHtml(c.badgesTitle)}</h3>`, `<ul>${c.badges.map(b => `<li><strong>${escapeHtml(b.title)}</strong>${b.description ? ` — ${escapeHtml(b.description)}` : ''}</li>`).join('')}</ul>`]
+      : []),
+    `<p style="margin-bottom:4px;font-size:13px;color:#4b5563">${escapeHtml(c.trend)}</p>`,
+    htmlBars(digest.series),
+    `<p style="font-size:12px;color:#6b7280">${escapeHtml(c.footer)}</p>`,
+    '</body></html>',
+  ].join('\n');
+  return { subject: c.subject, text, html };
+}
+
+export default {
+  DIGEST_PERIODS,
+  DIGEST_SERIES_LENGTH,
+  parseDigestPeriod,
+  dueDigestPeriods,
+  digestWindow,
+  digestSeries,
+  buildDigest,
+  digestHasNews,
+  digestNotification,
+  sparkline,
+  renderDigest,
+};
@@ -0,0 +1,85 @@
+// lib/flags.js
+// Review workflow for anomaly flags (see lib/anomalies.js) and the exclusion of flagged days.
+// A user's local day is excluded from leaderboards, streaks and seasons while any of its flags is
+// pending or rejected; approving every flag of the day makes it count again.
+import { localDayKey } from './timezone.js';
+import { canonicalOf } from './aliases.js';
+
+export const FLAG_STATUSES = ['pending', 'approved', 'rejected'];
+// Statuses whose days are left out of the competitive views
+export const EXCLUDING_STATUSES = ['pending', 'rejected'];
+
+const dayString = (timeZone) => ({ $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } });
+
+// Validate a review ({ status, note, reviewedBy }) -> { value, errors }
+export function normalizeReview(input = {}) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { value: null, errors: ['review must be an object'] };
+  const status = input.status;
+  if (!FLAG_STATUSES.includes(status)) errors.push(`status must be one of: ${FLAG_STATUSES.join(', ')}`);
+  const note = input.note === undefined || input.note === null ? '' : input.note;
+  if (typeof note !== 'string' || note.length > 500) errors.push('note must be a string of at most 500 characters');
+  const reviewedBy = input.reviewedBy === undefined || input.reviewedBy === null ? null : input.reviewedBy;
+  if (reviewedBy !== null && (typeof reviewedBy !== 'string' || !reviewedBy.trim() || reviewedBy.length > 100)) errors.push('reviewedBy must be a 1-100 character string');
+  if (errors.length) return { value: null, errors };
+  return { value: { status, note: note.trim(), reviewedBy: reviewedBy?.trim() ?? null }, errors };
+}
+
+// Update applied by a review; going back to pending clears the reviewer. Each decision is also
+// appended to the flag's history so reviews stay auditable.
+export function reviewUpdate({ status, note, reviewedBy }, now = new Date()) {
+  const reviewed = status !== 'pending';
+  return {
+    $set: { status, note, reviewedBy: reviewed ? reviewedBy : null, reviewedAt: reviewed ? now : null },
+    $push: { history: { status, note, reviewedBy, at: now } },
+  };
+}
+
+export function toFlagDto(f) {
+  return {
+    id: String(f._id),
+    entryId: String(f.entryId),
+    rule: f.rule,
+    user: f.user,
+    lockId: f.lockId ?? null,
+    entryTime: f.entryTime,
+    day: f.day || null,
+    details: f.details || {},
+    status: f.status,
+    note: f.note || '',
+    reviewedBy: f.reviewedBy || null,
+    reviewedAt: f.reviewedAt || null,
+    history: f.history || [],
+    createdAt: f.createdAt || null,
+  };
+}
+
+// Excluded user-days as "user|YYYY-MM-DD" keys, bucketed in `timeZone`, with users mapped to their
+// canonical identity (pipelines apply the aliases before excluding)
+export async function loadFlaggedDays({ Flag, timeZone = 'UTC', aliases = [] }) {
+  const flags = await Flag.find({ status: { $in: EXCLUDING_STATUSES } }, { user: 1, entryTime: 1 }).lean();
+  return Array.from(new Set((flags || []).map(f => `${canonicalOf(f.user, aliases)}|${localDayKey(new Date(f.entryTime), timeZone)}`))).sort();
+}
+
+// Stage dropping entries on excluded user-days (`excludeDays` from loadFlaggedDays in the same zone)
+export function excludeFlaggedDaysStages({ excludeDays, timeZone = 'UTC' } = {}) {
+  if (!excludeDays?.length) return [];
+  return [{ $match: { $expr: { $not: [{ $in: [{ $concat: ['$username', '|', dayString(timeZone)] }, excludeDays] }] } } }];
+}
+
+// Same for UserDay documents (their day is already a local day of the rollup's zone)
+export function rollupExcludeFlaggedDaysStages({ excludeDays } = {}) {
+  if (!excludeDays?.length) return [];
+  return [{ $match: { $expr: { $not: [{ $in: [{ $concat: ['$user', '|', '$day'] }, excludeDays] }] } } }];
+}
+
+export default {
+  FLAG_STATUSES,
+  EXCLUDING_STATUSES,
+  normalizeReview,
+  reviewUpdate,
+  toFlagDto,
+  loadFlaggedDays,
+  excludeFlaggedDaysStages,
+  rollupExcludeFlaggedDaysStages,
+};
@@ -0,0 +1,69 @@
+// lib/http.js
+// Shared plumbing for API route handlers: request IDs, structured logger, rate limiting and JSON replies
+import { NextResponse } from 'next/server';
+import { createLogger, getRequestIdFromHeaders } from './logger.js';
+import { rateLimitKeyFromRequest, rateLimitConsume, getRateLimitConfig } from './rateLimit.js';
+
+// Error carrying an HTTP status; thrown by handlers and turned into a JSON reply by errorResponse()
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export function jsonResponse(reqId, body, init = {}) {
+  const resp = NextResponse.json(body, init);
+  resp.headers.set('X-Request-ID', reqId);
+  return resp;
+}
+
+// 303 See Other to `location` (absolute, or relative to the request URL), e.g. after a form post
+export function redirectResponse(reqId, request, location) {
+  const resp = new Response(null, { status: 303, headers: { Location: new URL(location, request.url).toString() } });
+  resp.headers.set('X-Request-ID', reqId);
+  return resp;
+}
+
+// Whether the request body is an HTML form post rather than JSON
+export function isFormPost(request) {
+  const type = request.headers.get('content-type') || '';
+  return type.includes('application/x-www-form-urlencoded') || type.includes('multipart/form-data');
+}
+
+// Request ID + logger up-front, then per-IP rate limiting. `limited` is a ready 429 reply or null.
+export function beginRequest(request, route, { bucket = 'api' } = {}) {
+  const reqId = getRequestIdFromHeaders(request.headers) || (globalThis.crypto?.randomUUID?.() || Math.random().toString(36).slice(2));
+  const log = createLogger({ requestId: reqId, route });
+  const rlKey = rateLimitKeyFromRequest(request, bucket);
+  const rl = rateLimitConsume(rlKey, getRateLimitConfig());
+  if (!rl.ok) {
+    log.warn('rate_limited', { key: rlKey, retryAfter: rl.retryAfter });
+    const resp = jsonResponse(reqId, { error: 'Too Many Requests' }, { status: 429 });
+    resp.headers.set('Retry-After', String(rl.retryAfter));
+    return { reqId, log, limited: resp };
+  }
+  return { reqId, log, limited: null };
+}
+
+// Map HttpError to its status; anything else is logged and reported as a 500 with `message`
+export function errorResponse(reqId, log, error, message = 'Request failed') {
+  if (error instanceof HttpError) {
+    return jsonResponse(reqId, { error: error.message, ...(error.details ? { details: error.details } : {}) }, { status: error.status });
+  }
+  log.error('request_failed', { error: String(error?.message ?? error) });
+  return jsonResponse(reqId, { error: message, details: String(error?.message ?? error) }, { status: 500 });
+}
+
+// Parse a JSON request body or fail with 400
+export async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    throw new HttpError(400, 'Invalid JSON body');
+  }
+}
+
+export default { HttpError, jsonResponse, redirectResponse, isFormPost, beginRequest, errorResponse, readJson };
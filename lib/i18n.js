@@ -69,12 +69,45 @@ const en = {
   ach_desc_night_owl: 'Visited at or after 22:00',
   ach_title_active_month: 'Active This Month',
   ach_desc_active_month: '5+ visits in the last 30 days',
+  earned_on: 'earned {date}',
   season_progress: 'Season progress — {season}',
   no_season_activity: 'No season activity for this user.',
   points_distinct_days: 'Points (distinct active days)',
   rank: 'Rank',
   current_streak: 'Current streak',
   level: 'Level',
+  // Weighted season scoring breakdown
+  points: 'Points',
+  points_word: 'pts',
+  breakdown_days: 'Active days: {days} → {points} pts',
+  breakdown_early: 'Early days: {days} → +{points} pts',
+  breakdown_night: 'Night days: {days} → +{points} pts',
+  breakdown_streak: 'Streak bonuses: {count} → +{points} pts',
+  breakdown_capped: 'Days over the weekly cap (not counted): {days}',
+  breakdown_total: 'Total: {points} pts',
+  // Hall of Fame (frozen season archives)
+  hall_of_fame: 'Hall of Fame',
+  hall_of_fame_empty: 'No seasons have been closed yet.',
+  back_to_main: '← Back to achievements',
+  podium: 'Podium',
+  records: 'Season records',
+  season_closed_on: 'closed {date}',
+  season_final: 'Final standings (season closed)',
+  // Lock health (battery levels and silent locks)
+  lock_health: 'Lock health',
+  lock_health_alerts: 'Alerts',
+  lock_health_no_alerts: 'All locks are fine.',
+  lock_health_settings: 'Low battery at {percent}% · silent after {hours} h · trend over {days} days',
+  lock_health_trend: 'Trend',
+  lock_health_per_day: '{value}%/day',
+  lock_health_projected: 'Reaches {percent}%',
+  lock_health_last_seen: 'Last entry',
+  lock_health_never: 'never',
+  lock_health_inactive: 'inactive',
+  alert_low_battery: '{lock}: battery at {level}%',
+  alert_battery_soon: '{lock}: battery at {level}%, expected to reach the low level by {date}',
+  alert_silent: '{lock}: no entries since {date}',
+  alert_silent_never: '{lock}: no entries yet',
   entries_by_lock: 'Entries by lock (selected {period})',
   all: 'All',
   today: 'today',
@@ -90,13 +123,35 @@ const en = {
   table_mac: 'MAC',
   table_type: 'Type',
   table_battery: 'Battery',
+  table_method: 'Method',
+  avg_session: 'Average visit',
+  time_this_month: 'Time spent this month',
+  longest_sessions: 'Longest visits',
+  session_open_end: 'exit not recorded, end estimated',
+  top_time_spent: 'Time spent',
+  sessions_count: '{count} visits',
+  occupancy_title: 'How busy is it now',
+  occupancy_now: 'About {count} inside now',
+  occupancy_typical: 'usually {count} at this hour',
+  occupancy_best: 'Best time to go: {day} {time} (≈{count})',
+  occupancy_best_none: 'No quiet hour expected soon',
+  occupancy_def: 'Estimated from taps in the last {minutes} minutes; typical occupancy is the average over the last {weeks} weeks.',
+  kind_filter: 'Method',
+  kind_app: 'App',
+  kind_passcode: 'Passcode',
+  kind_card: 'Card',
+  kind_fingerprint: 'Fingerprint',
+  kind_key: 'Key',
+  kind_remote: 'Remote',
+  kind_failed: 'Failed attempt',
+  kind_admin: 'Admin',
+  kind_lock: 'Locking',
+  kind_other: 'Other',
+  kind_unknown: 'Unknown',
   no_entries_found: 'No entries found.',
   language: 'Language',
   lang_lv: 'Latvian',
   lang_en: 'English',
-  // Lock names
-  lock_gym: 'Gym',
-  lock_dressing: 'Dressing room',
   charts: 'Analytics & charts',
   chart_entries_per_day: 'Entries per day',
   chart_entries_per_hour: 'Entries per hour',
@@ -105,6 +160,8 @@ const en = {
   chart_retention: 'Retention distribution (active days in range)',
   chart_streaks: 'Streak distribution (longest in range)',
   chart_cohort: 'Cohort: new vs returning by month',
+  chart_unlock_methods: 'Unlock methods',
+  unlock_methods_def: 'Entries by unlock method or event kind, including failed attempts. Only visit kinds count toward visits, streaks and leaderboards.',
   export_csv: 'Export CSV',
   export_png: 'Export PNG',
   // Explanations for charts
@@ -112,6 +169,125 @@ const en = {
   cohort_def: 'New = users whose first month equals this month (blue). Returning = users seen this month with a first month earlier (green).',
   cohort_new_label: 'New',
   cohort_returning_label: 'Returning',
+  compare_label: 'Compare with',
+  compare_none: 'No comparison',
+  compare_previous: 'Previous period',
+  compare_yoy: 'Same period last year',
+  compare_series_previous: 'previous',
+  compare_series_yoy: 'last year',
+  compare_previous_value: 'Comparison period: {value}',
+  compare_no_base: 'no data to compare',
+  rank_previous: 'Previously #{rank}',
+  rank_new: 'new',
+  rank_new_title: 'Not ranked in the comparison period',
+  chart_heatmap_entries: 'Entries by weekday and hour',
+  chart_heatmap_users: 'Distinct users by weekday and hour',
+  heatmap_def: 'Visit entries in the selected range by local weekday and hour.',
+  heatmap_users_def: 'Distinct users with a visit entry in that weekday and hour anywhere in the selected range.',
+  heatmap_less: 'Less',
+  heatmap_more: 'More',
+  heatmap_peak: 'Busiest: {day} {time} ({count})',
+  // Notification e-mails (lib/notifications.js)
+  notify_greeting: 'Hi {user},',
+  notify_footer: 'You receive these e-mails because notifications are enabled for your gym account.',
+  notify_badge_subject: 'New badge: {title}',
+  notify_badge_body: 'You earned the "{title}" badge. {description}',
+  notify_streak_subject: '{days}-day streak!',
+  notify_streak_body: 'You have visited {current} days in a row and passed the {days}-day mark. Keep it going!',
+  notify_rank_subject: '#{rank} in {season}',
+  notify_rank_up_body: 'You moved up from #{previousRank} to #{rank} in {season} with {points} points.',
+  notify_rank_down_body: 'You dropped from #{previousRank} to #{rank} in {season} ({points} points). There is still time to climb back.',
+  notify_rank_new_body: 'You entered the {season} standings at #{rank} with {points} points.',
+  notify_unsubscribe: 'Unsubscribe from these e-mails',
+  notify_preferences: 'Notification settings',
+  // Notification preferences and unsubscribe pages
+  category_badge: 'New badges',
+  category_streak: 'Streak milestones',
+  category_rank: 'Season rank changes',
+  category_digest: 'Weekly and monthly digests',
+  category_all: 'All notifications',
+  channel_email: 'E-mail',
+  prefs_title: 'Notification settings',
+  prefs_for: 'Settings for {user}',
+  prefs_email: 'E-mail address',
+  prefs_email_none: 'The address the gym has on file',
+  prefs_email_hint: 'Ask the gym to change it: this address is also the one you log in with.',
+  prefs_lang: 'Language',
+  prefs_lang_default: 'Default',
+  prefs_category: 'Notification',
+  prefs_save: 'Save',
+  prefs_saved: 'Your settings were saved.',
+  prefs_invalid_link: 'This link is not valid. Use the link from one of our e-mails.',
+  unsubscribe_title: 'Unsubscribe',
+  unsubscribe_confirm: 'Stop sending "{category}" e-mails to {user}?',
+  unsubscribe_button: 'Unsubscribe',
+  unsubscribe_done: 'Done. {user} will no longer get "{category}" e-mails.',
+  unsubscribe_manage: 'Change all notification settings',
+  // Member login (magic link)
+  login: 'Log in',
+  logout: 'Log out',
+  me: 'My profile',
+  login_title: 'Log in',
+  login_intro: 'Enter your username from the lock logs and your e-mail address. We will send you a login link; only the address on file for the username can log in.',
+  login_user: 'Username',
+  login_email: 'E-mail',
+  login_send: 'Send login link',
+  login_sent: 'If this address may log in as this user, a login link is on its way. Check your inbox.',
+  login_error_invalid: 'Enter a username and a valid e-mail address.',
+  login_error_limited: 'Too many login links were requested. Try again in a few minutes.',
+  login_error_off: 'Login is not available right now.',
+  login_error_failed: 'The login link could not be sent. Try again later.',
+  login_confirm: 'Log in as {user} ({email})?',
+  login_button: 'Log in',
+  login_invalid_link: 'This login link is invalid or has expired.',
+  login_again: 'Request a new link',
+  auth_link_subject: 'Your Ozols Club login link',
+  auth_link_body: 'Open this link within {minutes} minutes to log in as {user}:',
+  auth_link_ignore: 'If you did not ask for it, you can ignore this e-mail.',
+  // Privacy settings (lib/privacy.js)
+  privacy: 'Privacy',
+  privacy_title: 'Privacy settings',
+  privacy_leaderboard: 'On leaderboards',
+  privacy_leaderboard_show: 'Show my name',
+  privacy_leaderboard_anonymous: 'Show me as "anonymous member"',
+  privacy_leaderboard_hidden: 'Leave me off leaderboards',
+  privacy_private_profile: 'Private profile: only I can see my profile, season progress and entries filtered to me',
+  privacy_hide_times: 'Hide my entry times from others (only the day is shown)',
+  privacy_save: 'Save',
+  privacy_saved: 'Saved.',
+  privacy_login_required: 'Log in to change your privacy settings.',
+  anonymous_member: 'anonymous member',
+  time_hidden: 'time hidden',
+  profile_private: 'This profile is private.',
+  // Personal digests (lib/digest.js)
+  digest_subject_week: 'Your gym week: {from} – {to}',
+  digest_subject_month: 'Your gym month: {month}',
+  digest_intro_week: 'Here is how your week of {from} – {to} went.',
+  digest_intro_month: 'Here is how your {month} went.',
+  digest_visits: 'Visits: {count}',
+  digest_visits_prev_week: 'the week before: {count}',
+  digest_visits_prev_month: 'the month before: {count}',
+  digest_streak: 'Current streak: {current} days (longest: {longest})',
+  digest_season: '{season}: {points} points (+{gained} in this period).',
+  digest_rank_up: 'Rank #{rank}, up from #{previousRank}.',
+  digest_rank_down: 'Rank #{rank}, down from #{previousRank}.',
+  digest_rank_same: 'Rank #{rank}, unchanged.',
+  digest_rank_new: 'New in the standings at #{rank}.',
+  digest_rank_none: 'Not in the standings yet.',
+  digest_badges: 'New badges',
+  digest_trend_week: 'Visits per week, last {count} weeks',
+  digest_trend_month: 'Visits per month, last {count} months',
+  digest_period_week: 'Weekly',
+  digest_period_month: 'Monthly',
+  digest_preview: 'Digest preview',
+  digest_preview_user: 'Username',
+  digest_preview_period: 'Digest',
+  digest_preview_show: 'Preview',
+  digest_preview_hint: 'Enter your username to see your digest for the last complete week or month as it would be sent.',
+  digest_login_required: 'Log in to preview your digest.',
+  digest_preview_subject: 'Subject',
+  digest_preview_html: 'HTML e-mail',
+  digest_preview_text: 'Plain text',
   y_entries: 'entries',
   y_users: 'users',
   // Misc used in chart subtitles/legends
@@ -189,12 +365,45 @@ const lv = {
   ach_desc_night_owl: 'Apmeklējums pēc 22:00 vai vēlāk',
   ach_title_active_month: 'Aktīvs šomēnes',
   ach_desc_active_month: '5+ apmeklējumi pēdējās 30 dienās',
+  earned_on: 'iegūts {date}',
   season_progress: 'Sezonas progress — {season}',
   no_season_activity: 'Sezonā nav aktivitātes šim lietotājam.',
   points_distinct_days: 'Punkti (unikālās aktīvās dienas)',
   rank: 'Vieta',
   current_streak: 'Pašreizējā sērija',
   level: 'Līmenis',
+  // Weighted season scoring breakdown
+  points: 'Punkti',
+  points_word: 'p.',
+  breakdown_days: 'Aktīvās dienas: {days} → {points} p.',
+  breakdown_early: 'Agrās dienas: {days} → +{points} p.',
+  breakdown_night: 'Vēlās dienas: {days} → +{points} p.',
+  breakdown_streak: 'Sēriju bonusi: {count} → +{points} p.',
+  breakdown_capped: 'Dienas virs nedēļas limita (neskaitās): {days}',
+  breakdown_total: 'Kopā: {points} p.',
+  // Hall of Fame (frozen season archives)
+  hall_of_fame: 'Slavas zāle',
+  hall_of_fame_empty: 'Neviena sezona vēl nav noslēgta.',
+  back_to_main: '← Atpakaļ uz sasniegumiem',
+  podium: 'Pjedestāls',
+  records: 'Sezonas rekordi',
+  season_closed_on: 'noslēgta {date}',
+  season_final: 'Gala rezultāti (sezona noslēgta)',
+  // Atslēgu stāvoklis
+  lock_health: 'Atslēgu stāvoklis',
+  lock_health_alerts: 'Brīdinājumi',
+  lock_health_no_alerts: 'Visas atslēgas ir kārtībā.',
+  lock_health_settings: 'Zems uzlādes līmenis pie {percent}% · klusa pēc {hours} h · tendence par {days} dienām',
+  lock_health_trend: 'Tendence',
+  lock_health_per_day: '{value}%/dienā',
+  lock_health_projected: 'Sasniegs {percent}%',
+  lock_health_last_seen: 'Pēdējais ieraksts',
+  lock_health_never: 'nekad',
+  lock_health_inactive: 'neaktīva',
+  alert_low_battery: '{lock}: baterija {level}%',
+  alert_battery_soon: '{lock}: baterija {level}%, zemu līmeni sasniegs līdz {date}',
+  alert_silent: '{lock}: nav ierakstu kopš {date}',
+  alert_silent_never: '{lock}: vēl nav ierakstu',
   entries_by_lock: 'Ieraksti pēc atslēgas (izvēlētais periods)',
   all: 'Visas',
   today: 'šodien',
@@ -210,13 +419,35 @@ const lv = {
   table_mac: 'MAC',
   table_type: 'Tips',
   table_battery: 'Baterija',
+  table_method: 'Veids',
+  avg_session: 'Vidējais apmeklējums',
+  time_this_month: 'Pavadītais laiks šomēnes',
+  longest_sessions: 'Garākie apmeklējumi',
+  session_open_end: 'iziešana nav reģistrēta, beigas aplēstas',
+  top_time_spent: 'Pavadītais laiks',
+  sessions_count: 'apmeklējumi: {count}',
+  occupancy_title: 'Cik daudz cilvēku ir tagad',
+  occupancy_now: 'Šobrīd iekšā ap {count}',
+  occupancy_typical: 'parasti šajā stundā {count}',
+  occupancy_best: 'Labākais laiks doties: {day} {time} (≈{count})',
+  occupancy_best_none: 'Tuvākajā laikā klusa stunda nav gaidāma',
+  occupancy_def: 'Aplēsts pēc pēdējo {minutes} minūšu pieskārieniem; parastā noslodze ir vidējā pēdējo {weeks} nedēļu laikā.',
+  kind_filter: 'Veids',
+  kind_app: 'Lietotne',
+  kind_passcode: 'Kods',
+  kind_card: 'Karte',
+  kind_fingerprint: 'Pirkstu nospiedums',
+  kind_key: 'Atslēga',
+  kind_remote: 'Attālināti',
+  kind_failed: 'Neveiksmīgs mēģinājums',
+  kind_admin: 'Administrēšana',
+  kind_lock: 'Aizslēgšana',
+  kind_other: 'Cits',
+  kind_unknown: 'Nezināms',
   no_entries_found: 'Ieraksti nav atrasti.',
   language: 'Valoda',
   lang_lv: 'Latviešu',
   lang_en: 'Angļu',
-  // Lock names
-  lock_gym: 'Sporta zāle',
-  lock_dressing: 'Garderobe',
   charts: 'Analītika un grafiki',
   chart_entries_per_day: 'Ieraksti dienā',
   chart_entries_per_hour: 'Ieraksti pa stundām',
@@ -225,6 +456,8 @@ const lv = {
   chart_retention: 'Noturība (aktīvās dienas periodā)',
   chart_streaks: 'Sēriju sadalījums (garākā periodā)',
   chart_cohort: 'Kohortas: jauni vs. atgriezušies pēc mēneša',
+  chart_unlock_methods: 'Atvēršanas veidi',
+  unlock_methods_def: 'Ieraksti pēc atvēršanas veida vai notikuma, ieskaitot neveiksmīgus mēģinājumus. Apmeklējumos, sērijās un topos skaitās tikai apmeklējumu veidi.',
   export_csv: 'Eksportēt CSV',
   export_png: 'Eksportēt PNG',
   // Explanations for charts
@@ -232,6 +465,125 @@ const lv = {
   cohort_def: 'Jaunie = lietotāji, kuru pirmais mēnesis sakrīt ar šo (zils). Atgriezušies = lietotāji ar pirmo mēnesi agrāku (zaļš).',
   cohort_new_label: 'Jaunie',
   cohort_returning_label: 'Atgriezušies',
+  compare_label: 'Salīdzināt ar',
+  compare_none: 'Bez salīdzinājuma',
+  compare_previous: 'Iepriekšējo periodu',
+  compare_yoy: 'To pašu periodu pērn',
+  compare_series_previous: 'iepriekš',
+  compare_series_yoy: 'pērn',
+  compare_previous_value: 'Salīdzināmajā periodā: {value}',
+  compare_no_base: 'nav ar ko salīdzināt',
+  rank_previous: 'Iepriekš #{rank}',
+  rank_new: 'jauns',
+  rank_new_title: 'Salīdzināmajā periodā topā nebija',
+  chart_heatmap_entries: 'Ieraksti pa nedēļas dienām un stundām',
+  chart_heatmap_users: 'Unikālie lietotāji pa nedēļas dienām un stundām',
+  heatmap_def: 'Apmeklējumu ieraksti izvēlētajā periodā pēc vietējās nedēļas dienas un stundas.',
+  heatmap_users_def: 'Unikālie lietotāji ar apmeklējuma ierakstu šajā nedēļas dienā un stundā jebkurā izvēlētā perioda dienā.',
+  heatmap_less: 'Mazāk',
+  heatmap_more: 'Vairāk',
+  heatmap_peak: 'Noslogotākais: {day} {time} ({count})',
+  // Paziņojumu e-pasti (lib/notifications.js)
+  notify_greeting: 'Sveiki, {user}!',
+  notify_footer: 'Jūs saņemat šos e-pastus, jo jūsu sporta zāles kontam ir ieslēgti paziņojumi.',
+  notify_badge_subject: 'Jauna nozīmīte: {title}',
+  notify_badge_body: 'Jūs ieguvāt nozīmīti "{title}". {description}',
+  notify_streak_subject: '{days} dienu sērija!',
+  notify_streak_body: 'Jūs esat apmeklējis zāli {current} dienas pēc kārtas un sasniedzis {days} dienu robežu. Turpiniet tāpat!',
+  notify_rank_subject: '#{rank} sezonā {season}',
+  notify_rank_up_body: 'Jūs pakāpāties no #{previousRank} uz #{rank} sezonā {season} ar {points} punktiem.',
+  notify_rank_down_body: 'Jūs noslīdējāt no #{previousRank} uz #{rank} sezonā {season} ({points} punkti). Vēl ir laiks atgūt vietu.',
+  notify_rank_new_body: 'Jūs iekļuvāt sezonas {season} kopvērtējumā #{rank} vietā ar {points} punktiem.',
+  notify_unsubscribe: 'Atteikties no šiem e-pastiem',
+  notify_preferences: 'Paziņojumu iestatījumi',
+  // Paziņojumu iestatījumu un atteikšanās lapas
+  category_badge: 'Jaunas nozīmītes',
+  category_streak: 'Sērijas sasniegumi',
+  category_rank: 'Vietas maiņa sezonā',
+  category_digest: 'Nedēļas un mēneša pārskati',
+  category_all: 'Visi paziņojumi',
+  channel_email: 'E-pasts',
+  prefs_title: 'Paziņojumu iestatījumi',
+  prefs_for: 'Iestatījumi lietotājam {user}',
+  prefs_email: 'E-pasta adrese',
+  prefs_email_none: 'Sporta zālei zināmā adrese',
+  prefs_email_hint: 'Lai to mainītu, sazinieties ar sporta zāli: ar šo adresi jūs arī piesakāties.',
+  prefs_lang: 'Valoda',
+  prefs_lang_default: 'Noklusējuma',
+  prefs_category: 'Paziņojums',
+  prefs_save: 'Saglabāt',
+  prefs_saved: 'Iestatījumi saglabāti.',
+  prefs_invalid_link: 'Šī saite nav derīga. Izmantojiet saiti no kāda mūsu e-pasta.',
+  unsubscribe_title: 'Atteikšanās',
+  unsubscribe_confirm: 'Pārtraukt sūtīt "{category}" e-pastus lietotājam {user}?',
+  unsubscribe_button: 'Atteikties',
+  unsubscribe_done: 'Gatavs. Lietotājs {user} vairs nesaņems "{category}" e-pastus.',
+  unsubscribe_manage: 'Mainīt visus paziņojumu iestatījumus',
+  // Dalībnieka pieteikšanās (saite e-pastā)
+  login: 'Pieteikties',
+  logout: 'Atteikties',
+  me: 'Mans profils',
+  login_title: 'Pieteikšanās',
+  login_intro: 'Ievadiet savu lietotājvārdu no slēdžu žurnāla un e-pasta adresi. Mēs nosūtīsim pieteikšanās saiti; pieteikties var tikai ar lietotājvārdam reģistrēto adresi.',
+  login_user: 'Lietotājvārds',
+  login_email: 'E-pasts',
+  login_send: 'Sūtīt pieteikšanās saiti',
+  login_sent: 'Ja šī adrese drīkst pieteikties kā šis lietotājs, pieteikšanās saite ir nosūtīta. Pārbaudiet pastkastīti.',
+  login_error_invalid: 'Ievadiet lietotājvārdu un derīgu e-pasta adresi.',
+  login_error_limited: 'Pieprasīts pārāk daudz saišu. Mēģiniet vēlreiz pēc dažām minūtēm.',
+  login_error_off: 'Pieteikšanās pašlaik nav pieejama.',
+  login_error_failed: 'Neizdevās nosūtīt pieteikšanās saiti. Mēģiniet vēlāk.',
+  login_confirm: 'Pieteikties kā {user} ({email})?',
+  login_button: 'Pieteikties',
+  login_invalid_link: 'Šī pieteikšanās saite nav derīga vai ir beigusies.',
+  login_again: 'Pieprasīt jaunu saiti',
+  auth_link_subject: 'Jūsu Ozols Club pieteikšanās saite',
+  auth_link_body: 'Atveriet šo saiti {minutes} minūšu laikā, lai pieteiktos kā {user}:',
+  auth_link_ignore: 'Ja to nepieprasījāt, šo e-pastu varat ignorēt.',
+  // Privātuma iestatījumi (lib/privacy.js)
+  privacy: 'Privātums',
+  privacy_title: 'Privātuma iestatījumi',
+  privacy_leaderboard: 'Līderu tabulās',
+  privacy_leaderboard_show: 'Rādīt manu vārdu',
+  privacy_leaderboard_anonymous: 'Slēpt manu vārdu (rādīt "vārds slēpts")',
+  privacy_leaderboard_hidden: 'Nerādīt mani līderu tabulās',
+  privacy_private_profile: 'Privāts profils: manu profilu, sezonas progresu un manus ierakstus redzu tikai es',
+  privacy_hide_times: 'Slēpt manu ierakstu laiku no citiem (redzama tikai diena)',
+  privacy_save: 'Saglabāt',
+  privacy_saved: 'Saglabāts.',
+  privacy_login_required: 'Piesakieties, lai mainītu privātuma iestatījumus.',
+  anonymous_member: 'vārds slēpts',
+  time_hidden: 'laiks slēpts',
+  profile_private: 'Šis profils ir privāts.',
+  // Personālie pārskati (lib/digest.js)
+  digest_subject_week: 'Jūsu nedēļa zālē: {from} – {to}',
+  digest_subject_month: 'Jūsu mēnesis zālē: {month}',
+  digest_intro_week: 'Lūk, kā jums gāja nedēļā {from} – {to}.',
+  digest_intro_month: 'Lūk, kā jums gāja mēnesī: {month}.',
+  digest_visits: 'Apmeklējumi: {count}',
+  digest_visits_prev_week: 'iepriekšējā nedēļā: {count}',
+  digest_visits_prev_month: 'iepriekšējā mēnesī: {count}',
+  digest_streak: 'Pašreizējā sērija: {current} dienas (garākā: {longest})',
+  digest_season: '{season}: {points} punkti (+{gained} šajā periodā).',
+  digest_rank_up: 'Vieta #{rank}, pakāpāties no #{previousRank}.',
+  digest_rank_down: 'Vieta #{rank}, noslīdējāt no #{previousRank}.',
+  digest_rank_same: 'Vieta #{rank}, bez izmaiņām.',
+  digest_rank_new: 'Jauns kopvērtējumā: #{rank} vieta.',
+  digest_rank_none: 'Kopvērtējumā vēl neesat.',
+  digest_badges: 'Jaunas nozīmītes',
+  digest_trend_week: 'Apmeklējumi nedēļā, pēdējās {count} nedēļas',
+  digest_trend_month: 'Apmeklējumi mēnesī, pēdējie {count} mēneši',
+  digest_period_week: 'Nedēļas',
+  digest_period_month: 'Mēneša',
+  digest_preview: 'Pārskata priekšskatījums',
+  digest_preview_user: 'Lietotājvārds',
+  digest_preview_period: 'Pārskats',
+  digest_preview_show: 'Priekšskatīt',
+  digest_preview_hint: 'Ievadiet savu lietotājvārdu, lai redzētu savu pārskatu par pēdējo pilno nedēļu vai mēnesi tādu, kāds tas tiktu nosūtīts.',
+  digest_login_required: 'Piesakieties, lai apskatītu savu pārskatu.',
+  digest_preview_subject: 'Temats',
+  digest_preview_html: 'HTML e-pasts',
+  digest_preview_text: 'Vienkāršs teksts',
   y_entries: 'ieraksti',
   y_users: 'lietotāji',
   // Misc used in chart subtitles/legends
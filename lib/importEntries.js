@@ -0,0 +1,253 @@
+// lib/importEntries.js
+// Bulk import of historical lock logs (vendor CSV/JSON exports): parsing, column mapping onto Entry
+// fields, timestamp normalisation in a time zone, a dry-run summary and chunked, deduplicated inserts.
+// Used by scripts/import-entries.mjs and POST /api/entries/import.
+import { normalizeEntryEvent, naturalKey, upsertEntries } from './ingest.js';
+import { zonedWallTime, localDayKey } from './timezone.js';
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+export const ENTRY_COLUMNS = ['username', 'lockId', 'lockMac', 'entryTime', 'recordType', 'electricQuantity'];
+
+// Column names seen in vendor exports per Entry field, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  username: ['username', 'user', 'name', 'person', 'member'],
+  lockId: ['lockid', 'lock', 'lockno', 'door'],
+  lockMac: ['lockmac', 'mac'],
+  entryTime: ['entrytime', 'lockdate', 'datetime', 'timestamp', 'opentime', 'unlocktime', 'date', 'time'],
+  recordType: ['recordtype', 'unlocktype', 'type'],
+  electricQuantity: ['electricquantity', 'battery', 'batterylevel'],
+};
+
+const squash = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Parse CSV text (RFC 4180 quoting, "," or ";" delimiter, optional BOM) into objects keyed by the header
+// row -> [{ line, record }] where line is the 1-based line the record starts on
+export function parseCsv(text) {
+  const src = String(text).replace(/^﻿/, '');
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let field = '', row = [], quoted = false, line = 1, rowLine = 1;
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push({ line: rowLine, cells: row });
+    field = ''; row = [];
+  };
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else field += c;
+  }
+  if (field !== '' || row.length) endRow();
+  const [header, ...body] = rows;
+  if (!header) return [];
+  const names = header.cells.map(h => h.trim());
+  return body.map(({ line: l, cells }) => ({
+    line: l,
+    record: Object.fromEntries(names.map((n, i) => [n, cells[i] === undefined ? '' : cells[i].trim()])),
+  }));
+}
+
+// Parse a JSON export: an array of records, or an object wrapping one (records/entries/list/data)
+export function parseJsonRecords(text) {
+  const data = JSON.parse(String(text).replace(/^﻿/, ''));
+  const list = Array.isArray(data) ? data : ['records', 'entries', 'list', 'data'].map(k => data?.[k]).find(Array.isArray);
+  if (!list) throw new Error('JSON must be an array of records or { records: [...] }');
+  return list.map((record, i) => ({ line: i + 1, record }));
+}
+
+// Format from an explicit value, else the file name, else the content
+export function detectFormat(text, { format, fileName } = {}) {
+  if (format) return String(format).toLowerCase();
+  const ext = /\.([a-z]+)$/i.exec(fileName || '')?.[1]?.toLowerCase();
+  if (IMPORT_FORMATS.includes(ext)) return ext;
+  return /^\s*[[{]/.test(String(text).replace(/^﻿/, '')) ? 'json' : 'csv';
+}
+
+// Parse "field:Column,field:Column" (the --map option) into { field: column }
+export function parseMapping(spec) {
+  const out = {};
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const i = part.indexOf(':');
+    const field = part.slice(0, i).trim();
+    if (i <= 0 || !ENTRY_COLUMNS.includes(field)) throw new Error(`Invalid mapping "${part}"; fields: ${ENTRY_COLUMNS.join(', ')}`);
+    out[field] = part.slice(i + 1).trim();
+  }
+  return out;
+}
+
+// Which source column feeds each Entry field -> { username: 'User', entryTime: 'Date', ... }
+// Explicit mappings win; other fields use the first column matching one of their aliases.
+export function resolveColumns(columns = [], mapping = {}) {
+  const out = { ...mapping };
+  const taken = new Set(Object.values(out));
+  for (const field of ENTRY_COLUMNS) {
+    if (out[field]) continue;
+    for (const alias of COLUMN_ALIASES[field]) {
+      const col = columns.find(c => !taken.has(c) && squash(c) === alias);
+      if (col) {
+        out[field] = col;
+        taken.add(col);
+        break;
+      }
+    }
+  }
+  // Exports with separate date and time columns
+  const timeCol = columns.find(c => !taken.has(c) && squash(c) === 'time');
+  if (out.entryTime && squash(out.entryTime) === 'date' && timeCol) out.entryTimeOfDay = timeCol;
+  return out;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Instant of a vendor timestamp. Epoch seconds/milliseconds and values with a UTC offset are absolute;
+// local wall times (YYYY-MM-DD HH:mm[:ss], YYYY/MM/DD ..., DD.MM.YYYY ...) are read in `timeZone`.
+export function parseTimestamp(raw, timeZone) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw === 'number') return new Date(raw < 1e11 ? raw * 1000 : raw);
+  const s = String(raw).trim();
+  if (/^\d{10}$/.test(s)) return new Date(Number(s) * 1000);
+  if (/^\d{13}$/.test(s)) return new Date(Number(s));
+  if (/\d[T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})$/i.test(s)) {
+    const d = new Date(s.replace(' ', 'T'));
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  let m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(s);
+  let y, mo, d, h, mi, sec;
+  if (m) [, y, mo, d, h = '0', mi = '0', sec = '0'] = m;
+  else {
+    m = /^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(s);
+    if (!m) return null;
+    [, d, mo, y, h = '0', mi = '0', sec = '0'] = m;
+  }
+  const dayKey = `${y}-${pad(mo)}-${pad(d)}`;
+  // Reject impossible dates such as 2025-02-30
+  if (new Date(`${dayKey}T00:00:00Z`).toISOString().slice(0, 10) !== dayKey || Number(h) > 23 || Number(mi) > 59 || Number(sec) > 59) return null;
+  return zonedWallTime(dayKey, `${pad(h)}:${pad(mi)}:${pad(sec)}`, timeZone);
+}
+
+const blank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+const toNumber = (v) => (typeof v === 'string' && /^-?\d+(\.\d+)?$/.test(v.trim()) ? Number(v) : v);
+
+// Map and validate parsed records -> [{ line, value } | { line, errors }]. Locks must be registered;
+// `defaultLockId` fills rows of single-lock exports that have no lock column.
+export function prepareImport(records = [], { locks = [], timeZone = 'UTC', mapping = {}, defaultLockId = '', now = new Date() } = {}) {
+  const columns = Array.from(new Set(records.flatMap(r => Object.keys(r.record || {}))));
+  const cols = resolveColumns(columns, mapping);
+  const byId = new Map(locks.map(l => [String(l.lockId), l]));
+  const rows = records.map(({ line, record }) => {
+    const pick = (field) => (cols[field] ? record?.[cols[field]] : undefined);
+    const event = {};
+    for (const field of ENTRY_COLUMNS) {
+      const v = pick(field);
+      if (!blank(v)) event[field] = field === 'recordType' || field === 'electricQuantity' ? toNumber(v) : v;
+    }
+    if (typeof event.username === 'number') event.username = String(event.username);
+    if (blank(event.lockId) && defaultLockId) event.lockId = defaultLockId;
+    const errors = [];
+    const rawTime = cols.entryTimeOfDay ? `${pick('entryTime') ?? ''} ${pick('entryTimeOfDay') ?? ''}`.trim() : pick('entryTime');
+    const at = parseTimestamp(rawTime, timeZone);
+    if (!at || Number.isNaN(at.getTime())) errors.push(blank(rawTime) ? 'entryTime is missing' : `entryTime "${rawTime}" is not a recognised timestamp`);
+    else event.entryTime = at.getTime();
+    const lock = byId.get(String(event.lockId ?? ''));
+    if (!blank(event.lockId) && !lock) errors.push(`lockId ${event.lockId} is not registered`);
+    if (errors.length) return { line, errors };
+    const { value, errors: invalid } = normalizeEntryEvent(event, lock, { now });
+    return invalid.length ? { line, errors: invalid } : { line, value };
+  });
+  return { rows, columns: cols };
+}
+
+const keyString = (v) => `${v.lockId}|${v.username}|${v.entryTime.getTime()}|${v.recordType ?? ''}`;
+
+// Dry-run summary of prepared rows: counts, duplicates (within the file and already stored), users not
+// seen before, the covered date span and the first `maxRejected` rejected lines with their errors
+export async function summarizeImport({ Entry, rows = [], timeZone = 'UTC', chunkSize = 500, maxRejected = 20 }) {
+  const valid = rows.filter(r => r.value);
+  const rejected = rows.filter(r => r.errors);
+  const seen = new Set();
+  const unique = [];
+  for (const r of valid) {
+    const k = keyString(r.value);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    unique.push(r.value);
+  }
+  const stored = new Set();
+  for (let i = 0; i < unique.length; i += chunkSize) {
+    const chunk = unique.slice(i, i + chunkSize);
+    const found = await Entry.find({ $or: chunk.map(naturalKey) }, { lockId: 1, username: 1, entryTime: 1, recordType: 1 }).lean();
+    for (const f of found) stored.add(keyString({ ...f, entryTime: new Date(f.entryTime) }));
+  }
+  const users = Array.from(new Set(valid.map(r => r.value.username))).sort();
+  const known = new Set(users.length ? await Entry.distinct('username', { username: { $in: users } }) : []);
+  const newUsers = users.filter(u => !known.has(u));
+  let from = null, to = null;
+  for (const { value } of valid) {
+    if (!from || value.entryTime < from) from = value.entryTime;
+    if (!to || value.entryTime > to) to = value.entryTime;
+  }
+  const existing = unique.filter(v => stored.has(keyString(v))).length;
+  return {
+    rows: rows.length,
+    valid: valid.length,
+    rejected: rejected.length,
+    duplicates: { inFile: valid.length - unique.length, existing },
+    toInsert: unique.length - existing,
+    users: users.length,
+    newUsers,
+    span: { from, to, firstDay: from ? localDayKey(from, timeZone) : null, lastDay: to ? localDayKey(to, timeZone) : null, timeZone },
+    rejectedLines: rejected.slice(0, maxRejected).map(({ line, errors }) => ({ line, errors })),
+  };
+}
+
+// Insert the valid rows in chunks; anything already stored is skipped -> { created, duplicates }
+export async function commitImport({ Entry, rows = [], chunkSize = 500, log }) {
+  const values = rows.filter(r => r.value).map(r => r.value);
+  let created = 0, duplicates = 0;
+  for (let i = 0; i < values.length; i += chunkSize) {
+    const results = await upsertEntries(Entry, values.slice(i, i + chunkSize));
+    const n = results.filter(r => r.status === 'created').length;
+    created += n;
+    duplicates += results.length - n;
+    log?.info('import_progress', { done: Math.min(values.length, i + chunkSize), total: values.length, created, duplicates });
+  }
+  return { created, duplicates };
+}
+
+// Parse, map and validate one file's text -> { format, columns, rows }
+export function readImportFile(text, { format, fileName, ...options } = {}) {
+  const fmt = detectFormat(text, { format, fileName });
+  if (!IMPORT_FORMATS.includes(fmt)) throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  const records = fmt === 'json' ? parseJsonRecords(text) : parseCsv(text);
+  const { rows, columns } = prepareImport(records, options);
+  return { format: fmt, columns, rows };
+}
+
+export default {
+  IMPORT_FORMATS,
+  ENTRY_COLUMNS,
+  parseCsv,
+  parseJsonRecords,
+  detectFormat,
+  parseMapping,
+  resolveColumns,
+  parseTimestamp,
+  prepareImport,
+  summarizeImport,
+  commitImport,
+  readImportFile,
+};
@@ -0,0 +1,161 @@
+// lib/ingest.js
+// Entry ingestion for lock gateways: per-lock API keys, validation of incoming events against the
+// Entry fields, and idempotent inserts keyed on each event's natural key.
+import { createHash, randomBytes } from 'crypto';
+import { MAC_RE } from './locks.js';
+
+export const MAX_BATCH = 500;
+// Gateways' clocks drift a little; events further in the future are rejected
+export const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const ENTRY_FIELDS = ['username', 'lockId', 'lockMac', 'entryTime', 'recordType', 'electricQuantity'];
+
+// Keys are only shown once, when issued; the Lock document stores their SHA-256
+export const hashApiKey = (key) => createHash('sha256').update(String(key)).digest('hex');
+export const generateApiKey = () => `lk_${randomBytes(24).toString('base64url')}`;
+
+// API key from "Authorization: Bearer <key>" or "X-Api-Key: <key>", or null
+export function apiKeyFromRequest(request) {
+  const m = /^Bearer\s+(.+)$/i.exec(request.headers.get('authorization') || '');
+  const key = (m ? m[1] : request.headers.get('x-api-key') || '').trim();
+  return key || null;
+}
+
+// Validate one event for `lock` (the lock its API key belongs to).
+// Returns { value, errors } where value has the Entry fields with their stored types.
+export function normalizeEntryEvent(input, lock, { now = new Date() } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { value: null, errors: ['event must be an object'] };
+  const errors = [];
+  const unknown = Object.keys(input).filter(k => !ENTRY_FIELDS.includes(k));
+  if (unknown.length) errors.push(`unknown fields: ${unknown.join(', ')}`);
+
+  const username = typeof input.username === 'string' ? input.username.trim() : '';
+  if (!username || username.length > 100) errors.push('username must be a 1-100 character string');
+
+  const lockId = input.lockId === undefined || input.lockId === null ? '' : String(input.lockId).trim();
+  if (!lockId) errors.push('lockId is required');
+  else if (lock && lockId !== String(lock.lockId)) errors.push(`lockId ${lockId} does not match the API key`);
+
+  // Missing MACs are filled in from the registry
+  let lockMac = lock?.mac ? String(lock.mac).toUpperCase() : null;
+  if (input.lockMac !== undefined && input.lockMac !== null && input.lockMac !== '') {
+    lockMac = String(input.lockMac).trim().toUpperCase();
+    if (!MAC_RE.test(lockMac)) errors.push('lockMac must look like AA:BB:CC:DD:EE:FF');
+    else if (lock?.mac && lockMac !== String(lock.mac).toUpperCase()) errors.push('lockMac does not match the registered lock');
+  }
+
+  // ISO strings or epoch milliseconds (what TTLock gateways report)
+  const raw = input.entryTime;
+  const entryTime = typeof raw === 'number' || (typeof raw === 'string' && raw.trim()) ? new Date(raw) : null;
+  if (!entryTime || Number.isNaN(entryTime.getTime())) errors.push('entryTime must be an ISO date or epoch milliseconds');
+  else if (entryTime.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) errors.push('entryTime is in the future');
+
+  let recordType = null;
+  if (input.recordType !== undefined && input.recordType !== null) {
+    recordType = input.recordType;
+    if (!Number.isInteger(recordType) || recordType < 0) errors.push('recordType must be a non-negative integer');
+  }
+  let electricQuantity = null;
+  if (input.electricQuantity !== undefined && input.electricQuantity !== null) {
+    electricQuantity = input.electricQuantity;
+    if (typeof electricQuantity !== 'number' || !(electricQuantity >= 0 && electricQuantity <= 100)) errors.push('electricQuantity must be a number from 0 to 100');
+  }
+
+  if (errors.length) return { value: null, errors };
+  return { value: { username, lockId, lockMac, entryTime, recordType, electricQuantity }, errors };
+}
+
+// Natural key of an event: the same lock, user, instant and record type is the same event
+export const naturalKey = (e) => ({ lockId: e.lockId, username: e.username, entryTime: e.entryTime, recordType: e.recordType });
+
+const DUPLICATE_KEY = 11000;
+
+// Insert validated events unless their natural key is already stored. An upsert that loses a race with
+// a concurrent ingest of the same event fails on the unique natural-key index (E11000); it is a duplicate
+// too. Unordered, so one such failure does not stop the rest of the list.
+// -> [{ status: 'created', id } | { status: 'duplicate' }]
+export async function upsertEntries(Entry, values = []) {
+  if (!values.length) return [];
+  let upserted;
+  try {
+    const res = await Entry.bulkWrite(values.map((value) => {
+      const { lockMac, electricQuantity } = value;
+      return {
+        updateOne: {
+          filter: naturalKey(value),
+          update: { $setOnInsert: { lockMac, electricQuantity } },
+          upsert: true,
+        },
+      };
+    }), { ordered: false });
+    upserted = res?.upsertedIds || {};
+  } catch (error) {
+    const writeErrors = error?.writeErrors || [];
+    if (!writeErrors.length || writeErrors.some(e => e.code !== DUPLICATE_KEY)) throw error;
+    upserted = error.result?.upsertedIds || {};
+  }
+  return values.map((_, i) => (upserted[i] !== undefined ? { status: 'created', id: String(upserted[i]) } : { status: 'duplicate' }));
+}
+
+// Delete every copy of an event but the first stored one (lowest _id), so the unique natural-key index
+// can be built over data ingested before it existed. Missing fields count as null, as in the index.
+// -> { events: natural keys with copies, removed }
+export async function removeDuplicateEntries({ Entry, dryRun = false, chunkSize = 1000, log }) {
+  const groups = await Entry.aggregate([
+    { $sort: { _id: 1 } },
+    {
+      $group: {
+        _id: {
+          lockId: { $ifNull: ['$lockId', null] },
+          entryTime: { $ifNull: ['$entryTime', null] },
+          username: { $ifNull: ['$username', null] },
+          recordType: { $ifNull: ['$recordType', null] },
+        },
+        ids: { $push: '$_id' },
+      },
+    },
+    { $match: { 'ids.1': { $exists: true } } },
+  ]).allowDiskUse(true);
+  const extra = groups.flatMap(g => g.ids.slice(1));
+  if (!dryRun) {
+    for (let i = 0; i < extra.length; i += chunkSize) {
+      await Entry.deleteMany({ _id: { $in: extra.slice(i, i + chunkSize) } });
+    }
+  }
+  log?.info('entries_deduplicated', { events: groups.length, removed: extra.length, dryRun });
+  return { events: groups.length, removed: extra.length };
+}
+
+// Validate and insert a batch of events for `lock`. Events already stored (or repeated within the
+// batch) are reported as duplicates rather than inserted again.
+// -> { summary: { received, created, duplicates, rejected }, items: [{ index, status, id?, errors? }] }
+export async function ingestEntries({ Entry, lock, events = [], now = new Date() }) {
+  const items = events.map((e, index) => {
+    const { value, errors } = normalizeEntryEvent(e, lock, { now });
+    return errors.length ? { index, status: 'rejected', errors } : { index, status: 'pending', value };
+  });
+  const valid = items.filter(i => i.status === 'pending');
+  const results = await upsertEntries(Entry, valid.map(i => i.value));
+  valid.forEach((item, i) => {
+    delete item.value;
+    Object.assign(item, results[i]);
+  });
+  const count = (status) => items.filter(i => i.status === status).length;
+  return {
+    summary: { received: items.length, created: count('created'), duplicates: count('duplicate'), rejected: count('rejected') },
+    items,
+  };
+}
+
+export default {
+  MAX_BATCH,
+  MAX_CLOCK_SKEW_MS,
+  hashApiKey,
+  generateApiKey,
+  apiKeyFromRequest,
+  normalizeEntryEvent,
+  naturalKey,
+  upsertEntries,
+  removeDuplicateEntries,
+  ingestEntries,
+};
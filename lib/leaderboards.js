@@ -0,0 +1,140 @@
+// lib/leaderboards.js
+// Aggregation stage builders for the user-centric leaderboards.
+// Shared by GET /api (monthly, season and global facets) and season archiving so that
+// frozen snapshots are computed exactly like the live views. The rollup* variants read the
+// UserDay collection instead of raw entries (used for the lifetime views).
+//
+// `lockIds` selects the locks whose entries count (normally the registry's visit locks, see
+// lib/locks.js); an empty or missing list counts every lock.
+import { entryStreakStages, rollupStreakStages } from './streaks.js';
+
+const dayString = (timeZone) => ({ $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } });
+const lockMatch = (lockIds) => (lockIds?.length ? [{ $match: { lockId: { $in: lockIds } } }] : []);
+const ranked = (limit) => [{ $sort: { count: -1, _id: 1 } }, ...(limit ? [{ $limit: limit }] : [])];
+
+// Users ranked by number of distinct active days -> { _id: user, count }
+export function topDistinctDaysStages({ timeZone, lockIds, limit } = {}) {
+  return [
+    ...lockMatch(lockIds),
+    { $project: { username: 1, day: dayString(timeZone) } },
+    { $group: { _id: { u: '$username', d: '$day' } } },
+    { $group: { _id: '$_id.u', count: { $sum: 1 } } },
+    ...ranked(limit),
+  ];
+}
+
+// Early birds by number of days where the FIRST entry was before `beforeHour` -> { _id: user, count }
+export function topEarlyBirdsStages({ timeZone, lockIds, limit, beforeHour = 8 } = {}) {
+  return [
+    ...lockMatch(lockIds),
+    { $addFields: { day: dayString(timeZone) } },
+    { $sort: { entryTime: 1, _id: 1 } },
+    { $group: { _id: { u: '$username', d: '$day' }, firstTime: { $first: '$entryTime' } } },
+    { $project: { u: '$_id.u', hour: { $hour: { date: '$firstTime', timezone: timeZone } } } },
+    { $match: { hour: { $lt: beforeHour } } },
+    { $group: { _id: '$u', count: { $sum: 1 } } },
+    ...ranked(limit),
+  ];
+}
+
+// Night owls by number of days with an entry at/after `fromHour`; each day counts once
+// based on the first such entry -> { _id: user, count }
+export function topNightOwlsStages({ timeZone, lockIds, limit, fromHour = 22 } = {}) {
+  return [
+    ...lockMatch(lockIds),
+    { $addFields: {
+      day: dayString(timeZone),
+      hour: { $hour: { date: '$entryTime', timezone: timeZone } },
+    } },
+    { $match: { hour: { $gte: fromHour } } },
+    { $sort: { entryTime: 1, _id: 1 } },
+    { $group: { _id: { u: '$username', d: '$day' }, firstAfter22: { $first: '$entryTime' } } },
+    { $group: { _id: '$_id.u', count: { $sum: 1 } } },
+    ...ranked(limit),
+  ];
+}
+
+// Longest consecutive active-day streak per user -> { _id: user, count, finalRun, ... } (see lib/streaks.js)
+// finalRun is the length of the user's last run of consecutive days in the matched window;
+// current is that run only while it reaches `today` (or yesterday).
+export function longestStreakStages({ timeZone, lockIds, limit, today } = {}) {
+  return [
+    ...lockMatch(lockIds),
+    ...entryStreakStages({ timeZone, today }),
+    ...ranked(limit),
+  ];
+}
+
+// ----- Builders over the UserDay rollup (see lib/userDays.js) -----
+// Same outputs as the Entry-based builders above. With lockIds, each user-day keeps only those locks'
+// sub-summaries (locks[]) and its timing fields are recomputed from them, so they keep their per-lock
+// meaning and a day on two visit locks still counts once.
+export function rollupLockView(lockIds) {
+  if (!lockIds?.length) return [];
+  return [
+    { $match: { 'locks.lockId': { $in: lockIds } } },
+    { $set: { locks: { $filter: { input: '$locks', cond: { $in: ['$$this.lockId', lockIds] } } } } },
+    { $set: {
+      firstEntry: { $min: '$locks.firstEntry' },
+      lastEntry: { $max: '$locks.lastEntry' },
+      // $min ignores the nulls of locks without a late entry
+      firstAfter22: { $min: '$locks.firstAfter22' },
+      entryCount: { $sum: '$locks.entryCount' },
+    } },
+  ];
+}
+
+export function rollupTopDistinctDaysStages({ lockIds, limit } = {}) {
+  return [
+    ...rollupLockView(lockIds),
+    // One rollup document per user and day
+    { $group: { _id: '$user', count: { $sum: 1 } } },
+    ...ranked(limit),
+  ];
+}
+
+export function rollupTopEarlyBirdsStages({ timeZone, lockIds, limit, beforeHour = 8 } = {}) {
+  return [
+    ...rollupLockView(lockIds),
+    { $project: { user: 1, hour: { $hour: { date: '$firstEntry', timezone: timeZone } } } },
+    { $match: { hour: { $lt: beforeHour } } },
+    { $group: { _id: '$user', count: { $sum: 1 } } },
+    ...ranked(limit),
+  ];
+}
+
+// The rollup keeps the first entry at/after 22:00 per day (firstAfter22)
+export function rollupTopNightOwlsStages({ lockIds, limit } = {}) {
+  return [
+    ...rollupLockView(lockIds),
+    { $match: { firstAfter22: { $ne: null } } },
+    { $group: { _id: '$user', count: { $sum: 1 } } },
+    ...ranked(limit),
+  ];
+}
+
+export function rollupLongestStreakStages({ lockIds, limit, today } = {}) {
+  return [
+    ...rollupLockView(lockIds),
+    ...rollupStreakStages({ today }),
+    ...ranked(limit),
+  ];
+}
+
+// Map facet rows ({ _id, count }) to the API leaderboard shape ({ id, count })
+export function toLeaderboardRows(rows) {
+  return (rows || []).map(x => ({ id: x._id, count: x.count }));
+}
+
+export default {
+  topDistinctDaysStages,
+  topEarlyBirdsStages,
+  topNightOwlsStages,
+  longestStreakStages,
+  rollupLockView,
+  rollupTopDistinctDaysStages,
+  rollupTopEarlyBirdsStages,
+  rollupTopNightOwlsStages,
+  rollupLongestStreakStages,
+  toLeaderboardRows,
+};
@@ -0,0 +1,214 @@
+// lib/lockHealth.js
+// Lock health from the battery level (Entry.electricQuantity) reported with each entry: the latest
+// level per lock, its discharge trend, the projected day it drops to the low-battery threshold, and
+// alerts for locks that are low, about to be, or have gone silent.
+import { localDayKey } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_LOCK_HEALTH = {
+  // Battery level (%) at or below which a lock is low
+  lowBatteryPercent: 20,
+  // A lock without any entry for this many hours is silent
+  silentHours: 48,
+  // Days of readings the discharge trend is fitted on
+  trendDays: 60,
+  // Warn this many days before the projected low-battery day
+  warnDays: 14,
+};
+
+const LIMITS = {
+  lowBatteryPercent: [1, 99],
+  silentHours: [1, 24 * 90],
+  trendDays: [7, 365],
+  warnDays: [1, 180],
+};
+const ENV_KEYS = {
+  lowBatteryPercent: 'LOCK_LOW_BATTERY',
+  silentHours: 'LOCK_SILENT_HOURS',
+};
+
+// A jump up by this many points means the battery was replaced; the trend starts over from there
+const REPLACEMENT_JUMP = 20;
+
+const toInt = (v) => (typeof v === 'number' ? v : /^\s*\d+\s*$/.test(String(v ?? '')) ? parseInt(v, 10) : NaN);
+
+// Validate settings (numbers or numeric strings, e.g. query parameters) over `base` -> { value, errors }
+export function normalizeLockHealthSettings(input = {}, base = DEFAULT_LOCK_HEALTH) {
+  const value = { ...base };
+  const errors = [];
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const raw = input?.[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const n = toInt(raw);
+    if (!Number.isInteger(n) || n < min || n > max) errors.push(`${key} must be an integer from ${min} to ${max}`);
+    else value[key] = n;
+  }
+  return { value, errors };
+}
+
+// Instance settings: LOCK_LOW_BATTERY and LOCK_SILENT_HOURS over the defaults; invalid values are ignored and reported
+export function lockHealthSettings(env = process.env) {
+  const input = Object.fromEntries(Object.entries(ENV_KEYS).map(([key, name]) => [key, env[name]]));
+  const { value, errors } = normalizeLockHealthSettings(input);
+  return { value, errors: errors.map(e => e.replace(/^(\w+)/, (k) => ENV_KEYS[k] || k)) };
+}
+
+// Last battery reading of each lock per local day since `since` -> [{ _id: { lockId, day }, level, at }]
+export function batteryReadingsPipeline({ since, timeZone = 'UTC' }) {
+  return [
+    { $match: { entryTime: { $gte: since }, electricQuantity: { $type: 'number' } } },
+    { $sort: { entryTime: 1, _id: 1 } },
+    {
+      $group: {
+        _id: { lockId: '$lockId', day: { $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } } },
+        level: { $last: '$electricQuantity' },
+        at: { $last: '$entryTime' },
+      },
+    },
+    { $sort: { '_id.lockId': 1, '_id.day': 1 } },
+  ];
+}
+
+// Latest entry of each lock -> [{ _id: lockId, lastSeenAt }]
+export function lastSeenPipeline() {
+  return [{ $group: { _id: '$lockId', lastSeenAt: { $max: '$entryTime' } } }];
+}
+
+// Latest battery reading of each lock -> [{ _id: lockId, level, at }]
+export function latestBatteryPipeline() {
+  return [
+    { $match: { electricQuantity: { $type: 'number' } } },
+    { $sort: { entryTime: -1, _id: -1 } },
+    { $group: { _id: '$lockId', level: { $first: '$electricQuantity' }, at: { $first: '$entryTime' } } },
+  ];
+}
+
+// Readings since the battery was last replaced (a jump of REPLACEMENT_JUMP points or more)
+export function sinceReplacement(readings = []) {
+  let start = 0;
+  for (let i = 1; i < readings.length; i++) {
+    if (readings[i].level - readings[i - 1].level >= REPLACEMENT_JUMP) start = i;
+  }
+  return readings.slice(start);
+}
+
+// Least-squares slope of the level over time in points per day, or null with fewer than two
+// readings or when they span less than a day. `readings` are [{ level, at }] in time order.
+export function dischargeRate(readings = []) {
+  if (readings.length < 2) return null;
+  const xs = readings.map(r => new Date(r.at).getTime() / DAY_MS);
+  if (xs[xs.length - 1] - xs[0] < 1) return null;
+  const ys = readings.map(r => r.level);
+  const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const my = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < xs.length; i++) {
+    num += (xs[i] - mx) * (ys[i] - my);
+    den += (xs[i] - mx) ** 2;
+  }
+  return den ? num / den : null;
+}
+
+// When a battery at `battery.level` draining at `perDay` reaches `threshold`; null unless it is
+// above the threshold and actually draining
+export function projectLowBattery(battery, perDay, threshold) {
+  if (!battery || perDay === null || perDay >= 0 || battery.level <= threshold) return null;
+  return new Date(new Date(battery.at).getTime() + ((battery.level - threshold) / -perDay) * DAY_MS);
+}
+
+// Health of every lock of the registry (plus locks seen in entries but not registered).
+// `lastSeen`, `batteries` and `readings` are the rows of the pipelines above.
+// -> [{ lockId, names, active, registered, battery, trend: { perDay, readings }, projectedLowAt, projectedLowDay, lastSeenAt, alerts }]
+export function summarizeLockHealth({ locks = [], lastSeen = [], batteries = [], readings = [], settings = DEFAULT_LOCK_HEALTH, now = new Date(), timeZone = 'UTC' }) {
+  const lastSeenById = new Map(lastSeen.map(s => [String(s._id), s.lastSeenAt]));
+  const batteryById = new Map(batteries.map(b => [String(b._id), { level: b.level, at: b.at }]));
+  const readingsById = new Map();
+  for (const r of readings) {
+    const id = String(r._id.lockId);
+    if (!readingsById.has(id)) readingsById.set(id, []);
+    readingsById.get(id).push({ day: r._id.day, level: r.level, at: r.at });
+  }
+  const registered = new Set(locks.map(l => String(l.lockId)));
+  const all = [
+    ...locks,
+    ...Array.from(lastSeenById.keys()).filter(id => id && !registered.has(id)).sort().map(lockId => ({ lockId, names: {}, active: true, registered: false })),
+  ];
+
+  return all.map((lock) => {
+    const lockId = String(lock.lockId);
+    const series = readingsById.get(lockId) || [];
+    const battery = batteryById.get(lockId) || null;
+    const perDay = dischargeRate(sinceReplacement(series));
+    const projectedLowAt = projectLowBattery(battery, perDay, settings.lowBatteryPercent);
+    const lastSeenAt = lastSeenById.get(lockId) || null;
+    const active = lock.active !== false;
+
+    const alerts = [];
+    if (active) {
+      if (battery && battery.level <= settings.lowBatteryPercent) alerts.push('low_battery');
+      else if (projectedLowAt && projectedLowAt.getTime() - now.getTime() <= settings.warnDays * DAY_MS) alerts.push('battery_soon');
+      if (!lastSeenAt || now.getTime() - new Date(lastSeenAt).getTime() > settings.silentHours * HOUR_MS) alerts.push('silent');
+    }
+    return {
+      lockId,
+      names: lock.names || {},
+      active,
+      registered: lock.registered !== false,
+      battery,
+      trend: { perDay: perDay === null ? null : Math.round(perDay * 100) / 100, readings: series.map(({ day, level }) => ({ day, level })) },
+      projectedLowAt,
+      projectedLowDay: projectedLowAt ? localDayKey(projectedLowAt, timeZone) : null,
+      lastSeenAt,
+      alerts,
+    };
+  });
+}
+
+const ALERT_ORDER = ['low_battery', 'silent', 'battery_soon'];
+
+// Flat alert list, most urgent first -> [{ lockId, kind, level?, projectedLowDay?, lastSeenAt? }]
+export function lockHealthAlerts(health = []) {
+  const out = [];
+  for (const h of health) {
+    for (const kind of h.alerts) {
+      out.push({
+        lockId: h.lockId,
+        kind,
+        ...(kind === 'low_battery' ? { level: h.battery.level } : {}),
+        ...(kind === 'battery_soon' ? { level: h.battery.level, projectedLowDay: h.projectedLowDay } : {}),
+        ...(kind === 'silent' ? { lastSeenAt: h.lastSeenAt } : {}),
+      });
+    }
+  }
+  return out.sort((a, b) => ALERT_ORDER.indexOf(a.kind) - ALERT_ORDER.indexOf(b.kind) || a.lockId.localeCompare(b.lockId));
+}
+
+// Load and summarize lock health with the given settings
+export async function loadLockHealth({ Entry, locks = [], settings = DEFAULT_LOCK_HEALTH, timeZone = 'UTC', now = new Date() }) {
+  const since = new Date(now.getTime() - settings.trendDays * DAY_MS);
+  const [lastSeen, batteries, readings] = await Promise.all([
+    Entry.aggregate(lastSeenPipeline()),
+    Entry.aggregate(latestBatteryPipeline()),
+    Entry.aggregate(batteryReadingsPipeline({ since, timeZone })),
+  ]);
+  const health = summarizeLockHealth({ locks, lastSeen, batteries, readings, settings, now, timeZone });
+  return { locks: health, alerts: lockHealthAlerts(health) };
+}
+
+export default {
+  DEFAULT_LOCK_HEALTH,
+  normalizeLockHealthSettings,
+  lockHealthSettings,
+  batteryReadingsPipeline,
+  lastSeenPipeline,
+  latestBatteryPipeline,
+  sinceReplacement,
+  dischargeRate,
+  projectLowBattery,
+  summarizeLockHealth,
+  lockHealthAlerts,
+  loadLockHealth,
+};
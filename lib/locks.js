@@ -0,0 +1,109 @@
+// lib/locks.js
+// Lock registry helpers: seed locks, input validation, the set of locks whose entries count as
+// visits, and display-name resolution per locale.
+
+// Locks that used to be hard-coded (PRIMARY_LOCK and the lock_gym/lock_dressing names); seeded by
+// scripts/seed-locks.mjs and used as the registry until the Lock collection has documents
+export const DEFAULT_LOCKS = [
+  {
+    lockId: '19228015',
+    mac: null,
+    names: { en: 'Gym', lv: 'Sporta zāle' },
+    countsTowardVisits: true,
+    location: '',
+    active: true,
+  },
+  {
+    lockId: '21920074',
+    mac: null,
+    names: { en: 'Dressing room', lv: 'Garderobe' },
+    countsTowardVisits: false,
+    location: '',
+    active: true,
+  },
+];
+
+const LOCK_FIELDS = ['lockId', 'mac', 'names', 'countsTowardVisits', 'location', 'active'];
+const LOCK_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+export const MAC_RE = /^[0-9A-Fa-f]{2}(:[0-9A-Fa-f]{2}){5}$/;
+const LOCALE_RE = /^[a-z]{2}$/;
+
+// Merge `input` over `current` (for PATCH) and validate the result.
+// Returns { value, errors } where errors is a list of human-readable messages.
+export function normalizeLock(input = {}, current = null) {
+  const merged = { ...(current || {}) };
+  for (const f of LOCK_FIELDS) {
+    if (input[f] !== undefined) merged[f] = input[f];
+  }
+  const errors = [];
+  if (current && input.lockId !== undefined && String(input.lockId) !== current.lockId) errors.push('lockId cannot be changed');
+
+  const lockId = String(merged.lockId ?? '').trim();
+  if (!LOCK_ID_RE.test(lockId)) errors.push('lockId must be 1-32 characters of letters, digits, "_" or "-"');
+  const mac = merged.mac === undefined || merged.mac === null || merged.mac === '' ? null : String(merged.mac).trim().toUpperCase();
+  if (mac !== null && !MAC_RE.test(mac)) errors.push('mac must look like AA:BB:CC:DD:EE:FF');
+
+  const names = {};
+  if (merged.names !== undefined && (typeof merged.names !== 'object' || merged.names === null || Array.isArray(merged.names))) {
+    errors.push('names must be an object of locale -> name');
+  } else {
+    for (const [locale, name] of Object.entries(merged.names || {})) {
+      const text = typeof name === 'string' ? name.trim() : '';
+      if (!LOCALE_RE.test(locale)) errors.push(`names.${locale}: locale must be a two-letter code`);
+      else if (!text || text.length > 64) errors.push(`names.${locale} must be 1-64 characters`);
+      else names[locale] = text;
+    }
+  }
+
+  const countsTowardVisits = merged.countsTowardVisits === undefined ? false : merged.countsTowardVisits;
+  if (typeof countsTowardVisits !== 'boolean') errors.push('countsTowardVisits must be a boolean');
+  const location = String(merged.location ?? '').trim();
+  if (location.length > 120) errors.push('location must be at most 120 characters');
+  const active = merged.active === undefined ? true : merged.active;
+  if (typeof active !== 'boolean') errors.push('active must be a boolean');
+
+  return { value: { lockId, mac, names, countsTowardVisits, location, active }, errors };
+}
+
+// Public shape of a lock document; the MAC address and API key state are only included for admins
+export function toLockDto(l, { admin = false } = {}) {
+  return {
+    lockId: String(l.lockId),
+    ...(admin ? { mac: l.mac || null, hasApiKey: Boolean(l.apiKeyHash || l.hasApiKey) } : {}),
+    names: l.names || {},
+    countsTowardVisits: l.countsTowardVisits === true,
+    location: l.location || '',
+    active: l.active !== false,
+  };
+}
+
+// The registry: stored locks, or the seed locks while the collection is empty
+export async function loadLocks({ Lock }) {
+  const stored = await Lock.find({}).sort({ lockId: 1 }).lean();
+  return stored?.length ? stored.map(l => toLockDto(l, { admin: true })) : DEFAULT_LOCKS;
+}
+
+// Ids of the locks whose entries count as visits (inactive locks included, so history keeps counting)
+export function visitLockIds(locks = []) {
+  return locks.filter(l => l.countsTowardVisits).map(l => String(l.lockId));
+}
+
+export const DEFAULT_VISIT_LOCK_IDS = visitLockIds(DEFAULT_LOCKS);
+
+// Display name of a lock for `lang`: that locale, then English, then any name, then the raw id
+export function lockDisplayName(lockId, locks = [], lang = 'en') {
+  const id = String(lockId ?? '');
+  const names = locks.find(l => String(l.lockId) === id)?.names || {};
+  return names[lang] || names.en || Object.values(names)[0] || id;
+}
+
+export default {
+  DEFAULT_LOCKS,
+  MAC_RE,
+  DEFAULT_VISIT_LOCK_IDS,
+  normalizeLock,
+  toLockDto,
+  loadLocks,
+  visitLockIds,
+  lockDisplayName,
+};
@@ -0,0 +1,28 @@
+// lib/models/AchievementRule.js
+// Declarative achievement (badge) definitions evaluated by lib/achievements.js
+import mongoose from 'mongoose';
+
+const AchievementRule =
+  mongoose.models.AchievementRule ||
+  mongoose.model(
+    'AchievementRule',
+    new mongoose.Schema(
+      {
+        key: { type: String, required: true, unique: true },
+        version: { type: Number, default: 1 },
+        // 'distinct_days' | 'hour_window' | 'streak'
+        type: { type: String, required: true },
+        // { min, fromHour, toHour, visits, locks, withinDays, startAt, endAt }
+        params: { type: mongoose.Schema.Types.Mixed, default: {} },
+        title: String,
+        description: String,
+        // Optional per-locale copy, e.g. { lv: { title, description } }
+        translations: { type: mongoose.Schema.Types.Mixed, default: {} },
+        order: { type: Number, default: 0 },
+        active: { type: Boolean, default: true },
+      },
+      { timestamps: true }
+    )
+  );
+
+export default AchievementRule;
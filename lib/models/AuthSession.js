@@ -0,0 +1,29 @@
+// lib/models/AuthSession.js
+// A member's login session (lib/auth.js). Not to be confused with visit sessions (lib/sessions.js).
+// Logging out marks a session ended rather than deleting it, so its login link stays spent; MongoDB
+// removes sessions once expiresAt has passed, which is never before the link itself expires.
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    // SHA-256 of the cookie's session token; the token itself is never stored
+    tokenHash: { type: String, required: true, unique: true },
+    // Lowercased canonical username
+    user: { type: String, required: true },
+    username: { type: String, required: true },
+    email: { type: String, required: true },
+    // Nonce of the login link that started it; unique, so each link logs in once
+    nonce: { type: String, required: true, unique: true },
+    userAgent: { type: String, default: null },
+    expiresAt: { type: Date, required: true },
+    // Set on logout; ended sessions no longer log anyone in
+    endedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+schema.index({ user: 1 });
+
+const AuthSession = mongoose.models.AuthSession || mongoose.model('AuthSession', schema);
+
+export default AuthSession;
@@ -0,0 +1,21 @@
+// lib/models/Award.js
+// Ledger of earned achievements; one document per user (lowercased canonical username) + rule version
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    user: { type: String, required: true },
+    ruleKey: { type: String, required: true },
+    ruleVersion: { type: Number, default: 1 },
+    earnedAt: { type: Date, required: true },
+    // Free-form evaluation details, e.g. { value } measured when the award was granted
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+schema.index({ user: 1, ruleKey: 1, ruleVersion: 1 }, { unique: true });
+schema.index({ earnedAt: 1 });
+
+const Award = mongoose.models.Award || mongoose.model('Award', schema);
+
+export default Award;
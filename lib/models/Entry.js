@@ -0,0 +1,22 @@
+// lib/models/Entry.js
+// Raw lock entry log (one document per lock event)
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    username: String,      // stored as string
+    lockId: String,
+    entryTime: Date,
+    lockMac: String,
+    recordType: Number,
+    electricQuantity: Number,
+  },
+  { timestamps: true }
+);
+// Natural key used by POST /api/entries/ingest to recognise events it has already stored. Unique, so
+// concurrent ingests cannot store an event twice; existing databases need npm run entries:dedupe first.
+schema.index({ lockId: 1, entryTime: 1, username: 1, recordType: 1 }, { unique: true });
+
+const Entry = mongoose.models.Entry || mongoose.model('Entry', schema);
+
+export default Entry;
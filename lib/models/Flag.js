@@ -0,0 +1,39 @@
+// lib/models/Flag.js
+// Entries flagged by the anomaly detector (lib/anomalies.js), one document per entry and rule, with
+// their review status. A user's day with any flag that is not approved is left out of leaderboards,
+// streaks and seasons.
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    entryId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Anomaly rule key (burst, repeatTap, future, duplicateMacTime)
+    rule: { type: String, required: true },
+    // Copied from the entry so the review queue and the day exclusion need no join
+    user: { type: String, required: true },
+    lockId: { type: String, default: null },
+    entryTime: { type: Date, required: true },
+    // Local day (YYYY-MM-DD) in APP_TIMEZONE at detection time, for display
+    day: String,
+    // What the rule measured, e.g. { count: 9, windowSeconds: 60 }
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // pending -> approved (the day counts again) | rejected (the day stays excluded)
+    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    note: { type: String, default: '' },
+    reviewedBy: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    // Every review decision, oldest first
+    history: {
+      type: [new mongoose.Schema({ status: String, note: String, reviewedBy: String, at: Date }, { _id: false })],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+schema.index({ entryId: 1, rule: 1 }, { unique: true });
+schema.index({ status: 1, entryTime: -1 });
+schema.index({ user: 1, entryTime: 1 });
+
+const Flag = mongoose.models.Flag || mongoose.model('Flag', schema);
+
+export default Flag;
@@ -0,0 +1,21 @@
+// lib/models/JobCheckpoint.js
+// Progress markers for long-running, resumable maintenance jobs (one document per job name)
+import mongoose from 'mongoose';
+
+const JobCheckpoint =
+  mongoose.models.JobCheckpoint ||
+  mongoose.model(
+    'JobCheckpoint',
+    new mongoose.Schema(
+      {
+        job: { type: String, required: true, unique: true },
+        // Last processed position, e.g. { entryTime, entryId } for Entry walks
+        cursor: { type: mongoose.Schema.Types.Mixed, default: null },
+        processed: { type: Number, default: 0 },
+        finishedAt: Date,
+      },
+      { timestamps: true }
+    )
+  );
+
+export default JobCheckpoint;
@@ -0,0 +1,27 @@
+// lib/models/Lock.js
+// Lock registry: which physical locks exist, what they are called and whether their entries count as visits
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    // TTLock lock id, as stored in Entry.lockId
+    lockId: { type: String, required: true, unique: true },
+    mac: { type: String, default: null },
+    // Display name per locale, e.g. { en: 'Gym', lv: 'Sporta zāle' }
+    names: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Days with an entry on this lock are visits (leaderboards, streaks, seasons, analytics, badges)
+    countsTowardVisits: { type: Boolean, default: false },
+    location: { type: String, default: '' },
+    // Inactive locks are hidden from the lock picker and cannot ingest; their history keeps counting
+    active: { type: Boolean, default: true },
+    // SHA-256 of the lock's ingestion API key (see lib/ingest.js); the key itself is never stored
+    apiKeyHash: { type: String, default: null },
+    apiKeyIssuedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+schema.index({ apiKeyHash: 1 }, { sparse: true });
+
+const Lock = mongoose.models.Lock || mongoose.model('Lock', schema);
+
+export default Lock;
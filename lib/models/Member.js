@@ -0,0 +1,21 @@
+// lib/models/Member.js
+// A lock-log username claimed by a member through a verified login link (lib/auth.js). Only the address on
+// file for the username can claim it, and the claim binds the username to that e-mail address.
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    // Lowercased canonical username
+    user: { type: String, required: true, unique: true },
+    // Canonical username as it appears in the logs
+    username: { type: String, required: true },
+    // Lowercased; the only address that can log in as this member
+    email: { type: String, required: true },
+    lastLoginAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+const Member = mongoose.models.Member || mongoose.model('Member', schema);
+
+export default Member;
@@ -0,0 +1,34 @@
+// lib/models/Notification.js
+// Notification outbox (lib/notifications.js): one document per event and dedup key, delivered by the
+// notifications job and kept afterwards as the delivery log.
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    // e.g. "badge:anna:milestone_10@1" — an event is queued at most once
+    dedupKey: { type: String, required: true, unique: true },
+    // Lowercased canonical username the notification is about and addressed to
+    user: { type: String, required: true },
+    // badge | streak | rank | digest
+    kind: { type: String, required: true },
+    // Template variables, e.g. { title, description } for badges, { rank, previousRank, seasonName } for ranks
+    // or the whole digest (lib/digest.js)
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // pending -> sent | failed (attempts used up) | skipped (no recipient)
+    status: { type: String, enum: ['pending', 'sent', 'failed', 'skipped'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    // Filled on delivery
+    to: { type: String, default: null },
+    lang: { type: String, default: null },
+    messageId: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+schema.index({ status: 1, createdAt: 1 });
+schema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.models.Notification || mongoose.model('Notification', schema);
+
+export default Notification;
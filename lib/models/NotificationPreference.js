@@ -0,0 +1,22 @@
+// lib/models/NotificationPreference.js
+// A member's notification preferences (lib/notificationPreferences.js): categories switched off per
+// channel and an optional own address and language. Members without a document get everything.
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    // Lowercased canonical username
+    user: { type: String, required: true, unique: true },
+    // Overrides NOTIFICATION_RECIPIENTS when set
+    email: { type: String, default: null },
+    // lv | en; null uses the recipient's default
+    lang: { type: String, default: null },
+    // { email: { badge: false, digest: true, ... } }; missing categories are on
+    channels: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true, minimize: false }
+);
+
+const NotificationPreference = mongoose.models.NotificationPreference || mongoose.model('NotificationPreference', schema);
+
+export default NotificationPreference;
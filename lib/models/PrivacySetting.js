@@ -0,0 +1,22 @@
+// lib/models/PrivacySetting.js
+// A member's privacy settings (lib/privacy.js), changed by the member while logged in. Members without a
+// document are shown everywhere.
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    // Lowercased canonical username
+    user: { type: String, required: true, unique: true },
+    // show | anonymous ("anonymous member" in place of the name) | hidden (left off every leaderboard)
+    leaderboard: { type: String, enum: ['show', 'anonymous', 'hidden'], default: 'show' },
+    // Profile, season progress and user-filtered entries only for the member and admins
+    privateProfile: { type: Boolean, default: false },
+    // Others see the day of the member's entries, not the time
+    hideEntryTimes: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+const PrivacySetting = mongoose.models.PrivacySetting || mongoose.model('PrivacySetting', schema);
+
+export default PrivacySetting;
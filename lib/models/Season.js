@@ -0,0 +1,23 @@
+// lib/models/Season.js
+// Season catalog; a season's window overrides the date/period filters in GET /api
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    startAt: { type: Date, required: true },
+    endAt: { type: Date, required: true },
+    // { mode: 'distinct_days' }
+    scoring: { type: mongoose.Schema.Types.Mixed, default: () => ({ mode: 'distinct_days' }) },
+    active: { type: Boolean, default: true },
+    // Set when the season was archived (see lib/seasonArchive.js); standings are frozen from then on
+    closedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+schema.index({ startAt: 1, endAt: 1 });
+
+const Season = mongoose.models.Season || mongoose.model('Season', schema);
+
+export default Season;
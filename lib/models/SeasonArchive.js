@@ -0,0 +1,28 @@
+// lib/models/SeasonArchive.js
+// Frozen end-of-season snapshot: final standings, records and podium (one document per season)
+import mongoose from 'mongoose';
+
+const SeasonArchive =
+  mongoose.models.SeasonArchive ||
+  mongoose.model(
+    'SeasonArchive',
+    new mongoose.Schema(
+      {
+        seasonKey: { type: String, required: true, unique: true },
+        name: String,
+        startAt: Date,
+        endAt: Date,
+        closedAt: Date,
+        scoring: { type: mongoose.Schema.Types.Mixed, default: {} },
+        // [{ rank, user, points, breakdown, longestStreakDays, finalStreakDays }] (breakdown: see lib/seasonScoring.js)
+        standings: { type: [mongoose.Schema.Types.Mixed], default: [] },
+        // { topUsers, topEarlyBirds, topNightOwls, topLongestStreaks } as [{ id, count }]
+        leaderboards: { type: mongoose.Schema.Types.Mixed, default: {} },
+        // Podium: [{ rank, user, points }]
+        winners: { type: [mongoose.Schema.Types.Mixed], default: [] },
+      },
+      { timestamps: true }
+    )
+  );
+
+export default SeasonArchive;
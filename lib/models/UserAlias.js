@@ -0,0 +1,20 @@
+// lib/models/UserAlias.js
+// Raw usernames merged into a canonical identity (see lib/aliases.js); one document per alias
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    // Username exactly as it appears in Entry.username
+    alias: { type: String, required: true, unique: true },
+    canonical: { type: String, required: true },
+    // The UserMerge that created this alias; unmerging it removes the alias again
+    mergeId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  },
+  { timestamps: true }
+);
+schema.index({ canonical: 1 });
+schema.index({ mergeId: 1 });
+
+const UserAlias = mongoose.models.UserAlias || mongoose.model('UserAlias', schema);
+
+export default UserAlias;
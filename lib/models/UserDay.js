@@ -0,0 +1,41 @@
+// lib/models/UserDay.js
+// Daily user-activity rollup: one document per user and local calendar day, maintained from
+// the Entry collection by lib/userDays.js (incremental sync + rebuild command)
+import mongoose from 'mongoose';
+
+const lockDay = new mongoose.Schema(
+  {
+    lockId: String,
+    firstEntry: Date,
+    lastEntry: Date,
+    firstAfter22: { type: Date, default: null },
+    entryCount: Number,
+    hours: [Number],
+  },
+  { _id: false }
+);
+
+const schema = new mongoose.Schema(
+  {
+    user: { type: String, required: true },
+    // Local calendar day (YYYY-MM-DD) in the time zone recorded below
+    day: { type: String, required: true },
+    timeZone: String,
+    firstEntry: Date,
+    lastEntry: Date,
+    // First entry at/after 22:00 local time, or null when the day had none
+    firstAfter22: { type: Date, default: null },
+    entryCount: Number,
+    // Per-lock breakdown of the same fields (plus the local hours seen)
+    locks: { type: [lockDay], default: [] },
+    updatedAt: Date,
+  },
+  { versionKey: false }
+);
+schema.index({ user: 1, day: 1 }, { unique: true });
+schema.index({ day: 1 });
+schema.index({ 'locks.lockId': 1, day: 1 });
+
+const UserDay = mongoose.models.UserDay || mongoose.model('UserDay', schema);
+
+export default UserDay;
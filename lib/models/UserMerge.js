@@ -0,0 +1,25 @@
+// lib/models/UserMerge.js
+// Audit log of username merges: who merged which usernames into whom, and whether (and by whom) the
+// merge was reverted. Records are never deleted.
+import mongoose from 'mongoose';
+
+const schema = new mongoose.Schema(
+  {
+    canonical: { type: String, required: true },
+    aliases: { type: [String], default: [] },
+    note: { type: String, default: '' },
+    mergedBy: { type: String, default: null },
+    // active while its aliases apply; reverted after an unmerge
+    status: { type: String, enum: ['active', 'reverted'], default: 'active' },
+    revertedAt: { type: Date, default: null },
+    revertedBy: { type: String, default: null },
+    revertNote: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+schema.index({ status: 1, createdAt: -1 });
+schema.index({ canonical: 1 });
+
+const UserMerge = mongoose.models.UserMerge || mongoose.model('UserMerge', schema);
+
+export default UserMerge;
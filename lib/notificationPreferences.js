@@ -0,0 +1,174 @@
+// lib/notificationPreferences.js
+// Per-member notification preferences: opt-in/opt-out per category (badge, streak, rank, digest) and
+// channel (email), the member's own address and language, the signed unsubscribe and preference links
+// put in every message, and the delivery settings (per-user send limit, link base URL and secret).
+// Delivery checks them at send time (lib/notifications.js).
+import { signToken, verifyToken } from './signedTokens.js';
+
+export const NOTIFICATION_CATEGORIES = ['badge', 'streak', 'rank', 'digest'];
+export const NOTIFICATION_CHANNELS = ['email'];
+export const DEFAULT_MAX_PER_DAY = 5;
+
+const LANGS = ['lv', 'en'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LIMITS = { maxPerDay: [1, 100] };
+
+// Every category on every channel, as a member who never changed anything gets them
+export function defaultChannels() {
+  return Object.fromEntries(NOTIFICATION_CHANNELS.map(ch => [ch, Object.fromEntries(NOTIFICATION_CATEGORIES.map(c => [c, true]))]));
+}
+
+// Effective channels of a stored preference; categories it does not mention stay on
+export function preferenceChannels(pref) {
+  const channels = defaultChannels();
+  for (const ch of NOTIFICATION_CHANNELS) {
+    for (const c of NOTIFICATION_CATEGORIES) {
+      if (pref?.channels?.[ch]?.[c] === false) channels[ch][c] = false;
+    }
+  }
+  return channels;
+}
+
+// Whether `category` may be sent to the member on `channel`
+export function allowsNotification(pref, channel, category) {
+  return preferenceChannels(pref)[channel]?.[category] !== false;
+}
+
+// Validate a preference update ({ email?, lang?, channels?: { email?: { badge?: bool, ... } } })
+// -> { value: fields to $set, errors }; email null clears the member's own address
+export function normalizePreferenceUpdate(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { value: {}, errors: ['preferences must be an object'] };
+  const value = {};
+  const errors = [];
+  if (input.email !== undefined) {
+    const email = input.email === null ? '' : String(input.email).trim();
+    if (email && !EMAIL_RE.test(email)) errors.push('email is not valid');
+    else value.email = email || null;
+  }
+  if (input.lang !== undefined) {
+    if (!LANGS.includes(input.lang)) errors.push(`lang must be one of: ${LANGS.join(', ')}`);
+    else value.lang = input.lang;
+  }
+  if (input.channels !== undefined) {
+    if (!input.channels || typeof input.channels !== 'object' || Array.isArray(input.channels)) errors.push('channels must be an object');
+    else {
+      for (const [ch, categories] of Object.entries(input.channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(ch)) { errors.push(`unknown channel: ${ch}`); continue; }
+        for (const [c, on] of Object.entries(categories || {})) {
+          if (!NOTIFICATION_CATEGORIES.includes(c)) errors.push(`unknown category: ${ch}.${c}`);
+          else if (typeof on !== 'boolean') errors.push(`${ch}.${c} must be true or false`);
+          else value[`channels.${ch}.${c}`] = on;
+        }
+      }
+    }
+  }
+  return { value, errors };
+}
+
+// Fields of the preferences page form -> update input: a checkbox "<channel>.<category>" per category
+// (unchecked boxes are not submitted, so every category is set), email and lang
+export function preferenceUpdateFromForm(form) {
+  const get = (k) => (typeof form.get === 'function' ? form.get(k) : form[k]);
+  const channels = Object.fromEntries(NOTIFICATION_CHANNELS.map(ch => [
+    ch,
+    Object.fromEntries(NOTIFICATION_CATEGORIES.map(c => [c, get(`${ch}.${c}`) !== null && get(`${ch}.${c}`) !== undefined])),
+  ]));
+  const email = get('email');
+  const lang = get('lang');
+  return {
+    channels,
+    ...(email !== null && email !== undefined ? { email: String(email) } : {}),
+    ...(lang ? { lang: String(lang) } : {}),
+  };
+}
+
+// Fields to $set when the member unsubscribes from `category` ('all' for every category) on `channel`
+export function unsubscribeUpdate({ category = 'all', channel = 'email' } = {}) {
+  const categories = category === 'all' ? NOTIFICATION_CATEGORIES : [category];
+  return Object.fromEntries(categories.map(c => [`channels.${channel}.${c}`, false]));
+}
+
+// API shape of a member's preferences (defaults when nothing is stored yet)
+export function toPreferenceDto(pref, user) {
+  return {
+    user: pref?.user || String(user).toLowerCase(),
+    email: pref?.email || null,
+    lang: pref?.lang || null,
+    channels: preferenceChannels(pref),
+    updatedAt: pref?.updatedAt || null,
+  };
+}
+
+// Delivery settings: NOTIFICATION_MAX_PER_DAY (sends per member in any 24 hours), PUBLIC_BASE_URL (the
+// app's address for links in messages) and NOTIFICATION_SECRET (signs unsubscribe and preference links;
+// without it messages carry no links and the link routes are off) -> { value, errors }
+export function notificationDeliverySettings(env = process.env) {
+  const errors = [];
+  let maxPerDay = DEFAULT_MAX_PER_DAY;
+  if (env.NOTIFICATION_MAX_PER_DAY !== undefined && env.NOTIFICATION_MAX_PER_DAY !== '') {
+    const n = Number(env.NOTIFICATION_MAX_PER_DAY);
+    const [min, max] = LIMITS.maxPerDay;
+    if (!Number.isInteger(n) || n < min || n > max) errors.push(`NOTIFICATION_MAX_PER_DAY must be an integer between ${min} and ${max}`);
+    else maxPerDay = n;
+  }
+  const baseUrl = String(env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '') || null;
+  if (baseUrl && !/^https?:\/\//.test(baseUrl)) errors.push('PUBLIC_BASE_URL must start with http:// or https://');
+  const secret = env.NOTIFICATION_SECRET || null;
+  if (secret && secret.length < 16) errors.push('NOTIFICATION_SECRET must be at least 16 characters');
+  return { value: { maxPerDay, baseUrl: errors.length ? null : baseUrl, secret: errors.length ? null : secret }, errors };
+}
+
+// Signed links. Tokens do not expire: unsubscribe links have to keep working in old messages.
+export function unsubscribeToken(secret, { user, category = 'all', channel = 'email' }) {
+  return signToken({ p: 'unsubscribe', u: String(user).toLowerCase(), c: category, ch: channel }, secret);
+}
+
+export function preferencesToken(secret, user) {
+  return signToken({ p: 'preferences', u: String(user).toLowerCase() }, secret);
+}
+
+// -> { user, category, channel } or null
+export function readUnsubscribeToken(token, secret) {
+  const p = verifyToken(token, secret);
+  if (p?.p !== 'unsubscribe' || !p.u) return null;
+  if (p.c !== 'all' && !NOTIFICATION_CATEGORIES.includes(p.c)) return null;
+  if (!NOTIFICATION_CHANNELS.includes(p.ch)) return null;
+  return { user: p.u, category: p.c, channel: p.ch };
+}
+
+// -> { user } or null
+export function readPreferencesToken(token, secret) {
+  const p = verifyToken(token, secret);
+  return p?.p === 'preferences' && p.u ? { user: p.u } : null;
+}
+
+// Links for one message: the unsubscribe page, the one-click endpoint (List-Unsubscribe header) and the
+// preferences page -> { unsubscribeUrl, oneClickUrl, preferencesUrl } or null when links are off
+export function notificationLinks({ baseUrl, secret } = {}, { user, category }) {
+  if (!baseUrl || !secret) return null;
+  const unsubscribe = encodeURIComponent(unsubscribeToken(secret, { user, category }));
+  return {
+    unsubscribeUrl: `${baseUrl}/unsubscribe?token=${unsubscribe}`,
+    oneClickUrl: `${baseUrl}/api/unsubscribe?token=${unsubscribe}`,
+    preferencesUrl: `${baseUrl}/notifications/preferences?token=${encodeURIComponent(preferencesToken(secret, user))}`,
+  };
+}
+
+export default {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_MAX_PER_DAY,
+  defaultChannels,
+  preferenceChannels,
+  allowsNotification,
+  normalizePreferenceUpdate,
+  preferenceUpdateFromForm,
+  unsubscribeUpdate,
+  toPreferenceDto,
+  notificationDeliverySettings,
+  unsubscribeToken,
+  preferencesToken,
+  readUnsubscribeToken,
+  readPreferencesToken,
+  notificationLinks,
+};
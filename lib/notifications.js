@@ -0,0 +1,351 @@
+// lib/notifications.js
+// Member notifications for new badges, streak milestones and season rank changes. Each run diffs the
+// award ledger, current streaks and live season ranks against the snapshot of the previous run (kept in
+// the job checkpoint), queues one Notification per event under a dedup key (re-runs never queue twice),
+// and delivers pending notifications rendered from the lib/i18n.js templates through a mail transport
+// (lib/mail.js). The first run only records the snapshot. Personal digests (lib/digest.js) share the
+// outbox and delivery. Delivery honours each member's preferences and send limit at send time
+// (lib/notificationPreferences.js).
+import { t } from './i18n.js';
+import { renderDigest } from './digest.js';
+import { NOTIFICATION_CATEGORIES, allowsNotification, notificationLinks } from './notificationPreferences.js';
+import { canonicalOf, namesMatch } from './aliases.js';
+import { rollupLockView } from './leaderboards.js';
+import { rollupExcludeFlaggedDaysStages } from './flags.js';
+import { rollupStreakStages } from './streaks.js';
+import { seasonDaysPipeline } from './seasonArchive.js';
+import { scoreSeason } from './seasonScoring.js';
+import { localDayKey } from './timezone.js';
+
+export const NOTIFICATIONS_JOB = 'notifications';
+export const NOTIFICATION_KINDS = NOTIFICATION_CATEGORIES;
+// Current streak lengths (days) that are announced
+export const STREAK_MILESTONES = [7, 14, 30, 60, 100, 200, 365];
+// Rank changes are announced within this many places of a live season
+export const RANK_TOP = 10;
+// Sends per notification before it is marked failed
+export const MAX_ATTEMPTS = 5;
+
+const LANGS = ['lv', 'en'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Notifications are addressed, deduplicated and rate-limited by the lowercased canonical username (as
+// awards are); the name as shown goes into the payload for the greeting
+const notificationUser = (username, aliases = []) => String(canonicalOf(username, aliases)).toLowerCase();
+
+// Validate username -> recipient mappings ({ "anna": "anna@example.com" } or { "anna": { "email", "lang" } })
+// -> { value: { [lowercased username]: { email, lang } }, errors }
+export function normalizeRecipients(input, { defaultLang = 'lv' } = {}) {
+  const value = {};
+  const errors = [];
+  if (input === undefined || input === null) return { value, errors };
+  if (typeof input !== 'object' || Array.isArray(input)) return { value, errors: ['recipients must be an object of username -> email'] };
+  for (const [user, raw] of Object.entries(input)) {
+    const r = typeof raw === 'string' ? { email: raw } : raw;
+    const email = String(r?.email || '').trim();
+    const lang = r?.lang ?? defaultLang;
+    if (!EMAIL_RE.test(email)) errors.push(`${user}: email is not valid`);
+    else if (!LANGS.includes(lang)) errors.push(`${user}: lang must be one of: ${LANGS.join(', ')}`);
+    else value[user.toLowerCase()] = { email, lang };
+  }
+  return { value, errors };
+}
+
+// Instance recipients: NOTIFICATION_RECIPIENTS (JSON); invalid entries are ignored and reported
+export function notificationRecipients(env = process.env) {
+  if (!env.NOTIFICATION_RECIPIENTS) return { value: {}, errors: [] };
+  try {
+    return normalizeRecipients(JSON.parse(env.NOTIFICATION_RECIPIENTS));
+  } catch {
+    return { value: {}, errors: ['NOTIFICATION_RECIPIENTS is not valid JSON'] };
+  }
+}
+
+// New Award ledger rows -> badge events (titles from `rules`, usernames mapped to canonical identities)
+export function badgeEvents(awards = [], rules = [], aliases = []) {
+  const byKey = new Map(rules.map(r => [r.key, r]));
+  return awards.map((a) => {
+    const user = notificationUser(a.user, aliases);
+    const rule = byKey.get(a.ruleKey);
+    const version = a.ruleVersion ?? 1;
+    return {
+      kind: 'badge',
+      user,
+      dedupKey: `badge:${user}:${a.ruleKey}@${version}`,
+      payload: {
+        ruleKey: a.ruleKey,
+        ruleVersion: version,
+        title: rule?.title || a.ruleKey,
+        description: rule?.description || '',
+        // Per-locale copy of the rule, e.g. { lv: { title, description } }
+        translations: rule?.translations || {},
+        earnedAt: a.earnedAt,
+      },
+    };
+  });
+}
+
+// Current streaks ([{ user, current, currentStart }]) against the previous run's lengths ({ user: n })
+// -> one event per user for the highest milestone passed since then
+export function streakEvents(previous = {}, streaks = [], milestones = STREAK_MILESTONES, aliases = []) {
+  const events = [];
+  for (const s of streaks) {
+    const before = previous[s.user] ?? 0;
+    const passed = milestones.filter(m => before < m && s.current >= m);
+    if (!passed.length) continue;
+    const days = Math.max(...passed);
+    const user = notificationUser(s.user, aliases);
+    events.push({
+      kind: 'streak',
+      user,
+      // The same run reaches a milestone once
+      dedupKey: `streak:${user}:${days}:${s.currentStart}`,
+      payload: { name: s.user, days, current: s.current, since: s.currentStart },
+    });
+  }
+  return events;
+}
+
+// A live season's standings ([{ rank, user, points }]) against the previous run's ranks ({ user: rank })
+// -> events for users in the top `top` whose rank changed (at most one per user, season and day)
+export function rankEvents(previous = {}, standings = [], { season, day, top = RANK_TOP, aliases = [] } = {}) {
+  const events = [];
+  for (const s of standings) {
+    if (s.rank > top) break;
+    const previousRank = previous[s.user] ?? null;
+    if (previousRank === s.rank) continue;
+    const user = notificationUser(s.user, aliases);
+    events.push({
+      kind: 'rank',
+      user,
+      dedupKey: `rank:${season.key}:${user}:${day}`,
+      payload: { name: s.user, seasonKey: season.key, seasonName: season.name || season.key, rank: s.rank, previousRank, points: s.points },
+    });
+  }
+  return events;
+}
+
+// Queue events in the outbox; an existing dedup key is left alone -> number of newly queued notifications
+export async function enqueueNotifications({ Notification, events = [] }) {
+  if (!events.length) return 0;
+  const res = await Notification.bulkWrite(events.map(e => ({
+    updateOne: {
+      filter: { dedupKey: e.dedupKey },
+      update: { $setOnInsert: { dedupKey: e.dedupKey, user: e.user, kind: e.kind, payload: e.payload, status: 'pending', attempts: 0 } },
+      upsert: true,
+    },
+  })), { ordered: false });
+  return res?.upsertedCount ?? 0;
+}
+
+// Subject and text (and html for digests) of a notification in `lang`
+export function renderNotification(n, lang = 'lv') {
+  const p = n.payload || {};
+  if (n.kind === 'digest') return renderDigest(p, lang);
+  const tr = (key, vars = {}) => t(key, { user: p.name || n.user, ...vars }, lang);
+  let subject, body;
+  if (n.kind === 'badge') {
+    const copy = p.translations?.[lang] || {};
+    const title = copy.title || p.title;
+    subject = tr('notify_badge_subject', { title });
+    body = tr('notify_badge_body', { title, description: copy.description || p.description || '' }).trim();
+  } else if (n.kind === 'streak') {
+    subject = tr('notify_streak_subject', { days: p.days });
+    body = tr('notify_streak_body', { days: p.days, current: p.current });
+  } else if (n.kind === 'rank') {
+    const key = p.previousRank === null || p.previousRank === undefined ? 'notify_rank_new_body'
+      : p.rank < p.previousRank ? 'notify_rank_up_body' : 'notify_rank_down_body';
+    subject = tr('notify_rank_subject', { rank: p.rank, season: p.seasonName });
+    body = tr(key, { rank: p.rank, previousRank: p.previousRank, season: p.seasonName, points: p.points });
+  } else {
+    throw new Error(`Unknown notification kind: ${n.kind}`);
+  }
+  return { subject, text: `${tr('notify_greeting')}\n\n${body}\n\n${tr('notify_footer')}\n` };
+}
+
+// Message with the unsubscribe and preference links (`links` from notificationLinks) in its footer and
+// the List-Unsubscribe headers for one-click unsubscribe in mail clients
+export function withNotificationLinks(message, links, lang = 'lv') {
+  if (!links) return message;
+  const unsubscribe = t('notify_unsubscribe', {}, lang);
+  const preferences = t('notify_preferences', {}, lang);
+  const text = `${message.text.replace(/\n+$/, '')}\n\n${unsubscribe}: ${links.unsubscribeUrl}\n${preferences}: ${links.preferencesUrl}\n`;
+  const html = message.html?.replace('</body>', `<p style="font-size:12px;color:#6b7280"><a href="${links.unsubscribeUrl}">${unsubscribe}</a> · <a href="${links.preferencesUrl}">${preferences}</a></p>\n</body>`);
+  return {
+    ...message,
+    text,
+    ...(html ? { html } : {}),
+    headers: { 'List-Unsubscribe': `<${links.oneClickUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+  };
+}
+
+// Send pending notifications (oldest first). The address and language come from the member's
+// NotificationPreference, else `recipientFor(user)` -> { email, lang } | null; members without one are
+// skipped, as are categories they switched off. Members who got `maxPerDay` messages in the last 24
+// hours keep theirs pending for a later run. Failed sends stay pending until `maxAttempts`. `links`
+// ({ baseUrl, secret }) adds signed unsubscribe and preference links. With `dryRun` messages are
+// rendered and sent through `transport` but no status changes.
+export async function deliverNotifications({
+  Notification,
+  NotificationPreference = null,
+  transport,
+  from,
+  recipientFor = () => null,
+  limit = 100,
+  maxAttempts = MAX_ATTEMPTS,
+  maxPerDay = null,
+  links = null,
+  dryRun = false,
+  now = new Date(),
+  log,
+}) {
+  const pending = await Notification.find({ status: 'pending' }).sort({ createdAt: 1, _id: 1 }).limit(limit).lean();
+  const result = { sent: 0, failed: 0, skipped: 0, optedOut: 0, deferred: 0, retry: 0 };
+  const update = (n, $set) => (dryRun ? null : Notification.updateOne({ _id: n._id }, { $set }));
+  // Outbox rows queued before usernames were lowercased may still carry another case
+  const userOf = (n) => n.user.toLowerCase();
+  const users = Array.from(new Set(pending.map(userOf)));
+
+  const prefs = new Map();
+  if (NotificationPreference && users.length) {
+    const rows = await NotificationPreference.find({ user: { $in: users } }).lean();
+    for (const p of rows) prefs.set(p.user, p);
+  }
+  // Messages sent to each member in the last 24 hours
+  const sentRecently = new Map();
+  if (maxPerDay && users.length) {
+    const rows = await Notification.aggregate([
+      { $match: { status: 'sent', user: namesMatch(users), sentAt: { $gt: new Date(now.getTime() - DAY_MS) } } },
+      { $group: { _id: { $toLower: '$user' }, count: { $sum: 1 } } },
+    ]);
+    for (const r of rows) sentRecently.set(r._id, r.count);
+  }
+
+  for (const n of pending) {
+    const pref = prefs.get(userOf(n)) || null;
+    if (!allowsNotification(pref, 'email', n.kind)) {
+      await update(n, { status: 'skipped', lastError: 'opted out' });
+      result.optedOut += 1;
+      continue;
+    }
+    const fallback = recipientFor(n.user);
+    const email = pref?.email || fallback?.email || null;
+    const lang = pref?.lang || fallback?.lang || 'lv';
+    if (!email) {
+      await update(n, { status: 'skipped', lastError: 'no recipient' });
+      result.skipped += 1;
+      continue;
+    }
+    if (maxPerDay && (sentRecently.get(userOf(n)) || 0) >= maxPerDay) {
+      result.deferred += 1;
+      continue;
+    }
+    const attempts = (n.attempts || 0) + 1;
+    try {
+      const message = withNotificationLinks(renderNotification(n, lang), notificationLinks(links || {}, { user: n.user, category: n.kind }), lang);
+      const info = await transport.send({ from, to: email, ...message });
+      await update(n, { status: 'sent', attempts, to: email, lang, messageId: info?.messageId ?? null, sentAt: now, lastError: null });
+      sentRecently.set(userOf(n), (sentRecently.get(userOf(n)) || 0) + 1);
+      result.sent += 1;
+    } catch (err) {
+      const failed = attempts >= maxAttempts;
+      await update(n, { status: failed ? 'failed' : 'pending', attempts, lastError: String(err?.message || err) });
+      log?.warn('notification_send_failed', { id: String(n._id), user: n.user, attempts, error: String(err?.message || err) });
+      if (failed) result.failed += 1;
+      else result.retry += 1;
+    }
+  }
+  log?.info('notifications_delivered', { transport: transport.name, dryRun, ...result });
+  return result;
+}
+
+// Pairs [[key, value]] <-> object; usernames may contain dots, which MongoDB keys cannot
+const toPairs = (obj) => Object.entries(obj);
+const fromPairs = (pairs) => Object.fromEntries(pairs || []);
+
+// Detect events since the previous run and queue them. The UserDay rollup must be synced and
+// `excludeDays` (flagged user-days) loaded by the caller. -> { baseline, events, queued }
+export async function runNotifications({
+  Award,
+  UserDay,
+  Entry,
+  Season,
+  Notification,
+  JobCheckpoint,
+  rules = [],
+  timeZone = 'UTC',
+  visitLockIds = [],
+  kindFilter = null,
+  aliases = [],
+  excludeDays = [],
+  now = new Date(),
+  log,
+  job = NOTIFICATIONS_JOB,
+}) {
+  const checkpoint = await JobCheckpoint.findOne({ job }).lean();
+  const previous = checkpoint?.cursor || null;
+  const today = localDayKey(now, timeZone);
+
+  // Awards written since the previous run
+  const awards = previous
+    ? await Award.find({ createdAt: { $gt: new Date(previous.awardsSince), $lte: now } }, { user: 1, ruleKey: 1, ruleVersion: 1, earnedAt: 1 }).lean()
+    : [];
+
+  // Current streaks on the visit locks, flagged days left out
+  const streakRows = await UserDay.aggregate([
+    ...rollupExcludeFlaggedDaysStages({ excludeDays }),
+    ...rollupLockView(visitLockIds),
+    ...rollupStreakStages({ today }),
+    { $match: { current: { $gt: 0 } } },
+  ]);
+  const streaks = streakRows.map(r => ({ user: r._id, current: r.current, currentStart: r.currentStart }));
+
+  // Standings of the seasons running now
+  const seasons = await Season.find({ active: true, closedAt: null, startAt: { $lte: now }, endAt: { $gte: now } }).lean();
+  const ranks = {};
+  const events = [];
+  for (const season of seasons) {
+    const days = await Entry.aggregate(seasonDaysPipeline(season, { timeZone, lockIds: visitLockIds, excludeDays, aliases, kindFilter }));
+    const standings = scoreSeason(days, season.scoring, { timeZone });
+    ranks[season.key] = standings.map(s => [s.user, s.rank]);
+    // A season first seen in this run has no previous ranks to compare with
+    const before = previous?.ranks?.[season.key];
+    if (before) events.push(...rankEvents(fromPairs(before), standings, { season, day: today, aliases }));
+  }
+
+  if (previous) {
+    events.unshift(...badgeEvents(awards, rules, aliases), ...streakEvents(fromPairs(previous.streaks), streaks, STREAK_MILESTONES, aliases));
+  }
+  const queued = await enqueueNotifications({ Notification, events });
+  const cursor = {
+    awardsSince: now,
+    streaks: toPairs(Object.fromEntries(streaks.map(s => [s.user, s.current]))),
+    ranks,
+  };
+  await JobCheckpoint.updateOne(
+    { job },
+    { $set: { cursor, finishedAt: new Date() }, $inc: { processed: queued } },
+    { upsert: true }
+  );
+  log?.info('notifications_detected', { job, baseline: !previous, events: events.length, queued });
+  return { baseline: !previous, events: events.length, queued };
+}
+
+export default {
+  NOTIFICATIONS_JOB,
+  NOTIFICATION_KINDS,
+  STREAK_MILESTONES,
+  RANK_TOP,
+  MAX_ATTEMPTS,
+  normalizeRecipients,
+  notificationRecipients,
+  badgeEvents,
+  streakEvents,
+  rankEvents,
+  enqueueNotifications,
+  renderNotification,
+  withNotificationLinks,
+  deliverNotifications,
+  runNotifications,
+};
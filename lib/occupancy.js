@@ -0,0 +1,160 @@
+// lib/occupancy.js
+// "How busy is it now": the estimated current head-count from recent taps and a typical stay, the
+// typical occupancy by weekday and hour over the last weeks (distinct users per hour, as in the
+// dauPerHour analytics, spread over the typical stay), and the quietest hour coming up.
+import { zonedDayHour } from './timezone.js';
+import { canonicalUsernameStages } from './aliases.js';
+import { withRecordFilter } from './recordKinds.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+export const DEFAULT_OCCUPANCY = {
+  // How long a visitor typically stays after their last tap on a visit lock
+  stayMinutes: 60,
+  // Weeks of history the typical occupancy is averaged over
+  historyWeeks: 8,
+  // Hours ahead (from the current hour) searched for the best time to go
+  lookaheadHours: 12,
+};
+
+const LIMITS = {
+  stayMinutes: [10, 360],
+  historyWeeks: [1, 52],
+  lookaheadHours: [1, 168],
+};
+const ENV_KEYS = {
+  stayMinutes: 'OCCUPANCY_STAY_MINUTES',
+  historyWeeks: 'OCCUPANCY_HISTORY_WEEKS',
+};
+
+const toInt = (v) => (typeof v === 'number' ? v : /^\s*\d+\s*$/.test(String(v ?? '')) ? parseInt(v, 10) : NaN);
+
+// Validate settings (numbers or numeric strings, e.g. query parameters) over `base` -> { value, errors }
+export function normalizeOccupancySettings(input = {}, base = DEFAULT_OCCUPANCY) {
+  const value = { ...base };
+  const errors = [];
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const raw = input?.[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const n = toInt(raw);
+    if (!Number.isInteger(n) || n < min || n > max) errors.push(`${key} must be an integer from ${min} to ${max}`);
+    else value[key] = n;
+  }
+  return { value, errors };
+}
+
+// Instance settings: OCCUPANCY_STAY_MINUTES and OCCUPANCY_HISTORY_WEEKS over the defaults; invalid values are ignored and reported
+export function occupancySettings(env = process.env) {
+  const input = Object.fromEntries(Object.entries(ENV_KEYS).map(([key, name]) => [key, env[name]]));
+  const { value, errors } = normalizeOccupancySettings(input);
+  return { value, errors: errors.map(e => e.replace(/^(\w+)/, (k) => ENV_KEYS[k] || k)) };
+}
+
+// ISO weekday (1 = Monday … 7 = Sunday) of a YYYY-MM-DD key
+export const isoWeekday = (dayKey) => new Date(`${dayKey}T00:00:00Z`).getUTCDay() || 7;
+
+// Each user's taps (every lock) since `since` -> [{ _id: user, taps: [{ t, l }] }] with taps in time order
+export function recentTapsPipeline({ since, now, kindFilter = null, aliases = [] }) {
+  return [
+    { $match: withRecordFilter({ entryTime: { $gte: since, $lte: now } }, kindFilter) },
+    ...canonicalUsernameStages(aliases),
+    { $sort: { entryTime: 1, _id: 1 } },
+    { $group: { _id: '$username', taps: { $push: { t: '$entryTime', l: '$lockId' } } } },
+  ];
+}
+
+// Distinct users per local day and hour on the visit locks since `since`, summed per weekday and hour
+// -> [{ _id: { wd, h }, count }]
+export function weekdayHourPipeline({ since, now, timeZone = 'UTC', lockIds = [], kindFilter = null, aliases = [] }) {
+  return [
+    { $match: withRecordFilter({ entryTime: { $gte: since, $lt: now }, lockId: { $in: lockIds } }, kindFilter) },
+    ...canonicalUsernameStages(aliases),
+    {
+      $group: {
+        _id: {
+          u: '$username',
+          d: { $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } },
+          h: { $hour: { date: '$entryTime', timezone: timeZone } },
+        },
+        wd: { $first: { $isoDayOfWeek: { date: '$entryTime', timezone: timeZone } } },
+      },
+    },
+    { $group: { _id: { wd: '$wd', h: '$_id.h' }, count: { $sum: 1 } } },
+  ];
+}
+
+// Users still inside: a tap on a visit lock and no later tap on another lock (leaving through the
+// dressing room ends the visit, as for sessions in lib/sessions.js)
+export function headCount(rows = [], visitLockIds = []) {
+  const visit = new Set(visitLockIds.map(String));
+  return rows.filter((r) => {
+    const taps = r.taps || [];
+    let lastVisit = -1;
+    taps.forEach((tap, i) => { if (visit.has(String(tap.l))) lastVisit = i; });
+    return lastVisit >= 0 && lastVisit === taps.length - 1;
+  }).length;
+}
+
+// Weekday x hour rows -> [{ weekday, hours: [24 averages] }] for weekdays 1-7. A user seen in hour h
+// counts as present for the hours the typical stay covers (wrapping into the next day).
+export function typicalOccupancy(rows = [], { historyWeeks = DEFAULT_OCCUPANCY.historyWeeks, stayMinutes = DEFAULT_OCCUPANCY.stayMinutes } = {}) {
+  const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const span = Math.max(1, Math.ceil(stayMinutes / 60));
+  for (const r of rows) {
+    for (let i = 0; i < span; i++) {
+      const slot = (r._id.wd - 1) * 24 + r._id.h + i;
+      grid[Math.floor(slot / 24) % 7][slot % 24] += r.count;
+    }
+  }
+  return grid.map((hours, i) => ({ weekday: i + 1, hours: hours.map(n => Math.round((n / historyWeeks) * 10) / 10) }));
+}
+
+// Typical occupancy of the local hour containing `at`
+export function typicalAt(heatmap, at, timeZone = 'UTC') {
+  const { day, hour } = zonedDayHour(at, timeZone);
+  const weekday = isoWeekday(day);
+  return { day, hour, weekday, expected: heatmap[weekday - 1]?.hours[hour] ?? 0 };
+}
+
+// Quietest hour from the current one over the next `lookaheadHours` among hours that usually see
+// visitors (empty hours are taken as closed) -> { day, hour, weekday, expected } or null; ties go to the earliest
+export function bestTimeToGo(heatmap, { now = new Date(), timeZone = 'UTC', lookaheadHours = DEFAULT_OCCUPANCY.lookaheadHours } = {}) {
+  let best = null;
+  for (let i = 0; i < lookaheadHours; i++) {
+    const slot = typicalAt(heatmap, new Date(now.getTime() + i * HOUR_MS), timeZone);
+    if (slot.expected > 0 && (!best || slot.expected < best.expected)) best = slot;
+  }
+  return best;
+}
+
+// Load the current estimate, the weekday x hour heatmap and the best time to go
+export async function loadOccupancy({ Entry, visitLockIds = [], kindFilter = null, aliases = [], settings = DEFAULT_OCCUPANCY, timeZone = 'UTC', now = new Date() }) {
+  const since = new Date(now.getTime() - settings.stayMinutes * MINUTE_MS);
+  const [recent, rows] = await Promise.all([
+    Entry.aggregate(recentTapsPipeline({ since, now, kindFilter, aliases })),
+    Entry.aggregate(weekdayHourPipeline({ since: new Date(now.getTime() - settings.historyWeeks * WEEK_MS), now, timeZone, lockIds: visitLockIds, kindFilter, aliases })),
+  ]);
+  const heatmap = typicalOccupancy(rows, settings);
+  const { weekday, hour, expected } = typicalAt(heatmap, now, timeZone);
+  return {
+    current: { headCount: headCount(recent, visitLockIds), typical: expected, weekday, hour, since, asOf: now },
+    heatmap,
+    bestTime: bestTimeToGo(heatmap, { now, timeZone, lookaheadHours: settings.lookaheadHours }),
+  };
+}
+
+export default {
+  DEFAULT_OCCUPANCY,
+  normalizeOccupancySettings,
+  occupancySettings,
+  isoWeekday,
+  recentTapsPipeline,
+  weekdayHourPipeline,
+  headCount,
+  typicalOccupancy,
+  typicalAt,
+  bestTimeToGo,
+  loadOccupancy,
+};
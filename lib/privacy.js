@@ -0,0 +1,173 @@
+// lib/privacy.js
+// Per-member privacy settings and their enforcement in API responses: leaderboard visibility (shown,
+// anonymous or hidden), a private profile and hidden entry times. Settings are keyed by the lowercased
+// canonical username. They never apply to the member themselves or to admins, and trusted callers
+// (scripts) get no policy at all.
+import { canonicalOf } from './aliases.js';
+import { localDayKey } from './timezone.js';
+
+export const LEADERBOARD_VISIBILITY = ['show', 'anonymous', 'hidden'];
+export const DEFAULT_PRIVACY = { leaderboard: 'show', privateProfile: false, hideEntryTimes: false };
+
+const lower = (name) => String(name ?? '').toLowerCase();
+
+// API shape of a member's settings (defaults when nothing is stored yet)
+export function toPrivacyDto(doc, user) {
+  return {
+    user: doc?.user || lower(user),
+    leaderboard: LEADERBOARD_VISIBILITY.includes(doc?.leaderboard) ? doc.leaderboard : DEFAULT_PRIVACY.leaderboard,
+    privateProfile: doc?.privateProfile === true,
+    hideEntryTimes: doc?.hideEntryTimes === true,
+    updatedAt: doc?.updatedAt || null,
+  };
+}
+
+// Validate an update { leaderboard?, privateProfile?, hideEntryTimes? } -> { value: fields to $set, errors }
+export function normalizePrivacyUpdate(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { value: {}, errors: ['privacy settings must be an object'] };
+  const value = {};
+  const errors = [];
+  if (input.leaderboard !== undefined) {
+    if (!LEADERBOARD_VISIBILITY.includes(input.leaderboard)) errors.push(`leaderboard must be one of: ${LEADERBOARD_VISIBILITY.join(', ')}`);
+    else value.leaderboard = input.leaderboard;
+  }
+  for (const key of ['privateProfile', 'hideEntryTimes']) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== 'boolean') errors.push(`${key} must be true or false`);
+    else value[key] = input[key];
+  }
+  return { value, errors };
+}
+
+// Fields of the privacy page form -> update input (unchecked boxes are not submitted)
+export function privacyUpdateFromForm(form) {
+  const get = (k) => (typeof form.get === 'function' ? form.get(k) : form[k]);
+  const checked = (k) => get(k) !== null && get(k) !== undefined;
+  return {
+    ...(get('leaderboard') ? { leaderboard: String(get('leaderboard')) } : {}),
+    privateProfile: checked('privateProfile'),
+    hideEntryTimes: checked('hideEntryTimes'),
+  };
+}
+
+// Stored settings that differ from the defaults -> Map(lowercased user -> settings)
+export async function loadPrivacySettings({ PrivacySetting }) {
+  const docs = await PrivacySetting.find({ $or: [{ leaderboard: { $ne: 'show' } }, { privateProfile: true }, { hideEntryTimes: true }] }).lean();
+  return new Map((docs || []).map(d => [d.user, toPrivacyDto(d)]));
+}
+
+// The policy applied for `viewer` ({ user: lowercased username | null, admin }) -> policy, or null when
+// nothing is hidden from them (admins)
+export function privacyPolicy(settings, viewer = {}) {
+  if (viewer?.admin) return null;
+  return { settings: settings || new Map(), viewer: viewer?.user ? lower(viewer.user) : null };
+}
+
+// Effective settings of `user` (canonical username) under `policy`
+export function privacyOf(policy, user) {
+  if (!policy || !user || lower(user) === policy.viewer) return DEFAULT_PRIVACY;
+  return policy.settings.get(lower(user)) || DEFAULT_PRIVACY;
+}
+
+// Members left off leaderboards entirely; boards fetch this many extra rows so they stay full
+export function hiddenMemberCount(policy) {
+  if (!policy) return 0;
+  let n = 0;
+  for (const [user, s] of policy.settings) if (s.leaderboard === 'hidden' && user !== policy.viewer) n += 1;
+  return n;
+}
+
+// Leaderboard rows without hidden members; `field` holds the username
+export function withoutHiddenMembers(rows, policy, { field = 'id' } = {}) {
+  if (!policy || !Array.isArray(rows)) return rows;
+  return rows.filter(r => privacyOf(policy, r[field]).leaderboard !== 'hidden');
+}
+
+// Leaderboard rows with anonymous members' names removed ({ [field]: null, anonymous: true })
+export function anonymizeMembers(rows, policy, { field = 'id' } = {}) {
+  if (!policy || !Array.isArray(rows)) return rows;
+  return rows.map(r => (privacyOf(policy, r[field]).leaderboard === 'anonymous' ? { ...r, [field]: null, anonymous: true } : r));
+}
+
+// Both of the above, cut at `limit` rows
+export function applyLeaderboardPrivacy(rows, policy, { field = 'id', limit = null } = {}) {
+  const visible = withoutHiddenMembers(rows, policy, { field });
+  return anonymizeMembers(limit === null || !Array.isArray(visible) ? visible : visible.slice(0, limit), policy, { field });
+}
+
+// Whether `user`'s profile (and anything filtered to them) is hidden under `policy`
+export function profileHidden(policy, user) {
+  return privacyOf(policy, user).privateProfile;
+}
+
+// Whether the exact times of `user`'s entries are hidden under `policy`
+export function entryTimesHidden(policy, user) {
+  return privacyOf(policy, user).hideEntryTimes;
+}
+
+const dayOf = (time, timeZone) => (time ? localDayKey(new Date(time), timeZone) : null);
+
+// Entries with the time of members who hide it reduced to the local day ({ entryTime: null, entryDay, timeHidden })
+export function applyEntryPrivacy(entries, policy, { aliases = [], timeZone = 'UTC' } = {}) {
+  if (!policy) return entries;
+  return entries.map((e) => {
+    if (!privacyOf(policy, canonicalOf(e.username, aliases)).hideEntryTimes) return e;
+    return { ...e, entryTime: null, entryDay: dayOf(e.entryTime, timeZone), timeHidden: true };
+  });
+}
+
+// Day aggregates filtered to a member who hides entry times: first/last entry reduced to local days
+// (firstEntryDay, lastEntryDay) and no busiest hour
+export function maskAggregateTimes(dayAggregates, { timeZone = 'UTC' } = {}) {
+  return {
+    ...dayAggregates,
+    busiestHour: null,
+    firstEntryTime: null,
+    firstEntryDay: dayOf(dayAggregates.firstEntryTime, timeZone),
+    lastEntryTime: null,
+    lastEntryDay: dayOf(dayAggregates.lastEntryTime, timeZone),
+    timeHidden: true,
+  };
+}
+
+// Profile of a member who hides entry times: first/last seen reduced to local days (firstSeenDay,
+// lastSeenDay) and the longest sessions without their start and end
+export function maskProfileTimes(profile, { timeZone = 'UTC' } = {}) {
+  if (!profile) return profile;
+  return {
+    ...profile,
+    firstSeen: null,
+    firstSeenDay: dayOf(profile.firstSeen, timeZone),
+    lastSeen: null,
+    lastSeenDay: dayOf(profile.lastSeen, timeZone),
+    sessions: profile.sessions && { ...profile.sessions, longest: (profile.sessions.longest || []).map(s => ({ ...s, start: null, end: null })) },
+    timeHidden: true,
+  };
+}
+
+// Analytics filtered to a member who hides entry times: the per-hour series and the weekday x hour
+// heatmap are left empty
+export function maskAnalyticsTimes(analytics) {
+  return { ...analytics, entriesPerHour: [], dauPerHour: [], ...(analytics.weekdayHour ? { weekdayHour: [] } : {}), timeHidden: true };
+}
+
+export default {
+  LEADERBOARD_VISIBILITY,
+  DEFAULT_PRIVACY,
+  toPrivacyDto,
+  normalizePrivacyUpdate,
+  privacyUpdateFromForm,
+  loadPrivacySettings,
+  privacyPolicy,
+  privacyOf,
+  hiddenMemberCount,
+  withoutHiddenMembers,
+  anonymizeMembers,
+  applyLeaderboardPrivacy,
+  profileHidden,
+  entryTimesHidden,
+  applyEntryPrivacy,
+  maskAggregateTimes,
+  maskProfileTimes,
+  maskAnalyticsTimes,
+};
@@ -0,0 +1,151 @@
+// lib/recordKinds.js
+// Entry.recordType codes (as reported by TTLock gateways) mapped to semantic kinds such as app,
+// card or failed, and the kinds that count as real visits. Visit views (leaderboards, streaks,
+// seasons, profiles, badges, the UserDay rollup and visit analytics) only see entries of visit kinds;
+// raw entry lists and counts show every kind unless filtered with ?kind=.
+
+export const RECORD_KINDS = ['app', 'passcode', 'card', 'fingerprint', 'key', 'remote', 'failed', 'admin', 'lock', 'other', 'unknown'];
+
+// TTLock lock-record types. Codes missing here are "other"; entries without a recordType are "unknown".
+export const DEFAULT_RECORD_TYPE_KINDS = {
+  1: 'app',          // unlock by app (Bluetooth)
+  4: 'passcode',     // unlock by passcode
+  10: 'passcode',    // unlock by passcode that clears older ones
+  17: 'card',        // unlock by IC card
+  19: 'card',        // unlock by wristband
+  20: 'fingerprint', // unlock by fingerprint
+  27: 'key',         // unlock by mechanical key
+  46: 'key',         // unlock by unlock key
+  49: 'card',        // unlock by hotel card
+  28: 'remote',      // unlock by gateway (remote unlock)
+  37: 'remote',      // unlock by remote control
+  7: 'failed',       // unknown passcode
+  11: 'failed',      // passcode expired
+  12: 'failed',      // passcode storage full
+  13: 'failed',      // passcode blacklisted
+  22: 'failed',      // fingerprint expired
+  25: 'failed',      // IC card expired
+  38: 'failed',      // passcode: door double locked
+  39: 'failed',      // IC card: door double locked
+  40: 'failed',      // fingerprint: door double locked
+  41: 'failed',      // app: door double locked
+  5: 'admin',        // passcode changed on the lock
+  6: 'admin',        // passcode deleted
+  8: 'admin',        // passcodes cleared
+  15: 'admin',       // IC card added
+  16: 'admin',       // IC cards cleared
+  18: 'admin',       // IC card deleted
+  21: 'admin',       // fingerprint added
+  23: 'admin',       // fingerprint deleted
+  24: 'admin',       // fingerprints cleared
+  26: 'lock',        // locked by app
+  33: 'lock',        // locked by fingerprint
+  34: 'lock',        // locked by passcode
+  35: 'lock',        // locked by IC card
+  36: 'lock',        // locked by mechanical key
+  45: 'lock',        // auto lock
+  47: 'lock',        // locked by lock key
+};
+
+// Remote unlocks are opened by staff for someone else; failed, admin and locking events are no visits
+export const DEFAULT_VISIT_KINDS = ['app', 'passcode', 'card', 'fingerprint', 'key', 'unknown'];
+
+// Validate overrides { kinds: { "<code>": "<kind>" }, visitKinds: [...] } merged over the defaults -> { value, errors }
+export function normalizeRecordKinds(input) {
+  const value = { kinds: { ...DEFAULT_RECORD_TYPE_KINDS }, visitKinds: [...DEFAULT_VISIT_KINDS] };
+  const errors = [];
+  if (input === undefined || input === null) return { value, errors };
+  if (typeof input !== 'object' || Array.isArray(input)) return { value, errors: ['record kinds must be an object'] };
+  for (const key of Object.keys(input)) {
+    if (key !== 'kinds' && key !== 'visitKinds') errors.push(`unknown setting: ${key}`);
+  }
+  if (input.kinds !== undefined) {
+    if (!input.kinds || typeof input.kinds !== 'object' || Array.isArray(input.kinds)) {
+      errors.push('kinds must be an object of recordType -> kind');
+    } else {
+      for (const [code, kind] of Object.entries(input.kinds)) {
+        if (!/^\d+$/.test(code)) errors.push(`kinds.${code}: recordType must be a non-negative integer`);
+        else if (!RECORD_KINDS.includes(kind) || kind === 'unknown') errors.push(`kinds.${code} must be one of: ${RECORD_KINDS.filter(k => k !== 'unknown').join(', ')}`);
+        else value.kinds[Number(code)] = kind;
+      }
+    }
+  }
+  if (input.visitKinds !== undefined) {
+    if (!Array.isArray(input.visitKinds) || !input.visitKinds.length || input.visitKinds.some(k => !RECORD_KINDS.includes(k))) {
+      errors.push(`visitKinds must be a non-empty list of: ${RECORD_KINDS.join(', ')}`);
+    } else {
+      value.visitKinds = Array.from(new Set(input.visitKinds));
+    }
+  }
+  return { value, errors };
+}
+
+// Instance settings: RECORD_KINDS (JSON) over the defaults; invalid settings are ignored and reported
+export function recordKindSettings(env = process.env) {
+  if (!env.RECORD_KINDS) return normalizeRecordKinds(null);
+  try {
+    return normalizeRecordKinds(JSON.parse(env.RECORD_KINDS));
+  } catch {
+    return { ...normalizeRecordKinds(null), errors: ['RECORD_KINDS is not valid JSON'] };
+  }
+}
+
+// Kind of one recordType code
+export function kindOf(recordType, settings = normalizeRecordKinds(null).value) {
+  if (recordType === undefined || recordType === null) return 'unknown';
+  return settings.kinds[recordType] || 'other';
+}
+
+// Entry filter for entries of the given kinds, or null when every kind is wanted. Always a single
+// condition on recordType ($in of the wanted codes, or $nin of the others when "other" is wanted).
+export function recordKindFilter(kinds = [], settings = normalizeRecordKinds(null).value) {
+  const wanted = new Set(kinds);
+  if (RECORD_KINDS.every(k => wanted.has(k))) return null;
+  const codes = Object.keys(settings.kinds).map(Number);
+  if (wanted.has('other')) {
+    const excluded = codes.filter(c => !wanted.has(settings.kinds[c]));
+    return { recordType: { $nin: wanted.has('unknown') ? excluded : [...excluded, null] } };
+  }
+  const included = codes.filter(c => wanted.has(settings.kinds[c]));
+  return { recordType: { $in: wanted.has('unknown') ? [...included, null] : included } };
+}
+
+// Filter for entries that count as visits (the visit kinds), or null when all kinds count
+export const visitKindFilter = (settings = normalizeRecordKinds(null).value) => recordKindFilter(settings.visitKinds, settings);
+
+// `match` narrowed by a recordType `filter` (keeps an existing recordType condition, e.g. from ?kind=)
+export function withRecordFilter(match = {}, filter = null) {
+  if (!filter) return match;
+  if (match.recordType === undefined) return { ...match, ...filter };
+  return { ...match, $and: [...(match.$and || []), filter] };
+}
+
+// The `kind` query parameter (comma-separated kinds) -> valid kinds, deduplicated; [] when absent
+export function parseKindParam(raw) {
+  return Array.from(new Set(String(raw || '').split(',').map(s => s.trim()).filter(k => RECORD_KINDS.includes(k))));
+}
+
+// recordType counts ([{ _id: recordType, count }]) -> [{ kind, count }] by count desc, kind order on ties
+export function countsByKind(rows = [], settings = normalizeRecordKinds(null).value) {
+  const counts = new Map();
+  for (const r of rows) {
+    const kind = kindOf(r._id, settings);
+    counts.set(kind, (counts.get(kind) || 0) + r.count);
+  }
+  return Array.from(counts, ([kind, count]) => ({ kind, count }))
+    .sort((a, b) => b.count - a.count || RECORD_KINDS.indexOf(a.kind) - RECORD_KINDS.indexOf(b.kind));
+}
+
+export default {
+  RECORD_KINDS,
+  DEFAULT_RECORD_TYPE_KINDS,
+  DEFAULT_VISIT_KINDS,
+  normalizeRecordKinds,
+  recordKindSettings,
+  kindOf,
+  recordKindFilter,
+  visitKindFilter,
+  withRecordFilter,
+  parseKindParam,
+  countsByKind,
+};
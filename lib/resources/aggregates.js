@@ -0,0 +1,106 @@
+// lib/resources/aggregates.js
+// Aggregates resource: day/month/season-level totals across ALL pages for the current filters, and the
+// same totals for the comparison window with percentage deltas when ?compare= is set. The most active
+// user follows leaderboard privacy; totals filtered to a private profile are empty, and those filtered
+// to a member who hides entry times have no times (lib/privacy.js).
+import { timed } from '../logger.js';
+import { canonicalUsernameStages } from '../aliases.js';
+import { withRecordFilter } from '../recordKinds.js';
+import { percentChange } from '../comparison.js';
+import { hiddenMemberCount, applyLeaderboardPrivacy, maskAggregateTimes } from '../privacy.js';
+import Entry from '../models/Entry.js';
+
+const first = (rows, map) => (rows?.[0] ? map(rows[0]) : null);
+
+export async function loadAggregates(ctx, log) {
+  const { period, timeZone, visitLockIds, aliases, visitKindFilter } = ctx;
+  const privacy = await ctx.privacy?.();
+  // Nothing matches when the user filter names a private profile
+  const query = (await ctx.userHidden?.()) ? { ...ctx.query, _id: null } : ctx.query;
+  // Ranked deeper by the members hidden from leaderboards, so the most active visible one is found
+  const mostActiveDepth = 1 + hiddenMemberCount(privacy);
+  const aggResult = await timed(log, 'agg_achievements', () => Entry.aggregate([
+    { $match: query },
+    ...canonicalUsernameStages(aliases),
+    {
+      $facet: {
+        uniqueUsers: [
+          { $group: { _id: null, users: { $addToSet: '$username' } } },
+          { $project: { _id: 0, count: { $size: '$users' } } },
+        ],
+        // mostActiveUser differs by period: for month we count distinct active days per user
+        mostActiveUser: (
+          period === 'month'
+            ? [
+              // Only count distinct days with visits (visit locks and visit kinds)
+              { $match: withRecordFilter({ lockId: { $in: visitLockIds } }, visitKindFilter) },
+              { $project: { username: 1, day: { $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } } } },
+              { $group: { _id: { u: '$username', d: '$day' } } },
+              { $group: { _id: '$_id.u', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: mostActiveDepth },
+            ]
+            : [
+              { $group: { _id: '$username', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: mostActiveDepth },
+            ]
+        ),
+        // locks/hour are not part of month/season achievements; still compute for day for compatibility
+        mostUsedLock: (
+          period === 'month'
+            ? []
+            : [
+              { $match: { lockId: { $ne: null } } },
+              { $group: { _id: '$lockId', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: 1 },
+            ]
+        ),
+        busiestHour: (
+          period === 'month'
+            ? []
+            : [
+              { $project: { hour: { $hour: { date: '$entryTime', timezone: timeZone } } } },
+              { $group: { _id: '$hour', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: 1 },
+            ]
+        ),
+        span: [
+          { $group: { _id: null, first: { $min: '$entryTime' }, last: { $max: '$entryTime' } } },
+          { $project: { _id: 0, first: 1, last: 1 } },
+        ],
+      },
+    },
+  ]));
+  const facet = aggResult?.[0] || {};
+  const total = await ctx.once('count_total', () => timed(log, 'count_total', () => Entry.countDocuments(query)));
+
+  const allAggregates = {
+    totalEntries: total,
+    uniqueUsers: facet.uniqueUsers?.[0]?.count ?? 0,
+    mostActiveUser: applyLeaderboardPrivacy((facet.mostActiveUser || []).map(x => ({ id: x._id, count: x.count })), privacy, { limit: 1 })[0] ?? null,
+    mostUsedLock: first(facet.mostUsedLock, x => ({ id: x._id, count: x.count })),
+    busiestHour: first(facet.busiestHour, x => ({ hour: x._id, count: x.count })),
+    firstEntryTime: facet.span?.[0]?.first ?? null,
+    lastEntryTime: facet.span?.[0]?.last ?? null,
+  };
+  const dayAggregates = (await ctx.userTimesHidden?.()) ? maskAggregateTimes(allAggregates, ctx) : allAggregates;
+  if (!ctx.comparison) return { dayAggregates };
+
+  const { dayAggregates: previous } = await loadAggregates(ctx.comparisonContext(), log);
+  return {
+    dayAggregates,
+    comparison: {
+      ...ctx.comparison,
+      dayAggregates: previous,
+      deltas: {
+        totalEntries: percentChange(dayAggregates.totalEntries, previous.totalEntries),
+        uniqueUsers: percentChange(dayAggregates.uniqueUsers, previous.uniqueUsers),
+      },
+    },
+  };
+}
+
+export default { loadAggregates };
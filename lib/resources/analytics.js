@@ -0,0 +1,205 @@
+// lib/resources/analytics.js
+// Analytics resource: trends, the weekday x hour heatmap, retention/streak distributions and monthly
+// cohorts for the current range, plus the trend series of the comparison window when ?compare= is set.
+// Analytics are based ONLY on visits (the visit locks of the lock registry and the visit kinds of
+// lib/recordKinds.js), regardless of the UI-selected lock filter; the unlock method breakdown counts every kind.
+// Analytics filtered to a private profile are refused, and those of a member who hides entry times have
+// no per-hour series (lib/privacy.js).
+import { timed } from '../logger.js';
+import { HttpError } from '../http.js';
+import { entryStreakStages } from '../streaks.js';
+import { canonicalUsernameStages } from '../aliases.js';
+import { withRecordFilter, countsByKind } from '../recordKinds.js';
+import { maskAnalyticsTimes } from '../privacy.js';
+import Entry from '../models/Entry.js';
+import UserDay from '../models/UserDay.js';
+
+const dayKey = (timeZone) => ({ $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } });
+
+function analyticsFacet(timeZone) {
+  return {
+    // Entries per day (counts)
+    entriesPerDay: [
+      { $project: { day: dayKey(timeZone) } },
+      { $group: { _id: '$day', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ],
+    // Entries per hour (for Day mode visualizations)
+    entriesPerHour: [
+      { $project: { h: { $hour: { date: '$entryTime', timezone: timeZone } } } },
+      { $group: { _id: '$h', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ],
+    // Distinct active users per day (DAU series)
+    dauPerDay: [
+      { $project: { u: '$username', d: dayKey(timeZone) } },
+      { $group: { _id: { u: '$u', d: '$d' } } },
+      { $group: { _id: '$_id.d', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ],
+    // Distinct active users per hour (for Day mode)
+    dauPerHour: [
+      { $project: { u: '$username', h: { $hour: { date: '$entryTime', timezone: timeZone } } } },
+      { $group: { _id: { u: '$u', h: '$h' } } },
+      { $group: { _id: '$_id.h', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ],
+    // Entries and distinct users per ISO weekday (1 = Monday) and hour over the whole range
+    weekdayHour: [
+      { $project: { u: '$username', wd: { $isoDayOfWeek: { date: '$entryTime', timezone: timeZone } }, h: { $hour: { date: '$entryTime', timezone: timeZone } } } },
+      { $group: { _id: { wd: '$wd', h: '$h' }, entries: { $sum: 1 }, users: { $addToSet: '$u' } } },
+      { $project: { entries: 1, users: { $size: '$users' } } },
+    ],
+    // Distinct active users per week (WAU series)
+    wauByWeek: [
+      { $project: { u: '$username', w: { $dateTrunc: { date: '$entryTime', unit: 'week', timezone: timeZone } } } },
+      { $group: { _id: { u: '$u', w: '$w' } } },
+      { $group: { _id: '$_id.w', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ],
+    // Distinct active users per month (MAU series)
+    mauByMonth: [
+      { $project: { u: '$username', m: { $dateTrunc: { date: '$entryTime', unit: 'month', timezone: timeZone } } } },
+      { $group: { _id: { u: '$u', m: '$m' } } },
+      { $group: { _id: '$_id.m', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ],
+    // Retention distribution: number of users by active days within the range
+    retention: [
+      { $project: { u: '$username', d: { $dateTrunc: { date: '$entryTime', unit: 'day', timezone: timeZone } } } },
+      { $group: { _id: { u: '$u', d: '$d' } } },
+      { $group: { _id: '$_id.u', days: { $sum: 1 } } },
+      { $project: { bucket: { $cond: [{ $gt: ['$days', 19] }, '20+', { $toString: '$days' }] } } },
+      { $group: { _id: '$bucket', count: { $sum: 1 } } },
+    ],
+    // Streak distribution: per-user longest streak within the range, bucketed
+    streaks: [
+      ...entryStreakStages({ timeZone }),
+      { $project: {
+        bucket: {
+          $switch: {
+            branches: [
+              { case: { $eq: ['$longest', 1] }, then: '1' },
+              { case: { $and: [ { $gte: ['$longest', 2] }, { $lte: ['$longest', 3] } ] }, then: '2-3' },
+              { case: { $and: [ { $gte: ['$longest', 4] }, { $lte: ['$longest', 7] } ] }, then: '4-7' },
+              { case: { $and: [ { $gte: ['$longest', 8] }, { $lte: ['$longest', 15] } ] }, then: '8-15' },
+            ],
+            default: '16+',
+          },
+        },
+      } },
+      { $group: { _id: '$bucket', count: { $sum: 1 } } },
+    ],
+  };
+}
+
+// Cohort: new vs returning by month for months within [rangeStart, rangeEnd]. Users' first month on a
+// visit lock is taken over all time (from the UserDay rollup when it is bucketed in this zone);
+// distinct users per month from the selected range.
+async function cohortByMonth(ctx, log) {
+  const { rangeStart, rangeEnd, timeZone, visitLockIds, aliases, visitKindFilter } = ctx;
+  const firstMonthPerUser = (await ctx.useRollup())
+    ? await timed(log, 'agg_cohort_first_month', () => UserDay.aggregate([
+      { $match: { 'locks.lockId': { $in: visitLockIds } } },
+      { $group: { _id: '$user', first: { $min: '$day' } } },
+      { $project: { first: { $substrCP: ['$first', 0, 7] } } },
+    ]))
+    : await timed(log, 'agg_cohort_first_month', () => Entry.aggregate([
+      { $match: withRecordFilter({ lockId: { $in: visitLockIds } }, visitKindFilter) },
+      ...canonicalUsernameStages(aliases),
+      { $group: { _id: '$username', first: { $min: '$entryTime' } } },
+      { $project: { first: { $dateToString: { format: '%Y-%m', date: '$first', timezone: timeZone } } } },
+    ]));
+  const monthlyDistinctInRange = await timed(log, 'agg_cohorts', () => Entry.aggregate([
+    { $match: withRecordFilter({ entryTime: { $gte: rangeStart, $lte: rangeEnd }, lockId: { $in: visitLockIds } }, visitKindFilter) },
+    ...canonicalUsernameStages(aliases),
+    { $project: { u: '$username', m: { $dateToString: { format: '%Y-%m', date: '$entryTime', timezone: timeZone } } } },
+    { $group: { _id: { u: '$u', m: '$m' } } },
+    { $group: { _id: '$_id.m', users: { $addToSet: '$_id.u' }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]));
+
+  const firstMonthMap = new Map((firstMonthPerUser || []).map(x => [x._id, x.first]));
+  return (monthlyDistinctInRange || []).map((m) => {
+    const users = m.users || [];
+    const newCount = users.filter(u => firstMonthMap.get(u) === m._id).length;
+    return { month: m._id, new: newCount, returning: Math.max(0, users.length - newCount) };
+  });
+}
+
+// Per-day and per-hour facet rows -> { entriesPerDay, entriesPerHour, dauPerDay, dauPerHour }
+const trendSeries = (f) => ({
+  entriesPerDay: (f.entriesPerDay || []).map(x => ({ day: x._id, count: x.count })),
+  entriesPerHour: (f.entriesPerHour || []).map(x => ({ hour: x._id, count: x.count })),
+  dauPerDay: (f.dauPerDay || []).map(x => ({ day: x._id, count: x.count })),
+  dauPerHour: (f.dauPerHour || []).map(x => ({ hour: x._id, count: x.count })),
+});
+
+// Trend series of the comparison window (entries and distinct users per day and per hour)
+async function comparisonSeries(ctx, log) {
+  const facet = analyticsFacet(ctx.timeZone);
+  const rows = await timed(log, 'agg_analytics_comparison', () => Entry.aggregate([
+    { $match: withRecordFilter({ ...ctx.query, lockId: { $in: ctx.visitLockIds } }, ctx.visitKindFilter) },
+    ...canonicalUsernameStages(ctx.aliases),
+    { $facet: { entriesPerDay: facet.entriesPerDay, entriesPerHour: facet.entriesPerHour, dauPerDay: facet.dauPerDay, dauPerHour: facet.dauPerHour } },
+  ]));
+  return trendSeries(rows?.[0] || {});
+}
+
+// weekdayHour facet rows -> all 7 x 24 cells [{ weekday, hour, entries, users }], empty cells as zeros
+function weekdayHourCells(rows = []) {
+  const byCell = new Map(rows.filter(x => x?._id).map(x => [`${x._id.wd}|${x._id.h}`, x]));
+  const cells = [];
+  for (let weekday = 1; weekday <= 7; weekday++) {
+    for (let hour = 0; hour < 24; hour++) {
+      const x = byCell.get(`${weekday}|${hour}`);
+      cells.push({ weekday, hour, entries: x?.entries ?? 0, users: x?.users ?? 0 });
+    }
+  }
+  return cells;
+}
+
+// Entries of the current filters by unlock method / event kind -> [{ kind, count }], most used first
+async function unlockMethods(ctx, log) {
+  const rows = await timed(log, 'agg_unlock_methods', () => Entry.aggregate([
+    { $match: ctx.query },
+    { $group: { _id: '$recordType', count: { $sum: 1 } } },
+  ]));
+  return countsByKind(rows || [], ctx.recordKinds);
+}
+
+export async function loadAnalytics(ctx, log) {
+  if (await ctx.userHidden?.()) throw new HttpError(403, 'This profile is private');
+  // Respect current filters (userId if provided) and the current range window
+  const analyticsQuery = withRecordFilter({ ...ctx.query, lockId: { $in: ctx.visitLockIds } }, ctx.visitKindFilter);
+  const analyticsAgg = await timed(log, 'agg_analytics', () => Entry.aggregate([
+    { $match: analyticsQuery },
+    ...canonicalUsernameStages(ctx.aliases),
+    { $facet: analyticsFacet(ctx.timeZone) },
+  ]));
+  const aFacet = analyticsAgg?.[0] || {};
+
+  // Default retention buckets for discrete days 1..19 and '20+'
+  const retentionBuckets = {};
+  for (let i = 1; i <= 19; i++) retentionBuckets[String(i)] = 0;
+  retentionBuckets['20+'] = 0;
+  for (const x of aFacet.retention || []) retentionBuckets[x._id] = x.count;
+  const streakBuckets = { '1': 0, '2-3': 0, '4-7': 0, '8-15': 0, '16+': 0, ...Object.fromEntries((aFacet.streaks || []).map(x => [x._id, x.count])) };
+
+  const timesHidden = await ctx.userTimesHidden?.();
+  const masked = (series) => (timesHidden ? maskAnalyticsTimes(series) : series);
+  const analytics = masked({
+    ...trendSeries(aFacet),
+    wauByWeek: (aFacet.wauByWeek || []).map(x => ({ week: x._id, count: x.count })),
+    mauByMonth: (aFacet.mauByMonth || []).map(x => ({ month: x._id, count: x.count })),
+    weekdayHour: weekdayHourCells(aFacet.weekdayHour),
+    retentionBuckets,
+    streakBuckets,
+    cohortByMonth: await cohortByMonth(ctx, log),
+    unlockMethods: await unlockMethods(ctx, log),
+  });
+  if (!ctx.comparison) return { analytics };
+  return { analytics, comparison: { ...ctx.comparison, analytics: masked(await comparisonSeries(ctx.comparisonContext(), log)) } };
+}
+
+export default { loadAnalytics };
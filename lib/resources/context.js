@@ -0,0 +1,207 @@
+// lib/resources/context.js
+// Request context shared by the GET /api resource endpoints: parses the common query parameters
+// (page/limit/lockId/userId/kind/date/period/season/tz/compare), resolves the time window and its
+// comparison window, the active season, the lock registry and the username aliases, and memoizes work
+// that several resources need within one request. Resources apply the members' privacy settings
+// (lib/privacy.js) for the viewer routes pass; without one the request is anonymous, and only scripts
+// opt in to seeing everything with `trusted`.
+import { timed } from '../logger.js';
+import { appTimeZone, resolveTimeZone, localDayKey, addDays, zonedDayRange, zonedMonthRange } from '../timezone.js';
+import { resolveSeason, toSeasonDto } from '../seasons.js';
+import { rollupReady } from '../userDays.js';
+import { loadLocks, visitLockIds } from '../locks.js';
+import { loadAliases, usernameMatch, resolveUser } from '../aliases.js';
+import { loadFlaggedDays } from '../flags.js';
+import { recordKindSettings, recordKindFilter, visitKindFilter, parseKindParam } from '../recordKinds.js';
+import { sessionRules as instanceSessionRules } from '../sessions.js';
+import { parseCompare, comparisonWindow } from '../comparison.js';
+import { loadPrivacySettings, privacyPolicy, profileHidden, entryTimesHidden } from '../privacy.js';
+import Season from '../models/Season.js';
+import SeasonArchive from '../models/SeasonArchive.js';
+import JobCheckpoint from '../models/JobCheckpoint.js';
+import Lock from '../models/Lock.js';
+import Flag from '../models/Flag.js';
+import UserAlias from '../models/UserAlias.js';
+import PrivacySetting from '../models/PrivacySetting.js';
+
+export const ALLOWED_LIMITS = [25, 50, 100];
+export const PERIODS = ['day', 'month', 'last7', 'last30', 'mtd'];
+
+// Normalize page size to allowed dropdown values to prevent URL bypass
+export function normalizeLimit(raw) {
+  const rawLimit = parseInt(raw || '50', 10);
+  if (ALLOWED_LIMITS.includes(rawLimit)) return rawLimit;
+  // Choose nearest allowed; on ties prefer the smaller value
+  let best = ALLOWED_LIMITS[0];
+  let bestDiff = Math.abs(rawLimit - best);
+  for (const v of ALLOWED_LIMITS) {
+    const d = Math.abs(rawLimit - v);
+    if (d < bestDiff || (d === bestDiff && v < best)) {
+      best = v; bestDiff = d;
+    }
+  }
+  return best;
+}
+
+// Day key (YYYY-MM-DD) for the `date` parameter: YYYY-MM-DD as is, YYYY-MM as its first day,
+// anything else parsed as an instant in `timeZone`; today when missing or invalid
+export function parseDayKey(dateParam, timeZone, now = new Date()) {
+  const m3 = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateParam || '');
+  const m2 = /^(\d{4})-(\d{2})$/.exec(dateParam || '');
+  if (m3) return dateParam;
+  if (m2) return `${dateParam}-01`;
+  const parsed = dateParam ? new Date(dateParam) : null;
+  return localDayKey(parsed && !Number.isNaN(parsed.getTime()) ? parsed : now, timeZone);
+}
+
+// Time window for a period anchored at `dayKey`, as local days in `timeZone` -> { rangeStart, rangeEnd }
+export function rangeForPeriod(period, dayKey, { now = new Date(), timeZone = 'UTC' } = {}) {
+  const today = localDayKey(now, timeZone);
+  const span = (from, to) => ({ rangeStart: zonedDayRange(from, timeZone).start, rangeEnd: zonedDayRange(to, timeZone).end });
+  if (period === 'month') {
+    const { start, end } = zonedMonthRange(dayKey, timeZone);
+    return { rangeStart: start, rangeEnd: end };
+  }
+  if (period === 'last7') return span(addDays(today, -6), today);
+  if (period === 'last30') return span(addDays(today, -29), today);
+  if (period === 'mtd') return span(`${today.slice(0, 7)}-01`, today);
+  return span(dayKey, dayKey);
+}
+
+export const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the context for one request from its URLSearchParams; `viewer` ({ user, admin }, see
+// requestViewer in lib/auth.js) is who the response is for, `trusted` skips privacy (scripts only)
+export async function resolveApiContext(searchParams, log, { viewer = null, trusted = false } = {}) {
+  const page = parseInt(searchParams.get('page') || '1', 10);
+  const limit = normalizeLimit(searchParams.get('limit'));
+  const lockId = searchParams.get('lockId') || '';
+  const userId = (searchParams.get('userId') || '').trim(); // used as username filter
+  const kinds = parseKindParam(searchParams.get('kind')); // unlock method / event kinds, e.g. "app,card"
+  const periodRaw = (searchParams.get('period') || 'day').toLowerCase();
+  let period = PERIODS.includes(periodRaw) ? periodRaw : 'day';
+  const seasonKey = (searchParams.get('season') || '').trim();
+  const compare = parseCompare(searchParams.get('compare')); // previous | yoy
+
+  // Season catalog lives in MongoDB (managed via /api/seasons); only active seasons are selectable
+  const seasons = (await timed(log, 'find_seasons', () => Season.find({ active: true }).sort({ startAt: -1 }).lean())).map(toSeasonDto);
+  const activeSeason = resolveSeason(seasonKey, seasons);
+
+  // Day/hour bucketing and the range use APP_TIMEZONE unless the request asks for another zone
+  const timeZone = resolveTimeZone(searchParams.get('tz'));
+  let { rangeStart, rangeEnd } = rangeForPeriod(period, parseDayKey(searchParams.get('date'), timeZone), { timeZone });
+  const seasonActive = !!activeSeason;
+  // A whole calendar month compares with whole months; seasons compare like any other span of days
+  const calendarMonth = period === 'month' && !seasonActive;
+  if (activeSeason) {
+    rangeStart = activeSeason.startAt;
+    rangeEnd = activeSeason.endAt;
+    // Treat season like month for user-centric aggregates
+    period = 'month';
+  }
+  // Closed seasons are served from their frozen snapshot rather than recomputed live
+  const seasonArchive = activeSeason?.closedAt
+    ? await timed(log, 'find_season_archive', () => SeasonArchive.findOne({ seasonKey: activeSeason.key }).lean())
+    : null;
+
+  // Visits, streaks and user-centric leaderboards count only days on the registry's visit locks
+  const locks = await timed(log, 'find_locks', () => loadLocks({ Lock }));
+
+  // The UserDay rollup is bucketed in the instance zone; requests in another zone read raw entries instead
+  const rollupTimeZone = appTimeZone();
+
+  // Merged usernames count as their canonical identity everywhere
+  const aliases = await timed(log, 'find_user_aliases', () => loadAliases({ UserAlias }));
+
+  // recordType codes map to kinds; only visit kinds count as visits (the rollup is built the same way)
+  const { value: recordKinds, errors: recordKindErrors } = recordKindSettings();
+  if (recordKindErrors.length) log?.warn('record_kinds_invalid', { errors: recordKindErrors });
+  // Gap rules that pair taps into visit sessions (see lib/sessions.js)
+  const { value: sessionRules, errors: sessionRuleErrors } = instanceSessionRules();
+  if (sessionRuleErrors.length) log?.warn('session_rules_invalid', { errors: sessionRuleErrors });
+
+  // Optional case-insensitive exact match for username when userId is provided (any username of the identity)
+  const usernameFilter = userId ? { username: usernameMatch(userId, aliases) } : {};
+  const query = {
+    entryTime: { $gte: rangeStart, $lte: rangeEnd },
+    ...(lockId ? { lockId } : {}),
+    ...usernameFilter,
+    ...(kinds.length ? recordKindFilter(kinds, recordKinds) : {}),
+  };
+
+  // Results shared by several resources (e.g. season standings) are computed once per request
+  const memoize = (memo = new Map()) => (key, fn) => {
+    if (!memo.has(key)) memo.set(key, fn());
+    return memo.get(key);
+  };
+  const once = memoize();
+
+  // The window the range is compared with (?compare=previous|yoy), or null
+  const comparison = comparisonWindow({ compare, period, calendarMonth, rangeStart, rangeEnd, timeZone });
+
+  const ctx = {
+    page,
+    limit,
+    lockId,
+    userId,
+    kinds,
+    period,
+    seasons,
+    activeSeason,
+    seasonActive,
+    seasonArchive,
+    rangeStart,
+    rangeEnd,
+    timeZone,
+    locks,
+    visitLockIds: visitLockIds(locks),
+    aliases,
+    recordKinds,
+    // Entry filter for visit kinds (null when every kind counts); combine with withRecordFilter()
+    visitKindFilter: visitKindFilter(recordKinds),
+    sessionRules,
+    query,
+    once,
+    // Whether the UserDay rollup can serve this request: its days are local days of the request's zone
+    // and it has been synced (npm run userdays:sync). Requests only read it; without it they aggregate
+    // raw entries.
+    useRollup: () => once('rollup', async () => {
+      if (timeZone !== rollupTimeZone) return false;
+      return timed(log, 'find_user_days_checkpoint', () => rollupReady({ JobCheckpoint, timeZone, recordKinds }));
+    }),
+    // User-days with unapproved anomaly flags ("user|YYYY-MM-DD" in the request's zone), left out of
+    // leaderboards, streaks and seasons. Only reads Flag: entries are checked on ingest and by the scan.
+    flaggedDays: () => once('flagged_days', () => timed(log, 'find_flagged_days', () => loadFlaggedDays({ Flag, timeZone, aliases }))),
+    comparison,
+    viewer,
+    // Privacy policy for the viewer (see lib/privacy.js); null for trusted callers and admins. A missing
+    // viewer is an anonymous visitor, so settings apply in full.
+    privacy: () => once('privacy', async () => {
+      if (trusted || viewer?.admin) return null;
+      const settings = await timed(log, 'find_privacy_settings', () => loadPrivacySettings({ PrivacySetting }));
+      return privacyPolicy(settings, viewer || {});
+    }),
+    // Whether ?userId= names a member whose profile is private to the viewer; resources filtered to
+    // that user come back empty
+    userHidden: () => once('user_hidden', async () => Boolean(userId) && profileHidden(await ctx.privacy(), resolveUser(userId, aliases))),
+    // Whether ?userId= names a member who hides their entry times from the viewer; times in resources
+    // filtered to that user are reduced to days
+    userTimesHidden: () => once('user_times_hidden', async () => Boolean(userId) && entryTimesHidden(await ctx.privacy(), resolveUser(userId, aliases))),
+    // The same request over the comparison window: no season (the window is ranked like a month) and
+    // its own memo; the rollup check and flagged days are shared
+    comparisonContext: () => comparison && {
+      ...ctx,
+      rangeStart: comparison.rangeStart,
+      rangeEnd: comparison.rangeEnd,
+      query: { ...query, entryTime: { $gte: comparison.rangeStart, $lte: comparison.rangeEnd } },
+      activeSeason: null,
+      seasonActive: false,
+      seasonArchive: null,
+      comparison: null,
+      once: memoize(),
+    },
+  };
+  return ctx;
+}
+
+export default { ALLOWED_LIMITS, PERIODS, normalizeLimit, parseDayKey, rangeForPeriod, escapeRegex, resolveApiContext };
@@ -0,0 +1,53 @@
+// lib/resources/digest.js
+// Personal digest resource: one member's last week or month — visits, streaks, live season points and
+// rank movement, new badges and a visits trend — assembled from the user profile, the user's day
+// summaries and the season standings (see lib/digest.js for the window and rendering).
+import { timed } from '../logger.js';
+import { resolveUser, usernameMatch } from '../aliases.js';
+import { digestWindow, digestSeries, buildDigest } from '../digest.js';
+import { loadUserProfile, loadUserDays, userFlaggedDays } from './users.js';
+import { computeSeasonStandings, computeSeasonProgress } from './standings.js';
+
+// Progress of `canonical` in the live season overlapping the window, or null: points and rank at the
+// end of the window, and points and rank when the window started
+async function digestSeason(canonical, window, ctx, log) {
+  const season = ctx.seasons.find(s => !s.closedAt && new Date(s.startAt) <= window.rangeEnd && new Date(s.endAt) >= window.rangeStart);
+  if (!season) return null;
+  const excludeDays = await ctx.flaggedDays();
+  // Standings as of `end`, shared by every digest built with this context
+  const standingsAt = (end) => ctx.once(`digest_standings:${season.key}:${end.toISOString()}`, () => timed(log, 'digest_season_standings', () => (
+    computeSeasonStandings({ ...season, endAt: end }, null, { ...ctx, excludeDays }, log)
+  )));
+  const end = new Date(Math.min(new Date(season.endAt).getTime(), window.rangeEnd.getTime()));
+  const standings = await standingsAt(end);
+  const progress = await computeSeasonProgress({ ...season, endAt: end }, null, standings, canonical, { ...ctx, excludeDays }, log);
+  const before = new Date(season.startAt) < window.rangeStart ? await standingsAt(new Date(window.rangeStart.getTime() - 1)) : [];
+  const previous = before.find(s => s.user.toLowerCase() === canonical.toLowerCase()) || null;
+  return {
+    key: season.key,
+    name: season.name,
+    points: progress.points,
+    pointsGained: progress.points - (previous?.points || 0),
+    rank: progress.rank,
+    previousRank: previous?.rank ?? null,
+    level: progress.level,
+    nextLevelAt: progress.nextLevelAt,
+  };
+}
+
+// Digest of `username` for `period` ('week' | 'month') as of `now`, or null when the user has no activity
+export async function loadUserDigest(username, ctx, log, { period = 'week', now = new Date() } = {}) {
+  const { timeZone, visitLockIds, aliases = [] } = ctx;
+  const profile = await loadUserProfile(username, ctx, log, { now });
+  if (!profile) return null;
+  const canonical = resolveUser(username, aliases);
+  const window = digestWindow(period, now, timeZone);
+  const series = digestSeries(window);
+  const days = await loadUserDays(usernameMatch(canonical, aliases), ctx, log, { from: series[0].from, to: window.to, op: 'agg_digest_days' });
+  const flagged = await userFlaggedDays(canonical, ctx);
+  const visitDays = days.filter(d => visitLockIds.includes(String(d.lockId)) && !flagged.has(d.day)).map(d => d.day);
+  const season = await digestSeason(canonical, window, ctx, log);
+  return buildDigest({ user: profile.username, window, series, visitDays, profile, season });
+}
+
+export default { loadUserDigest };
@@ -0,0 +1,79 @@
+// lib/resources/entries.js
+// Entries resource: one page of entries for the current filters, pagination and the filter metadata
+// (available locks, per-lock counts, previous/next dates with entries, season catalog). Entry times of
+// members who hide them are reduced to the day; a search for a private profile finds nothing.
+import { timed } from '../logger.js';
+import { localDayKey, zonedDayRange, zonedMonthRange } from '../timezone.js';
+import { applyEntryPrivacy } from '../privacy.js';
+import Entry from '../models/Entry.js';
+
+// Nearest earlier/later day (or month) that has entries -> { date, count } or null
+async function adjacentDateCounts(ctx, log, direction) {
+  const before = direction === 'previous';
+  const found = await timed(log, before ? 'find_prev_date' : 'find_next_date', () => Entry.findOne(
+    { entryTime: before ? { $lt: ctx.rangeStart } : { $gt: ctx.rangeEnd } },
+    { entryTime: 1 }
+  )
+    // Tie-break by _id for stable selection
+    .sort(before ? { entryTime: -1, _id: -1 } : { entryTime: 1, _id: 1 }));
+  if (!found?.entryTime) return null;
+  const dayKey = localDayKey(new Date(found.entryTime), ctx.timeZone);
+  const { start, end } = ctx.period === 'month' ? zonedMonthRange(dayKey, ctx.timeZone) : zonedDayRange(dayKey, ctx.timeZone);
+  const count = await Entry.countDocuments({ entryTime: { $gte: start, $lte: end } });
+  return { date: start, count };
+}
+
+export async function loadEntries(ctx, log) {
+  const { page, limit } = ctx;
+  const privacy = await ctx.privacy?.();
+  // Nothing matches when the user filter names a private profile
+  const query = (await ctx.userHidden?.()) ? { ...ctx.query, _id: null } : ctx.query;
+  // Fetch paginated entries
+  const entries = await timed(log, 'find_entries', () => Entry.find(query)
+    // Ensure deterministic ordering even when entryTime values are equal
+    .sort({ entryTime: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean());
+
+  // Total for pagination
+  const total = await ctx.once('count_total', () => timed(log, 'count_total', () => Entry.countDocuments(query)));
+
+  // Distinct lock IDs (for filters)
+  const availableLockIds = await timed(log, 'distinct_lockIds', () => Entry.distinct('lockId'));
+
+  // Counts by lockId for the selected range and current filters (consistent with query)
+  const countsAgg = await timed(log, 'agg_counts_by_lock', () => Entry.aggregate([
+    { $match: query },
+    { $group: { _id: '$lockId', count: { $sum: 1 } } },
+  ]));
+  const entryCounts = Object.fromEntries(countsAgg.map(d => [d._id, d.count]));
+
+  // Previous/Next date with entries (disabled in season mode)
+  const previousDateCounts = ctx.seasonActive ? null : await adjacentDateCounts(ctx, log, 'previous');
+  const nextDateCounts = ctx.seasonActive ? null : await adjacentDateCounts(ctx, log, 'next');
+
+  return {
+    entries: applyEntryPrivacy(entries, privacy, ctx),
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+    filters: {
+      availableLockIds,
+      entryCounts,
+      date: ctx.rangeStart,
+      previousDateCounts,
+      nextDateCounts,
+      period: ctx.period,
+      seasons: ctx.seasons,
+      season: ctx.activeSeason ? ctx.activeSeason.key : '',
+      // Zone the range and day/hour buckets were computed in (APP_TIMEZONE or ?tz=)
+      timeZone: ctx.timeZone,
+    },
+  };
+}
+
+export default { loadEntries };
@@ -0,0 +1,234 @@
+// lib/resources/leaderboards.js
+// Leaderboards for the current range (month/season: user-centric, including time spent in visit
+// sessions; day: entries and locks), with each row's rank movement against the comparison window when
+// ?compare= is set, and the lifetime global leaderboards. Both read the UserDay rollup when it can serve
+// the request; time spent pairs individual taps, which only raw entries keep. Members'
+// leaderboard privacy (lib/privacy.js) is applied last: hidden members are skipped, anonymous ones lose
+// their name.
+import { timed } from '../logger.js';
+import {
+  topDistinctDaysStages,
+  topEarlyBirdsStages,
+  topNightOwlsStages,
+  longestStreakStages,
+  rollupTopDistinctDaysStages,
+  rollupTopEarlyBirdsStages,
+  rollupTopNightOwlsStages,
+  rollupLongestStreakStages,
+  rollupLockView,
+  toLeaderboardRows,
+} from '../leaderboards.js';
+import { excludeFlaggedDaysStages, rollupExcludeFlaggedDaysStages } from '../flags.js';
+import { canonicalUsernameStages } from '../aliases.js';
+import { withRecordFilter } from '../recordKinds.js';
+import { sessionDaysStages, sessionsFromDays, topTimeSpent } from '../sessions.js';
+import { withRankMovement } from '../comparison.js';
+import { wholeLocalDays } from '../timezone.js';
+import { hiddenMemberCount, withoutHiddenMembers, anonymizeMembers, applyLeaderboardPrivacy } from '../privacy.js';
+import { loadSeasonStandings } from './standings.js';
+import Entry from '../models/Entry.js';
+import UserDay from '../models/UserDay.js';
+
+const BOARD_SIZE = 5;
+// How deep the comparison window is ranked, so users climbing into the top 5 show where they came from
+const COMPARE_RANK_DEPTH = 50;
+
+// Boards without hidden members, cut at `limit` (topLocks ranks locks, not members)
+function visibleBoards(boards, privacy, limit) {
+  if (!privacy) return boards;
+  return Object.fromEntries(Object.entries(boards).map(([key, rows]) => [key, key === 'topLocks' ? rows : withoutHiddenMembers(rows, privacy).slice(0, limit)]));
+}
+
+const anonymizeBoards = (boards, privacy) => Object.fromEntries(Object.entries(boards).map(([key, rows]) => [key, key === 'topLocks' ? rows : anonymizeMembers(rows, privacy)]));
+
+// Leaderboards of the range -> { leaderboards, comparison? }; rows gain previousRank and rankChange
+// (see withRankMovement) when the request compares. Ranks are taken after hidden members are skipped,
+// in both windows, and before anonymous members lose their names.
+export async function loadLeaderboards(ctx, log) {
+  const privacy = await ctx.privacy?.();
+  // Each board is ranked deeper by the number of hidden members, so it still fills up
+  const extra = hiddenMemberCount(privacy);
+  const leaderboards = visibleBoards(await rangeLeaderboards(ctx, log, { limit: BOARD_SIZE + extra }), privacy, BOARD_SIZE);
+  if (!ctx.comparison) return { leaderboards: anonymizeBoards(leaderboards, privacy) };
+  const previous = visibleBoards(await rangeLeaderboards(ctx.comparisonContext(), log, { limit: COMPARE_RANK_DEPTH + extra }), privacy, COMPARE_RANK_DEPTH);
+  for (const key of Object.keys(leaderboards)) leaderboards[key] = withRankMovement(leaderboards[key], previous[key]);
+  return { leaderboards: anonymizeBoards(leaderboards, privacy), comparison: ctx.comparison };
+}
+
+// Range leaderboards over raw entries: one $facet of the boards of `period`
+function entryRangeLeaderboardStages({ rangeStart, rangeEnd, period, lockId, timeZone, lockIds, aliases, visitKindFilter, excludeDays, limit }) {
+  return [
+    // Only visits rank: failed attempts, admin and locking events do not count
+    { $match: withRecordFilter({ entryTime: { $gte: rangeStart, $lte: rangeEnd }, ...(lockId ? { lockId } : {}) }, visitKindFilter) },
+    // Merged usernames rank as one user; days with unapproved anomaly flags do not count
+    ...canonicalUsernameStages(aliases),
+    ...excludeFlaggedDaysStages({ excludeDays, timeZone }),
+    {
+      $facet: (
+        period === 'month'
+          ? {
+            // Users ranked by number of distinct active days during the month
+            topUsers: topDistinctDaysStages({ timeZone, lockIds, limit }),
+            // Early birds by number of days where the FIRST entry was before 08:00
+            topEarlyBirds: topEarlyBirdsStages({ timeZone, lockIds, limit }),
+            // Night owls by number of days where the FIRST entry AFTER 22:00 exists for the user
+            topNightOwls: topNightOwlsStages({ timeZone, lockIds, limit }),
+            // Longest streak in days per user within the month (consecutive active days)
+            topLongestStreaks: longestStreakStages({ timeZone, lockIds, limit }),
+          }
+          : {
+            topUsers: [
+              { $group: { _id: '$username', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: limit },
+            ],
+            topLocks: [
+              { $match: { lockId: { $ne: null } } },
+              { $group: { _id: '$lockId', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: limit },
+            ],
+            // Day-mode early birds: number of users' days (within the single day range) where FIRST entry was before 08:00, on any lock
+            topEarlyBirds: topEarlyBirdsStages({ timeZone, limit }),
+            // Day-mode night owls: count users' days where the FIRST entry AFTER 22:00 exists (same logic as month, any lock)
+            topNightOwls: topNightOwlsStages({ timeZone, limit }),
+          }
+      ),
+    },
+  ];
+}
+
+// The same boards over the UserDay rollup for the local days [from, to]. Its users are canonical and
+// its days hold visit entries only; with ?lockId= each day keeps that lock's share (see rollupLockView).
+function rollupRangeLeaderboardStages({ from, to, period, lockId, timeZone, lockIds, excludeDays, limit }) {
+  const ranked = [{ $sort: { count: -1, _id: 1 } }, { $limit: limit }];
+  return [
+    { $match: { day: { $gte: from, $lte: to } } },
+    ...rollupLockView(lockId ? [lockId] : null),
+    ...rollupExcludeFlaggedDaysStages({ excludeDays }),
+    {
+      $facet: (
+        period === 'month'
+          ? {
+            topUsers: rollupTopDistinctDaysStages({ lockIds, limit }),
+            topEarlyBirds: rollupTopEarlyBirdsStages({ timeZone, lockIds, limit }),
+            topNightOwls: rollupTopNightOwlsStages({ lockIds, limit }),
+            topLongestStreaks: rollupLongestStreakStages({ lockIds, limit }),
+          }
+          : {
+            // Entries per user and per lock
+            topUsers: [{ $group: { _id: '$user', count: { $sum: '$entryCount' } } }, ...ranked],
+            topLocks: [
+              { $unwind: '$locks' },
+              { $match: { 'locks.lockId': { $ne: null } } },
+              { $group: { _id: '$locks.lockId', count: { $sum: '$locks.entryCount' } } },
+              ...ranked,
+            ],
+            topEarlyBirds: rollupTopEarlyBirdsStages({ timeZone, limit }),
+            topNightOwls: rollupTopNightOwlsStages({ limit }),
+          }
+      ),
+    },
+  ];
+}
+
+// Leaderboards of one range, every board cut at `limit` rows
+async function rangeLeaderboards(ctx, log, { limit = BOARD_SIZE } = {}) {
+  const { rangeStart, rangeEnd, lockId, period, timeZone, seasonArchive, aliases, visitLockIds: lockIds, visitKindFilter } = ctx;
+  // Official (unfiltered) season leaderboards come from the archive once the season is closed
+  const archivedLb = seasonArchive && !lockId ? seasonArchive.leaderboards || {} : null;
+  if (archivedLb) {
+    return {
+      topUsers: archivedLb.topUsers || [],
+      topLocks: [],
+      topEarlyBirds: archivedLb.topEarlyBirds || [],
+      topNightOwls: archivedLb.topNightOwls || [],
+      topLongestStreaks: archivedLb.topLongestStreaks || [],
+      topTimeSpent: archivedLb.topTimeSpent || [],
+    };
+  }
+
+  const excludeDays = await ctx.flaggedDays();
+  // The rollup holds whole local days, so it serves ranges that start and end on local midnights
+  const rollupDays = (await ctx.useRollup()) ? wholeLocalDays(rangeStart, rangeEnd, timeZone) : null;
+  const leaderboardAgg = await timed(log, 'agg_leaderboards', () => (rollupDays
+    ? UserDay.aggregate(rollupRangeLeaderboardStages({ ...rollupDays, period, lockId, timeZone, lockIds, excludeDays, limit }))
+    : Entry.aggregate(entryRangeLeaderboardStages({ rangeStart, rangeEnd, period, lockId, timeZone, lockIds, aliases, visitKindFilter, excludeDays, limit }))));
+  const lbFacet = leaderboardAgg?.[0] || {};
+  const leaderboards = {
+    topUsers: toLeaderboardRows(lbFacet.topUsers),
+    topLocks: period === 'month' ? [] : toLeaderboardRows(lbFacet.topLocks),
+    topEarlyBirds: toLeaderboardRows(lbFacet.topEarlyBirds),
+    topNightOwls: toLeaderboardRows(lbFacet.topNightOwls),
+    topLongestStreaks: toLeaderboardRows(lbFacet.topLongestStreaks),
+    topTimeSpent: [],
+  };
+  if (period === 'month') {
+    // Time spent: each user's taps on every lock (the dressing room too) paired into sessions
+    const sessionDays = await timed(log, 'agg_sessions', () => Entry.aggregate([
+      { $match: withRecordFilter({ entryTime: { $gte: rangeStart, $lte: rangeEnd } }, visitKindFilter) },
+      ...canonicalUsernameStages(aliases),
+      ...excludeFlaggedDaysStages({ excludeDays, timeZone }),
+      ...sessionDaysStages(timeZone),
+    ]));
+    const sessions = sessionsFromDays(sessionDays, { visitLockIds: lockIds, rules: ctx.sessionRules });
+    leaderboards.topTimeSpent = topTimeSpent(sessions, { limit });
+  }
+  // Live season leaderboards rank users by season points (a season may weigh days differently)
+  if (ctx.seasonActive && !lockId) {
+    const standings = await loadSeasonStandings(ctx, log);
+    leaderboards.topUsers = standings.slice(0, limit).map(s => ({ id: s.user, count: s.points }));
+  }
+  return leaderboards;
+}
+
+// Global leaderboards (lifetime, user-centric only), read from the UserDay rollup when it is bucketed in
+// the request's zone and from raw entries otherwise
+export async function loadGlobalLeaderboards(ctx, log) {
+  const { timeZone, aliases, visitLockIds: lockIds, visitKindFilter } = ctx;
+  const privacy = await ctx.privacy?.();
+  const limit = BOARD_SIZE + hiddenMemberCount(privacy);
+  const fromRollup = await ctx.useRollup();
+  const excludeDays = await ctx.flaggedDays();
+  const Source = fromRollup ? UserDay : Entry;
+  const globalLbAgg = await timed(log, 'agg_global_leaderboards', () => Source.aggregate([
+    // Rollup users are canonical already and its days hold visit entries only
+    ...(fromRollup
+      ? rollupExcludeFlaggedDaysStages({ excludeDays })
+      : [
+        ...(visitKindFilter ? [{ $match: visitKindFilter }] : []),
+        ...canonicalUsernameStages(aliases),
+        ...excludeFlaggedDaysStages({ excludeDays, timeZone }),
+      ]),
+    {
+      $facet: fromRollup
+        ? {
+          // Distinct active days across all time per user
+          topUsers: rollupTopDistinctDaysStages({ lockIds, limit }),
+          // Days where FIRST entry was before 08:00
+          topEarlyBirds: rollupTopEarlyBirdsStages({ timeZone, lockIds, limit }),
+          // Days where FIRST entry AFTER 22:00 exists
+          topNightOwls: rollupTopNightOwlsStages({ lockIds, limit }),
+          // Longest consecutive active day streak across lifetime
+          topLongestStreaks: rollupLongestStreakStages({ lockIds, limit }),
+        }
+        : {
+          topUsers: topDistinctDaysStages({ timeZone, lockIds, limit }),
+          topEarlyBirds: topEarlyBirdsStages({ timeZone, lockIds, limit }),
+          topNightOwls: topNightOwlsStages({ timeZone, lockIds, limit }),
+          topLongestStreaks: longestStreakStages({ timeZone, lockIds, limit }),
+        },
+    },
+  ]));
+  const glbFacet = globalLbAgg?.[0] || {};
+  return {
+    globalLeaderboards: {
+      topUsers: applyLeaderboardPrivacy(toLeaderboardRows(glbFacet.topUsers), privacy, { limit: BOARD_SIZE }),
+      topEarlyBirds: applyLeaderboardPrivacy(toLeaderboardRows(glbFacet.topEarlyBirds), privacy, { limit: BOARD_SIZE }),
+      topNightOwls: applyLeaderboardPrivacy(toLeaderboardRows(glbFacet.topNightOwls), privacy, { limit: BOARD_SIZE }),
+      topLongestStreaks: applyLeaderboardPrivacy(toLeaderboardRows(glbFacet.topLongestStreaks), privacy, { limit: BOARD_SIZE }),
+    },
+  };
+}
+
+export default { loadLeaderboards, loadGlobalLeaderboards };
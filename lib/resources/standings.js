@@ -0,0 +1,90 @@
+// lib/resources/standings.js
+// Season standings (scored with the season's model, frozen once the season is closed) and the
+// per-user season progress derived from them (not for private profiles, see lib/privacy.js).
+import { timed } from '../logger.js';
+import { longestStreakStages, rollupLongestStreakStages } from '../leaderboards.js';
+import { scoreSeason, levelFor } from '../seasonScoring.js';
+import { seasonDaysPipeline } from '../seasonArchive.js';
+import { excludeFlaggedDaysStages, rollupExcludeFlaggedDaysStages } from '../flags.js';
+import { zonedDayHour, wholeLocalDays } from '../timezone.js';
+import { canonicalUsernameStages, resolveUser, usernameMatch } from '../aliases.js';
+import { withRecordFilter } from '../recordKinds.js';
+import Entry from '../models/Entry.js';
+import UserDay from '../models/UserDay.js';
+
+// Standings for `season` -> [{ rank, user, points, breakdown, ... }]; `archive` is its SeasonArchive if closed.
+// `excludeDays` are the flagged user-days left out of live standings (see lib/flags.js), `aliases` the
+// merged usernames (see lib/aliases.js) and `visitKindFilter` the visit kinds (see lib/recordKinds.js).
+export async function computeSeasonStandings(season, archive, { timeZone, visitLockIds, excludeDays = [], aliases = [], visitKindFilter = null }, log) {
+  if (archive) return archive.standings || [];
+  const days = await timed(log, 'agg_season_standings', () => Entry.aggregate(seasonDaysPipeline(season, { timeZone, lockIds: visitLockIds, excludeDays, aliases, kindFilter: visitKindFilter })));
+  return scoreSeason(days, season.scoring, { timeZone });
+}
+
+// Standings of the request's active season (memoized per request), or null outside season mode
+export function loadSeasonStandings(ctx, log) {
+  if (!ctx.seasonActive) return Promise.resolve(null);
+  return ctx.once('season_standings', async () => {
+    const excludeDays = ctx.seasonArchive ? [] : await ctx.flaggedDays();
+    return computeSeasonStandings(ctx.activeSeason, ctx.seasonArchive, { ...ctx, excludeDays }, log);
+  });
+}
+
+// Points, rank, streaks and level of one user in `season`, given its standings. `useRollup` (see
+// resolveApiContext) lets the streaks of a season of whole local days come from the UserDay rollup.
+export async function computeSeasonProgress(season, archive, standings, userId, { timeZone, visitLockIds, excludeDays = [], aliases = [], visitKindFilter = null, useRollup: rollupAvailable = null }, log) {
+  // Standings are keyed by canonical identity; find its casing
+  const canonical = resolveUser(userId, aliases);
+  const target = standings.find(s => s.user.toLowerCase() === canonical.toLowerCase()) || null;
+  let longestStreakDays = 0;
+  let currentStreakDays = 0;
+  if (archive) {
+    // Frozen final standings; the final run stands in for the current streak
+    longestStreakDays = target?.longestStreakDays || 0;
+    currentStreakDays = target?.finalStreakDays || 0;
+  } else {
+    // Current and longest streak for this user within season
+    const today = zonedDayHour(new Date(), timeZone).day;
+    const days = rollupAvailable && (await rollupAvailable()) ? wholeLocalDays(season.startAt, season.endAt, timeZone) : null;
+    const streakAgg = days
+      ? await timed(log, 'agg_season_streak_user', () => UserDay.aggregate([
+        { $match: { user: usernameMatch(canonical, aliases), day: { $gte: days.from, $lte: days.to } } },
+        ...rollupExcludeFlaggedDaysStages({ excludeDays }),
+        ...rollupLongestStreakStages({ lockIds: visitLockIds, today }),
+      ]))
+      : await timed(log, 'agg_season_streak_user', () => Entry.aggregate([
+        { $match: withRecordFilter({ entryTime: { $gte: season.startAt, $lte: season.endAt }, username: usernameMatch(canonical, aliases) }, visitKindFilter) },
+        ...canonicalUsernameStages(aliases),
+        ...excludeFlaggedDaysStages({ excludeDays, timeZone }),
+        ...longestStreakStages({ timeZone, lockIds: visitLockIds, today }),
+      ]));
+    longestStreakDays = streakAgg?.[0]?.longest || 0;
+    // The run counts as current while it reaches today (or yesterday)
+    currentStreakDays = streakAgg?.[0]?.current || 0;
+  }
+  const points = target?.points || 0;
+  // Level ladder comes from the season's scoring (defaults to 1/5/10/20/30 points)
+  const { level, nextLevelAt } = levelFor(points, season.scoring?.levels);
+
+  return {
+    season: { key: season.key, name: season.name, startAt: season.startAt, endAt: season.endAt, closedAt: season.closedAt, scoring: season.scoring },
+    points,
+    rank: target?.rank ?? null,
+    // How the points total was reached (day points, early/night bonuses, streak bonuses, weekly cap)
+    breakdown: target?.breakdown || null,
+    currentStreakDays,
+    longestStreakDays,
+    level,
+    nextLevelAt,
+  };
+}
+
+// ----- Season progression (per-user in active season) -----
+export async function loadSeasonProgress(ctx, log) {
+  if (!ctx.seasonActive || !ctx.userId || (await ctx.userHidden?.())) return { userSeasonProgress: null };
+  const standings = await loadSeasonStandings(ctx, log);
+  const excludeDays = ctx.seasonArchive ? [] : await ctx.flaggedDays();
+  return { userSeasonProgress: await computeSeasonProgress(ctx.activeSeason, ctx.seasonArchive, standings, ctx.userId, { ...ctx, excludeDays }, log) };
+}
+
+export default { computeSeasonStandings, loadSeasonStandings, computeSeasonProgress, loadSeasonProgress };
@@ -0,0 +1,109 @@
+// lib/resources/users.js
+// User profile resource: lifetime stats, streak and achievements of one user, computed from the
+// user's day summaries (UserDay rollup, or raw entries when the request uses another time zone),
+// and visit session stats rebuilt from the user's taps (see lib/sessions.js). Members who hide their
+// entry times get a profile without them (lib/privacy.js).
+import { timed } from '../logger.js';
+import { computeStreaks } from '../streaks.js';
+import { localDayKey, zonedDayRange } from '../timezone.js';
+import { rollupDaySummaryStages } from '../userDays.js';
+import { DEFAULT_ACHIEVEMENT_RULES, evaluateAchievements, userDaysPipeline } from '../achievements.js';
+import { canonicalUsernameStages, resolveUser, usernameMatch } from '../aliases.js';
+import { sessionDaysStages, sessionsFromDays, summarizeSessions } from '../sessions.js';
+import { withRecordFilter } from '../recordKinds.js';
+import { entryTimesHidden, maskProfileTimes } from '../privacy.js';
+import { escapeRegex } from './context.js';
+import Entry from '../models/Entry.js';
+import UserDay from '../models/UserDay.js';
+import AchievementRule from '../models/AchievementRule.js';
+import Award from '../models/Award.js';
+
+// Per day+lock summaries of an identity's visit entries (`usernames` from usernameMatch), optionally
+// within the local days [from, to]: from the UserDay rollup when it is bucketed in the request's zone,
+// else from raw entries
+export async function loadUserDays(usernames, ctx, log, { from = null, to = null, op = 'agg_user_days' } = {}) {
+  const { timeZone, visitKindFilter = null } = ctx;
+  if (await ctx.useRollup()) {
+    const days = from && to ? { day: { $gte: from, $lte: to } } : {};
+    return timed(log, op, () => UserDay.aggregate([{ $match: { user: usernames, ...days } }, ...rollupDaySummaryStages()]));
+  }
+  const range = from && to ? { entryTime: { $gte: zonedDayRange(from, timeZone).start, $lte: zonedDayRange(to, timeZone).end } } : {};
+  return timed(log, op, () => Entry.aggregate([{ $match: withRecordFilter({ username: usernames, ...range }, visitKindFilter) }, ...userDaysPipeline(timeZone)]));
+}
+
+// Local days ("YYYY-MM-DD") of `canonical` with unapproved anomaly flags
+export async function userFlaggedDays(canonical, ctx) {
+  return new Set((await ctx.flaggedDays())
+    .filter(k => k.slice(0, k.lastIndexOf('|')).toLowerCase() === canonical.toLowerCase())
+    .map(k => k.slice(k.lastIndexOf('|') + 1)));
+}
+
+// Lifetime profile of `username` (case-insensitive), or null when the user has no activity.
+// Merged usernames resolve to their canonical identity, whose profile covers all of its usernames.
+export async function loadUserProfile(username, ctx, log, { now = new Date() } = {}) {
+  const { timeZone, visitLockIds, aliases = [], visitKindFilter = null } = ctx;
+  const canonical = resolveUser(username, aliases);
+  // Case-insensitive exact match on any username of the identity
+  const usernames = usernameMatch(canonical, aliases);
+
+  // The display username: the canonical name as it is spelled in the logs
+  const sampleUserDoc = await timed(log, 'find_sample_user', () => Entry.findOne({ username: { $regex: new RegExp(`^${escapeRegex(canonical)}$`, 'i') } }, { username: 1 })
+    .sort({ _id: 1 })
+    .lean());
+
+  // Per day+lock summaries of visit entries
+  const days = await loadUserDays(usernames, ctx, log, { op: 'agg_user_profile' });
+  if (!days?.length) return null;
+
+  // General stats (first/last seen, locks)
+  let first = null, last = null;
+  for (const d of days) {
+    if (!first || new Date(d.first) < new Date(first)) first = d.first;
+    if (!last || new Date(d.last) > new Date(last)) last = d.last;
+  }
+  const uniqueLocks = new Set(days.map(d => d.lockId)).size;
+  // Visits and the streak count distinct days with activity on a visit lock, to match leaderboards;
+  // days with unapproved anomaly flags are left out, as they are there
+  const flagged = await userFlaggedDays(canonical, ctx);
+  const visitDays = days.filter(d => visitLockIds.includes(String(d.lockId)) && !flagged.has(d.day)).map(d => d.day);
+  const streak = computeStreaks(visitDays, { today: localDayKey(now, timeZone) });
+
+  // Badges come from the AchievementRule collection; fall back to the seed rules when it is empty
+  const storedRules = await timed(log, 'find_achievement_rules', () => AchievementRule.find({ active: true }).lean());
+  const rules = storedRules?.length ? storedRules : DEFAULT_ACHIEVEMENT_RULES;
+  // Attach earnedAt from the Award ledger (filled by the backfill job) when available
+  const ledger = await timed(log, 'find_user_awards', () => Award.find({ user: usernames }, { ruleKey: 1, earnedAt: 1 }).lean());
+  const earnedAtByKey = new Map();
+  for (const a of ledger || []) {
+    const prev = earnedAtByKey.get(a.ruleKey);
+    if (!prev || new Date(a.earnedAt) < new Date(prev)) earnedAtByKey.set(a.ruleKey, a.earnedAt);
+  }
+  const achievements = evaluateAchievements(rules, days.filter(d => !flagged.has(d.day)), { now, visitLockIds })
+    .map(a => (earnedAtByKey.has(a.key) ? { ...a, earnedAt: earnedAtByKey.get(a.key) } : a));
+
+  // Sessions need every tap, so they always come from raw entries; flagged days are left out like visits
+  const sessionDays = await timed(log, 'agg_user_sessions', () => Entry.aggregate([
+    { $match: withRecordFilter({ username: usernames }, visitKindFilter) },
+    ...canonicalUsernameStages(aliases),
+    ...sessionDaysStages(timeZone),
+  ]));
+  const sessions = sessionsFromDays(sessionDays.filter(r => !flagged.has(r._id?.d)), { visitLockIds, rules: ctx.sessionRules });
+
+  const profile = {
+    username: sampleUserDoc?.username || canonical,
+    // Visits = distinct days on visit locks
+    totalEntriesAllTime: new Set(visitDays).size,
+    uniqueLocks,
+    firstSeen: first,
+    lastSeen: last,
+    longestStreakDays: streak.longest,
+    // Run reaching today or yesterday, 0 otherwise
+    currentStreakDays: streak.current,
+    achievements,
+    // Average and longest sessions and time spent this month
+    sessions: summarizeSessions(sessions, { now, timeZone }),
+  };
+  return entryTimesHidden(await ctx.privacy?.(), canonical) ? maskProfileTimes(profile, ctx) : profile;
+}
+
+export default { loadUserDays, userFlaggedDays, loadUserProfile };
@@ -0,0 +1,114 @@
+// lib/seasonArchive.js
+// Season close: freezes final standings, leaderboard records and the podium into a SeasonArchive
+// so late data corrections can no longer change past results.
+import {
+  topEarlyBirdsStages,
+  topNightOwlsStages,
+  longestStreakStages,
+  toLeaderboardRows,
+} from './leaderboards.js';
+import { scoreSeason, seasonDaysStages } from './seasonScoring.js';
+import { excludeFlaggedDaysStages } from './flags.js';
+import { canonicalUsernameStages } from './aliases.js';
+import { withRecordFilter } from './recordKinds.js';
+
+export const PODIUM_SIZE = 3;
+export const RECORDS_LIMIT = 5;
+
+// Entries of the season window; `kindFilter` keeps visit kinds only (see lib/recordKinds.js)
+const seasonWindow = (season, kindFilter = null) => ({
+  $match: withRecordFilter({ entryTime: { $gte: new Date(season.startAt), $lte: new Date(season.endAt) } }, kindFilter),
+});
+
+// Per-user day summaries for the season; standings are scored from these with the season's scoring model
+export function seasonDaysPipeline(season, { timeZone = 'UTC', lockIds = [], excludeDays = [], aliases = [], kindFilter = null } = {}) {
+  return [seasonWindow(season, kindFilter), ...seasonDaysStages({ timeZone, lockIds, excludeDays, aliases })];
+}
+
+// Aggregation for the archived leaderboard records of one season window
+export function seasonSnapshotPipeline(season, { timeZone = 'UTC', lockIds = [], excludeDays = [], aliases = [], kindFilter = null, recordsLimit = RECORDS_LIMIT } = {}) {
+  return [
+    seasonWindow(season, kindFilter),
+    ...canonicalUsernameStages(aliases),
+    ...excludeFlaggedDaysStages({ excludeDays, timeZone }),
+    {
+      $facet: {
+        // Every user's streaks (no limit) so each user's final streaks are preserved
+        streaks: longestStreakStages({ timeZone, lockIds }),
+        topEarlyBirds: topEarlyBirdsStages({ timeZone, lockIds, limit: recordsLimit }),
+        topNightOwls: topNightOwlsStages({ timeZone, lockIds, limit: recordsLimit }),
+      },
+    },
+  ];
+}
+
+// Build the archive document from the season's day summaries and a snapshot facet ({ streaks, topEarlyBirds, topNightOwls })
+export function composeSeasonArchive(season, days = [], facet = {}, { closedAt = new Date(), timeZone = 'UTC', recordsLimit = RECORDS_LIMIT } = {}) {
+  const streakByUser = new Map((facet?.streaks || []).map(s => [s._id, s]));
+  const standings = scoreSeason(days, season.scoring, { timeZone }).map(s => ({
+    ...s,
+    longestStreakDays: streakByUser.get(s.user)?.count || 0,
+    finalStreakDays: streakByUser.get(s.user)?.finalRun || 0,
+  }));
+  return {
+    seasonKey: season.key,
+    name: season.name,
+    startAt: new Date(season.startAt),
+    endAt: new Date(season.endAt),
+    closedAt,
+    scoring: season.scoring || { mode: 'distinct_days' },
+    standings,
+    leaderboards: {
+      topUsers: standings.slice(0, recordsLimit).map(s => ({ id: s.user, count: s.points })),
+      topEarlyBirds: toLeaderboardRows(facet?.topEarlyBirds),
+      topNightOwls: toLeaderboardRows(facet?.topNightOwls),
+      // streaks arrive ranked by count desc, user asc
+      topLongestStreaks: toLeaderboardRows((facet?.streaks || []).slice(0, recordsLimit)),
+    },
+    winners: standings.slice(0, PODIUM_SIZE).map(({ rank, user, points }) => ({ rank, user, points })),
+  };
+}
+
+// Snapshot a season and mark it closed. Idempotent: an existing archive is returned untouched
+// unless `force` is set, in which case it is recomputed from the current entries.
+// `lockIds` are the visit locks of the lock registry (see lib/locks.js); `excludeDays` the user-days
+// with unapproved anomaly flags at closing time (see lib/flags.js); `aliases` the merged usernames,
+// so the archive is keyed by canonical identities (see lib/aliases.js); `kindFilter` the visit kinds
+// filter (see lib/recordKinds.js).
+export async function closeSeason({ Entry, Season, SeasonArchive, season, timeZone = 'UTC', lockIds = [], excludeDays = [], aliases = [], kindFilter = null, now = new Date(), force = false, log }) {
+  const existing = await SeasonArchive.findOne({ seasonKey: season.key }).lean();
+  if (existing && !force) {
+    log?.info('season_close_skipped', { season: season.key, closedAt: existing.closedAt });
+    return { archive: existing, created: false };
+  }
+  const days = await Entry.aggregate(seasonDaysPipeline(season, { timeZone, lockIds, excludeDays, aliases, kindFilter }));
+  const [facet] = await Entry.aggregate(seasonSnapshotPipeline(season, { timeZone, lockIds, excludeDays, aliases, kindFilter }));
+  const archive = composeSeasonArchive(season, days, facet, { closedAt: now, timeZone });
+  await SeasonArchive.replaceOne({ seasonKey: season.key }, archive, { upsert: true });
+  await Season.updateOne({ key: season.key }, { $set: { closedAt: now } });
+  log?.info('season_closed', { season: season.key, users: archive.standings.length, winners: archive.winners.map(w => w.user), force });
+  return { archive, created: true };
+}
+
+// Archive summary for public listings (full standings are omitted)
+export function toArchiveDto(a) {
+  return {
+    seasonKey: a.seasonKey,
+    name: a.name,
+    startAt: a.startAt,
+    endAt: a.endAt,
+    closedAt: a.closedAt,
+    winners: a.winners || [],
+    leaderboards: a.leaderboards || {},
+  };
+}
+
+export default {
+  PODIUM_SIZE,
+  RECORDS_LIMIT,
+  seasonDaysPipeline,
+  seasonSnapshotPipeline,
+  composeSeasonArchive,
+  closeSeason,
+  toArchiveDto,
+};
@@ -0,0 +1,195 @@
+// lib/seasonScoring.js
+// Per-season scoring models: validation, a pure scorer over day summaries with a points
+// breakdown, season standings and level ladders.
+//
+// season.scoring = {
+//   mode: 'distinct_days' | 'weighted',
+//   levels: [1, 5, 10, 20, 30],          // points needed for level 1..n (both modes)
+//   // 'weighted' only:
+//   dayPoints: 1,                        // points per counted active day
+//   early: { beforeHour: 8, points: 1 }, // bonus when the day's first entry is before beforeHour
+//   night: { fromHour: 22, points: 1 },  // bonus when the day has an entry at/after fromHour
+//   streak: { length: 7, points: 5 },    // bonus for every `length` consecutive active days
+//   weeklyCap: 4,                        // at most this many counted days per ISO week (Mon-Sun)
+// }
+import { userDaysPipeline } from './achievements.js';
+import { zonedDayHour } from './timezone.js';
+import { excludeFlaggedDaysStages } from './flags.js';
+import { canonicalUsernameStages } from './aliases.js';
+
+export const SCORING_MODES = ['distinct_days', 'weighted'];
+export const DEFAULT_LEVELS = [1, 5, 10, 20, 30];
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isInt = (v) => Number.isInteger(v);
+
+// Validate a scoring object; returns { value, errors } with only the recognised fields kept
+export function normalizeScoring(input) {
+  const src = input && typeof input === 'object' ? input : { mode: 'distinct_days' };
+  const errors = [];
+  const value = { mode: src.mode };
+  if (!SCORING_MODES.includes(src.mode)) errors.push(`scoring.mode must be one of: ${SCORING_MODES.join(', ')}`);
+
+  if (src.levels !== undefined) {
+    const ok = Array.isArray(src.levels) && src.levels.length > 0 && src.levels.length <= 20
+      && src.levels.every((n, i) => isNum(n) && n > 0 && (i === 0 || n > src.levels[i - 1]));
+    if (ok) value.levels = src.levels;
+    else errors.push('scoring.levels must be 1-20 increasing positive numbers');
+  }
+  if (src.dayPoints !== undefined) {
+    if (isNum(src.dayPoints) && src.dayPoints >= 0) value.dayPoints = src.dayPoints;
+    else errors.push('scoring.dayPoints must be a non-negative number');
+  }
+  for (const [name, hourField] of [['early', 'beforeHour'], ['night', 'fromHour']]) {
+    if (src[name] === undefined || src[name] === null) continue;
+    const b = src[name];
+    if (typeof b !== 'object' || !isInt(b[hourField]) || b[hourField] < 0 || b[hourField] > 24 || !isNum(b.points) || b.points < 0) {
+      errors.push(`scoring.${name} must be { ${hourField}: 0-24, points: >= 0 }`);
+    } else {
+      value[name] = { [hourField]: b[hourField], points: b.points };
+    }
+  }
+  if (src.streak !== undefined && src.streak !== null) {
+    const b = src.streak;
+    if (typeof b !== 'object' || !isInt(b.length) || b.length < 2 || !isNum(b.points) || b.points < 0) {
+      errors.push('scoring.streak must be { length: >= 2, points: >= 0 }');
+    } else {
+      value.streak = { length: b.length, points: b.points };
+    }
+  }
+  if (src.weeklyCap !== undefined && src.weeklyCap !== null) {
+    if (isInt(src.weeklyCap) && src.weeklyCap >= 1 && src.weeklyCap <= 7) value.weeklyCap = src.weeklyCap;
+    else errors.push('scoring.weeklyCap must be an integer between 1 and 7');
+  }
+  return { value, errors };
+}
+
+// Monday (YYYY-MM-DD) of the ISO week containing a YYYY-MM-DD day key
+function weekOf(dayKey) {
+  const d = new Date(`${dayKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+// Collapse day+lock summaries into one record per local day, in chronological order
+function mergeDays(days) {
+  const map = new Map();
+  for (const s of days || []) {
+    const m = map.get(s.day);
+    if (!m) {
+      map.set(s.day, { day: s.day, first: new Date(s.first), hours: [...(s.hours || [])] });
+    } else {
+      if (new Date(s.first) < m.first) m.first = new Date(s.first);
+      for (const h of s.hours || []) if (!m.hours.includes(h)) m.hours.push(h);
+    }
+  }
+  return Array.from(map.values()).sort((a, b) => a.day.localeCompare(b.day));
+}
+
+// Number of completed `length`-day blocks across all runs of consecutive days
+function streakBonuses(dayKeys, length) {
+  let bonuses = 0, curr = 0, prev = null;
+  for (const d of dayKeys) {
+    const ms = Date.parse(`${d}T00:00:00Z`);
+    curr = prev !== null && ms - prev === 86400000 ? curr + 1 : 1;
+    if (curr % length === 0) bonuses += 1;
+    prev = ms;
+  }
+  return bonuses;
+}
+
+// Score one user's day summaries; returns { points, breakdown } where the breakdown explains the total.
+// Streak bonuses look at every active day; the weekly cap only limits which days earn day/early/night points.
+export function scoreUserDays(days = [], scoring = {}, { timeZone = 'UTC' } = {}) {
+  const merged = mergeDays(days);
+  const weighted = scoring?.mode === 'weighted';
+  const breakdown = {
+    activeDays: merged.length,
+    countedDays: merged.length,
+    cappedDays: 0,
+    dayPoints: merged.length,
+    earlyDays: 0,
+    earlyPoints: 0,
+    nightDays: 0,
+    nightPoints: 0,
+    streakBonuses: 0,
+    streakPoints: 0,
+    total: merged.length,
+  };
+  if (!weighted) return { points: breakdown.total, breakdown };
+
+  const perDay = isNum(scoring.dayPoints) ? scoring.dayPoints : 1;
+  const perWeek = new Map();
+  let counted = 0;
+  for (const d of merged) {
+    if (scoring.weeklyCap) {
+      const w = weekOf(d.day);
+      const n = (perWeek.get(w) || 0) + 1;
+      perWeek.set(w, n);
+      if (n > scoring.weeklyCap) {
+        breakdown.cappedDays += 1;
+        continue;
+      }
+    }
+    counted += 1;
+    if (scoring.early && zonedDayHour(d.first, timeZone).hour < scoring.early.beforeHour) breakdown.earlyDays += 1;
+    if (scoring.night && d.hours.some(h => h >= scoring.night.fromHour)) breakdown.nightDays += 1;
+  }
+  breakdown.countedDays = counted;
+  breakdown.dayPoints = counted * perDay;
+  breakdown.earlyPoints = breakdown.earlyDays * (scoring.early?.points || 0);
+  breakdown.nightPoints = breakdown.nightDays * (scoring.night?.points || 0);
+  if (scoring.streak) {
+    breakdown.streakBonuses = streakBonuses(merged.map(d => d.day), scoring.streak.length);
+    breakdown.streakPoints = breakdown.streakBonuses * scoring.streak.points;
+  }
+  breakdown.total = breakdown.dayPoints + breakdown.earlyPoints + breakdown.nightPoints + breakdown.streakPoints;
+  return { points: breakdown.total, breakdown };
+}
+
+// Stages that turn a season's entries into per-user day summaries on the visit locks (`lockIds`),
+// with usernames mapped to their canonical identity (`aliases`, see lib/aliases.js) and leaving out
+// flagged user-days (`excludeDays`, see lib/flags.js)
+export function seasonDaysStages({ timeZone = 'UTC', lockIds = [], excludeDays = [], aliases = [] } = {}) {
+  return [
+    { $match: { lockId: { $in: lockIds } } },
+    ...canonicalUsernameStages(aliases),
+    ...excludeFlaggedDaysStages({ excludeDays, timeZone }),
+    ...userDaysPipeline(timeZone, { byUser: true }),
+  ];
+}
+
+// Rank all users of a season from per-user day summaries ({ user, day, ... } rows)
+// -> [{ rank, user, points, breakdown }] ordered by points desc, user asc
+export function scoreSeason(rows = [], scoring = {}, { timeZone = 'UTC' } = {}) {
+  const byUser = new Map();
+  for (const r of rows) {
+    if (!byUser.has(r.user)) byUser.set(r.user, []);
+    byUser.get(r.user).push(r);
+  }
+  return Array.from(byUser, ([user, days]) => ({ user, ...scoreUserDays(days, scoring, { timeZone }) }))
+    .filter(s => s.breakdown.activeDays > 0)
+    .sort((a, b) => b.points - a.points || (a.user < b.user ? -1 : a.user > b.user ? 1 : 0))
+    .map((s, i) => ({ rank: i + 1, ...s }));
+}
+
+// Current level and the points needed for the next one on a ladder
+export function levelFor(points, levels = DEFAULT_LEVELS) {
+  const ladder = Array.isArray(levels) && levels.length ? levels : DEFAULT_LEVELS;
+  let level = 0;
+  for (const at of ladder) {
+    if (points >= at) level += 1;
+    else return { level, nextLevelAt: at };
+  }
+  return { level, nextLevelAt: null };
+}
+
+export default {
+  SCORING_MODES,
+  DEFAULT_LEVELS,
+  normalizeScoring,
+  scoreUserDays,
+  seasonDaysStages,
+  scoreSeason,
+  levelFor,
+};
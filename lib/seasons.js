@@ -0,0 +1,94 @@
+// lib/seasons.js
+// Season catalog helpers: input validation, overlap detection and key resolution
+import { SCORING_MODES, normalizeScoring } from './seasonScoring.js';
+import { appTimeZone, startOfZonedDay, zonedDayRange } from './timezone.js';
+
+export { SCORING_MODES };
+
+// Seasons that used to be hard-coded in app/api/route.js (seeded by scripts/seed-seasons.mjs): calendar
+// quarters from local midnight to the last millisecond of the quarter in `timeZone`
+export function defaultSeasons(timeZone = appTimeZone()) {
+  const quarter = (key, name, first, last) => ({
+    key,
+    name,
+    startAt: startOfZonedDay(first, timeZone),
+    endAt: zonedDayRange(last, timeZone).end,
+    scoring: { mode: 'distinct_days' },
+    active: true,
+  });
+  return [
+    quarter('2025Q4', 'Season Q4 2025', '2025-10-01', '2025-12-31'),
+    quarter('2025Q3', 'Season Q3 2025', '2025-07-01', '2025-09-30'),
+  ];
+}
+
+const SEASON_FIELDS = ['key', 'name', 'startAt', 'endAt', 'scoring', 'active'];
+const KEY_RE = /^[A-Za-z0-9_-]{1,32}$/;
+
+function toDate(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Merge `input` over `current` (for PATCH) and validate the result.
+// Returns { value, errors } where errors is a list of human-readable messages.
+export function normalizeSeason(input = {}, current = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { value: null, errors: ['season must be an object'] };
+  const merged = { ...(current || {}) };
+  for (const f of SEASON_FIELDS) {
+    if (input[f] !== undefined) merged[f] = input[f];
+  }
+  const errors = [];
+  if (current && input.key !== undefined && input.key !== current.key) errors.push('key cannot be changed');
+  if (current?.closedAt && ['startAt', 'endAt', 'scoring'].some(f => input[f] !== undefined)) {
+    errors.push('window and scoring of a closed season are frozen');
+  }
+
+  const key = String(merged.key ?? '').trim();
+  if (!KEY_RE.test(key)) errors.push('key must be 1-32 characters of letters, digits, "_" or "-"');
+  const name = String(merged.name ?? '').trim();
+  if (!name) errors.push('name is required');
+  const startAt = toDate(merged.startAt);
+  const endAt = toDate(merged.endAt);
+  if (!startAt) errors.push('startAt must be a valid date');
+  if (!endAt) errors.push('endAt must be a valid date');
+  if (startAt && endAt && startAt >= endAt) errors.push('startAt must be before endAt');
+  const { value: scoring, errors: scoringErrors } = normalizeScoring(merged.scoring);
+  errors.push(...scoringErrors);
+  const active = merged.active === undefined ? true : merged.active;
+  if (typeof active !== 'boolean') errors.push('active must be a boolean');
+
+  return { value: { key, name, startAt, endAt, scoring, active }, errors };
+}
+
+// First other season whose [startAt, endAt] window intersects the candidate's window
+export function findOverlappingSeason(season, others = []) {
+  const s = new Date(season.startAt).getTime();
+  const e = new Date(season.endAt).getTime();
+  return others.find(o => o.key !== season.key
+    && new Date(o.startAt).getTime() <= e
+    && s <= new Date(o.endAt).getTime()) || null;
+}
+
+// Case-insensitive lookup of a season key in a catalog list
+export function resolveSeason(key, seasons = []) {
+  const k = String(key || '').trim().toLowerCase();
+  if (!k) return null;
+  return seasons.find(s => String(s.key).toLowerCase() === k) || null;
+}
+
+// Public shape of a season document
+export function toSeasonDto(s) {
+  return {
+    key: s.key,
+    name: s.name,
+    startAt: s.startAt,
+    endAt: s.endAt,
+    scoring: s.scoring || { mode: 'distinct_days' },
+    active: s.active !== false,
+    closedAt: s.closedAt || null,
+  };
+}
+
+export default { SCORING_MODES, defaultSeasons, normalizeSeason, findOverlappingSeason, resolveSeason, toSeasonDto };
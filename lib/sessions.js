@@ -0,0 +1,149 @@
+// lib/sessions.js
+// Visit sessions: a user's taps within one local day (on the gym and on the dressing-room lock)
+// paired into visits with an estimated start, end and duration. Taps further apart than
+// maxGapMinutes start a new session. A session ends at its last tap when that tap is on a lock that
+// does not count toward visits (leaving through the dressing room); otherwise the exit was not
+// recorded and openEndMinutes are added after the last tap. Sessions without a tap on a visit lock
+// are not visits and are dropped.
+import { localDayKey } from './timezone.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export const DEFAULT_SESSION_RULES = {
+  // Taps further apart than this start a new session
+  maxGapMinutes: 120,
+  // Minutes assumed after the last tap when the exit was not recorded (also the length of a single tap)
+  openEndMinutes: 45,
+  // Sessions are capped at this length
+  maxSessionMinutes: 360,
+};
+
+const LIMITS = {
+  maxGapMinutes: [5, 720],
+  openEndMinutes: [0, 240],
+  maxSessionMinutes: [15, 1440],
+};
+const ENV_KEYS = {
+  maxGapMinutes: 'SESSION_MAX_GAP_MINUTES',
+  openEndMinutes: 'SESSION_OPEN_END_MINUTES',
+  maxSessionMinutes: 'SESSION_MAX_MINUTES',
+};
+
+const toInt = (v) => (typeof v === 'number' ? v : /^\s*\d+\s*$/.test(String(v ?? '')) ? parseInt(v, 10) : NaN);
+
+// Validate rules (numbers or numeric strings) over `base` -> { value, errors }
+export function normalizeSessionRules(input = {}, base = DEFAULT_SESSION_RULES) {
+  const value = { ...base };
+  const errors = [];
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const raw = input?.[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const n = toInt(raw);
+    if (!Number.isInteger(n) || n < min || n > max) errors.push(`${key} must be an integer from ${min} to ${max}`);
+    else value[key] = n;
+  }
+  return { value, errors };
+}
+
+// Instance rules: SESSION_MAX_GAP_MINUTES, SESSION_OPEN_END_MINUTES and SESSION_MAX_MINUTES over the
+// defaults; invalid values are ignored and reported
+export function sessionRules(env = process.env) {
+  const input = Object.fromEntries(Object.entries(ENV_KEYS).map(([key, name]) => [key, env[name]]));
+  const { value, errors } = normalizeSessionRules(input);
+  return { value, errors: errors.map(e => e.replace(/^(\w+)/, (k) => ENV_KEYS[k] || k)) };
+}
+
+// Stages grouping (already matched) entries into each user's taps per local day
+// -> [{ _id: { u, d }, taps: [{ t, l }] }] with taps in time order
+export function sessionDaysStages(timeZone = 'UTC') {
+  return [
+    { $match: { username: { $type: 'string' }, entryTime: { $type: 'date' } } },
+    { $sort: { entryTime: 1, _id: 1 } },
+    {
+      $group: {
+        _id: { u: '$username', d: { $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } } },
+        taps: { $push: { t: '$entryTime', l: '$lockId' } },
+      },
+    },
+  ];
+}
+
+// One day's taps ([{ t, l }] in time order) -> [{ start, end, durationMs, taps, lockIds, openEnd }]
+export function buildSessions(taps = [], { visitLockIds = [], rules = DEFAULT_SESSION_RULES } = {}) {
+  const visit = new Set(visitLockIds.map(String));
+  const groups = [];
+  for (const tap of taps) {
+    const at = new Date(tap.t);
+    const current = groups[groups.length - 1];
+    if (current && at.getTime() - current[current.length - 1].at.getTime() <= rules.maxGapMinutes * MINUTE_MS) current.push({ at, lockId: String(tap.l) });
+    else groups.push([{ at, lockId: String(tap.l) }]);
+  }
+  return groups
+    .filter(g => g.some(tap => visit.has(tap.lockId)))
+    .map((g) => {
+      const start = g[0].at;
+      const last = g[g.length - 1];
+      // Leaving through a non-visit lock (the dressing room) closes the session at that tap
+      const openEnd = visit.has(last.lockId);
+      const endMs = Math.min(last.at.getTime() + (openEnd ? rules.openEndMinutes * MINUTE_MS : 0), start.getTime() + rules.maxSessionMinutes * MINUTE_MS);
+      return {
+        start,
+        end: new Date(endMs),
+        durationMs: endMs - start.getTime(),
+        taps: g.length,
+        lockIds: Array.from(new Set(g.map(tap => tap.lockId))),
+        openEnd,
+      };
+    });
+}
+
+// Rows of sessionDaysStages() -> sessions of every user and day, [{ user, day, ...session }] by start
+export function sessionsFromDays(rows = [], opts = {}) {
+  const out = [];
+  for (const r of rows) {
+    for (const s of buildSessions(r.taps, opts)) out.push({ user: r._id.u, day: r._id.d, ...s });
+  }
+  return out.sort((a, b) => a.start - b.start || a.user.localeCompare(b.user));
+}
+
+// Session stats of one user: count, total and average length, the `longest` longest sessions and
+// the time spent in the month of `now` (in `timeZone`)
+export function summarizeSessions(sessions = [], { now = new Date(), timeZone = 'UTC', longest = 3 } = {}) {
+  const month = localDayKey(now, timeZone).slice(0, 7);
+  const totalMs = sessions.reduce((sum, s) => sum + s.durationMs, 0);
+  return {
+    count: sessions.length,
+    totalMs,
+    averageMs: sessions.length ? Math.round(totalMs / sessions.length) : null,
+    thisMonthMs: sessions.filter(s => s.day.slice(0, 7) === month).reduce((sum, s) => sum + s.durationMs, 0),
+    longest: sessions
+      .slice()
+      .sort((a, b) => b.durationMs - a.durationMs || a.start - b.start)
+      .slice(0, longest)
+      .map(({ day, start, end, durationMs, openEnd }) => ({ day, start, end, durationMs, openEnd })),
+  };
+}
+
+// Users ranked by time spent -> [{ id, durationMs, sessions }]
+export function topTimeSpent(sessions = [], { limit } = {}) {
+  const byUser = new Map();
+  for (const s of sessions) {
+    const row = byUser.get(s.user) || { id: s.user, durationMs: 0, sessions: 0 };
+    row.durationMs += s.durationMs;
+    row.sessions += 1;
+    byUser.set(s.user, row);
+  }
+  const ranked = Array.from(byUser.values()).sort((a, b) => b.durationMs - a.durationMs || a.id.localeCompare(b.id));
+  return limit ? ranked.slice(0, limit) : ranked;
+}
+
+export default {
+  DEFAULT_SESSION_RULES,
+  normalizeSessionRules,
+  sessionRules,
+  sessionDaysStages,
+  buildSessions,
+  sessionsFromDays,
+  summarizeSessions,
+  topTimeSpent,
+};
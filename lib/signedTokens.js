@@ -0,0 +1,36 @@
+// lib/signedTokens.js
+// Compact HMAC-signed tokens for links that must work without a login (unsubscribe, preferences):
+// base64url(JSON payload) + "." + base64url(HMAC-SHA256). The payload is readable, so it must not
+// hold secrets; `exp` (epoch seconds), when present, is enforced on verification.
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const sign = (data, secret) => createHmac('sha256', secret).update(data).digest('base64url');
+
+// Token for `payload`, optionally valid for `ttlSeconds` from `now`
+export function signToken(payload, secret, { ttlSeconds = null, now = new Date() } = {}) {
+  if (!secret) throw new Error('A signing secret is required');
+  const body = { ...payload, ...(ttlSeconds ? { exp: Math.floor(now.getTime() / 1000) + ttlSeconds } : {}) };
+  const data = Buffer.from(JSON.stringify(body)).toString('base64url');
+  return `${data}.${sign(data, secret)}`;
+}
+
+// Payload of a valid, unexpired token, or null
+export function verifyToken(token, secret, { now = new Date() } = {}) {
+  if (!secret || typeof token !== 'string') return null;
+  const [data, sig, extra] = token.split('.');
+  if (!data || !sig || extra !== undefined) return null;
+  const a = Buffer.from(sig);
+  const b = Buffer.from(sign(data, secret));
+  if (a.length !== b.length || !timingSafeEqual(a, b)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.exp && payload.exp * 1000 <= now.getTime()) return null;
+  return payload;
+}
+
+export default { signToken, verifyToken };
@@ -0,0 +1,130 @@
+// lib/streaks.js
+// Streaks of consecutive active days: aggregation stage builders and a pure-JS twin with the same
+// semantics, shared by leaderboards, analytics, season progress, profiles and achievements.
+//
+// Days are local calendar days as YYYY-MM-DD keys. Both versions step between days by reading the
+// key as UTC midnight, so 23h/25h local days around DST transitions never break a run.
+//
+// Result per user: {
+//   longest, longestStart, longestEnd,  // longest run (the earliest one on ties)
+//   current, currentStart, currentEnd,  // last run if it ends today or yesterday, else 0 / null
+//   finalRun,                           // length of the last run, wherever it ends
+// }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const keyMs = (key) => Date.parse(`${key}T00:00:00Z`);
+const keyToDate = (expr) => ({ $dateFromString: { dateString: expr, timezone: 'UTC' } });
+const dateToKey = (expr) => ({ $dateToString: { format: '%Y-%m-%d', date: expr, timezone: 'UTC' } });
+
+// Today's key when the caller does not pass one (UTC); callers normally pass the local day
+const utcToday = () => new Date().toISOString().slice(0, 10);
+
+// Streak summary of a list of day keys (any order, duplicates allowed), anchored at `today`
+export function computeStreaks(dayKeys = [], { today = utcToday() } = {}) {
+  const sorted = Array.from(new Set(dayKeys.filter(Boolean))).sort();
+  let best = 0, bestStart = null, bestEnd = null;
+  let curr = 0, currStart = null, prev = null;
+  for (const d of sorted) {
+    const ms = keyMs(d);
+    if (prev !== null && ms - prev === DAY_MS) {
+      curr += 1;
+    } else {
+      curr = 1;
+      currStart = d;
+    }
+    if (curr > best) {
+      best = curr; bestStart = currStart; bestEnd = d;
+    }
+    prev = ms;
+  }
+  const last = sorted.length ? sorted[sorted.length - 1] : null;
+  // A run stays current through the following day, since today's visit may still come
+  const gap = last !== null ? keyMs(today) - keyMs(last) : -1;
+  const live = gap >= 0 && gap <= DAY_MS;
+  return {
+    longest: best,
+    longestStart: bestStart,
+    longestEnd: bestEnd,
+    current: live ? curr : 0,
+    currentStart: live ? currStart : null,
+    currentEnd: live ? last : null,
+    finalRun: curr,
+  };
+}
+
+// $reduce over an ascending array of day Dates (UTC midnights of the day keys)
+// -> { last, curr, currStart, best, bestStart, bestEnd }
+export function streakReduce(input) {
+  return {
+    $reduce: {
+      input,
+      initialValue: { last: null, curr: 0, currStart: null, best: 0, bestStart: null, bestEnd: null },
+      in: {
+        $let: {
+          vars: {
+            next: { $and: [{ $ne: ['$$value.last', null] }, { $eq: [{ $subtract: ['$$this', '$$value.last'] }, DAY_MS] }] },
+          },
+          in: {
+            $let: {
+              vars: {
+                curr: { $cond: ['$$next', { $add: ['$$value.curr', 1] }, 1] },
+                currStart: { $cond: ['$$next', '$$value.currStart', '$$this'] },
+              },
+              in: {
+                last: '$$this',
+                curr: '$$curr',
+                currStart: '$$currStart',
+                best: { $max: ['$$curr', '$$value.best'] },
+                bestStart: { $cond: [{ $gt: ['$$curr', '$$value.best'] }, '$$currStart', '$$value.bestStart'] },
+                bestEnd: { $cond: [{ $gt: ['$$curr', '$$value.best'] }, '$$this', '$$value.bestEnd'] },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Stages over distinct { _id: { u, d } } user-day documents (d = YYYY-MM-DD)
+// -> { _id: u, count, ...computeStreaks() fields }; count mirrors longest for leaderboard ranking
+export function streakStages({ today = utcToday() } = {}) {
+  const todayMs = keyMs(today);
+  const live = { $and: [{ $gte: ['$run.last', new Date(todayMs - DAY_MS)] }, { $lte: ['$run.last', new Date(todayMs)] }] };
+  return [
+    { $sort: { '_id.u': 1, '_id.d': 1 } },
+    { $group: { _id: '$_id.u', days: { $push: keyToDate('$_id.d') } } },
+    { $project: { run: streakReduce('$days') } },
+    {
+      $project: {
+        count: '$run.best',
+        longest: '$run.best',
+        longestStart: dateToKey('$run.bestStart'),
+        longestEnd: dateToKey('$run.bestEnd'),
+        current: { $cond: [live, '$run.curr', 0] },
+        currentStart: { $cond: [live, dateToKey('$run.currStart'), null] },
+        currentEnd: { $cond: [live, dateToKey('$run.last'), null] },
+        finalRun: '$run.curr',
+      },
+    },
+  ];
+}
+
+// Streaks from raw entries: local day keys of entryTime per username
+export function entryStreakStages({ timeZone = 'UTC', today } = {}) {
+  return [
+    { $group: { _id: { u: '$username', d: { $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } } } } },
+    ...streakStages({ today }),
+  ];
+}
+
+// Streaks from the UserDay rollup, whose day keys are already local
+export function rollupStreakStages({ today } = {}) {
+  return [
+    { $group: { _id: { u: '$user', d: '$day' } } },
+    ...streakStages({ today }),
+  ];
+}
+
+export default { computeStreaks, streakReduce, streakStages, entryStreakStages, rollupStreakStages };
@@ -0,0 +1,135 @@
+// lib/timezone.js
+// Time zone used for day/hour bucketing: APP_TIMEZONE for the whole instance, optionally overridden
+// per request with ?tz=, plus calendar helpers that locate local midnights in a given zone.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Instance-wide zone: APP_TIMEZONE when set to a valid IANA name, otherwise the server's zone
+export function appTimeZone(env = process.env) {
+  if (isValidTimeZone(env.APP_TIMEZONE)) return env.APP_TIMEZONE;
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Zone for one request: a valid `tz` query value wins; anything else falls back to appTimeZone()
+export function resolveTimeZone(param, env = process.env) {
+  const tz = String(param || '').trim();
+  return isValidTimeZone(tz) ? tz : appTimeZone(env);
+}
+
+// Intl formatters are comparatively expensive to build; reuse one per time zone
+const dayHourFormatters = new Map();
+
+// Local calendar day (YYYY-MM-DD) and hour of a Date in the given IANA time zone
+export function zonedDayHour(date, timeZone = 'UTC') {
+  let fmt = dayHourFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23',
+    });
+    dayHourFormatters.set(timeZone, fmt);
+  }
+  const parts = fmt.formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return { day: `${get('year')}-${get('month')}-${get('day')}`, hour: Number(get('hour')) };
+}
+
+// Local YYYY-MM-DD of an instant in `timeZone`
+export const localDayKey = (date, timeZone) => zonedDayHour(date, timeZone).day;
+
+// Shift a YYYY-MM-DD key by whole calendar days
+export function addDays(dayKey, n) {
+  return new Date(Date.parse(`${dayKey}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+const offsetFormatters = new Map();
+
+// Offset of `timeZone` from UTC at `date` in ms (e.g. +3h for Europe/Riga in summer)
+function offsetMs(date, timeZone) {
+  let fmt = offsetFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+    });
+    offsetFormatters.set(timeZone, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(date).map(x => [x.type, x.value]));
+  const wall = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second));
+  return wall - (date.getTime() - date.getUTCMilliseconds());
+}
+
+// Instant of the local wall-clock time `time` (HH:mm:ss) on `dayKey` in `timeZone`
+export function zonedWallTime(dayKey, time, timeZone) {
+  const wall = Date.parse(`${dayKey}T${time}Z`);
+  // Guess with the offset at the wall time read as UTC, then correct once with the offset at the guess (DST days)
+  const guess = wall - offsetMs(new Date(wall), timeZone);
+  return new Date(wall - offsetMs(new Date(guess), timeZone));
+}
+
+// Instant at which the local day `dayKey` starts in `timeZone`
+export function startOfZonedDay(dayKey, timeZone) {
+  return zonedWallTime(dayKey, '00:00:00', timeZone);
+}
+
+// { start, end } instants of the local day `dayKey` (end is the last millisecond of the day)
+export function zonedDayRange(dayKey, timeZone) {
+  return {
+    start: startOfZonedDay(dayKey, timeZone),
+    end: new Date(startOfZonedDay(addDays(dayKey, 1), timeZone).getTime() - 1),
+  };
+}
+
+// { start, end } instants of the local month containing `dayKey`
+export function zonedMonthRange(dayKey, timeZone) {
+  const [y, m] = dayKey.split('-').map(Number);
+  const first = `${dayKey.slice(0, 7)}-01`;
+  const next = new Date(Date.UTC(y, m, 1)).toISOString().slice(0, 10);
+  return {
+    start: startOfZonedDay(first, timeZone),
+    end: new Date(startOfZonedDay(next, timeZone).getTime() - 1),
+  };
+}
+
+// { from, to } local day keys when [start, end] covers whole local days of `timeZone` (end within the
+// last second of its day, so 23:59:59 counts), else null; such a range can be read from the UserDay rollup
+export function wholeLocalDays(start, end, timeZone) {
+  const from = localDayKey(new Date(start), timeZone);
+  const to = localDayKey(new Date(end), timeZone);
+  const startsAtMidnight = startOfZonedDay(from, timeZone).getTime() === new Date(start).getTime();
+  const endsAtMidnight = zonedDayRange(to, timeZone).end.getTime() - new Date(end).getTime() < 1000;
+  return startsAtMidnight && endsAtMidnight ? { from, to } : null;
+}
+
+export default {
+  isValidTimeZone,
+  appTimeZone,
+  resolveTimeZone,
+  zonedDayHour,
+  localDayKey,
+  addDays,
+  zonedWallTime,
+  startOfZonedDay,
+  zonedDayRange,
+  zonedMonthRange,
+  wholeLocalDays,
+};
@@ -0,0 +1,217 @@
+// lib/userDays.js
+// Maintenance of the UserDay rollup: aggregation stages that fold raw entries into one document
+// per user and local day, an incremental sync that follows new entries by _id, and a rebuild
+// for any date range. Users are canonical identities: `aliases` (see lib/aliases.js) map merged
+// usernames onto them. Only entries of visit kinds (see lib/recordKinds.js) are rolled up; changing
+// the visit kinds needs a rebuild.
+import { zonedDayHour } from './timezone.js';
+import { canonicalOf, canonicalUsernameStages, namesMatch } from './aliases.js';
+import { recordKindSettings, visitKindFilter } from './recordKinds.js';
+
+export const USER_DAYS_JOB = 'user-days';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const localDayFields = (timeZone) => ({
+  $addFields: {
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: timeZone } },
+    hour: { $hour: { date: '$entryTime', timezone: timeZone } },
+  },
+});
+
+// Group visit entries (with `day`/`hour` already added) into UserDay documents
+function groupUserDayStages(timeZone, aliases = [], recordKinds = recordKindSettings().value) {
+  return [
+    { $match: { username: { $type: 'string' }, ...visitKindFilter(recordKinds) } },
+    ...canonicalUsernameStages(aliases),
+    {
+      $group: {
+        _id: { u: '$username', d: '$day', l: '$lockId' },
+        firstEntry: { $min: '$entryTime' },
+        lastEntry: { $max: '$entryTime' },
+        // $min ignores the nulls produced for entries before 22:00
+        firstAfter22: { $min: { $cond: [{ $gte: ['$hour', 22] }, '$entryTime', null] } },
+        entryCount: { $sum: 1 },
+        hours: { $addToSet: '$hour' },
+      },
+    },
+    { $sort: { '_id.l': 1 } },
+    {
+      $group: {
+        _id: { u: '$_id.u', d: '$_id.d' },
+        firstEntry: { $min: '$firstEntry' },
+        lastEntry: { $max: '$lastEntry' },
+        firstAfter22: { $min: '$firstAfter22' },
+        entryCount: { $sum: '$entryCount' },
+        locks: {
+          $push: {
+            lockId: '$_id.l',
+            firstEntry: '$firstEntry',
+            lastEntry: '$lastEntry',
+            firstAfter22: '$firstAfter22',
+            entryCount: '$entryCount',
+            hours: '$hours',
+          },
+        },
+      },
+    },
+    {
+      // No _id: $merge matches on (user, day) and keeps the existing document's _id
+      $project: {
+        _id: 0,
+        user: '$_id.u',
+        day: '$_id.d',
+        timeZone: { $literal: timeZone },
+        firstEntry: 1,
+        lastEntry: 1,
+        firstAfter22: { $ifNull: ['$firstAfter22', null] },
+        entryCount: 1,
+        locks: 1,
+        updatedAt: '$$NOW',
+      },
+    },
+  ];
+}
+
+// Signature of the visit kinds the rollup was built with, kept in the sync checkpoint
+const visitKindsKey = (recordKinds) => [...recordKinds.visitKinds].sort().join(',');
+
+const mergeInto = (UserDay) => ({
+  $merge: { into: UserDay.collection.collectionName, on: ['user', 'day'], whenMatched: 'replace', whenNotMatched: 'insert' },
+});
+
+// Rollup equivalent of userDaysPipeline() in lib/achievements.js: day+lock summaries for the rule evaluator
+export function rollupDaySummaryStages() {
+  return [
+    { $unwind: '$locks' },
+    { $project: { _id: 0, day: 1, lockId: '$locks.lockId', first: '$locks.firstEntry', last: '$locks.lastEntry', count: '$locks.entryCount', hours: '$locks.hours' } },
+    { $sort: { day: 1, lockId: 1 } },
+  ];
+}
+
+// Distinct { user, day } pairs (canonical users) touched by a batch of entries
+export function affectedUserDays(entries = [], timeZone = 'UTC', aliases = []) {
+  const seen = new Map();
+  for (const e of entries) {
+    if (!e?.username || !e.entryTime) continue;
+    const at = new Date(e.entryTime);
+    if (Number.isNaN(at.getTime())) continue;
+    const { day } = zonedDayHour(at, timeZone);
+    const user = canonicalOf(e.username, aliases);
+    seen.set(`${user}|${day}`, { user, day });
+  }
+  return Array.from(seen.values());
+}
+
+// Recompute the given user-days from their entries and upsert them into the rollup
+export async function refreshUserDays({ Entry, UserDay, keys = [], timeZone = 'UTC', aliases = [], recordKinds = recordKindSettings().value }) {
+  if (!keys.length) return 0;
+  // A canonical user's entries are stored under any of its usernames, in any case
+  const users = new Set(keys.map(k => k.user));
+  const usernames = [...users, ...aliases.filter(a => users.has(a.canonical)).map(a => a.alias)];
+  const days = keys.map(k => k.day).sort();
+  // Local days fall within a UTC window padded by a day on each side
+  const from = new Date(Date.parse(`${days[0]}T00:00:00Z`) - DAY_MS);
+  const to = new Date(Date.parse(`${days[days.length - 1]}T00:00:00Z`) + 2 * DAY_MS);
+  await Entry.aggregate([
+    { $match: { username: namesMatch(usernames), entryTime: { $gte: from, $lt: to } } },
+    localDayFields(timeZone),
+    ...canonicalUsernameStages(aliases),
+    { $match: { $expr: { $in: [{ $concat: ['$username', '|', '$day'] }, keys.map(k => `${k.user}|${k.day}`)] } } },
+    ...groupUserDayStages(timeZone, [], recordKinds),
+    mergeInto(UserDay),
+  ]);
+  return keys.length;
+}
+
+// Fold entries inserted since the last sync into the rollup. Entries are followed by _id (insertion
+// order), so late-arriving entries for past days are picked up too. Deletions need a rebuild.
+export async function syncUserDays({ Entry, UserDay, JobCheckpoint, timeZone = 'UTC', aliases = [], recordKinds = recordKindSettings().value, chunkSize = 5000, log, job = USER_DAYS_JOB }) {
+  const checkpoint = await JobCheckpoint.findOne({ job }).lean();
+  let lastId = checkpoint?.cursor?.lastId ?? null;
+  if (checkpoint?.cursor?.timeZone && checkpoint.cursor.timeZone !== timeZone) {
+    log?.warn('user_days_timezone_mismatch', { job, rollup: checkpoint.cursor.timeZone, timeZone });
+  }
+  const visitKinds = visitKindsKey(recordKinds);
+  if (checkpoint?.cursor?.visitKinds && checkpoint.cursor.visitKinds !== visitKinds) {
+    log?.warn('user_days_visit_kinds_mismatch', { job, rollup: checkpoint.cursor.visitKinds, visitKinds });
+  }
+  let processed = 0;
+  let touched = 0;
+  for (;;) {
+    const batch = await Entry.find(lastId ? { _id: { $gt: lastId } } : {}, { username: 1, entryTime: 1 })
+      .sort({ _id: 1 })
+      .limit(chunkSize)
+      .lean();
+    if (!batch.length) break;
+    touched += await refreshUserDays({ Entry, UserDay, keys: affectedUserDays(batch, timeZone, aliases), timeZone, aliases, recordKinds });
+    lastId = batch[batch.length - 1]._id;
+    processed += batch.length;
+    await JobCheckpoint.updateOne(
+      { job },
+      { $set: { cursor: { lastId, timeZone, visitKinds }, processed: (checkpoint?.processed || 0) + processed, finishedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+  if (processed) log?.info('user_days_synced', { job, processed, touched });
+  return { processed, touched };
+}
+
+// Whether reads may use the rollup: it was last synced or rebuilt in `timeZone` with the current visit
+// kinds. Read-only, so requests never write; the rollup holds entries up to its checkpoint.
+export async function rollupReady({ JobCheckpoint, timeZone = 'UTC', recordKinds = recordKindSettings().value, job = USER_DAYS_JOB }) {
+  const cursor = (await JobCheckpoint.findOne({ job }).lean())?.cursor;
+  if (!cursor || cursor.timeZone !== timeZone) return false;
+  return !cursor.visitKinds || cursor.visitKinds === visitKindsKey(recordKinds);
+}
+
+// Regenerate the rollup for [from, to] (YYYY-MM-DD, both optional and inclusive). A full rebuild
+// also moves the sync checkpoint to the newest entry, since everything before it is now rolled up.
+export async function rebuildUserDays({ Entry, UserDay, JobCheckpoint, timeZone = 'UTC', aliases = [], recordKinds = recordKindSettings().value, from = null, to = null, log, job = USER_DAYS_JOB }) {
+  const ranged = Boolean(from || to);
+  const dayFilter = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+  const entryTime = { $type: 'date' };
+  if (from) entryTime.$gte = new Date(Date.parse(`${from}T00:00:00Z`) - DAY_MS);
+  if (to) entryTime.$lt = new Date(Date.parse(`${to}T00:00:00Z`) + 2 * DAY_MS);
+
+  const newest = await Entry.findOne({}, { _id: 1 }).sort({ _id: -1 }).lean();
+  log?.info('user_days_rebuild_start', { job, from, to, timeZone });
+  await UserDay.deleteMany(ranged ? { day: dayFilter } : {});
+  await Entry.aggregate([
+    { $match: { entryTime } },
+    localDayFields(timeZone),
+    ...(ranged ? [{ $match: { day: dayFilter } }] : []),
+    ...groupUserDayStages(timeZone, aliases, recordKinds),
+    mergeInto(UserDay),
+  ]);
+  if (!ranged) {
+    await JobCheckpoint.updateOne(
+      { job },
+      { $set: { cursor: { lastId: newest?._id ?? null, timeZone, visitKinds: visitKindsKey(recordKinds) }, processed: 0, finishedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+  const userDays = await UserDay.countDocuments(ranged ? { day: dayFilter } : {});
+  log?.info('user_days_rebuild_done', { job, from, to, userDays });
+  return { userDays };
+}
+
+// Regenerate every rollup day of the identities behind `usernames` (all dates), e.g. after a merge or
+// an unmerge changed which canonical user their entries belong to. `aliases` are the aliases after the change.
+// Names match case-insensitively, like the alias stage.
+export async function rebuildUserIdentities({ Entry, UserDay, usernames = [], timeZone = 'UTC', aliases = [], recordKinds = recordKindSettings().value, log }) {
+  const names = Array.from(new Set(usernames.filter(Boolean)));
+  if (!names.length) return { userDays: 0 };
+  await UserDay.deleteMany({ user: namesMatch(names) });
+  await Entry.aggregate([
+    { $match: { username: namesMatch(names), entryTime: { $type: 'date' } } },
+    localDayFields(timeZone),
+    ...groupUserDayStages(timeZone, aliases, recordKinds),
+    mergeInto(UserDay),
+  ]);
+  const userDays = await UserDay.countDocuments({ user: namesMatch(names) });
+  log?.info('user_days_identities_rebuilt', { users: names.length, userDays });
+  return { userDays };
+}
+
+export default { USER_DAYS_JOB, rollupDaySummaryStages, affectedUserDays, refreshUserDays, syncUserDays, rollupReady, rebuildUserDays, rebuildUserIdentities };
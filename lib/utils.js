@@ -9,9 +9,14 @@ export function buildQuery(params) {
   return new URLSearchParams(clean).toString();
 }
 
-// Format a Date as local YYYY-MM-DD without UTC shifting
-export function formatLocalYMD(d) {
+// Format a Date as local YYYY-MM-DD without UTC shifting; with `timeZone`, as the calendar day in that zone
+export function formatLocalYMD(d, timeZone) {
   if (!(d instanceof Date) || isNaN(d)) return '';
+  if (timeZone) {
+    const p = Object.fromEntries(new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(d).map(x => [x.type, x.value]));
+    return `${p.year}-${p.month}-${p.day}`;
+  }
   const y = d.getFullYear();
   const m = String(d.getMonth() + 1).padStart(2, '0');
   const day = String(d.getDate()).padStart(2, '0');
@@ -98,9 +103,15 @@ export function formatDurationHM(ms) {
   return `${h}h ${m}m`;
 }
 
+// Short weekday name of an ISO weekday (1 = Monday … 7 = Sunday) in `lang`; 2024-01-01 was a Monday
+export function formatWeekday(weekday, lang = 'en') {
+  return new Date(Date.UTC(2024, 0, weekday)).toLocaleDateString(lang, { weekday: 'short', timeZone: 'UTC' });
+}
+
 export default {
   buildQuery,
   formatLocalYMD,
   computeAchievements,
   formatDurationHM,
+  formatWeekday,
 };
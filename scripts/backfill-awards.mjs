@@ -0,0 +1,52 @@
+// scripts/backfill-awards.mjs
+// Replays the Entry collection into the Award ledger. Idempotent and resumable:
+// progress is checkpointed after every chunk, so re-running continues from the last entry seen.
+//
+// Usage: node --env-file=.env.local scripts/backfill-awards.mjs [--chunk=5000] [--reset]
+//   --chunk  entries per chunk (default 5000)
+//   --reset  forget the checkpoint and replay from the first entry (existing awards are kept)
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Entry from '../lib/models/Entry.js';
+import Award from '../lib/models/Award.js';
+import AchievementRule from '../lib/models/AchievementRule.js';
+import JobCheckpoint from '../lib/models/JobCheckpoint.js';
+import Lock from '../lib/models/Lock.js';
+import UserAlias from '../lib/models/UserAlias.js';
+import { DEFAULT_ACHIEVEMENT_RULES } from '../lib/achievements.js';
+import { runAwardBackfill } from '../lib/awards.js';
+import { loadLocks, visitLockIds } from '../lib/locks.js';
+import { loadAliases } from '../lib/aliases.js';
+import { recordKindSettings, visitKindFilter } from '../lib/recordKinds.js';
+import { createLogger } from '../lib/logger.js';
+import { appTimeZone } from '../lib/timezone.js';
+
+const log = createLogger({ route: 'backfill-awards' });
+
+function parseArgs(argv) {
+  const args = { chunk: 5000, reset: false };
+  for (const a of argv) {
+    if (a === '--reset') args.reset = true;
+    else if (a.startsWith('--chunk=')) args.chunk = Math.max(1, parseInt(a.slice(8), 10) || 5000);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await connectToDatabase();
+  const stored = await AchievementRule.find({ active: true }).lean();
+  const rules = stored.length ? stored : DEFAULT_ACHIEVEMENT_RULES;
+  const timeZone = appTimeZone();
+  const lockIds = visitLockIds(await loadLocks({ Lock }));
+  const kindFilter = visitKindFilter(recordKindSettings().value);
+  const aliases = await loadAliases({ UserAlias });
+  await runAwardBackfill({ Entry, Award, JobCheckpoint, rules, timeZone, visitLockIds: lockIds, kindFilter, aliases, chunkSize: args.chunk, reset: args.reset, log });
+}
+
+main()
+  .catch((err) => {
+    log.error('backfill_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
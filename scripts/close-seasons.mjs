@@ -0,0 +1,63 @@
+// scripts/close-seasons.mjs
+// Archives every season that has ended but is not closed yet (safe to run from cron).
+// Pass --season=<key> to close a single season and --force to re-snapshot an existing archive.
+//
+// Usage: node --env-file=.env.local scripts/close-seasons.mjs [--season=2025Q3] [--force]
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Entry from '../lib/models/Entry.js';
+import Season from '../lib/models/Season.js';
+import SeasonArchive from '../lib/models/SeasonArchive.js';
+import Lock from '../lib/models/Lock.js';
+import Flag from '../lib/models/Flag.js';
+import JobCheckpoint from '../lib/models/JobCheckpoint.js';
+import UserAlias from '../lib/models/UserAlias.js';
+import { closeSeason } from '../lib/seasonArchive.js';
+import { refreshFlaggedDays } from '../lib/anomalies.js';
+import { loadAliases } from '../lib/aliases.js';
+import { recordKindSettings, visitKindFilter } from '../lib/recordKinds.js';
+import { loadLocks, visitLockIds } from '../lib/locks.js';
+import { createLogger } from '../lib/logger.js';
+import { appTimeZone } from '../lib/timezone.js';
+
+const log = createLogger({ route: 'close-seasons' });
+
+function parseArgs(argv) {
+  const args = { season: null, force: false };
+  for (const a of argv) {
+    if (a === '--force') args.force = true;
+    else if (a.startsWith('--season=')) args.season = a.slice('--season='.length);
+  }
+  return args;
+}
+
+async function main() {
+  const { season: key, force } = parseArgs(process.argv.slice(2));
+  const timeZone = appTimeZone();
+  const now = new Date();
+  await connectToDatabase();
+  const lockIds = visitLockIds(await loadLocks({ Lock }));
+  const aliases = await loadAliases({ UserAlias });
+  const kindFilter = visitKindFilter(recordKindSettings().value);
+  // Days with unapproved anomaly flags do not count toward the frozen standings
+  const excludeDays = await refreshFlaggedDays({ Entry, Flag, JobCheckpoint, timeZone, aliases, log });
+  const filter = key ? { key } : { endAt: { $lt: now }, ...(force ? {} : { closedAt: null }) };
+  const seasons = await Season.find(filter).sort({ startAt: 1 }).lean();
+  let closed = 0;
+  for (const season of seasons) {
+    if (new Date(season.endAt) > now) {
+      log.warn('season_not_ended', { season: season.key, endAt: season.endAt });
+      continue;
+    }
+    const { created } = await closeSeason({ Entry, Season, SeasonArchive, season, timeZone, lockIds, excludeDays, aliases, kindFilter, now, force, log });
+    if (created) closed += 1;
+  }
+  log.info('close_done', { closed, candidates: seasons.length });
+}
+
+main()
+  .catch((err) => {
+    log.error('close_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
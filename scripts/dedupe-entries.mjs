@@ -0,0 +1,37 @@
+// scripts/dedupe-entries.mjs
+// Removes duplicate entries (same lockId, entryTime, username and recordType; the first stored copy
+// stays) and replaces the old non-unique natural-key index with the unique one from lib/models/Entry.js.
+// Run once when upgrading a database that was ingested into before the index was unique. If an ingest
+// slips a new duplicate in before the index is built, the build fails; run the script again.
+//
+// Usage: node --env-file=.env.local scripts/dedupe-entries.mjs [--dry-run]
+//   --dry-run  only count the duplicates
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Entry from '../lib/models/Entry.js';
+import { removeDuplicateEntries } from '../lib/ingest.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger({ route: 'dedupe-entries' });
+const NATURAL_KEY = 'lockId_1_entryTime_1_username_1_recordType_1';
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+  await connectToDatabase();
+  const { events, removed } = await removeDuplicateEntries({ Entry, dryRun, log });
+  if (dryRun) {
+    log.info('dedupe_dry_run', { events, removed });
+    return;
+  }
+  const old = (await Entry.collection.indexes()).find(i => i.name === NATURAL_KEY && !i.unique);
+  if (old) await Entry.collection.dropIndex(NATURAL_KEY);
+  await Entry.createIndexes();
+  log.info('dedupe_done', { events, removed, replacedIndex: Boolean(old) });
+}
+
+main()
+  .catch((err) => {
+    log.error('dedupe_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
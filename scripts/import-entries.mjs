@@ -0,0 +1,76 @@
+// scripts/import-entries.mjs
+// Imports historical lock logs (vendor CSV or JSON exports) into the Entry collection. By default this
+// is a dry run that prints what would happen: rows, rejected lines, duplicates, new users and the
+// covered date span. Pass --commit to insert the new entries afterwards; already stored events
+// (same lock, user, instant and record type) are skipped, so re-running an import is safe.
+//
+// Columns are matched by name (username/user/name, lockId/lock, lockDate/date/time/timestamp, ...);
+// use --map=field:Column,... for anything else. Timestamps without a UTC offset are read in --tz
+// (default APP_TIMEZONE). --lock fills in the lock for exports of a single lock without a lock column.
+//
+// Usage: node --env-file=.env.local scripts/import-entries.mjs --file=<path> [--format=csv|json]
+//          [--lock=<lockId>] [--tz=Europe/Riga] [--map=username:Person,entryTime:Opened] [--commit]
+import { readFile } from 'fs/promises';
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Entry from '../lib/models/Entry.js';
+import Lock from '../lib/models/Lock.js';
+import { loadLocks } from '../lib/locks.js';
+import { readImportFile, summarizeImport, commitImport, parseMapping } from '../lib/importEntries.js';
+import { createLogger } from '../lib/logger.js';
+import { resolveTimeZone, isValidTimeZone } from '../lib/timezone.js';
+
+const log = createLogger({ route: 'import-entries' });
+
+function parseArgs(argv) {
+  const args = { file: null, format: null, lock: '', tz: null, map: '', commit: false };
+  for (const a of argv) {
+    if (a === '--commit') args.commit = true;
+    else {
+      const m = /^--(file|format|lock|tz|map)=(.*)$/.exec(a);
+      if (m) args[m[1]] = m[2];
+    }
+  }
+  return args;
+}
+
+function printSummary(file, s) {
+  const lines = [
+    `File:        ${file}`,
+    `Rows:        ${s.rows} (${s.valid} valid, ${s.rejected} rejected)`,
+    `Duplicates:  ${s.duplicates.inFile} within the file, ${s.duplicates.existing} already stored`,
+    `To insert:   ${s.toInsert}`,
+    `Users:       ${s.users} (${s.newUsers.length} new${s.newUsers.length ? `: ${s.newUsers.join(', ')}` : ''})`,
+    `Date span:   ${s.span.firstDay ? `${s.span.firstDay} .. ${s.span.lastDay} (${s.span.timeZone})` : '-'}`,
+  ];
+  for (const r of s.rejectedLines) lines.push(`  line ${r.line}: ${r.errors.join('; ')}`);
+  if (s.rejected > s.rejectedLines.length) lines.push(`  ... and ${s.rejected - s.rejectedLines.length} more rejected lines`);
+  console.log(lines.join('\n'));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) throw new Error('--file=<path> is required');
+  if (args.tz && !isValidTimeZone(args.tz)) throw new Error(`Unknown time zone: ${args.tz}`);
+  const timeZone = resolveTimeZone(args.tz);
+  const mapping = parseMapping(args.map);
+  const text = await readFile(args.file, 'utf8');
+  await connectToDatabase();
+  const locks = await loadLocks({ Lock });
+  const { rows } = readImportFile(text, { format: args.format, fileName: args.file, locks, timeZone, mapping, defaultLockId: args.lock });
+  const summary = await summarizeImport({ Entry, rows, timeZone });
+  printSummary(args.file, summary);
+  if (!args.commit) {
+    console.log('\nDry run: nothing was written. Re-run with --commit to import.');
+    return;
+  }
+  const result = await commitImport({ Entry, rows, log });
+  log.info('import_done', { file: args.file, ...result, rejected: summary.rejected });
+}
+
+main()
+  .catch((err) => {
+    log.error('import_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
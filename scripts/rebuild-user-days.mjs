@@ -0,0 +1,47 @@
+// scripts/rebuild-user-days.mjs
+// Regenerates the UserDay rollup from the Entry collection. Without a range the whole rollup is
+// rebuilt (run once after deploying, after deleting entries, or after changing the time zone).
+//
+// Usage: node --env-file=.env.local scripts/rebuild-user-days.mjs [--from=2025-01-01] [--to=2025-01-31]
+//   --from / --to  inclusive local-day range (YYYY-MM-DD); either may be omitted
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Entry from '../lib/models/Entry.js';
+import UserDay from '../lib/models/UserDay.js';
+import JobCheckpoint from '../lib/models/JobCheckpoint.js';
+import UserAlias from '../lib/models/UserAlias.js';
+import { rebuildUserDays } from '../lib/userDays.js';
+import { loadAliases } from '../lib/aliases.js';
+import { createLogger } from '../lib/logger.js';
+import { appTimeZone } from '../lib/timezone.js';
+
+const log = createLogger({ route: 'rebuild-user-days' });
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseArgs(argv) {
+  const args = { from: null, to: null };
+  for (const a of argv) {
+    if (a.startsWith('--from=')) args.from = a.slice('--from='.length);
+    else if (a.startsWith('--to=')) args.to = a.slice('--to='.length);
+  }
+  for (const k of ['from', 'to']) {
+    if (args[k] && !DAY_RE.test(args[k])) throw new Error(`--${k} must be YYYY-MM-DD`);
+  }
+  return args;
+}
+
+async function main() {
+  const { from, to } = parseArgs(process.argv.slice(2));
+  const timeZone = appTimeZone();
+  await connectToDatabase();
+  await UserDay.init();
+  const aliases = await loadAliases({ UserAlias });
+  await rebuildUserDays({ Entry, UserDay, JobCheckpoint, timeZone, aliases, from, to, log });
+}
+
+main()
+  .catch((err) => {
+    log.error('rebuild_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// scripts/seed-achievement-rules.mjs
+// Inserts the built-in badges into the AchievementRule collection.
+// Existing rules (matched by key) are left untouched so admin edits survive re-runs.
+//
+// Usage: node --env-file=.env.local scripts/seed-achievement-rules.mjs
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import AchievementRule from '../lib/models/AchievementRule.js';
+import { DEFAULT_ACHIEVEMENT_RULES } from '../lib/achievements.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger({ route: 'seed-achievement-rules' });
+
+async function main() {
+  await connectToDatabase();
+  let inserted = 0;
+  for (const rule of DEFAULT_ACHIEVEMENT_RULES) {
+    const res = await AchievementRule.updateOne({ key: rule.key }, { $setOnInsert: rule }, { upsert: true });
+    if (res.upsertedCount) inserted += 1;
+  }
+  log.info('seed_done', { inserted, total: DEFAULT_ACHIEVEMENT_RULES.length });
+}
+
+main()
+  .catch((err) => {
+    log.error('seed_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
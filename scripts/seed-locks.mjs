@@ -0,0 +1,29 @@
+// scripts/seed-locks.mjs
+// Inserts the locks that used to be hard-coded (PRIMARY_LOCK and the UI lock names) into the Lock
+// collection. Existing locks (matched by lockId) are left untouched.
+//
+// Usage: node --env-file=.env.local scripts/seed-locks.mjs
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Lock from '../lib/models/Lock.js';
+import { DEFAULT_LOCKS } from '../lib/locks.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger({ route: 'seed-locks' });
+
+async function main() {
+  await connectToDatabase();
+  let inserted = 0;
+  for (const lock of DEFAULT_LOCKS) {
+    const res = await Lock.updateOne({ lockId: lock.lockId }, { $setOnInsert: lock }, { upsert: true });
+    if (res.upsertedCount) inserted += 1;
+  }
+  log.info('seed_done', { inserted, total: DEFAULT_LOCKS.length });
+}
+
+main()
+  .catch((err) => {
+    log.error('seed_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
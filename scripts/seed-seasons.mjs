@@ -0,0 +1,30 @@
+// scripts/seed-seasons.mjs
+// Inserts the seasons that used to be hard-coded in the API into the Season collection, with local
+// midnight boundaries in APP_TIMEZONE. Existing seasons (matched by key) are left untouched.
+//
+// Usage: node --env-file=.env.local scripts/seed-seasons.mjs
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Season from '../lib/models/Season.js';
+import { defaultSeasons } from '../lib/seasons.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger({ route: 'seed-seasons' });
+
+async function main() {
+  await connectToDatabase();
+  const seasons = defaultSeasons();
+  let inserted = 0;
+  for (const season of seasons) {
+    const res = await Season.updateOne({ key: season.key }, { $setOnInsert: season }, { upsert: true });
+    if (res.upsertedCount) inserted += 1;
+  }
+  log.info('seed_done', { inserted, total: seasons.length });
+}
+
+main()
+  .catch((err) => {
+    log.error('seed_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,106 @@
+// scripts/send-digests.mjs
+// Builds personal digests for every member with an address (NOTIFICATION_RECIPIENTS or their own
+// notification settings) who has not switched digests off, queues them in the Notification
+// outbox and delivers pending notifications over SMTP. Meant to run daily from cron: without --period
+// it builds the digests due today (weekly on Mondays, monthly on the 1st) and exits otherwise.
+// Re-runs never queue a member's digest for the same window twice.
+//
+// Usage: node --env-file=.env.local scripts/send-digests.mjs [--period=week|month] [--user=anna] [--dry-run] [--no-send]
+//   --period   build this digest now instead of the ones due today
+//   --user     only this member (need not be a recipient with --dry-run)
+//   --dry-run  log the rendered digests instead of queueing and sending them
+//   --no-send  only queue; deliver later with npm run notifications:run -- --no-detect
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Notification from '../lib/models/Notification.js';
+import NotificationPreference from '../lib/models/NotificationPreference.js';
+import { resolveApiContext } from '../lib/resources/context.js';
+import { loadUserDigest } from '../lib/resources/digest.js';
+import { parseDigestPeriod, dueDigestPeriods, digestHasNews, digestNotification, renderDigest } from '../lib/digest.js';
+import { enqueueNotifications, deliverNotifications, notificationRecipients } from '../lib/notifications.js';
+import { notificationDeliverySettings, allowsNotification } from '../lib/notificationPreferences.js';
+import { smtpSettings, createSmtpTransport } from '../lib/mail.js';
+import { createLogger } from '../lib/logger.js';
+import { appTimeZone } from '../lib/timezone.js';
+
+const log = createLogger({ route: 'send-digests' });
+
+function parseArgs(argv) {
+  const args = { period: null, user: null, dryRun: false, send: true };
+  for (const a of argv) {
+    if (a === '--dry-run') args.dryRun = true;
+    else if (a === '--no-send') args.send = false;
+    else if (a.startsWith('--user=')) args.user = a.slice('--user='.length).trim() || null;
+    else if (a.startsWith('--period=')) {
+      args.period = parseDigestPeriod(a.slice('--period='.length));
+      if (!args.period) throw new Error('--period must be week or month');
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const now = new Date();
+  const periods = args.period ? [args.period] : dueDigestPeriods(now, appTimeZone());
+  if (!periods.length) {
+    log.info('digests_not_due', { day: now.toISOString() });
+    return;
+  }
+  const { value: recipients, errors: recipientErrors } = notificationRecipients();
+  if (recipientErrors.length) log.warn('notification_recipients_invalid', { errors: recipientErrors });
+
+  await connectToDatabase();
+  const prefs = new Map((await NotificationPreference.find({}).lean()).map(p => [p.user, p]));
+  const users = args.user
+    ? [args.user]
+    : Array.from(new Set([...Object.keys(recipients), ...Array.from(prefs.values()).filter(p => p.email).map(p => p.user)]))
+      .filter(u => allowsNotification(prefs.get(u), 'email', 'digest'));
+  // One context for every digest, so season standings are computed once; each member gets their own
+  // digest, so privacy settings do not apply
+  const ctx = await resolveApiContext(new URLSearchParams(), log, { trusted: true });
+  const events = [];
+  for (const period of periods) {
+    for (const user of users) {
+      const digest = await loadUserDigest(user, ctx, log, { period, now });
+      if (!digest || !digestHasNews(digest)) continue;
+      if (args.dryRun) {
+        const lang = prefs.get(user.toLowerCase())?.lang || recipients[user.toLowerCase()]?.lang || 'lv';
+        const { subject, text } = renderDigest(digest, lang);
+        log.info('digest_preview', { user, period, subject, text });
+      } else {
+        events.push(digestNotification(digest));
+      }
+    }
+  }
+  if (args.dryRun) return;
+  const queued = await enqueueNotifications({ Notification, events });
+  log.info('digests_queued', { periods, users: users.length, digests: events.length, queued });
+
+  if (!args.send) return;
+  const { value: delivery, errors: deliveryErrors } = notificationDeliverySettings();
+  if (deliveryErrors.length) log.warn('notification_settings_invalid', { errors: deliveryErrors });
+  const { value: smtp, errors: smtpErrors } = smtpSettings();
+  if (smtpErrors.length) throw new Error(smtpErrors.join('; '));
+  if (!smtp) {
+    log.warn('smtp_not_configured', { hint: 'set SMTP_URL or SMTP_HOST and MAIL_FROM; digests stay queued' });
+    return;
+  }
+  await deliverNotifications({
+    Notification,
+    NotificationPreference,
+    transport: createSmtpTransport(smtp),
+    from: smtp.from,
+    recipientFor: user => recipients[user.toLowerCase()] || null,
+    maxPerDay: delivery.maxPerDay,
+    links: delivery,
+    log,
+  });
+}
+
+main()
+  .catch((err) => {
+    log.error('digests_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
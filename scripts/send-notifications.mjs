@@ -0,0 +1,117 @@
+// scripts/send-notifications.mjs
+// Detects new badges, streak milestones and season rank changes since the previous run, queues them
+// in the Notification outbox and delivers pending notifications over SMTP (safe to run from cron;
+// run awards:backfill first so new badges are in the Award ledger). The first run only records the
+// current streaks and ranks.
+//
+// Usage: node --env-file=.env.local scripts/send-notifications.mjs [--dry-run] [--no-detect] [--no-send] [--limit=100]
+//   --dry-run    render pending notifications to the log instead of sending them; nothing is marked sent
+//   --no-detect  only deliver what is already queued
+//   --no-send    only detect and queue
+//   --limit      notifications delivered per run (default 100)
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Entry from '../lib/models/Entry.js';
+import UserDay from '../lib/models/UserDay.js';
+import Award from '../lib/models/Award.js';
+import AchievementRule from '../lib/models/AchievementRule.js';
+import Season from '../lib/models/Season.js';
+import Flag from '../lib/models/Flag.js';
+import Lock from '../lib/models/Lock.js';
+import UserAlias from '../lib/models/UserAlias.js';
+import JobCheckpoint from '../lib/models/JobCheckpoint.js';
+import Notification from '../lib/models/Notification.js';
+import NotificationPreference from '../lib/models/NotificationPreference.js';
+import { DEFAULT_ACHIEVEMENT_RULES } from '../lib/achievements.js';
+import { runNotifications, deliverNotifications, notificationRecipients } from '../lib/notifications.js';
+import { notificationDeliverySettings } from '../lib/notificationPreferences.js';
+import { smtpSettings, createSmtpTransport, createMemoryTransport } from '../lib/mail.js';
+import { syncUserDays } from '../lib/userDays.js';
+import { refreshFlaggedDays } from '../lib/anomalies.js';
+import { loadAliases } from '../lib/aliases.js';
+import { recordKindSettings, visitKindFilter } from '../lib/recordKinds.js';
+import { loadLocks, visitLockIds } from '../lib/locks.js';
+import { createLogger } from '../lib/logger.js';
+import { appTimeZone } from '../lib/timezone.js';
+
+const log = createLogger({ route: 'send-notifications' });
+
+function parseArgs(argv) {
+  const args = { dryRun: false, detect: true, send: true, limit: 100 };
+  for (const a of argv) {
+    if (a === '--dry-run') args.dryRun = true;
+    else if (a === '--no-detect') args.detect = false;
+    else if (a === '--no-send') args.send = false;
+    else if (a.startsWith('--limit=')) args.limit = Math.max(1, parseInt(a.slice(8), 10) || 100);
+  }
+  return args;
+}
+
+async function detect() {
+  const timeZone = appTimeZone();
+  const stored = await AchievementRule.find({ active: true }).lean();
+  const rules = stored.length ? stored : DEFAULT_ACHIEVEMENT_RULES;
+  const lockIds = visitLockIds(await loadLocks({ Lock }));
+  const aliases = await loadAliases({ UserAlias });
+  const recordKinds = recordKindSettings().value;
+  // Streaks are read from the rollup, so fold in new entries first
+  await syncUserDays({ Entry, UserDay, JobCheckpoint, timeZone, aliases, recordKinds, log });
+  const excludeDays = await refreshFlaggedDays({ Entry, Flag, JobCheckpoint, timeZone, aliases, log });
+  await runNotifications({
+    Award,
+    UserDay,
+    Entry,
+    Season,
+    Notification,
+    JobCheckpoint,
+    rules,
+    timeZone,
+    visitLockIds: lockIds,
+    kindFilter: visitKindFilter(recordKinds),
+    aliases,
+    excludeDays,
+    log,
+  });
+}
+
+async function send({ dryRun, limit }) {
+  const { value: recipients, errors: recipientErrors } = notificationRecipients();
+  if (recipientErrors.length) log.warn('notification_recipients_invalid', { errors: recipientErrors });
+  const { value: delivery, errors: deliveryErrors } = notificationDeliverySettings();
+  if (deliveryErrors.length) log.warn('notification_settings_invalid', { errors: deliveryErrors });
+  if (!delivery.secret || !delivery.baseUrl) log.warn('notification_links_off', { hint: 'set PUBLIC_BASE_URL and NOTIFICATION_SECRET to add unsubscribe links' });
+  const { value: smtp, errors: smtpErrors } = smtpSettings();
+  if (smtpErrors.length) throw new Error(smtpErrors.join('; '));
+  if (!smtp && !dryRun) {
+    log.warn('smtp_not_configured', { hint: 'set SMTP_URL or SMTP_HOST and MAIL_FROM; notifications stay queued' });
+    return;
+  }
+  const transport = dryRun ? createMemoryTransport() : createSmtpTransport(smtp);
+  await deliverNotifications({
+    Notification,
+    NotificationPreference,
+    transport,
+    from: smtp?.from || 'dry-run@localhost',
+    recipientFor: user => recipients[user.toLowerCase()] || null,
+    limit,
+    maxPerDay: delivery.maxPerDay,
+    links: delivery,
+    dryRun,
+    log,
+  });
+  for (const m of transport.sent || []) log.info('notification_preview', { to: m.to, subject: m.subject, text: m.text });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await connectToDatabase();
+  if (args.detect) await detect();
+  if (args.send) await send(args);
+}
+
+main()
+  .catch((err) => {
+    log.error('notifications_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,45 @@
+// scripts/sync-user-days.mjs
+// Folds entries inserted since the previous sync into the UserDay rollup (checkpoint job "user-days").
+// Requests only read the rollup, so run this from cron every few minutes; lifetime views show entries
+// up to the last sync. The first run walks every entry; npm run userdays:rebuild is faster for that.
+//
+// Usage: node --env-file=.env.local scripts/sync-user-days.mjs [--chunk=5000]
+import mongoose from 'mongoose';
+import { connectToDatabase } from '../lib/mongodb.js';
+import Entry from '../lib/models/Entry.js';
+import UserDay from '../lib/models/UserDay.js';
+import JobCheckpoint from '../lib/models/JobCheckpoint.js';
+import UserAlias from '../lib/models/UserAlias.js';
+import { syncUserDays } from '../lib/userDays.js';
+import { loadAliases } from '../lib/aliases.js';
+import { recordKindSettings } from '../lib/recordKinds.js';
+import { createLogger } from '../lib/logger.js';
+import { appTimeZone } from '../lib/timezone.js';
+
+const log = createLogger({ route: 'sync-user-days' });
+
+function parseArgs(argv) {
+  const args = { chunkSize: 5000 };
+  for (const a of argv) {
+    if (a.startsWith('--chunk=')) args.chunkSize = Math.max(1, parseInt(a.slice('--chunk='.length), 10) || 5000);
+  }
+  return args;
+}
+
+async function main() {
+  const { chunkSize } = parseArgs(process.argv.slice(2));
+  await connectToDatabase();
+  await UserDay.init();
+  const aliases = await loadAliases({ UserAlias });
+  const { processed, touched } = await syncUserDays({
+    Entry, UserDay, JobCheckpoint, timeZone: appTimeZone(), aliases, recordKinds: recordKindSettings().value, chunkSize, log,
+  });
+  log.info('sync_done', { processed, touched });
+}
+
+main()
+  .catch((err) => {
+    log.error('sync_failed', { error: String(err?.message || err) });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ACHIEVEMENT_RULES,
+  summarizeUserDays,
+  evaluateRule,
+  evaluateAchievements,
+} from '../lib/achievements.js';
+import { zonedDayHour } from '../lib/timezone.js';
+
+const TZ = 'Europe/Riga';
+const PRIMARY = '19228015';
+const OTHER = '21920074';
+const NOW = new Date('2025-06-30T12:00:00Z');
+
+// Reference copy of the badge logic that used to live inline in app/api/route.js
+function legacyAchievements(entries, now, timeZone) {
+  const primaryDays = new Set();
+  const recentDays = new Set();
+  const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  let early = 0, night = 0;
+  for (const e of entries) {
+    const { day, hour } = zonedDayHour(e.entryTime, timeZone);
+    if (hour < 8) early += 1;
+    if (hour >= 22) night += 1;
+    if (e.lockId === PRIMARY) {
+      primaryDays.add(day);
+      if (e.entryTime >= thirtyDaysAgo) recentDays.add(day);
+    }
+  }
+  const total = primaryDays.size;
+  const keys = [];
+  if (total >= 10) keys.push('milestone_10');
+  if (total >= 50) keys.push('milestone_50');
+  if (total >= 100) keys.push('milestone_100');
+  if (early > 0) keys.push('early_bird');
+  if (night > 0) keys.push('night_owl');
+  if (recentDays.size >= 5) keys.push('active_month');
+  return keys;
+}
+
+// Build one entry per day going back from `end`, at the given UTC hour
+function dailyEntries(count, { end = NOW, utcHour = 15, lockId = PRIMARY, stepDays = 1 } = {}) {
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const d = new Date(end.getTime() - i * stepDays * 24 * 60 * 60 * 1000);
+    d.setUTCHours(utcHour, 0, 0, 0);
+    out.push({ entryTime: d, lockId });
+  }
+  return out;
+}
+
+describe('summarizeUserDays', () => {
+  // Groups entries per local day and lock with first/last, count and distinct hours
+  it('builds per day+lock summaries', () => {
+    const days = summarizeUserDays([
+      { entryTime: new Date('2025-03-01T05:00:00Z'), lockId: PRIMARY },
+      { entryTime: new Date('2025-03-01T06:10:00Z'), lockId: PRIMARY },
+      { entryTime: new Date('2025-03-01T06:20:00Z'), lockId: OTHER },
+    ], TZ);
+    expect(days).toHaveLength(2);
+    expect(days[0]).toMatchObject({ day: '2025-03-01', lockId: PRIMARY, count: 2, hours: [7, 8] });
+    expect(days[1]).toMatchObject({ day: '2025-03-01', lockId: OTHER, count: 1, hours: [8] });
+  });
+});
+
+describe('evaluateRule', () => {
+  const days = summarizeUserDays([
+    ...dailyEntries(4, { end: new Date('2025-06-10T00:00:00Z') }),
+    ...dailyEntries(2, { end: new Date('2025-06-20T00:00:00Z') }),
+    { entryTime: new Date('2025-06-25T20:30:00Z'), lockId: OTHER }, // 23:30 local
+  ], TZ);
+
+  // Counts distinct days restricted to the rule's lock filter
+  it('distinct_days honours lock filters', () => {
+    expect(evaluateRule({ type: 'distinct_days', params: { min: 6, locks: [PRIMARY] } }, days, { now: NOW }))
+      .toMatchObject({ earned: true, value: 6 });
+    expect(evaluateRule({ type: 'distinct_days', params: { min: 7, locks: [PRIMARY] } }, days, { now: NOW }).earned).toBe(false);
+    expect(evaluateRule({ type: 'distinct_days', params: { min: 7 } }, days, { now: NOW }).value).toBe(7);
+  });
+
+  // Restricts by trailing withinDays and by absolute startAt/endAt windows
+  it('distinct_days honours time windows', () => {
+    expect(evaluateRule({ type: 'distinct_days', params: { withinDays: 15 } }, days, { now: NOW }).value).toBe(3);
+    const windowed = { type: 'distinct_days', params: { startAt: '2025-06-01T00:00:00Z', endAt: '2025-06-09T00:00:00Z' } };
+    expect(evaluateRule(windowed, days, { now: NOW }).value).toBe(2);
+  });
+
+  // Hour windows, including ones wrapping midnight, count distinct matching days
+  it('hour_window supports wrap-around windows', () => {
+    expect(evaluateRule({ type: 'hour_window', params: { fromHour: 22, toHour: 24 } }, days, { now: NOW }).value).toBe(1);
+    expect(evaluateRule({ type: 'hour_window', params: { fromHour: 23, toHour: 2 } }, days, { now: NOW }).earned).toBe(true);
+    expect(evaluateRule({ type: 'hour_window', params: { fromHour: 0, toHour: 8 } }, days, { now: NOW }).earned).toBe(false);
+  });
+
+  // Longest consecutive day run is compared against the threshold
+  it('streak measures the longest consecutive run', () => {
+    expect(evaluateRule({ type: 'streak', params: { min: 4, locks: [PRIMARY] } }, days, { now: NOW }))
+      .toMatchObject({ earned: true, value: 4 });
+    expect(evaluateRule({ type: 'streak', params: { min: 5 } }, days, { now: NOW }).earned).toBe(false);
+  });
+
+  // Unknown rule types never award
+  it('ignores unknown rule types', () => {
+    expect(evaluateRule({ type: 'nope', params: { min: 0 } }, days, { now: NOW }).earned).toBe(false);
+  });
+});
+
+describe('evaluateAchievements (seed rules vs. legacy inline logic)', () => {
+  const cases = [
+    { name: 'no activity', entries: [] },
+    { name: '9 primary days', entries: dailyEntries(9, { stepDays: 7 }) },
+    { name: '10 primary days, none recent', entries: dailyEntries(10, { end: new Date('2025-01-31T00:00:00Z') }) },
+    { name: '55 days spread out', entries: dailyEntries(55, { stepDays: 3 }) },
+    { name: '120 days incl. recent activity', entries: dailyEntries(120) },
+    { name: 'early bird on secondary lock only', entries: [{ entryTime: new Date('2025-06-01T03:00:00Z'), lockId: OTHER }] },
+    { name: 'night owl around midnight UTC', entries: dailyEntries(3, { utcHour: 20 }) },
+    { name: 'recent visits on other lock only', entries: dailyEntries(8, { lockId: OTHER }) },
+    { name: 'exactly five recent primary days', entries: dailyEntries(5, { stepDays: 5 }) },
+  ];
+
+  for (const c of cases) {
+    // The seed rules must award exactly what the previous inline if-chain awarded
+    it(`matches legacy awards: ${c.name}`, () => {
+      const days = summarizeUserDays(c.entries, TZ);
+      const keys = evaluateAchievements(DEFAULT_ACHIEVEMENT_RULES, days, { now: NOW }).map(a => a.key);
+      expect(keys).toEqual(legacyAchievements(c.entries, NOW, TZ));
+    });
+  }
+
+  // Inactive rules are skipped and results carry title/description for display
+  it('skips inactive rules and returns display metadata', () => {
+    const days = summarizeUserDays(dailyEntries(12), TZ);
+    const rules = DEFAULT_ACHIEVEMENT_RULES.map(r => (r.key === 'milestone_10' ? { ...r, active: false } : r));
+    const res = evaluateAchievements(rules, days, { now: NOW });
+    expect(res.map(a => a.key)).toEqual(['active_month']);
+    expect(res[0]).toEqual({ key: 'active_month', title: 'Active This Month', description: '5+ visits in the last 30 days' });
+  });
+});
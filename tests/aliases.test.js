@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { canonicalOf, resolveUser, identitiesOf, usernameMatch, canonicalUsernameStages, normalizeMerge, mergeConflicts } from '../lib/aliases.js';
+import { affectedUserDays } from '../lib/userDays.js';
+import { seasonDaysPipeline } from '../lib/seasonArchive.js';
+
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+// In-memory merges and aliases; Entry/UserDay only record the rollup rebuilds
+const db = vi.hoisted(() => ({ merges: [], aliases: [], pipelines: [], deleted: [] }));
+const query = (fn) => {
+  const q = { sort: () => q, lean: () => q, then: (a, b) => Promise.resolve(fn()).then(a, b) };
+  return q;
+};
+const UserMerge = vi.hoisted(() => ({}));
+const UserAlias = vi.hoisted(() => ({}));
+const Entry = vi.hoisted(() => ({}));
+const UserDay = vi.hoisted(() => ({}));
+Object.assign(UserMerge, {
+  find: (filter) => query(() => db.merges.filter(m => !filter.status || m.status === filter.status)),
+  findOne: ({ _id }) => query(() => { const m = db.merges.find(x => x._id === _id); return m ? { ...m } : null; }),
+  create: async (doc) => {
+    const m = { _id: String(db.merges.length + 1).padStart(24, '0'), createdAt: new Date(), ...doc };
+    db.merges.push(m);
+    return m;
+  },
+  updateOne: async ({ _id }, { $set }) => { Object.assign(db.merges.find(m => m._id === _id), $set); },
+  deleteOne: async ({ _id }) => { db.merges = db.merges.filter(m => m._id !== _id); },
+});
+Object.assign(UserAlias, {
+  find: () => query(() => db.aliases),
+  insertMany: async (docs) => {
+    db.aliases.push(...docs.slice(0, db.failAliasInsertAfter ?? docs.length));
+    if (db.failAliasInsertAfter !== undefined) throw new Error('E11000 duplicate key error');
+  },
+  deleteMany: async ({ mergeId }) => { db.aliases = db.aliases.filter(a => a.mergeId !== mergeId); },
+});
+Object.assign(Entry, { aggregate: async (p) => { db.pipelines.push(p); return []; } });
+Object.assign(UserDay, {
+  collection: { collectionName: 'userdays' },
+  deleteMany: async (f) => { db.deleted.push(f); },
+  countDocuments: async () => 4,
+});
+vi.mock('@/lib/models/UserMerge', () => ({ default: UserMerge }));
+vi.mock('@/lib/models/UserAlias', () => ({ default: UserAlias }));
+vi.mock('@/lib/models/Entry', () => ({ default: Entry }));
+vi.mock('@/lib/models/UserDay', () => ({ default: UserDay }));
+
+const ALIASES = [{ alias: 'janis.b', canonical: 'JanisB' }, { alias: 'JB', canonical: 'JanisB' }];
+// The names of a case-insensitive { $in: [/^name$/i] } match
+const names = (match) => match.$in.map(r => r.source.replace(/^\^|\$$/g, '').replace(/\\/g, ''));
+
+describe('alias resolution', () => {
+  // Stored usernames and names typed by people both match case-insensitively
+  it('resolves usernames to the canonical identity', () => {
+    expect(canonicalOf('janis.b', ALIASES)).toBe('JanisB');
+    expect(canonicalOf('Janis.B', ALIASES)).toBe('JanisB');
+    expect(canonicalOf('anna', ALIASES)).toBe('anna');
+    expect(resolveUser('JANIS.B', ALIASES)).toBe('JanisB');
+    expect(resolveUser('anna', ALIASES)).toBe('anna');
+    expect(identitiesOf('jb', ALIASES)).toEqual(['JanisB', 'janis.b', 'JB']);
+    expect(usernameMatch('janisb', ALIASES).$in.map(String)).toEqual(['/^janisb$/i', '/^janis\\.b$/i', '/^JB$/i']);
+  });
+
+  // Pipelines rewrite usernames in place, comparing them lowercased; without aliases they are left alone
+  it('builds the canonical username stage', () => {
+    expect(canonicalUsernameStages([])).toEqual([]);
+    const [stage] = canonicalUsernameStages(ALIASES, { field: 'user' });
+    expect(stage.$set.user.$let.vars.i).toEqual({ $indexOfArray: [['janis.b', 'jb'], { $toLower: '$user' }] });
+    expect(stage.$set.user.$let.in.$cond[1]).toEqual({ $arrayElemAt: [['JanisB', 'JanisB'], '$$i'] });
+    const pipeline = seasonDaysPipeline({ startAt: '2025-01-01', endAt: '2025-03-31' }, { lockIds: ['1'], aliases: ALIASES });
+    expect(pipeline[2]).toEqual(canonicalUsernameStages(ALIASES)[0]);
+  });
+
+  // Rollup days touched by an alias's entries belong to the canonical user
+  it('rolls aliases up under the canonical user', () => {
+    const at = new Date('2025-01-02T08:00:00Z');
+    expect(affectedUserDays([{ username: 'janis.b', entryTime: at }, { username: 'JanisB', entryTime: at }, { username: 'jb', entryTime: at }], 'UTC', ALIASES))
+      .toEqual([{ user: 'JanisB', day: '2025-01-02' }]);
+  });
+});
+
+describe('merge validation', () => {
+  // Aliases are trimmed and deduplicated ignoring case; the canonical name cannot alias itself
+  it('normalizes merge requests', () => {
+    expect(normalizeMerge({ canonical: ' JanisB ', aliases: ['janis.b', ' janis.b', 'JB', 'jb'], note: 'same badge ' })).toEqual({
+      value: { canonical: 'JanisB', aliases: ['janis.b', 'JB'], note: 'same badge', mergedBy: null },
+      errors: [],
+    });
+    expect(normalizeMerge({ canonical: 'JanisB', aliases: ['janisb'] }).errors).toEqual(['aliases must not include the canonical username']);
+    expect(normalizeMerge({ canonical: '', aliases: [] }).errors).toHaveLength(2);
+  });
+
+  // Merges never chain: an alias cannot be merged again nor become a canonical user
+  it('reports conflicts with existing aliases', () => {
+    expect(mergeConflicts({ canonical: 'anna', aliases: ['ann'] }, ALIASES)).toEqual([]);
+    expect(mergeConflicts({ canonical: 'jb', aliases: ['x'] }, ALIASES)).toEqual(['jb is already an alias of JanisB; merge into JanisB instead']);
+    expect(mergeConflicts({ canonical: 'anna', aliases: ['Janis.B', 'janisb'] }, ALIASES)).toEqual([
+      'Janis.B is already an alias of JanisB',
+      'janisb has aliases of its own; unmerge them first',
+    ]);
+  });
+});
+
+describe('/api/merges', () => {
+  const admin = { authorization: 'Bearer secret', 'content-type': 'application/json' };
+  const call = async (load, method, url, body, params) => {
+    const route = await load();
+    const res = await route[method](new Request(`http://test${url}`, { method, headers: admin, body: body && JSON.stringify(body) }), params && { params: Promise.resolve(params) });
+    return { res, json: await res.json() };
+  };
+  const list = () => import('../app/api/merges/route.js');
+  const one = () => import('../app/api/merges/[id]/route.js');
+  const unmerge = () => import('../app/api/merges/[id]/unmerge/route.js');
+
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'secret';
+    Object.assign(db, { merges: [], aliases: [], pipelines: [], deleted: [], failAliasInsertAfter: undefined });
+  });
+
+  // A merge adds the aliases, leaves an audit record and regenerates the rollup of every username involved
+  it('merges usernames', async () => {
+    const { POST } = await list();
+    expect((await POST(new Request('http://test/api/merges', { method: 'POST', body: '{}' }))).status).toBe(401);
+    const { res, json } = await call(list, 'POST', '/api/merges', { canonical: 'JanisB', aliases: ['janis.b'], mergedBy: 'ops' });
+    expect(res.status).toBe(201);
+    expect(json.merge).toMatchObject({ canonical: 'JanisB', aliases: ['janis.b'], mergedBy: 'ops', status: 'active' });
+    expect(db.aliases).toEqual([{ alias: 'janis.b', canonical: 'JanisB', mergeId: json.merge.id }]);
+    expect(db.deleted.map(f => names(f.user))).toEqual([['JanisB', 'janis.b']]);
+    expect(names(db.pipelines[0][0].$match.username)).toEqual(['JanisB', 'janis.b']);
+
+    expect((await call(list, 'POST', '/api/merges', { canonical: 'anna', aliases: ['janis.b'] })).res.status).toBe(409);
+    expect((await call(list, 'POST', '/api/merges', { canonical: 'anna' })).res.status).toBe(400);
+  });
+
+  // Unmerging removes the aliases but keeps the merge record, marked as reverted
+  it('reverts merges', async () => {
+    const { json: created } = await call(list, 'POST', '/api/merges', { canonical: 'JanisB', aliases: ['janis.b', 'JB'] });
+    const { id } = created.merge;
+    const { res, json } = await call(unmerge, 'POST', `/api/merges/${id}/unmerge`, { revertedBy: 'ops', note: 'different people' }, { id });
+    expect(res.status).toBe(200);
+    expect(json.merge).toMatchObject({ status: 'reverted', revertedBy: 'ops', revertNote: 'different people' });
+    expect(db.aliases).toEqual([]);
+    expect(db.deleted).toHaveLength(2);
+
+    expect((await call(unmerge, 'POST', `/api/merges/${id}/unmerge`, {}, { id })).res.status).toBe(409);
+    expect((await call(unmerge, 'POST', '/api/merges/nope/unmerge', {}, { id: 'nope' })).res.status).toBe(404);
+    expect((await call(one, 'GET', `/api/merges/${id}`, undefined, { id })).json.merge.status).toBe('reverted');
+    expect((await call(list, 'GET', '/api/merges?status=active')).json.merges).toEqual([]);
+    expect((await call(list, 'GET', '/api/merges?status=maybe')).res.status).toBe(400);
+  });
+
+  // Aliases from an earlier merge into the same user are rebuilt with the identity, on merge and unmerge
+  it('rebuilds every username of the identity across merges', async () => {
+    const { json: first } = await call(list, 'POST', '/api/merges', { canonical: 'JanisB', aliases: ['janis.b'] });
+    const { json: second } = await call(list, 'POST', '/api/merges', { canonical: 'JanisB', aliases: ['JB'] });
+    expect(names(db.deleted[1].user)).toEqual(['JanisB', 'janis.b', 'JB']);
+    expect(names(db.pipelines[1][0].$match.username)).toEqual(['JanisB', 'janis.b', 'JB']);
+
+    const { id } = first.merge;
+    await call(unmerge, 'POST', `/api/merges/${id}/unmerge`, {}, { id });
+    expect(db.aliases.map(a => a.alias)).toEqual(['JB']);
+    expect(names(db.deleted[2].user)).toEqual(['JanisB', 'janis.b', 'JB']);
+    expect(second.merge.aliases).toEqual(['JB']);
+  });
+
+  // A merge whose aliases cannot all be stored leaves neither aliases nor an audit record behind
+  it('undoes a half-applied merge', async () => {
+    db.failAliasInsertAfter = 1;
+    const { res } = await call(list, 'POST', '/api/merges', { canonical: 'JanisB', aliases: ['janis.b', 'JB'] });
+    expect(res.status).toBe(500);
+    expect(db.aliases).toEqual([]);
+    expect(db.merges).toEqual([]);
+    expect(db.deleted).toEqual([]);
+  });
+});
@@ -0,0 +1,274 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { normalizeAnomalyRules, anomalyRules, detectAnomalies, flagEntries, scanAnomalies, DEFAULT_ANOMALY_RULES } from '../lib/anomalies.js';
+import { loadFlaggedDays, excludeFlaggedDaysStages, rollupExcludeFlaggedDaysStages, normalizeReview } from '../lib/flags.js';
+import { seasonDaysPipeline } from '../lib/seasonArchive.js';
+
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+// In-memory collections with just the query operators the detector and the review routes use
+const db = vi.hoisted(() => ({ entries: [], flags: [], checkpoints: [], aliases: [] }));
+const t = (v) => new Date(v).getTime();
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([k, cond]) => {
+    if (k === '$or') return cond.some(f => matches(doc, f));
+    const v = doc[k];
+    if (cond instanceof Date) return t(v) === t(cond);
+    if (cond && typeof cond === 'object') {
+      if ('$in' in cond) return cond.$in.some(c => (c instanceof RegExp ? c.test(v) : String(c) === String(v)));
+      if ('$gt' in cond) return String(v) > String(cond.$gt);
+      if ('$regex' in cond) return new RegExp(cond.$regex, cond.$options).test(v);
+      return (!('$gte' in cond) || t(v) >= t(cond.$gte)) && (!('$lte' in cond) || t(v) <= t(cond.$lte));
+    }
+    return String(v) === String(cond);
+  });
+}
+const query = (fn) => {
+  let rows = null;
+  const q = {
+    sort: () => q,
+    skip: (n) => { rows = (rows || fn()).slice(n); return q; },
+    limit: (n) => { rows = (rows || fn()).slice(0, n); return q; },
+    lean: () => q,
+    then: (a, b) => Promise.resolve(rows || fn()).then(a, b),
+  };
+  return q;
+};
+const applyUpdate = (doc, { $set = {}, $push = {} }) => {
+  Object.assign(doc, $set);
+  for (const [k, v] of Object.entries($push)) doc[k] = [...(doc[k] || []), v];
+};
+const Entry = vi.hoisted(() => ({}));
+const Flag = vi.hoisted(() => ({}));
+const JobCheckpoint = vi.hoisted(() => ({}));
+const UserAlias = vi.hoisted(() => ({}));
+Object.assign(Entry, {
+  find: (filter) => query(() => db.entries.filter(e => matches(e, filter))),
+  findOne: (filter) => query(() => db.entries.find(e => matches(e, filter)) || null),
+});
+Object.assign(Flag, {
+  find: (filter) => query(() => db.flags.filter(f => matches(f, filter))),
+  findOne: (filter) => query(() => { const f = db.flags.find(x => matches(x, filter)); return f ? { ...f } : null; }),
+  countDocuments: async (filter) => db.flags.filter(f => matches(f, filter)).length,
+  aggregate: async () => ['pending', 'approved', 'rejected'].map(s => ({ _id: s, count: db.flags.filter(f => f.status === s).length })),
+  bulkWrite: async (ops) => {
+    let upsertedCount = 0;
+    for (const { updateOne: { filter, update } } of ops) {
+      if (db.flags.some(f => matches(f, filter))) continue;
+      db.flags.push({ _id: `f${String(db.flags.length + 1).padStart(23, '0')}`, ...filter, ...update.$setOnInsert });
+      upsertedCount += 1;
+    }
+    return { upsertedCount };
+  },
+  updateOne: async (filter, update) => { applyUpdate(db.flags.find(f => matches(f, filter)), update); },
+  updateMany: async (filter, update) => {
+    const hit = db.flags.filter(f => matches(f, filter));
+    hit.forEach(f => applyUpdate(f, update));
+    return { matchedCount: hit.length, modifiedCount: hit.length };
+  },
+});
+Object.assign(JobCheckpoint, {
+  findOne: ({ job }) => query(() => db.checkpoints.find(c => c.job === job) || null),
+  updateOne: async ({ job }, { $set }) => {
+    const c = db.checkpoints.find(x => x.job === job);
+    if (c) Object.assign(c, $set);
+    else db.checkpoints.push({ job, ...$set });
+  },
+});
+Object.assign(UserAlias, { find: () => query(() => db.aliases) });
+vi.mock('@/lib/models/Entry', () => ({ default: Entry }));
+vi.mock('@/lib/models/Flag', () => ({ default: Flag }));
+vi.mock('@/lib/models/UserAlias', () => ({ default: UserAlias }));
+
+let seq = 0;
+const entry = (username, at, over = {}) => ({
+  _id: String(++seq).padStart(24, '0'),
+  username,
+  lockId: '19228015',
+  lockMac: null,
+  entryTime: new Date(at),
+  createdAt: new Date(at),
+  ...over,
+});
+const rulesOnly = (key, settings = {}) => Object.fromEntries(Object.entries(DEFAULT_ANOMALY_RULES)
+  .map(([k, v]) => [k, { ...v, enabled: k === key, ...(k === key ? settings : {}) }]));
+
+describe('anomaly rules', () => {
+  // Overrides are merged per rule; bad values are reported and ignored
+  it('validates overrides', () => {
+    const { value, errors } = normalizeAnomalyRules({ burst: { maxPerMinute: 8 }, repeatTap: { enabled: false, withinSeconds: 0 }, nope: {} });
+    expect(value.burst).toEqual({ enabled: true, maxPerMinute: 8 });
+    expect(value.repeatTap).toEqual({ enabled: false, withinSeconds: 10 });
+    expect(errors).toEqual(['repeatTap.withinSeconds must be an integer from 1 to 3600', 'unknown anomaly rule: nope']);
+    expect(anomalyRules({ ANOMALY_RULES: '{' }).errors).toEqual(['ANOMALY_RULES is not valid JSON']);
+    expect(anomalyRules({}).value).toEqual(DEFAULT_ANOMALY_RULES);
+  });
+});
+
+describe('detectAnomalies', () => {
+  beforeEach(() => { seq = 0; });
+
+  // Six taps within a minute exceed the default of five; every tap of the burst is flagged
+  it('flags bursts', () => {
+    const taps = Array.from({ length: 6 }, (_, i) => entry('anna', 1_000_000 + i * 10_000));
+    const flags = detectAnomalies([...taps, entry('anna', 1_000_000 + 120_000)], rulesOnly('burst'));
+    expect(flags.map(f => f.entryId)).toEqual(taps.map(e => e._id));
+    expect(flags[0].details).toEqual({ count: 6, windowSeconds: 60 });
+  });
+
+  // A second tap on the same lock seconds later is flagged; another lock or a later tap is not
+  it('flags repeated taps', () => {
+    const first = entry('anna', '2025-01-01T08:00:00Z');
+    const again = entry('anna', '2025-01-01T08:00:04Z');
+    const other = entry('anna', '2025-01-01T08:00:05Z', { lockId: '21920074' });
+    const later = entry('anna', '2025-01-01T08:05:00Z');
+    const flags = detectAnomalies([later, other, again, first], rulesOnly('repeatTap'));
+    expect(flags).toEqual([{ entryId: again._id, rule: 'repeatTap', details: { secondsAfter: 4, previousEntryId: first._id } }]);
+  });
+
+  // Entries stamped well after they were stored come from a skewed clock
+  it('flags future timestamps', () => {
+    const skewed = entry('anna', '2025-01-01T09:00:00Z', { createdAt: new Date('2025-01-01T08:00:00Z') });
+    const fine = entry('anna', '2025-01-01T08:03:00Z', { createdAt: new Date('2025-01-01T08:00:00Z') });
+    const flags = detectAnomalies([skewed, fine], rulesOnly('future'));
+    expect(flags).toEqual([{ entryId: skewed._id, rule: 'future', details: { aheadMinutes: 60 } }]);
+  });
+
+  // Copies of an event with the same lock MAC and instant are flagged after the first
+  it('flags identical MAC and time', () => {
+    const a = entry('anna', '2025-01-01T08:00:00Z', { lockMac: 'AA:BB:CC:DD:EE:01' });
+    const b = entry('bob', '2025-01-01T08:00:00Z', { lockMac: 'aa:bb:cc:dd:ee:01' });
+    const c = entry('cid', '2025-01-01T08:00:00Z', { lockMac: 'AA:BB:CC:DD:EE:02' });
+    expect(detectAnomalies([a, b, c], rulesOnly('duplicateMacTime')).map(f => [f.entryId, f.details.firstEntryId])).toEqual([[b._id, a._id]]);
+  });
+});
+
+describe('flagEntries and scanAnomalies', () => {
+  beforeEach(() => {
+    seq = 0;
+    db.entries = [];
+    db.flags = [];
+    db.checkpoints = [];
+  });
+
+  // A new tap is compared with stored neighbours; re-scanning keeps reviewed flags as they are
+  it('records flags once and keeps their review status', async () => {
+    db.entries.push(entry('anna', '2025-01-01T08:00:00Z'));
+    const tap = entry('anna', '2025-01-01T08:00:03Z');
+    db.entries.push(tap);
+    expect(await flagEntries({ Entry, Flag, batch: [tap], timeZone: 'Europe/Riga' })).toBe(1);
+    expect(db.flags[0]).toMatchObject({ entryId: tap._id, rule: 'repeatTap', user: 'anna', day: '2025-01-01', status: 'pending' });
+    db.flags[0].status = 'approved';
+    expect(await flagEntries({ Entry, Flag, batch: [tap], timeZone: 'Europe/Riga' })).toBe(0);
+    expect(db.flags[0].status).toBe('approved');
+  });
+
+  // The scan follows entries by _id and resumes after its checkpoint
+  it('scans incrementally', async () => {
+    db.entries.push(entry('anna', '2025-01-01T08:00:00Z'), entry('anna', '2025-01-01T08:00:02Z'), entry('bob', '2025-01-02T08:00:00Z'));
+    expect(await scanAnomalies({ Entry, Flag, JobCheckpoint, chunkSize: 2 })).toEqual({ processed: 3, flagged: 1 });
+    expect(await scanAnomalies({ Entry, Flag, JobCheckpoint })).toEqual({ processed: 0, flagged: 0 });
+    db.entries.push(entry('bob', '2025-01-02T08:00:01Z'));
+    expect(await scanAnomalies({ Entry, Flag, JobCheckpoint })).toEqual({ processed: 1, flagged: 1 });
+  });
+});
+
+describe('flagged day exclusion', () => {
+  beforeEach(() => {
+    db.flags = [
+      { _id: 'f1', user: 'anna', entryTime: new Date('2025-01-01T22:30:00Z'), status: 'pending' },
+      { _id: 'f2', user: 'bob', entryTime: new Date('2025-01-02T08:00:00Z'), status: 'approved' },
+      { _id: 'f3', user: 'cid', entryTime: new Date('2025-01-03T08:00:00Z'), status: 'rejected' },
+    ];
+  });
+
+  // Pending and rejected flags exclude their user's local day; approved ones do not
+  it('loads excluded user-days in the requested zone', async () => {
+    expect(await loadFlaggedDays({ Flag, timeZone: 'UTC' })).toEqual(['anna|2025-01-01', 'cid|2025-01-03']);
+    expect(await loadFlaggedDays({ Flag, timeZone: 'Europe/Riga' })).toEqual(['anna|2025-01-02', 'cid|2025-01-03']);
+  });
+
+  // Entry and rollup pipelines drop the excluded user-days; nothing is added without flags
+  it('builds exclusion stages', () => {
+    const [stage] = excludeFlaggedDaysStages({ excludeDays: ['anna|2025-01-01'], timeZone: 'Europe/Riga' });
+    expect(stage.$match.$expr.$not[0].$in[1]).toEqual(['anna|2025-01-01']);
+    expect(stage.$match.$expr.$not[0].$in[0].$concat[2].$dateToString.timezone).toBe('Europe/Riga');
+    expect(rollupExcludeFlaggedDaysStages({ excludeDays: ['anna|2025-01-01'] })[0].$match.$expr.$not[0].$in[0]).toEqual({ $concat: ['$user', '|', '$day'] });
+    expect(excludeFlaggedDaysStages({ excludeDays: [] })).toEqual([]);
+    const season = { startAt: new Date('2025-01-01T00:00:00Z'), endAt: new Date('2025-03-31T23:59:59Z') };
+    expect(seasonDaysPipeline(season, { lockIds: ['19228015'], excludeDays: ['anna|2025-01-01'] })[2]).toEqual(excludeFlaggedDaysStages({ excludeDays: ['anna|2025-01-01'] })[0]);
+  });
+
+  // Reviews need a known status and a short note
+  it('validates reviews', () => {
+    expect(normalizeReview({ status: 'approved', note: ' ok ' }).value).toEqual({ status: 'approved', note: 'ok', reviewedBy: null });
+    expect(normalizeReview({ status: 'done' }).errors).toEqual(['status must be one of: pending, approved, rejected']);
+  });
+});
+
+describe('/api/flags', () => {
+  const admin = { authorization: 'Bearer secret', 'content-type': 'application/json' };
+  const id = (n) => `f${String(n).padStart(23, '0')}`;
+  const call = async (load, method, url, body, params) => {
+    const route = await load();
+    const res = await route[method](new Request(`http://test${url}`, { method, headers: admin, body: body && JSON.stringify(body) }), params && { params: Promise.resolve(params) });
+    return { res, json: await res.json() };
+  };
+  const list = () => import('../app/api/flags/route.js');
+  const one = () => import('../app/api/flags/[id]/route.js');
+
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'secret';
+    db.aliases = [];
+    db.flags = [1, 2, 3].map(n => ({ _id: id(n), entryId: String(n).padStart(24, '0'), rule: 'burst', user: n === 3 ? 'bob' : 'anna', day: '2025-01-01', entryTime: new Date('2025-01-01T08:00:00Z'), status: 'pending' }));
+  });
+
+  // The queue lists pending flags with counts per status, for admins only
+  it('lists the review queue', async () => {
+    const { GET } = await list();
+    expect((await GET(new Request('http://test/api/flags'))).status).toBe(401);
+    const { json } = await call(list, 'GET', '/api/flags?user=ANNA');
+    expect(json.flags.map(f => f.id)).toEqual([id(1), id(2)]);
+    expect(json.counts).toEqual({ pending: 3, approved: 0, rejected: 0 });
+    expect((await call(list, 'GET', '/api/flags?status=maybe')).res.status).toBe(400);
+  });
+
+  // One flag at a time, or every flag of a user-day
+  it('reviews flags', async () => {
+    const { json } = await call(one, 'PATCH', `/api/flags/${id(3)}`, { status: 'rejected', note: 'shared card', reviewedBy: 'ops' }, { id: id(3) });
+    expect(json.flag).toMatchObject({ status: 'rejected', note: 'shared card', reviewedBy: 'ops' });
+    expect(db.flags[2].reviewedAt).toBeInstanceOf(Date);
+    expect(json.flag.history).toMatchObject([{ status: 'rejected', note: 'shared card', reviewedBy: 'ops' }]);
+    expect((await call(one, 'PATCH', '/api/flags/nope', { status: 'approved' }, { id: 'nope' })).res.status).toBe(404);
+
+    const bulk = await call(list, 'PATCH', '/api/flags', { user: 'anna', day: '2025-01-01', status: 'approved' });
+    expect(bulk.json).toEqual({ status: 'approved', matched: 2, updated: 2 });
+    expect(await loadFlaggedDays({ Flag, timeZone: 'UTC' })).toEqual(['bob|2025-01-01']);
+    expect((await call(list, 'PATCH', '/api/flags', { ids: ['x'], status: 'approved' })).res.status).toBe(400);
+  });
+
+  // A merged user's queue and user-day reviews cover the flags of every username merged into it
+  it('reviews merged usernames together', async () => {
+    db.aliases = [{ alias: 'bob', canonical: 'anna' }];
+    const { json } = await call(list, 'GET', '/api/flags?user=Anna');
+    expect(json.flags.map(f => f.id)).toEqual([id(1), id(2), id(3)]);
+
+    const bulk = await call(list, 'PATCH', '/api/flags', { user: 'anna', day: '2025-01-01', status: 'approved' });
+    expect(bulk.json).toMatchObject({ matched: 3 });
+    expect(await loadFlaggedDays({ Flag, timeZone: 'UTC', aliases: db.aliases })).toEqual([]);
+  });
+});
@@ -7,30 +7,48 @@ vi.mock('next/server', () => ({
   },
 }));
 
-// Mock mongoose with a simple in-memory model for Entry
+// Mock mongoose with simple in-memory models (Entry gets fake data, others start empty)
 const fakeData = [
   { _id: '1', username: 'alice', lockId: 'L1', entryTime: new Date(), lockMac: 'AA:BB', recordType: 1, electricQuantity: 90 },
 ];
 
-function makeEntryModel() {
+// Chainable stand-in for a mongoose Query (sort/skip/limit/lean) that resolves to `result`
+function makeQuery(result) {
+  const q = {
+    sort: () => q,
+    skip: () => q,
+    limit: () => q,
+    lean: () => q,
+    select: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+function makeModel(data = []) {
   return {
-    find: (q) => ({
-      sort: () => ({ skip: () => ({ limit: () => ({ lean: () => Promise.resolve(fakeData) }) }) }),
-    }),
-    countDocuments: () => Promise.resolve(fakeData.length),
+    // Honour `_id > x` so cursor walks (e.g. the UserDay sync) terminate
+    find: (filter = {}) => makeQuery(filter._id?.$gt ? data.filter(d => d._id > filter._id.$gt) : data),
+    findOne: () => makeQuery(null),
+    countDocuments: () => Promise.resolve(data.length),
     distinct: () => Promise.resolve(['L1']),
     aggregate: () => Promise.resolve([{}]),
-    findOne: () => ({ sort: () => Promise.resolve(null) }),
+    updateOne: () => Promise.resolve({}),
+    collection: { collectionName: 'test' },
   };
 }
 
 vi.mock('mongoose', () => {
-  const Entry = makeEntryModel();
+  const models = { Entry: makeModel(fakeData) };
+  const model = (name) => (models[name] = models[name] || makeModel());
+  function Schema() {}
+  Schema.prototype.index = function () {};
+  Schema.Types = { Mixed: Object, ObjectId: String };
   return {
-    default: { models: { Entry }, model: () => Entry, Schema: function(){} },
-    models: { Entry },
-    model: () => Entry,
-    Schema: function(){},
+    default: { models, model, Schema },
+    models,
+    model,
+    Schema,
   };
 });
 
@@ -0,0 +1,447 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock NextResponse from next/server to avoid bringing Next runtime
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+
+// Per-test data for the in-memory models: documents, findOne() result and aggregate() result per model
+const state = vi.hoisted(() => ({ docs: {}, findOne: {}, aggregate: {} }));
+
+// Chainable stand-in for a mongoose Query (sort/skip/limit/lean) that resolves to `result`
+function makeQuery(result) {
+  const q = {
+    sort: () => q,
+    skip: () => q,
+    limit: () => q,
+    lean: () => q,
+    select: () => q,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+function makeModel(name) {
+  const docs = () => state.docs[name] || [];
+  return {
+    // Honour `_id > x` so cursor walks (e.g. the UserDay sync) terminate
+    find: (filter = {}) => makeQuery(filter._id?.$gt ? docs().filter(d => d._id > filter._id.$gt) : docs()),
+    findOne: (filter) => makeQuery(state.findOne[name] ? state.findOne[name](filter) : null),
+    countDocuments: () => Promise.resolve(docs().length),
+    distinct: () => Promise.resolve(['L1']),
+    aggregate: (pipeline) => Promise.resolve(state.aggregate[name] ? state.aggregate[name](pipeline) : [{}]),
+    updateOne: () => Promise.resolve({}),
+    findOneAndUpdate: (_filter, update) => makeQuery({ ...update.$setOnInsert, ...update.$set }),
+    collection: { collectionName: 'test' },
+  };
+}
+
+vi.mock('mongoose', () => {
+  const models = {};
+  const model = (name) => (models[name] = models[name] || makeModel(name));
+  function Schema() {}
+  Schema.prototype.index = function () {};
+  Schema.Types = { Mixed: Object, ObjectId: String };
+  return {
+    default: { models, model, Schema },
+    models,
+    model,
+    Schema,
+  };
+});
+
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+
+// Mock logger to avoid console noise and to pass through timed()
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+
+// Default rate limit mock: allow
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+const keys = (o) => Object.keys(o).sort();
+
+// A UserDay rollup checkpoint in the instance zone, so lifetime views read the rollup
+const rollupCheckpoint = async (filter) => {
+  const { appTimeZone } = await import('../lib/timezone.js');
+  return filter.job === 'user-days' ? { job: 'user-days', cursor: { lastId: '1', timeZone: appTimeZone() } } : null;
+};
+
+const SEASON = { key: 's1', name: 'Season 1', startAt: new Date('2025-01-01T00:00:00Z'), endAt: new Date('2025-03-31T23:59:59Z'), active: true, scoring: { mode: 'distinct_days' } };
+
+// Import the route module (after resetModules) and call its GET handler
+async function get(load, url, params) {
+  const { GET } = await load();
+  const res = await GET(new Request(`http://test${url}`), params ? { params: Promise.resolve(params) } : undefined);
+  return { res, json: await res.json() };
+}
+
+describe('API resource contracts', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    state.docs = { Entry: [{ _id: '1', username: 'alice', lockId: 'L1', entryTime: new Date() }] };
+    state.findOne = { JobCheckpoint: rollupCheckpoint };
+    state.aggregate = {};
+  });
+
+  // Requests never write the rollup; until it has been synced they aggregate raw entries
+  it('reads the rollup only once it is synced', async () => {
+    const sources = [];
+    delete state.findOne.JobCheckpoint;
+    state.findOne.Entry = () => ({ username: 'Alice' });
+    state.aggregate.Entry = (p) => { sources.push('Entry'); return p.some(s => s.$facet) ? [{}] : []; };
+    state.aggregate.UserDay = () => { sources.push('UserDay'); return []; };
+    await get(() => import('../app/api/leaderboards/global/route.js'), '/api/leaderboards/global');
+    expect(sources).toEqual(['Entry']);
+
+    state.findOne.JobCheckpoint = rollupCheckpoint;
+    sources.length = 0;
+    vi.resetModules();
+    await get(() => import('../app/api/leaderboards/global/route.js'), '/api/leaderboards/global');
+    expect(sources).toEqual(['UserDay']);
+  });
+
+  // /api/entries returns exactly the page, pagination and filter metadata
+  it('pins the /api/entries shape', async () => {
+    const { res, json } = await get(() => import('../app/api/entries/route.js'), '/api/entries?page=1&limit=50');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('X-Request-ID')).toBeTruthy();
+    expect(keys(json)).toEqual(['entries', 'filters', 'pagination']);
+    expect(json.entries).toHaveLength(1);
+    expect(json.pagination).toEqual({ total: 1, page: 1, limit: 50, totalPages: 1 });
+    expect(keys(json.filters)).toEqual(['availableLockIds', 'date', 'entryCounts', 'nextDateCounts', 'period', 'previousDateCounts', 'season', 'seasons', 'timeZone']);
+  });
+
+  // /api/aggregates returns only the day aggregates
+  it('pins the /api/aggregates shape', async () => {
+    const { json } = await get(() => import('../app/api/aggregates/route.js'), '/api/aggregates?period=day');
+    expect(keys(json)).toEqual(['dayAggregates']);
+    expect(keys(json.dayAggregates)).toEqual(['busiestHour', 'firstEntryTime', 'lastEntryTime', 'mostActiveUser', 'mostUsedLock', 'totalEntries', 'uniqueUsers']);
+    expect(json.dayAggregates.totalEntries).toBe(1);
+  });
+
+  // /api/leaderboards maps { _id, count } rows to { id, count } per board, read from the rollup's days
+  it('pins the /api/leaderboards shape', async () => {
+    let pipeline = null;
+    state.aggregate.UserDay = (p) => { pipeline = p; return [{ topUsers: [{ _id: 'alice', count: 3 }], topLocks: [{ _id: 'L1', count: 4 }] }]; };
+    const { json } = await get(() => import('../app/api/leaderboards/route.js'), '/api/leaderboards?period=day');
+    expect(keys(json)).toEqual(['leaderboards']);
+    expect(keys(json.leaderboards)).toEqual(['topEarlyBirds', 'topLocks', 'topLongestStreaks', 'topNightOwls', 'topTimeSpent', 'topUsers']);
+    expect(json.leaderboards.topUsers).toEqual([{ id: 'alice', count: 3 }]);
+    expect(json.leaderboards.topLocks).toEqual([{ id: 'L1', count: 4 }]);
+    expect(pipeline[0].$match.day.$gte).toBe(pipeline[0].$match.day.$lte);
+  });
+
+  // ?compare=previous adds the previous month: total/unique-user deltas and each row's rank movement
+  it('compares with the previous period', async () => {
+    state.aggregate.Entry = (p) => (p[0].$match?.entryTime?.$gte < new Date('2025-02-01T00:00:00Z')
+      ? [{ topUsers: [{ _id: 'alice', count: 6 }, { _id: 'bob', count: 2 }], uniqueUsers: [{ count: 2 }] }]
+      : [{ topUsers: [{ _id: 'bob', count: 5 }, { _id: 'carol', count: 4 }], uniqueUsers: [{ count: 3 }] }]);
+    state.aggregate.UserDay = (p) => (p[0].$match.day.$gte < '2025-02-01'
+      ? [{ topUsers: [{ _id: 'alice', count: 6 }, { _id: 'bob', count: 2 }] }]
+      : [{ topUsers: [{ _id: 'bob', count: 5 }, { _id: 'carol', count: 4 }] }]);
+    const lb = await get(() => import('../app/api/leaderboards/route.js'), '/api/leaderboards?period=month&date=2025-02&tz=UTC&compare=previous');
+    expect(keys(lb.json)).toEqual(['comparison', 'leaderboards']);
+    expect(lb.json.comparison).toMatchObject({ compare: 'previous', from: '2025-01-01', to: '2025-01-31', currentFrom: '2025-02-01', shiftDays: 31 });
+    expect(lb.json.leaderboards.topUsers).toEqual([
+      { id: 'bob', count: 5, previousRank: 2, rankChange: 1 },
+      { id: 'carol', count: 4, previousRank: null, rankChange: null },
+    ]);
+
+    const agg = await get(() => import('../app/api/aggregates/route.js'), '/api/aggregates?period=month&date=2025-02&tz=UTC&compare=previous');
+    expect(agg.json.comparison.dayAggregates.uniqueUsers).toBe(2);
+    expect(agg.json.comparison.deltas).toEqual({ totalEntries: 0, uniqueUsers: 50 });
+  });
+
+  // Days with unapproved anomaly flags are filtered out of leaderboards and profile visits/streaks
+  it('leaves flagged days out', async () => {
+    state.docs.Flag = [{ _id: 'f1', user: 'alice', entryTime: new Date('2025-01-02T12:00:00Z'), status: 'pending' }];
+    let pipeline = null;
+    state.aggregate.UserDay = (p) => { pipeline = p; return [{}]; };
+    await get(() => import('../app/api/leaderboards/route.js'), '/api/leaderboards?period=month&date=2025-01');
+    expect(pipeline[1].$match.$expr.$not[0].$in[1]).toEqual(['alice|2025-01-02']);
+
+    state.findOne.Entry = () => ({ username: 'Alice' });
+    state.aggregate.UserDay = () => [
+      { day: '2025-01-01', lockId: '19228015', first: '2025-01-01T08:00:00.000Z', last: '2025-01-01T08:00:00.000Z', count: 1, hours: [8] },
+      { day: '2025-01-02', lockId: '19228015', first: '2025-01-02T12:00:00.000Z', last: '2025-01-02T12:00:00.000Z', count: 1, hours: [12] },
+    ];
+    const { json } = await get(() => import('../app/api/users/[username]/route.js'), '/api/users/alice', { username: 'alice' });
+    expect(json.userProfile).toMatchObject({ totalEntriesAllTime: 1, longestStreakDays: 1 });
+  });
+
+  // Closed seasons serve the archived boards without aggregating entries
+  it('serves archived leaderboards for a closed season', async () => {
+    state.docs.Season = [{ ...SEASON, closedAt: new Date('2025-04-01T00:00:00Z') }];
+    state.findOne.SeasonArchive = () => ({ seasonKey: 's1', standings: [], leaderboards: { topUsers: [{ id: 'bob', count: 9 }] } });
+    state.aggregate.Entry = () => { throw new Error('should not aggregate'); };
+    const { res, json } = await get(() => import('../app/api/leaderboards/route.js'), '/api/leaderboards?season=s1');
+    expect(res.status).toBe(200);
+    expect(json.leaderboards.topUsers).toEqual([{ id: 'bob', count: 9 }]);
+    expect(json.leaderboards.topLocks).toEqual([]);
+  });
+
+  // /api/leaderboards/global returns the four lifetime boards
+  it('pins the /api/leaderboards/global shape', async () => {
+    state.aggregate.UserDay = () => [{ topUsers: [{ _id: 'alice', count: 12 }] }];
+    const { json } = await get(() => import('../app/api/leaderboards/global/route.js'), '/api/leaderboards/global');
+    expect(keys(json)).toEqual(['globalLeaderboards']);
+    expect(keys(json.globalLeaderboards)).toEqual(['topEarlyBirds', 'topLongestStreaks', 'topNightOwls', 'topUsers']);
+    expect(json.globalLeaderboards.topUsers).toEqual([{ id: 'alice', count: 12 }]);
+  });
+
+  // /api/analytics returns every series plus default-filled buckets
+  it('pins the /api/analytics shape', async () => {
+    const { json } = await get(() => import('../app/api/analytics/route.js'), '/api/analytics?period=month');
+    expect(keys(json)).toEqual(['analytics']);
+    expect(keys(json.analytics)).toEqual(['cohortByMonth', 'dauPerDay', 'dauPerHour', 'entriesPerDay', 'entriesPerHour', 'mauByMonth', 'retentionBuckets', 'streakBuckets', 'unlockMethods', 'wauByWeek', 'weekdayHour']);
+    expect(Object.keys(json.analytics.retentionBuckets)).toHaveLength(20);
+    expect(json.analytics.streakBuckets).toEqual({ '1': 0, '2-3': 0, '4-7': 0, '8-15': 0, '16+': 0 });
+    expect(json.analytics.weekdayHour).toHaveLength(7 * 24);
+    expect(json.analytics.weekdayHour[0]).toEqual({ weekday: 1, hour: 0, entries: 0, users: 0 });
+  });
+
+  // /api/users/:username returns the lifetime profile
+  it('pins the /api/users/:username shape', async () => {
+    state.findOne.Entry = () => ({ username: 'Alice' });
+    // Day+lock summaries as produced by rollupDaySummaryStages()
+    state.aggregate.UserDay = () => [
+      { day: '2025-01-01', lockId: '19228015', first: '2025-01-01T08:00:00.000Z', last: '2025-01-01T08:00:00.000Z', count: 1, hours: [8] },
+      { day: '2025-01-02', lockId: '19228015', first: '2025-01-02T07:00:00.000Z', last: '2025-01-02T07:00:00.000Z', count: 1, hours: [7] },
+      { day: '2025-01-02', lockId: 'L2', first: '2025-01-02T08:00:00.000Z', last: '2025-01-02T08:00:00.000Z', count: 1, hours: [8] },
+    ];
+    const { res, json } = await get(() => import('../app/api/users/[username]/route.js'), '/api/users/alice', { username: 'alice' });
+    expect(res.status).toBe(200);
+    expect(keys(json)).toEqual(['userProfile']);
+    expect(keys(json.userProfile)).toEqual(['achievements', 'currentStreakDays', 'firstSeen', 'lastSeen', 'longestStreakDays', 'sessions', 'totalEntriesAllTime', 'uniqueLocks', 'username']);
+    expect(json.userProfile).toMatchObject({
+      username: 'Alice', totalEntriesAllTime: 2, uniqueLocks: 2, longestStreakDays: 2,
+      firstSeen: '2025-01-01T08:00:00.000Z', lastSeen: '2025-01-02T08:00:00.000Z',
+    });
+    expect(Array.isArray(json.userProfile.achievements)).toBe(true);
+  });
+
+  // Unknown users are a 404 with an error body
+  it('returns 404 for a user without activity', async () => {
+    state.aggregate.UserDay = () => [];
+    const { res, json } = await get(() => import('../app/api/users/[username]/route.js'), '/api/users/nobody', { username: 'nobody' });
+    expect(res.status).toBe(404);
+    expect(json).toHaveProperty('error');
+  });
+
+  // /api/seasons/:key/standings scores the live season and adds progress for ?userId=, whose streaks
+  // come from the rollup's days of the season
+  it('pins the /api/seasons/:key/standings shape', async () => {
+    vi.stubEnv('APP_TIMEZONE', 'UTC');
+    state.findOne.Season = () => SEASON;
+    state.aggregate.Entry = (pipeline) => (pipeline.some(s => s.$facet) ? [{}] : [
+      { user: 'alice', day: '2025-01-02', lockId: '19228015', first: '2025-01-02T09:00:00.000Z', last: '2025-01-02T09:00:00.000Z', count: 1, hours: [9] },
+    ]);
+    state.aggregate.UserDay = (p) => (p[0].$match.day.$gte === '2025-01-01' && p[0].$match.day.$lte === '2025-03-31' ? [{ _id: 'alice', longest: 1, current: 0 }] : []);
+    let res, json;
+    try {
+      ({ res, json } = await get(() => import('../app/api/seasons/[key]/standings/route.js'), '/api/seasons/s1/standings?userId=ALICE', { key: 's1' }));
+    } finally {
+      vi.unstubAllEnvs();
+    }
+    expect(res.status).toBe(200);
+    expect(keys(json)).toEqual(['closed', 'season', 'standings', 'userSeasonProgress']);
+    expect(json.closed).toBe(false);
+    expect(json.season.key).toBe('s1');
+    expect(json.standings[0]).toMatchObject({ rank: 1, user: 'alice', points: 1 });
+    expect(keys(json.userSeasonProgress)).toEqual(['breakdown', 'currentStreakDays', 'level', 'longestStreakDays', 'nextLevelAt', 'points', 'rank', 'season']);
+    expect(json.userSeasonProgress).toMatchObject({ points: 1, rank: 1, level: 1, longestStreakDays: 1 });
+  });
+
+  // /api/digest builds last week's digest from the profile days and the live season's standings,
+  // for the logged-in member themselves only
+  it('pins the /api/digest shape', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-19T06:00:00Z'));
+    try {
+      // The default entry was stamped with the real clock, which the anomaly scan would flag as future
+      state.docs.Entry = [];
+      state.docs.Season = [{ key: 's2', name: 'Autumn', startAt: new Date('2026-10-01T00:00:00Z'), endAt: new Date('2026-12-31T23:59:59Z'), active: true, scoring: { mode: 'distinct_days' } }];
+      state.findOne.Entry = () => ({ username: 'Alice' });
+      const day = (d, user) => ({ ...(user ? { user } : {}), day: d, lockId: '19228015', first: `${d}T08:00:00.000Z`, last: `${d}T08:00:00.000Z`, count: 1, hours: [8] });
+      state.aggregate.UserDay = () => [day('2026-10-06'), day('2026-10-12'), day('2026-10-14')];
+      // Season day summaries: standings before the week (bob leads) and at its end (alice leads);
+      // per-user streak and session pipelines match on username and get nothing
+      state.aggregate.Entry = (p) => {
+        const match = p[0].$match || {};
+        if (match.username || !match.entryTime) return [];
+        return match.entryTime.$lte < new Date('2026-10-12T00:00:00Z')
+          ? [day('2026-10-06', 'alice'), day('2026-10-05', 'bob'), day('2026-10-06', 'bob')]
+          : [day('2026-10-06', 'alice'), day('2026-10-12', 'alice'), day('2026-10-14', 'alice'), day('2026-10-05', 'bob'), day('2026-10-06', 'bob')];
+      };
+      const { hashSessionToken } = await import('../lib/auth.js');
+      const session = { tokenHash: hashSessionToken('t0ken'), user: 'alice', username: 'Alice', email: 'alice@example.com' };
+      state.findOne.AuthSession = (filter) => [session].find(s => s.tokenHash === filter.tokenHash);
+      const { GET } = await import('../app/api/digest/route.js');
+      const digest = (url, headers) => GET(new Request(`http://test${url}`, { headers }));
+      expect((await digest('/api/digest?user=alice')).status).toBe(401);
+      expect((await digest('/api/digest?user=bob', { cookie: 'member_session=t0ken' })).status).toBe(403);
+
+      const res = await digest('/api/digest?user=Alice&lang=en&tz=UTC', { cookie: 'member_session=t0ken' });
+      const json = await res.json();
+      expect(res.status).toBe(200);
+      expect(keys(json)).toEqual(['digest', 'html', 'subject', 'text']);
+      expect(json.digest).toMatchObject({ user: 'Alice', period: 'week', key: '2026-10-12', visits: 2, previousVisits: 1 });
+      expect(json.digest.season).toMatchObject({ key: 's2', points: 3, pointsGained: 2, rank: 1, previousRank: 2 });
+      expect(json.subject).toBe('Your gym week: Oct 12 – Oct 18');
+
+      const bad = await get(() => import('../app/api/digest/route.js'), '/api/digest?period=year');
+      expect(bad.res.status).toBe(400);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  // Signed unsubscribe links work without a login; tampered or unsigned ones are refused
+  it('unsubscribes with a signed token', async () => {
+    vi.stubEnv('NOTIFICATION_SECRET', 'test-secret-0123456789');
+    try {
+      const { unsubscribeToken } = await import('../lib/notificationPreferences.js');
+      const token = unsubscribeToken('test-secret-0123456789', { user: 'Alice', category: 'digest' });
+      const { POST } = await import('../app/api/unsubscribe/route.js');
+      const ok = await POST(new Request(`http://test/api/unsubscribe?token=${encodeURIComponent(token)}`, { method: 'POST' }));
+      expect(ok.status).toBe(200);
+      expect(await ok.json()).toEqual({ unsubscribed: { user: 'alice', category: 'digest', channel: 'email' } });
+
+      const bad = await POST(new Request(`http://test/api/unsubscribe?token=${encodeURIComponent(`${token}x`)}`, { method: 'POST' }));
+      expect(bad.status).toBe(401);
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+
+  // Preference links change categories and language, but only admins change the address on file
+  it('keeps the address out of reach of preference links', async () => {
+    vi.stubEnv('NOTIFICATION_SECRET', 'test-secret-0123456789');
+    vi.stubEnv('ADMIN_TOKEN', 'admin-secret');
+    try {
+      const { preferencesToken } = await import('../lib/notificationPreferences.js');
+      const token = encodeURIComponent(preferencesToken('test-secret-0123456789', 'Alice'));
+      const { PUT } = await import('../app/api/notification-preferences/route.js');
+      const put = (query, body, headers = {}) => PUT(new Request(`http://test/api/notification-preferences?${query}`, {
+        method: 'PUT',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+      }));
+      const lang = await put(`token=${token}`, { lang: 'en' });
+      expect(lang.status).toBe(200);
+      expect((await lang.json()).preferences).toMatchObject({ user: 'alice', lang: 'en' });
+      expect((await put(`token=${token}`, { email: 'mallory@example.com' })).status).toBe(403);
+      const admin = await put('user=alice', { email: 'alice@example.com' }, { authorization: 'Bearer admin-secret' });
+      expect(admin.status).toBe(200);
+      expect((await admin.json()).preferences.email).toBe('alice@example.com');
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+
+  // The login reply is the same for unknown usernames and for addresses that may not log in
+  it('does not reveal usernames on login', async () => {
+    vi.stubEnv('AUTH_SECRET', 'auth-secret-0123456789');
+    vi.stubEnv('PUBLIC_BASE_URL', 'https://gym.example');
+    vi.stubEnv('SMTP_HOST', 'smtp.example');
+    vi.stubEnv('MAIL_FROM', 'gym@example.com');
+    try {
+      const { POST } = await import('../app/api/auth/login/route.js');
+      const login = (user) => POST(new Request('http://test/api/auth/login', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ user, email: 'someone@example.com' }),
+      }));
+      const unknown = await login('nobody');
+      state.findOne.Entry = () => ({ username: 'alice' });
+      const known = await login('alice');
+      expect([unknown.status, known.status]).toEqual([202, 202]);
+      expect(await unknown.json()).toEqual(await known.json());
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+
+  // The session cookie is looked up by its hash; without one nobody is logged in
+  it('pins the /api/auth/session shape', async () => {
+    const { hashSessionToken } = await import('../lib/auth.js');
+    const session = { tokenHash: hashSessionToken('t0ken'), user: 'alice', username: 'Alice', email: 'alice@example.com' };
+    state.findOne.AuthSession = (filter) => [session].find(s => s.tokenHash === filter.tokenHash);
+    const { GET } = await import('../app/api/auth/session/route.js');
+    const anonymous = await GET(new Request('http://test/api/auth/session'));
+    expect(await anonymous.json()).toEqual({ member: null });
+    const res = await GET(new Request('http://test/api/auth/session', { headers: { cookie: 'member_session=t0ken' } }));
+    expect(await res.json()).toEqual({ member: { user: 'Alice', email: 'alice@example.com' } });
+  });
+
+  // Privacy settings apply to everyone but the logged-in member themselves
+  it('applies members\' privacy settings', async () => {
+    const { hashSessionToken } = await import('../lib/auth.js');
+    const session = { tokenHash: hashSessionToken('t0ken'), user: 'bob', username: 'Bob', email: 'bob@example.com' };
+    state.findOne.AuthSession = (filter) => [session].find(s => s.tokenHash === filter.tokenHash);
+    state.docs.PrivacySetting = [
+      { user: 'alice', leaderboard: 'anonymous' },
+      { user: 'bob', leaderboard: 'hidden', privateProfile: true, hideEntryTimes: true },
+    ];
+    state.docs.Entry = [{ _id: '1', username: 'bob', lockId: 'L1', entryTime: new Date('2025-01-02T09:00:00Z') }];
+    state.aggregate.UserDay = () => [{ topUsers: [{ _id: 'alice', count: 3 }, { _id: 'bob', count: 2 }, { _id: 'carl', count: 1 }] }];
+
+    const lb = await get(() => import('../app/api/leaderboards/route.js'), '/api/leaderboards?period=day');
+    expect(lb.json.leaderboards.topUsers).toEqual([{ id: null, anonymous: true, count: 3 }, { id: 'carl', count: 1 }]);
+    const entries = await get(() => import('../app/api/entries/route.js'), '/api/entries?tz=UTC');
+    expect(entries.json.entries[0]).toMatchObject({ entryTime: null, entryDay: '2025-01-02', timeHidden: true });
+    const profile = await get(() => import('../app/api/users/[username]/route.js'), '/api/users/bob', { username: 'bob' });
+    expect(profile.res.status).toBe(403);
+    const analytics = await get(() => import('../app/api/analytics/route.js'), '/api/analytics?userId=BOB');
+    expect(analytics.res.status).toBe(403);
+    const compat = await get(() => import('../app/api/route.js'), '/api?userId=bob');
+    expect(compat.json).toMatchObject({ userProfile: null, analytics: null });
+
+    const { GET } = await import('../app/api/entries/route.js');
+    const own = await GET(new Request('http://test/api/entries?tz=UTC', { headers: { cookie: 'member_session=t0ken' } }));
+    expect((await own.json()).entries[0]).toMatchObject({ username: 'bob', entryTime: '2025-01-02T09:00:00.000Z' });
+  });
+
+  // Others get days instead of times for a member who hides them, in every resource filtered to them
+  it('hides entry times from other viewers', async () => {
+    state.docs.PrivacySetting = [{ user: 'bob', hideEntryTimes: true }];
+    state.aggregate.Entry = (p) => (p.some(s => s.$facet) ? [{
+      span: [{ first: new Date('2025-01-02T07:15:00Z'), last: new Date('2025-01-02T19:40:00Z') }],
+      busiestHour: [{ _id: 7, count: 2 }],
+      entriesPerHour: [{ _id: 7, count: 2 }],
+      weekdayHour: [{ _id: { wd: 4, h: 7 }, entries: 2, users: 1 }],
+    }] : []);
+    const agg = await get(() => import('../app/api/aggregates/route.js'), '/api/aggregates?userId=Bob&tz=UTC');
+    expect(agg.json.dayAggregates).toMatchObject({ firstEntryTime: null, firstEntryDay: '2025-01-02', lastEntryTime: null, lastEntryDay: '2025-01-02', busiestHour: null, timeHidden: true });
+    const analytics = await get(() => import('../app/api/analytics/route.js'), '/api/analytics?userId=bob&tz=UTC');
+    expect(analytics.json.analytics).toMatchObject({ entriesPerHour: [], dauPerHour: [], weekdayHour: [], timeHidden: true });
+
+    state.findOne.Entry = () => ({ username: 'Bob' });
+    state.aggregate.UserDay = () => [
+      { day: '2025-01-02', lockId: '19228015', first: '2025-01-02T07:15:00.000Z', last: '2025-01-02T19:40:00.000Z', count: 2, hours: [7, 19] },
+    ];
+    const profile = await get(() => import('../app/api/users/[username]/route.js'), '/api/users/bob?tz=UTC', { username: 'bob' });
+    expect(profile.json.userProfile).toMatchObject({ firstSeen: null, firstSeenDay: '2025-01-02', lastSeen: null, lastSeenDay: '2025-01-02', timeHidden: true });
+    expect(JSON.stringify(profile.json)).not.toContain('T07:15');
+
+    // Unfiltered aggregates keep their times
+    const all = await get(() => import('../app/api/aggregates/route.js'), '/api/aggregates?tz=UTC');
+    expect(all.json.dayAggregates.firstEntryTime).toBe('2025-01-02T07:15:00.000Z');
+  });
+
+  // Unknown or inactive seasons are a 404
+  it('returns 404 for an unknown season', async () => {
+    const { res } = await get(() => import('../app/api/seasons/[key]/standings/route.js'), '/api/seasons/nope/standings', { key: 'nope' });
+    expect(res.status).toBe(404);
+  });
+});
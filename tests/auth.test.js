@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AUTH_COOKIE,
+  authSettings,
+  normalizeLoginRequest,
+  claimAllowed,
+  registeredEmail,
+  loginToken,
+  readLoginToken,
+  hashSessionToken,
+  createSession,
+  readCookie,
+  sessionMember,
+  endSession,
+  sessionCookie,
+  clearSessionCookie,
+} from '../lib/auth.js';
+import { signToken } from '../lib/signedTokens.js';
+
+const SECRET = 'auth-secret-0123456789';
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+// In-memory AuthSession with the unique indexes createSession relies on
+function makeSessions() {
+  const docs = [];
+  return {
+    docs,
+    create: async (doc) => {
+      if (docs.some(d => d.tokenHash === doc.tokenHash || d.nonce === doc.nonce)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      docs.push(doc);
+      return doc;
+    },
+    findOne: ({ tokenHash, expiresAt }) => ({ lean: async () => docs.find(d => d.tokenHash === tokenHash && !d.endedAt && d.expiresAt > expiresAt.$gt) || null }),
+    updateOne: async ({ tokenHash }, { $set }) => {
+      const doc = docs.find(d => d.tokenHash === tokenHash && !d.endedAt);
+      if (doc) Object.assign(doc, $set);
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+  };
+}
+
+const withCookie = (cookie) => new Request('http://test/', { headers: { cookie } });
+
+describe('login settings and requests', () => {
+  // Login stays off without a secret; bad values are reported
+  it('reads the environment', () => {
+    expect(authSettings({})).toEqual({ value: { secret: null, baseUrl: null, linkMinutes: 15, sessionDays: 30 }, errors: [] });
+    expect(authSettings({ AUTH_SECRET: SECRET, PUBLIC_BASE_URL: 'https://gym.example/', AUTH_LINK_MINUTES: '30', AUTH_SESSION_DAYS: '7' }).value)
+      .toEqual({ secret: SECRET, baseUrl: 'https://gym.example', linkMinutes: 30, sessionDays: 7 });
+    const bad = authSettings({ AUTH_SECRET: 'short', PUBLIC_BASE_URL: 'gym.example', AUTH_LINK_MINUTES: '1' });
+    expect(bad.errors).toHaveLength(3);
+    expect(bad.value.secret).toBeNull();
+  });
+
+  // Addresses are lowercased; a missing username or a bad address is reported
+  it('validates login requests', () => {
+    expect(normalizeLoginRequest({ user: ' Anna ', email: 'Anna@Example.com', lang: 'en' })).toEqual({ value: { user: 'Anna', email: 'anna@example.com', lang: 'en' }, errors: [] });
+    expect(normalizeLoginRequest({ email: 'nope' }).errors).toEqual(['user is required', 'email is not valid']);
+  });
+
+  // A claim binds the username to its address; only an address on file makes the first claim
+  it('decides who may claim a username', () => {
+    expect(claimAllowed({}, 'a@example.com')).toBe(false);
+    expect(claimAllowed({ member: { email: 'a@example.com' } }, 'A@example.com')).toBe(true);
+    expect(claimAllowed({ member: { email: 'a@example.com' } }, 'b@example.com')).toBe(false);
+    expect(claimAllowed({ knownEmail: 'A@example.com' }, 'a@example.com')).toBe(true);
+    expect(claimAllowed({ knownEmail: 'a@example.com' }, 'b@example.com')).toBe(false);
+  });
+
+  // The notification settings' address comes first, then NOTIFICATION_RECIPIENTS
+  it('finds the address on file', async () => {
+    const NotificationPreference = { findOne: ({ user }) => ({ lean: async () => (user === 'anna' ? { user, email: 'anna@example.com' } : { user, email: null }) }) };
+    const recipients = { anna: { email: 'old@example.com' }, bob: { email: 'bob@example.com' } };
+    expect(await registeredEmail({ NotificationPreference }, 'anna', { recipients })).toBe('anna@example.com');
+    expect(await registeredEmail({ NotificationPreference }, 'bob', { recipients })).toBe('bob@example.com');
+    expect(await registeredEmail({ NotificationPreference }, 'cid', { recipients })).toBeNull();
+  });
+});
+
+describe('login links', () => {
+  // Links expire, and tokens signed for another purpose or without an expiry are refused
+  it('signs expiring login tokens', () => {
+    const token = loginToken(SECRET, { user: 'Anna', email: 'Anna@example.com', minutes: 15, now: NOW });
+    expect(readLoginToken(token, SECRET, { now: NOW })).toMatchObject({ user: 'Anna', email: 'anna@example.com', nonce: expect.any(String) });
+    expect(readLoginToken(token, SECRET, { now: new Date('2026-10-19T12:15:00Z') })).toBeNull();
+    expect(readLoginToken(signToken({ p: 'login', u: 'Anna', e: 'a@example.com', n: 'x' }, SECRET), SECRET)).toBeNull();
+    expect(readLoginToken(signToken({ p: 'preferences', u: 'anna' }, SECRET, { ttlSeconds: 60 }), SECRET)).toBeNull();
+  });
+});
+
+describe('sessions', () => {
+  // Only the token's hash is stored, and each login link starts one session
+  it('creates single-use sessions from login links', async () => {
+    const AuthSession = makeSessions();
+    const { token, expiresAt } = await createSession({ AuthSession }, { user: 'Anna', email: 'anna@example.com', nonce: 'n1', days: 30, now: NOW });
+    expect(expiresAt.toISOString()).toBe('2026-11-18T12:00:00.000Z');
+    expect(AuthSession.docs[0]).toMatchObject({ tokenHash: hashSessionToken(token), user: 'anna', username: 'Anna' });
+    expect(JSON.stringify(AuthSession.docs)).not.toContain(token);
+    await expect(createSession({ AuthSession }, { user: 'Anna', email: 'anna@example.com', nonce: 'n1', now: NOW })).rejects.toMatchObject({ status: 401 });
+  });
+
+  // The cookie leads back to the member until the session expires
+  it('reads the member from the session cookie', async () => {
+    const AuthSession = makeSessions();
+    const { token } = await createSession({ AuthSession }, { user: 'Anna', email: 'anna@example.com', nonce: 'n1', days: 1, now: NOW });
+    const request = withCookie(`theme=dark; ${AUTH_COOKIE}=${encodeURIComponent(token)}`);
+    expect(readCookie(request, 'theme')).toBe('dark');
+    expect(await sessionMember({ AuthSession }, request, { now: NOW })).toEqual({ user: 'anna', username: 'Anna', email: 'anna@example.com' });
+    expect(await sessionMember({ AuthSession }, request, { now: new Date('2026-10-21T00:00:00Z') })).toBeNull();
+    expect(await sessionMember({ AuthSession }, withCookie(`${AUTH_COOKIE}=forged`), { now: NOW })).toBeNull();
+    expect(await sessionMember({ AuthSession }, withCookie(''), { now: NOW })).toBeNull();
+  });
+
+  // Logging out ends the session but keeps it, so its login link stays spent
+  it('ends sessions without freeing the login link', async () => {
+    const AuthSession = makeSessions();
+    const { token } = await createSession({ AuthSession }, { user: 'Anna', email: 'anna@example.com', nonce: 'n1', days: 1, now: NOW });
+    const request = withCookie(`${AUTH_COOKIE}=${encodeURIComponent(token)}`);
+    expect(await endSession({ AuthSession }, request, { now: NOW })).toBe(true);
+    expect(await sessionMember({ AuthSession }, request, { now: NOW })).toBeNull();
+    expect(await endSession({ AuthSession }, request, { now: NOW })).toBe(false);
+    await expect(createSession({ AuthSession }, { user: 'Anna', email: 'anna@example.com', nonce: 'n1', now: NOW })).rejects.toMatchObject({ status: 401 });
+  });
+
+  // Session cookies are httpOnly and last as long as the session
+  it('formats the session cookie', () => {
+    const cookie = sessionCookie('abc', { expiresAt: new Date('2026-10-20T12:00:00Z'), secure: true, now: NOW });
+    expect(cookie).toBe(`${AUTH_COOKIE}=abc; Path=/; Max-Age=86400; HttpOnly; SameSite=Lax; Secure`);
+    expect(clearSessionCookie()).toBe(`${AUTH_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`);
+  });
+});
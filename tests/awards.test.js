@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest';
+import { awardUser, createAwardTracker, runAwardBackfill } from '../lib/awards.js';
+import { DEFAULT_ACHIEVEMENT_RULES, summarizeUserDays } from '../lib/achievements.js';
+
+const TZ = 'Europe/Riga';
+const PRIMARY = '19228015';
+
+const rule = (key, type, params, version = 1) => ({ key, type, params, version, title: key });
+
+// Minimal Mongo-style matcher for the filters runAwardBackfill issues
+function matches(doc, filter) {
+  return Object.entries(filter).every(([k, cond]) => {
+    if (k === '$or') return cond.some(f => matches(doc, f));
+    const v = doc[k];
+    const cmp = (x) => (x instanceof Date ? x.getTime() : x);
+    if (cond && typeof cond === 'object' && !(cond instanceof Date)) {
+      return Object.entries(cond).every(([op, arg]) => {
+        if (op === '$type') return arg === 'date' ? v instanceof Date : true;
+        if (op === '$gt') return cmp(v) > cmp(arg);
+        if (op === '$lt') return cmp(v) < cmp(arg);
+        if (op === '$lte') return cmp(v) <= cmp(arg);
+        return false;
+      });
+    }
+    return cmp(v) === cmp(cond);
+  });
+}
+
+function query(result) {
+  let rows = result;
+  const q = {
+    sort: () => q,
+    limit: (n) => { rows = rows.slice(0, n); return q; },
+    lean: () => q,
+    then: (res, rej) => Promise.resolve(rows).then(res, rej),
+  };
+  return q;
+}
+
+// In-memory stand-ins for the Entry, Award and JobCheckpoint models
+function makeStore(entries, { failOnFind = Infinity } = {}) {
+  const sorted = entries.slice().sort((a, b) => a.entryTime - b.entryTime || String(a._id).localeCompare(String(b._id)));
+  const awards = new Map();
+  const checkpoints = new Map();
+  let findCalls = 0;
+  const Entry = {
+    find: (filter) => {
+      findCalls += 1;
+      if (findCalls >= failOnFind) throw new Error('simulated crash');
+      return query(sorted.filter(e => matches(e, filter)));
+    },
+    countDocuments: async (filter) => sorted.filter(e => matches(e, filter)).length,
+    // Groups by lowercased username, like the pipeline without aliases
+    aggregate: async ([{ $match }]) => {
+      const byUser = new Map();
+      for (const e of sorted.filter(x => matches(x, $match))) {
+        const user = e.username.toLowerCase();
+        if (!byUser.has(user)) byUser.set(user, []);
+        byUser.get(user).push(e);
+      }
+      return Array.from(byUser).flatMap(([user, list]) => summarizeUserDays(list, TZ).map(d => ({ user, ...d })));
+    },
+  };
+  const Award = {
+    find: () => query(Array.from(awards.values())),
+    bulkWrite: async (ops) => {
+      for (const { updateOne: { filter, update } } of ops) {
+        const k = `${filter.user}|${filter.ruleKey}|${filter.ruleVersion}`;
+        if (!awards.has(k)) awards.set(k, { ...update.$setOnInsert });
+      }
+    },
+  };
+  const JobCheckpoint = {
+    findOne: ({ job }) => query(checkpoints.get(job) || null),
+    deleteOne: async ({ job }) => { checkpoints.delete(job); },
+    updateOne: async ({ job }, { $set }) => { checkpoints.set(job, { ...(checkpoints.get(job) || { job }), ...$set }); },
+  };
+  return { Entry, Award, JobCheckpoint, awards, checkpoints, get findCalls() { return findCalls; } };
+}
+
+// One primary-lock entry per day for `user`, starting at `start` (UTC noon)
+function days(user, count, start = '2025-03-01', idPrefix = user) {
+  const base = Date.parse(`${start}T12:00:00Z`);
+  return Array.from({ length: count }, (_, i) => ({
+    _id: `${idPrefix}-${String(i).padStart(4, '0')}`,
+    username: user,
+    lockId: PRIMARY,
+    entryTime: new Date(base + i * 24 * 60 * 60 * 1000),
+  }));
+}
+
+describe('createAwardTracker', () => {
+  // Emits each award once, timestamped with the entry that crossed the threshold
+  it('awards on the entry that satisfies the rule', () => {
+    const tracker = createAwardTracker({ rules: [rule('three', 'distinct_days', { min: 3 })], timeZone: TZ });
+    const entries = days('alice', 5);
+    const out = entries.flatMap(e => tracker.apply(e));
+    expect(out).toHaveLength(1);
+    expect(out[0]).toMatchObject({ user: 'alice', ruleKey: 'three', ruleVersion: 1, earnedAt: entries[2].entryTime });
+    expect(out[0].metadata).toEqual({ value: 3, entryId: entries[2]._id });
+  });
+
+  // Seeded awards are not re-issued; seeded days count toward thresholds
+  it('respects seeded state', () => {
+    const rules = [rule('two', 'distinct_days', { min: 2 }), rule('four', 'distinct_days', { min: 4 })];
+    const tracker = createAwardTracker({ rules, timeZone: TZ });
+    const entries = days('bob', 4);
+    tracker.seed('bob', summarizeUserDays(entries.slice(0, 3), TZ), [{ ruleKey: 'two', ruleVersion: 1 }]);
+    const out = tracker.apply(entries[3]);
+    expect(out.map(a => a.ruleKey)).toEqual(['four']);
+  });
+
+  // Every username of a member, in any case, counts toward one ledger user
+  it('keys awards by the lowercased canonical user', () => {
+    const aliases = [{ alias: 'janis.b', canonical: 'JanisB' }];
+    expect(awardUser('JANIS.B', aliases)).toBe('janisb');
+    const tracker = createAwardTracker({ rules: [rule('three', 'distinct_days', { min: 3 })], timeZone: TZ, aliases });
+    const [d1, d2, d3] = days('JanisB', 3);
+    const out = [tracker.apply(d1), tracker.apply({ ...d2, username: 'janis.b' }), tracker.apply({ ...d3, username: 'janisb' })].flat();
+    expect(out.map(a => a.user)).toEqual(['janisb']);
+    expect(tracker.userCount).toBe(1);
+  });
+
+  // A new rule version is a separate award
+  it('treats a bumped rule version as a new award', () => {
+    const tracker = createAwardTracker({ rules: [rule('one', 'distinct_days', { min: 1 }, 2)], timeZone: TZ });
+    tracker.seed('carol', [], [{ ruleKey: 'one', ruleVersion: 1 }]);
+    expect(tracker.apply(days('carol', 1)[0])).toHaveLength(1);
+  });
+
+  // Trailing windows are evaluated as of each entry, not as of "now"
+  it('evaluates withinDays windows at the time of the entry', () => {
+    const active = DEFAULT_ACHIEVEMENT_RULES.filter(r => r.key === 'active_month');
+    const tracker = createAwardTracker({ rules: active, timeZone: TZ });
+    const sparse = days('dave', 20).filter((_, i) => i % 7 === 0); // one visit a week
+    expect(sparse.flatMap(e => tracker.apply(e))).toHaveLength(0);
+    const burst = days('dave', 5, '2025-05-01', 'dave-b');
+    const out = burst.flatMap(e => tracker.apply(e));
+    expect(out).toHaveLength(1);
+    expect(out[0].earnedAt).toEqual(burst[4].entryTime);
+  });
+});
+
+describe('runAwardBackfill', () => {
+  const rules = [rule('five', 'distinct_days', { min: 5, locks: [PRIMARY] }), rule('streak3', 'streak', { min: 3 })];
+  const entries = [...days('alice', 6), ...days('bob', 4, '2025-03-02'), { _id: 'x', username: 'eve', lockId: PRIMARY, entryTime: null }];
+
+  // Walks the collection in chunks, writes awards, and checkpoints the final cursor
+  it('processes all entries in chunks and records a checkpoint', async () => {
+    const store = makeStore(entries);
+    const res = await runAwardBackfill({ ...store, rules, timeZone: TZ, chunkSize: 3 });
+    expect(res.processed).toBe(10);
+    expect(store.findCalls).toBe(5); // 4 full/partial chunks + the empty terminating read
+    expect(Array.from(store.awards.keys()).sort()).toEqual(['alice|five|1', 'alice|streak3|1', 'bob|streak3|1']);
+    const cp = store.checkpoints.get('awards-backfill');
+    expect(cp.processed).toBe(10);
+    expect(cp.finishedAt).toBeInstanceOf(Date);
+  });
+
+  // Re-running is a no-op; resuming after a partial run yields the same ledger as a full run
+  it('is idempotent and resumable', async () => {
+    const full = makeStore(entries);
+    await runAwardBackfill({ ...full, rules, timeZone: TZ, chunkSize: 100 });
+
+    // Crash while reading the third chunk, then resume against the same data
+    const crashed = makeStore(entries, { failOnFind: 3 });
+    await expect(runAwardBackfill({ ...crashed, rules, timeZone: TZ, chunkSize: 2 })).rejects.toThrow('simulated crash');
+    expect(crashed.checkpoints.get('awards-backfill').processed).toBe(4);
+    const resumed = makeStore(entries);
+    resumed.checkpoints.set('awards-backfill', crashed.checkpoints.get('awards-backfill'));
+    for (const [k, v] of crashed.awards) resumed.awards.set(k, v);
+    const res = await runAwardBackfill({ ...resumed, rules, timeZone: TZ, chunkSize: 2 });
+    expect(res.done).toBe(6);
+    expect(res.processed).toBe(10);
+
+    const pick = (m) => Object.fromEntries(Array.from(m).map(([k, v]) => [k, v.earnedAt.toISOString()]));
+    expect(pick(resumed.awards)).toEqual(pick(full.awards));
+
+    const again = await runAwardBackfill({ ...resumed, rules, timeZone: TZ, chunkSize: 2 });
+    expect(again.done).toBe(0);
+    expect(again.awarded).toBe(0);
+  });
+
+  // --reset replays from the start but keeps already-issued awards untouched
+  it('reset replays without duplicating awards', async () => {
+    const store = makeStore(entries);
+    await runAwardBackfill({ ...store, rules, timeZone: TZ });
+    const res = await runAwardBackfill({ ...store, rules, timeZone: TZ, reset: true });
+    expect(res.done).toBe(10);
+    expect(res.awarded).toBe(0);
+    expect(store.awards.size).toBe(3);
+  });
+});
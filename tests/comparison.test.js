@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCompare,
+  shiftMonths,
+  comparisonDays,
+  comparisonWindow,
+  percentChange,
+  withRankMovement,
+  alignComparisonSeries,
+} from '../lib/comparison.js';
+
+describe('comparison windows', () => {
+  // Only the two modes are accepted; anything else turns comparison off
+  it('parses the compare parameter', () => {
+    expect(parseCompare('Previous')).toBe('previous');
+    expect(parseCompare('yoy')).toBe('yoy');
+    expect(parseCompare('week')).toBeNull();
+    expect(parseCompare(undefined)).toBeNull();
+  });
+
+  // Month shifts clamp to the end of a shorter month (31 March -> 28 February, 29 Feb -> 28 Feb a year earlier)
+  it('shifts months and years', () => {
+    expect(shiftMonths('2025-03-31', 1)).toBe('2025-02-28');
+    expect(shiftMonths('2025-01-15', 1)).toBe('2024-12-15');
+    expect(shiftMonths('2024-02-29', 0, 1)).toBe('2023-02-28');
+  });
+
+  // Whole months compare with whole months, month-to-date with the same days, other spans with the days right before
+  it('picks the comparison days', () => {
+    expect(comparisonDays({ compare: 'previous', calendarMonth: true, from: '2025-03-01', to: '2025-03-31' })).toEqual({ from: '2025-02-01', to: '2025-02-28' });
+    expect(comparisonDays({ compare: 'yoy', calendarMonth: true, from: '2024-02-01', to: '2024-02-29' })).toEqual({ from: '2023-02-01', to: '2023-02-28' });
+    expect(comparisonDays({ compare: 'previous', period: 'mtd', from: '2025-03-01', to: '2025-03-30' })).toEqual({ from: '2025-02-01', to: '2025-02-28' });
+    expect(comparisonDays({ compare: 'previous', period: 'last7', from: '2025-03-10', to: '2025-03-16' })).toEqual({ from: '2025-03-03', to: '2025-03-09' });
+    expect(comparisonDays({ compare: 'previous', period: 'day', from: '2025-03-01', to: '2025-03-01' })).toEqual({ from: '2025-02-28', to: '2025-02-28' });
+    expect(comparisonDays({ compare: 'yoy', period: 'day', from: '2025-03-01', to: '2025-03-01' })).toEqual({ from: '2024-03-01', to: '2024-03-01' });
+  });
+
+  // The window is built from local days of the zone; null when not comparing
+  it('builds the comparison window', () => {
+    const w = comparisonWindow({
+      compare: 'previous',
+      period: 'month',
+      calendarMonth: true,
+      rangeStart: new Date('2025-02-28T22:00:00Z'),
+      rangeEnd: new Date('2025-03-31T20:59:59.999Z'),
+      timeZone: 'Europe/Riga',
+    });
+    expect(w).toMatchObject({ from: '2025-02-01', to: '2025-02-28', currentFrom: '2025-03-01', currentTo: '2025-03-31', shiftDays: 28 });
+    expect(w.rangeStart).toEqual(new Date('2025-01-31T22:00:00Z'));
+    expect(comparisonWindow({ compare: null })).toBeNull();
+  });
+});
+
+describe('deltas and movement', () => {
+  // Whole percent; no base means no percentage
+  it('computes percentage change', () => {
+    expect(percentChange(112, 100)).toBe(12);
+    expect(percentChange(5, 10)).toBe(-50);
+    expect(percentChange(5, 0)).toBeNull();
+  });
+
+  // Moved up is positive, new entrants have no previous rank
+  it('adds rank movement to rows', () => {
+    const rows = withRankMovement([{ id: 'a', count: 9 }, { id: 'b', count: 7 }, { id: 'c', count: 1 }], [{ id: 'b' }, { id: 'c' }, { id: 'x' }]);
+    expect(rows.map(r => [r.id, r.previousRank, r.rankChange])).toEqual([['a', null, null], ['b', 1, -1], ['c', 2, -1]]);
+  });
+
+  // Comparison days land on the matching day of the current range; days past its end are dropped
+  it('aligns comparison series onto the current range', () => {
+    const window = { shiftDays: 28, currentFrom: '2025-03-01', currentTo: '2025-03-28' };
+    expect(alignComparisonSeries([{ day: '2025-02-01', count: 3 }, { day: '2025-02-28', count: 1 }], window)).toEqual([
+      { day: '2025-03-01', count: 3 },
+      { day: '2025-03-28', count: 1 },
+    ]);
+    expect(alignComparisonSeries([{ hour: 7, count: 2 }], window, 'hour')).toEqual([{ hour: 7, count: 2 }]);
+  });
+});
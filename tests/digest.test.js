@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDigestPeriod,
+  dueDigestPeriods,
+  digestWindow,
+  digestSeries,
+  buildDigest,
+  digestHasNews,
+  digestNotification,
+  sparkline,
+  renderDigest,
+} from '../lib/digest.js';
+import { renderNotification } from '../lib/notifications.js';
+
+const TZ = 'Europe/Riga';
+// Monday 2026-10-19, 09:00 in Riga
+const MONDAY = new Date('2026-10-19T06:00:00Z');
+
+const profile = {
+  username: 'Anna',
+  currentStreakDays: 3,
+  longestStreakDays: 12,
+  achievements: [
+    { key: 'days_10', title: '10 days', description: 'Ten visits', translations: { lv: { title: '10 dienas', description: 'Desmit apmeklējumi' } }, earnedAt: '2026-10-14T08:00:00.000Z' },
+    { key: 'days_1', title: 'First visit', earnedAt: '2026-01-03T08:00:00.000Z' },
+    { key: 'early', title: 'Early bird' },
+  ],
+};
+
+function weekDigest(overrides = {}) {
+  const window = digestWindow('week', MONDAY, TZ);
+  return buildDigest({
+    user: 'Anna',
+    window,
+    series: digestSeries(window),
+    visitDays: ['2026-10-01', '2026-10-06', '2026-10-07', '2026-10-12', '2026-10-14', '2026-10-17', '2026-10-19'],
+    profile,
+    season: { key: '2026Q4', name: 'Autumn 2026', points: 14, pointsGained: 3, rank: 2, previousRank: 4, level: 2, nextLevelAt: 20 },
+    ...overrides,
+  });
+}
+
+describe('digest windows', () => {
+  // Weekly digests cover the last Monday-Sunday, monthly ones the last calendar month, in the local zone
+  it('covers the last complete week or month', () => {
+    const week = digestWindow('week', MONDAY, TZ);
+    expect(week).toMatchObject({ period: 'week', key: '2026-10-12', from: '2026-10-12', to: '2026-10-18' });
+    expect(week.rangeStart.toISOString()).toBe('2026-10-11T21:00:00.000Z');
+    // Sunday late evening in Riga is still the running week
+    expect(digestWindow('week', new Date('2026-10-18T20:00:00Z'), TZ).from).toBe('2026-10-05');
+    expect(digestWindow('month', new Date('2026-03-01T10:00:00Z'), TZ)).toMatchObject({ key: '2026-02', from: '2026-02-01', to: '2026-02-28' });
+  });
+
+  // The trend series ends with the digest's own window
+  it('lists the trend periods oldest first', () => {
+    const weeks = digestSeries(digestWindow('week', MONDAY, TZ));
+    expect(weeks).toHaveLength(8);
+    expect(weeks[0]).toEqual({ from: '2026-08-24', to: '2026-08-30' });
+    expect(weeks[7]).toEqual({ from: '2026-10-12', to: '2026-10-18' });
+    const months = digestSeries(digestWindow('month', MONDAY, TZ), 3);
+    expect(months).toEqual([{ from: '2026-07-01', to: '2026-07-31' }, { from: '2026-08-01', to: '2026-08-31' }, { from: '2026-09-01', to: '2026-09-30' }]);
+  });
+
+  // A daily cron run builds the weekly digest on Mondays and the monthly one on the 1st
+  it('knows which digests are due', () => {
+    expect(dueDigestPeriods(MONDAY, TZ)).toEqual(['week']);
+    expect(dueDigestPeriods(new Date('2026-06-01T08:00:00Z'), TZ)).toEqual(['week', 'month']);
+    expect(dueDigestPeriods(new Date('2026-10-20T08:00:00Z'), TZ)).toEqual([]);
+    expect(parseDigestPeriod('Month')).toBe('month');
+    expect(parseDigestPeriod('year')).toBeNull();
+  });
+});
+
+describe('buildDigest', () => {
+  // Visits count distinct days per period; badges come from ledger dates inside the window
+  it('summarizes the window', () => {
+    const d = weekDigest();
+    expect(d).toMatchObject({ user: 'Anna', period: 'week', key: '2026-10-12', visits: 3, previousVisits: 2, visitsChange: 50, currentStreakDays: 3, longestStreakDays: 12 });
+    expect(d.visitDays).toEqual(['2026-10-12', '2026-10-14', '2026-10-17']);
+    expect(d.series.map(p => p.visits)).toEqual([0, 0, 0, 0, 0, 1, 2, 3]);
+    expect(d.newBadges.map(b => b.key)).toEqual(['days_10']);
+    expect(digestHasNews(d)).toBe(true);
+    expect(digestHasNews(weekDigest({ visitDays: [], profile: { ...profile, currentStreakDays: 0, achievements: [] }, season: null }))).toBe(false);
+    expect(digestNotification(d)).toMatchObject({ kind: 'digest', user: 'anna', dedupKey: 'digest:week:2026-10-12:anna' });
+  });
+
+  // Bars scale to the busiest period
+  it('draws a block sparkline', () => {
+    expect(sparkline([0, 2, 4])).toBe('▁▅█');
+    expect(sparkline([0, 0])).toBe('▁▁');
+  });
+});
+
+describe('renderDigest', () => {
+  // Both languages come from lib/i18n.js; the rule's translations are used for badges
+  it('renders plain text and HTML in Latvian and English', () => {
+    const d = weekDigest();
+    const en = renderDigest(d, 'en');
+    expect(en.subject).toBe('Your gym week: Oct 12 – Oct 18');
+    expect(en.text).toContain('- Visits: 3 · the week before: 2');
+    expect(en.text).toContain('Autumn 2026: 14 points (+3 in this period). Rank #2, up from #4.');
+    expect(en.text).toContain('- 10 days — Ten visits');
+    expect(en.text).toContain('▁▁▁▁▁▃▆█ (0, 0, 0, 0, 0, 1, 2, 3)');
+    expect(en.html).toContain('<li><strong>10 days</strong> — Ten visits</li>');
+    expect((en.html.match(/<td /g) || [])).toHaveLength(8);
+
+    const lv = renderDigest(d, 'lv');
+    expect(lv.text).toMatch(/^Sveiki, Anna!/);
+    expect(lv.text).toContain('- 10 dienas — Desmit apmeklējumi');
+    expect(lv.text).toContain('Apmeklējumi: 3');
+  });
+
+  // Usernames and rule copy are escaped in the HTML version
+  it('escapes HTML', () => {
+    const { html } = renderDigest(weekDigest({ user: '<b>x</b>' }), 'en');
+    expect(html).toContain('Hi &lt;b&gt;x&lt;/b&gt;,');
+    expect(html).not.toContain('<b>x</b>');
+  });
+
+  // Queued digests render through the notification outbox with their HTML part
+  it('renders queued digests as notifications', () => {
+    const n = digestNotification(weekDigest());
+    const { subject, html } = renderNotification({ user: n.user, kind: n.kind, payload: n.payload }, 'en');
+    expect(subject).toBe('Your gym week: Oct 12 – Oct 18');
+    expect(html).toContain('<!doctype html>');
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { parseCsv, parseJsonRecords, parseTimestamp, parseMapping, prepareImport, summarizeImport, commitImport, readImportFile } from '../lib/importEntries.js';
+
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+// In-memory Entry collection with the queries the import uses
+const db = vi.hoisted(() => ({ entries: [] }));
+const sameKey = (doc, f) => doc.lockId === f.lockId && doc.username === f.username
+  && doc.entryTime.getTime() === f.entryTime.getTime() && (doc.recordType ?? null) === (f.recordType ?? null);
+const lean = (fn) => {
+  const q = { lean: () => q, sort: () => q, then: (a, b) => Promise.resolve(fn()).then(a, b) };
+  return q;
+};
+const Entry = vi.hoisted(() => ({}));
+Object.assign(Entry, {
+  find: (filter) => lean(() => db.entries.filter(d => filter.$or.some(f => sameKey(d, f)))),
+  distinct: async (field, filter) => Array.from(new Set(db.entries.map(d => d[field]).filter(v => filter.username.$in.includes(v)))),
+  bulkWrite: async (ops) => {
+    const upsertedIds = {};
+    ops.forEach(({ updateOne: { filter, update } }, i) => {
+      if (db.entries.some(d => sameKey(d, filter))) return;
+      const doc = { _id: `e${db.entries.length + 1}`, ...filter, ...update.$setOnInsert };
+      db.entries.push(doc);
+      upsertedIds[i] = doc._id;
+    });
+    return { upsertedIds };
+  },
+});
+vi.mock('@/lib/models/Entry', () => ({ default: Entry }));
+vi.mock('@/lib/models/Lock', () => ({ default: { find: () => lean(() => []) } }));
+
+const LOCKS = [{ lockId: '19228015', mac: 'AA:BB:CC:DD:EE:01' }, { lockId: '21920074', mac: null }];
+const TZ = 'Europe/Riga';
+const NOW = new Date('2025-06-01T12:00:00Z');
+
+describe('parsers', () => {
+  // Quoted delimiters, doubled quotes, CRLF and a BOM; line numbers point into the file
+  it('parses CSV', () => {
+    const csv = '﻿User,Lock,Date\r\n"Smith, Anna",19228015,2025-01-02 08:00\r\n\r\n"say ""hi""",19228015,2025-01-03 08:00\r\n';
+    expect(parseCsv(csv)).toEqual([
+      { line: 2, record: { User: 'Smith, Anna', Lock: '19228015', Date: '2025-01-02 08:00' } },
+      { line: 4, record: { User: 'say "hi"', Lock: '19228015', Date: '2025-01-03 08:00' } },
+    ]);
+  });
+
+  // Spreadsheet exports in European locales use semicolons
+  it('detects semicolon-separated CSV', () => {
+    expect(parseCsv('user;date\nanna;1.2.2025 08:00')[0].record).toEqual({ user: 'anna', date: '1.2.2025 08:00' });
+  });
+
+  // TTLock API dumps wrap the records in { list: [...] }
+  it('parses JSON arrays and wrapped lists', () => {
+    expect(parseJsonRecords('[{"a":1}]')).toEqual([{ line: 1, record: { a: 1 } }]);
+    expect(parseJsonRecords('{"list":[{"a":1},{"a":2}]}')[1]).toEqual({ line: 2, record: { a: 2 } });
+    expect(() => parseJsonRecords('{"a":1}')).toThrow(/array of records/);
+  });
+
+  // --map only accepts Entry fields
+  it('parses column mappings', () => {
+    expect(parseMapping('username:Person, entryTime:Opened at')).toEqual({ username: 'Person', entryTime: 'Opened at' });
+    expect(() => parseMapping('door:Lock')).toThrow(/Invalid mapping/);
+  });
+});
+
+describe('parseTimestamp', () => {
+  // Wall-clock formats are local to the zone, including across a DST change
+  it.each([
+    ['2025-01-15 08:30', '2025-01-15T06:30:00.000Z'],
+    ['2025/07/15 08:30:15', '2025-07-15T05:30:15.000Z'],
+    ['15.07.2025 08:30', '2025-07-15T05:30:00.000Z'],
+    ['2025-03-30', '2025-03-29T22:00:00.000Z'],
+  ])('reads %s in the zone', (raw, iso) => {
+    expect(parseTimestamp(raw, TZ).toISOString()).toBe(iso);
+  });
+
+  // Epochs and explicit offsets are already absolute
+  it('keeps absolute timestamps', () => {
+    expect(parseTimestamp('1736929800', TZ).toISOString()).toBe('2025-01-15T08:30:00.000Z');
+    expect(parseTimestamp(1736929800000, TZ).toISOString()).toBe('2025-01-15T08:30:00.000Z');
+    expect(parseTimestamp('2025-01-15 08:30:00+00:00', TZ).toISOString()).toBe('2025-01-15T08:30:00.000Z');
+    expect(parseTimestamp('2025-01-15T08:30:00Z', TZ).toISOString()).toBe('2025-01-15T08:30:00.000Z');
+  });
+
+  // Impossible or unknown formats are rejected rather than guessed
+  it('rejects what it cannot read', () => {
+    expect(parseTimestamp('2025-02-30 08:00', TZ)).toBeNull();
+    expect(parseTimestamp('01/15/2025 08:00', TZ)).toBeNull();
+    expect(parseTimestamp('yesterday', TZ)).toBeNull();
+  });
+});
+
+describe('prepareImport', () => {
+  // Vendor column names map onto Entry fields and numbers are coerced
+  it('maps columns by alias', () => {
+    const { rows, columns } = readImportFile('Lock Date,User Name,Record Type,Battery\n2025-01-15 08:30,anna,7,80', { locks: LOCKS, timeZone: TZ, defaultLockId: '19228015', now: NOW });
+    expect(columns).toMatchObject({ username: 'User Name', entryTime: 'Lock Date', recordType: 'Record Type', electricQuantity: 'Battery' });
+    expect(rows).toEqual([{ line: 2, value: { username: 'anna', lockId: '19228015', lockMac: 'AA:BB:CC:DD:EE:01', entryTime: new Date('2025-01-15T06:30:00Z'), recordType: 7, electricQuantity: 80 } }]);
+  });
+
+  // Separate date and time columns are combined
+  it('combines date and time columns', () => {
+    const { rows } = readImportFile('date,time,person\n15.01.2025,08:30,anna', { locks: LOCKS, timeZone: TZ, defaultLockId: '21920074', mapping: { username: 'person' }, now: NOW });
+    expect(rows[0].value.entryTime.toISOString()).toBe('2025-01-15T06:30:00.000Z');
+  });
+
+  // Each bad row is rejected with its reasons; good rows are kept
+  it('rejects bad rows with reasons', () => {
+    const records = [
+      { line: 2, record: { user: 'anna', lock: '999', date: '2025-01-15 08:30' } },
+      { line: 3, record: { user: '', lock: '19228015', date: 'soon' } },
+      { line: 4, record: { user: 'bob', lock: '19228015', date: '2030-01-01 00:00' } },
+    ];
+    const { rows } = prepareImport(records, { locks: LOCKS, timeZone: TZ, now: NOW });
+    expect(rows).toEqual([
+      { line: 2, errors: ['lockId 999 is not registered'] },
+      { line: 3, errors: ['entryTime "soon" is not a recognised timestamp'] },
+      { line: 4, errors: ['entryTime is in the future'] },
+    ]);
+  });
+});
+
+describe('summarizeImport and commitImport', () => {
+  const csv = [
+    'user,lock,date',
+    'anna,19228015,2025-01-15 08:30',
+    'anna,19228015,2025-01-15 08:30',
+    'bob,19228015,2025-01-20 23:30',
+    'carl,19228015,2025-01-10 07:00',
+    'dave,nope,2025-01-10 07:00',
+  ].join('\n');
+
+  beforeEach(() => {
+    db.entries = [{ _id: 'old', username: 'carl', lockId: '19228015', entryTime: new Date('2025-01-10T05:00:00Z'), recordType: null }];
+  });
+
+  // The dry run counts duplicates in the file and in the database, new users and the local date span
+  it('summarises a dry run without writing', async () => {
+    const { rows } = readImportFile(csv, { locks: LOCKS, timeZone: TZ, now: NOW });
+    const summary = await summarizeImport({ Entry, rows, timeZone: TZ });
+    expect(summary).toEqual({
+      rows: 5,
+      valid: 4,
+      rejected: 1,
+      duplicates: { inFile: 1, existing: 1 },
+      toInsert: 2,
+      users: 3,
+      newUsers: ['anna', 'bob'],
+      span: { from: new Date('2025-01-10T05:00:00Z'), to: new Date('2025-01-20T21:30:00Z'), firstDay: '2025-01-10', lastDay: '2025-01-20', timeZone: TZ },
+      rejectedLines: [{ line: 6, errors: ['lockId nope is not registered'] }],
+    });
+    expect(db.entries).toHaveLength(1);
+  });
+
+  // Committing inserts only new events, in chunks, and a second run inserts nothing
+  it('commits idempotently', async () => {
+    const { rows } = readImportFile(csv, { locks: LOCKS, timeZone: TZ, now: NOW });
+    expect(await commitImport({ Entry, rows, chunkSize: 2 })).toEqual({ created: 2, duplicates: 2 });
+    expect(await commitImport({ Entry, rows })).toEqual({ created: 0, duplicates: 4 });
+    expect(db.entries.map(e => e.username).sort()).toEqual(['anna', 'bob', 'carl']);
+  });
+});
+
+describe('POST /api/entries/import', () => {
+  const upload = async (body, query = '', headers = { authorization: 'Bearer secret' }) => {
+    const { POST } = await import('../app/api/entries/import/route.js');
+    const res = await POST(new Request(`http://test/api/entries/import${query}`, { method: 'POST', headers, body }));
+    return { res, json: await res.json() };
+  };
+
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'secret';
+    db.entries = [];
+  });
+
+  // Admin only; a dry run by default, commit=1 writes
+  it('dry-runs and commits uploads', async () => {
+    const csv = 'user,date\nanna,2025-01-15 08:30\nbob,2025-01-16 08:30';
+    expect((await upload(csv, '', {})).res.status).toBe(401);
+    const dry = await upload(csv, '?lock=19228015&tz=Europe/Riga');
+    expect(dry.res.status).toBe(200);
+    expect(dry.json).toMatchObject({ dryRun: true, format: 'csv', summary: { rows: 2, toInsert: 2 } });
+    expect(db.entries).toHaveLength(0);
+
+    const form = new FormData();
+    form.append('file', new Blob([JSON.stringify([{ username: 'anna', lockId: '19228015', lockDate: 1736929800000 }])]), 'export.json');
+    const done = await upload(form, '?commit=1');
+    expect(done.json).toMatchObject({ dryRun: false, format: 'json', result: { created: 1, duplicates: 0 } });
+    expect(db.entries).toHaveLength(1);
+  });
+
+  // Bad options and unreadable files are 400s
+  it('rejects bad requests', async () => {
+    expect((await upload('user\nanna', '?tz=Mars/Base')).res.status).toBe(400);
+    expect((await upload('user\nanna', '?map=door:x')).res.status).toBe(400);
+    expect((await upload('   ')).res.status).toBe(400);
+    expect((await upload('[{"a":', '?format=json')).json.error).toMatch(/Could not parse file/);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { normalizeEntryEvent, ingestEntries, upsertEntries, removeDuplicateEntries, hashApiKey, generateApiKey } from '../lib/ingest.js';
+
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+// In-memory Entry, Lock and Flag collections backing the routes
+const db = vi.hoisted(() => ({ entries: [], locks: [], flags: [] }));
+const sameKey = (doc, f) => doc.lockId === f.lockId && doc.username === f.username
+  && doc.entryTime.getTime() === f.entryTime.getTime() && (doc.recordType ?? null) === (f.recordType ?? null);
+
+// bulkWrite with upsert semantics: only events whose natural key is new are inserted
+const Entry = {
+  bulkWrite: async (ops) => {
+    const upsertedIds = {};
+    ops.forEach(({ updateOne: { filter, update } }, i) => {
+      if (db.entries.some(d => sameKey(d, filter))) return;
+      const doc = { _id: `e${db.entries.length + 1}`, ...filter, ...update.$setOnInsert };
+      db.entries.push(doc);
+      upsertedIds[i] = doc._id;
+    });
+    return { upsertedIds };
+  },
+  find: (filter) => lean(() => db.entries.filter(d => !filter._id || filter._id.$in.includes(d._id))),
+};
+const Flag = {
+  bulkWrite: async (ops) => {
+    db.flags.push(...ops.map(({ updateOne: { filter } }) => filter));
+    return { upsertedCount: ops.length };
+  },
+};
+const lean = (fn) => {
+  const q = { lean: () => q, then: (a, b) => Promise.resolve(fn()).then(a, b) };
+  return q;
+};
+vi.mock('@/lib/models/Entry', () => ({ default: Entry }));
+vi.mock('@/lib/models/Flag', () => ({ default: Flag }));
+vi.mock('@/lib/models/Lock', () => ({
+  default: {
+    findOne: (filter) => lean(() => db.locks.find(l => Object.entries(filter).every(([k, v]) => l[k] === v)) || null),
+    updateOne: async (filter, { $set }) => { Object.assign(db.locks.find(l => l.lockId === filter.lockId), $set); },
+  },
+}));
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+const GYM = { lockId: '19228015', mac: 'AA:BB:CC:DD:EE:01', active: true };
+const event = (over = {}) => ({ username: 'anna', lockId: '19228015', entryTime: '2025-06-01T08:00:00Z', recordType: 7, electricQuantity: 80, ...over });
+
+describe('normalizeEntryEvent', () => {
+  // Valid events get their stored types; the registered MAC fills in a missing one
+  it('accepts valid events', () => {
+    const { value, errors } = normalizeEntryEvent(event({ entryTime: Date.parse('2025-06-01T08:00:00Z') }), GYM, { now: NOW });
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ username: 'anna', lockId: '19228015', lockMac: 'AA:BB:CC:DD:EE:01', entryTime: new Date('2025-06-01T08:00:00Z'), recordType: 7, electricQuantity: 80 });
+  });
+
+  // One row per problem the gateway can send
+  it.each([
+    ['a non-object', 'nope', 'event must be an object'],
+    ['an unknown field', event({ door: 1 }), 'unknown fields: door'],
+    ['a missing username', event({ username: ' ' }), 'username must be a 1-100 character string'],
+    ['another lock', event({ lockId: '21920074' }), 'lockId 21920074 does not match the API key'],
+    ['a bad MAC', event({ lockMac: 'xx' }), 'lockMac must look like AA:BB:CC:DD:EE:FF'],
+    ['a different MAC', event({ lockMac: 'AA:BB:CC:DD:EE:02' }), 'lockMac does not match the registered lock'],
+    ['an invalid time', event({ entryTime: 'yesterday' }), 'entryTime must be an ISO date or epoch milliseconds'],
+    ['a future time', event({ entryTime: '2025-06-01T12:10:00Z' }), 'entryTime is in the future'],
+    ['a fractional record type', event({ recordType: 1.5 }), 'recordType must be a non-negative integer'],
+    ['a battery above 100', event({ electricQuantity: 101 }), 'electricQuantity must be a number from 0 to 100'],
+  ])('rejects %s', (_name, input, error) => {
+    const { value, errors } = normalizeEntryEvent(input, GYM, { now: NOW });
+    expect(value).toBeNull();
+    expect(errors).toContain(error);
+  });
+});
+
+describe('ingestEntries', () => {
+  beforeEach(() => {
+    db.entries = [];
+  });
+
+  // Re-sending a batch (or repeating an event inside one) never stores an event twice
+  it('deduplicates on the natural key', async () => {
+    const batch = [event(), event({ username: 'bob' }), event(), event({ entryTime: 'bad' })];
+    const first = await ingestEntries({ Entry, lock: GYM, events: batch, now: NOW });
+    expect(first.summary).toEqual({ received: 4, created: 2, duplicates: 1, rejected: 1 });
+    expect(first.items.map(i => i.status)).toEqual(['created', 'created', 'duplicate', 'rejected']);
+    expect(first.items[0].id).toBe('e1');
+    const again = await ingestEntries({ Entry, lock: GYM, events: batch, now: NOW });
+    expect(again.summary).toEqual({ received: 4, created: 0, duplicates: 3, rejected: 1 });
+    expect(db.entries).toHaveLength(2);
+  });
+
+  // A different record type at the same instant is a different event
+  it('keeps events that differ in record type', async () => {
+    const res = await ingestEntries({ Entry, lock: GYM, events: [event(), event({ recordType: 8 })], now: NOW });
+    expect(res.summary.created).toBe(2);
+  });
+});
+
+describe('unique natural key', () => {
+  // A bulk write error as the driver reports it: what was upserted, and why the other writes failed
+  const bulkError = (upsertedIds, codes) => Object.assign(new Error('bulk write failed'), {
+    writeErrors: codes.map((code, index) => ({ code, index })),
+    result: { upsertedIds },
+  });
+
+  // Upserts that lose a race with a concurrent ingest fail on the unique index and are duplicates
+  it('treats duplicate key errors as duplicates', async () => {
+    const racing = { bulkWrite: async () => { throw bulkError({ 1: 'e9' }, [11000]); } };
+    expect(await upsertEntries(racing, [event(), event({ username: 'bob' })])).toEqual([{ status: 'duplicate' }, { status: 'created', id: 'e9' }]);
+    const failing = { bulkWrite: async () => { throw bulkError({}, [11000, 121]); } };
+    await expect(upsertEntries(failing, [event(), event()])).rejects.toThrow('bulk write failed');
+    const down = { bulkWrite: async () => { throw new Error('connection closed'); } };
+    await expect(upsertEntries(down, [event()])).rejects.toThrow('connection closed');
+  });
+
+  // Every copy of an event but the first stored one is deleted, in chunks
+  it('removes duplicates stored before the index was unique', async () => {
+    const deleted = [];
+    let pipeline;
+    const Stored = {
+      aggregate: (p) => {
+        pipeline = p;
+        const groups = [{ ids: ['a1', 'a2', 'a3'] }, { ids: ['b1', 'b2'] }];
+        return { allowDiskUse: () => Promise.resolve(groups) };
+      },
+      deleteMany: async (filter) => { deleted.push(filter._id.$in); },
+    };
+    expect(await removeDuplicateEntries({ Entry: Stored, dryRun: true })).toEqual({ events: 2, removed: 3 });
+    expect(deleted).toEqual([]);
+    expect(pipeline[0]).toEqual({ $sort: { _id: 1 } });
+    expect(await removeDuplicateEntries({ Entry: Stored, chunkSize: 2 })).toEqual({ events: 2, removed: 3 });
+    expect(deleted).toEqual([['a2', 'a3'], ['b2']]);
+  });
+});
+
+describe('POST /api/entries/ingest', () => {
+  const apiKey = generateApiKey();
+  const post = async (body, headers = { authorization: `Bearer ${apiKey}` }) => {
+    const { POST } = await import('../app/api/entries/ingest/route.js');
+    const res = await POST(new Request('http://test/api/entries/ingest', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    }));
+    return { res, json: await res.json() };
+  };
+  const at = new Date(Date.now() - 60 * 1000).toISOString();
+  const recent = (over = {}) => event({ entryTime: at, ...over });
+
+  beforeEach(() => {
+    db.entries = [];
+    db.flags = [];
+    db.locks = [{ ...GYM, apiKeyHash: hashApiKey(apiKey) }, { lockId: '21920074', active: true, apiKeyHash: null }];
+  });
+
+  // Callers need a key that belongs to an active lock
+  it('authenticates with per-lock API keys', async () => {
+    expect((await post(recent(), {})).res.status).toBe(401);
+    expect((await post(recent(), { 'x-api-key': 'lk_wrong' })).res.status).toBe(401);
+    db.locks[0].active = false;
+    expect((await post(recent())).res.status).toBe(403);
+  });
+
+  // Batches get a per-item report; a single event is a batch of one
+  it('reports each event of a batch', async () => {
+    const { res, json } = await post({ events: [recent(), recent({ username: '' }), recent({ lockId: '21920074' })] });
+    expect(res.status).toBe(200);
+    expect(json.lockId).toBe('19228015');
+    expect(json.summary).toEqual({ received: 3, created: 1, duplicates: 0, rejected: 2 });
+    expect(json.items[2]).toEqual({ index: 2, status: 'rejected', errors: ['lockId 21920074 does not match the API key'] });
+
+    const single = await post(recent(), { 'x-api-key': apiKey });
+    expect(single.json.items).toEqual([{ index: 0, status: 'duplicate' }]);
+  });
+
+  // New entries are checked for anomalies as they are stored
+  it('flags anomalies on ingest', async () => {
+    const taps = Array.from({ length: 6 }, (_, i) => recent({ entryTime: new Date(Date.parse(at) + i * 1000).toISOString() }));
+    const { json } = await post(taps);
+    expect(json.summary.created).toBe(6);
+    expect(db.flags.filter(f => f.rule === 'burst')).toHaveLength(6);
+  });
+
+  // Nothing storable is a 422; empty and oversized batches are refused up front
+  it('rejects unusable requests', async () => {
+    expect((await post([recent({ username: '' })])).res.status).toBe(422);
+    expect((await post([])).res.status).toBe(400);
+    expect((await post(Array.from({ length: 501 }, () => recent()))).res.status).toBe(413);
+  });
+
+  // Admins rotate a lock's key; the old one stops working
+  it('issues and revokes keys', async () => {
+    process.env.ADMIN_TOKEN = 'secret';
+    const route = await import('../app/api/locks/[lockId]/api-key/route.js');
+    const params = { params: Promise.resolve({ lockId: '19228015' }) };
+    const admin = { authorization: 'Bearer secret' };
+    expect((await route.POST(new Request('http://test/x', { method: 'POST' }), params)).status).toBe(401);
+    const issued = await (await route.POST(new Request('http://test/x', { method: 'POST', headers: admin }), params)).json();
+    expect(issued.apiKey).toMatch(/^lk_/);
+    expect((await post(recent())).res.status).toBe(401);
+    expect((await post(recent(), { authorization: `Bearer ${issued.apiKey}` })).res.status).toBe(200);
+    await route.DELETE(new Request('http://test/x', { method: 'DELETE', headers: admin }), params);
+    expect((await post(recent(), { authorization: `Bearer ${issued.apiKey}` })).res.status).toBe(401);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_LOCK_HEALTH,
+  normalizeLockHealthSettings,
+  lockHealthSettings,
+  sinceReplacement,
+  dischargeRate,
+  projectLowBattery,
+  summarizeLockHealth,
+  lockHealthAlerts,
+} from '../lib/lockHealth.js';
+
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+// Entry answers the three lock health pipelines by their first stage; the registry is the seed locks
+const pipelines = vi.hoisted(() => []);
+const Entry = vi.hoisted(() => ({
+  aggregate: async (p) => {
+    pipelines.push(p);
+    if (p[0].$group) return [{ _id: '19228015', lastSeenAt: new Date() }];
+    if (p[1].$sort.entryTime === -1) return [{ _id: '19228015', level: 15, at: new Date() }];
+    return [];
+  },
+}));
+const Lock = vi.hoisted(() => {
+  const q = { sort: () => q, lean: () => q, then: (a, b) => Promise.resolve([]).then(a, b) };
+  return { find: () => q };
+});
+vi.mock('@/lib/models/Entry', () => ({ default: Entry }));
+vi.mock('@/lib/models/Lock', () => ({ default: Lock }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-03-01T12:00:00Z');
+const daysAgo = (n) => new Date(NOW.getTime() - n * DAY_MS);
+const reading = (lockId, n, level) => ({ _id: { lockId, day: daysAgo(n).toISOString().slice(0, 10) }, level, at: daysAgo(n) });
+
+describe('lock health settings', () => {
+  // Query values arrive as strings; out-of-range values are reported and the defaults kept
+  it('validates overrides', () => {
+    expect(normalizeLockHealthSettings({ lowBatteryPercent: '25', trendDays: 3 })).toEqual({
+      value: { ...DEFAULT_LOCK_HEALTH, lowBatteryPercent: 25 },
+      errors: ['trendDays must be an integer from 7 to 365'],
+    });
+    const env = lockHealthSettings({ LOCK_LOW_BATTERY: '30', LOCK_SILENT_HOURS: 'x' });
+    expect(env.value).toMatchObject({ lowBatteryPercent: 30, silentHours: 48 });
+    expect(env.errors).toEqual(['LOCK_SILENT_HOURS must be an integer from 1 to 2160']);
+  });
+});
+
+describe('battery trend', () => {
+  // One point per day lost: -1/day, so 60% reaches 20% in 40 days
+  it('fits the discharge rate and projects the low day', () => {
+    const series = [10, 5, 0].map(n => ({ level: 60 + n, at: daysAgo(n) }));
+    expect(dischargeRate(series)).toBeCloseTo(-1);
+    expect(projectLowBattery({ level: 60, at: NOW }, -1, 20)).toEqual(new Date(NOW.getTime() + 40 * DAY_MS));
+    expect(projectLowBattery({ level: 15, at: NOW }, -1, 20)).toBeNull();
+    expect(projectLowBattery({ level: 60, at: NOW }, 0.5, 20)).toBeNull();
+    expect(dischargeRate([{ level: 60, at: NOW }])).toBeNull();
+  });
+
+  // A battery swap shows up as a jump; only readings after it count
+  it('restarts the trend after a battery replacement', () => {
+    const series = [30, 25, 95, 94].map((level, i) => ({ level, at: daysAgo(4 - i) }));
+    expect(sinceReplacement(series).map(r => r.level)).toEqual([95, 94]);
+  });
+});
+
+describe('summarizeLockHealth', () => {
+  const locks = [
+    { lockId: 'gym', names: { en: 'Gym' }, active: true },
+    { lockId: 'door', names: { en: 'Door' }, active: true },
+    { lockId: 'old', names: {}, active: false },
+  ];
+
+  // Low, soon-low and silent locks raise alerts; inactive locks never do
+  it('computes levels, projections and alerts', () => {
+    const health = summarizeLockHealth({
+      locks,
+      lastSeen: [{ _id: 'gym', lastSeenAt: daysAgo(0) }, { _id: 'door', lastSeenAt: daysAgo(3) }, { _id: 'stray', lastSeenAt: daysAgo(0) }],
+      batteries: [{ _id: 'gym', level: 30, at: daysAgo(0) }, { _id: 'door', level: 12, at: daysAgo(3) }],
+      readings: [reading('gym', 10, 50), reading('gym', 5, 40), reading('gym', 0, 30)],
+      now: NOW,
+      timeZone: 'UTC',
+    });
+    expect(health.map(h => h.lockId)).toEqual(['gym', 'door', 'old', 'stray']);
+    expect(health[0]).toMatchObject({ battery: { level: 30 }, trend: { perDay: -2 }, projectedLowDay: '2025-03-06', alerts: ['battery_soon'] });
+    expect(health[0].trend.readings).toHaveLength(3);
+    expect(health[1].alerts).toEqual(['low_battery', 'silent']);
+    expect(health[2]).toMatchObject({ active: false, lastSeenAt: null, alerts: [] });
+    expect(health[3]).toMatchObject({ registered: false, alerts: [] });
+
+    expect(lockHealthAlerts(health)).toEqual([
+      { lockId: 'door', kind: 'low_battery', level: 12 },
+      { lockId: 'door', kind: 'silent', lastSeenAt: daysAgo(3) },
+      { lockId: 'gym', kind: 'battery_soon', level: 30, projectedLowDay: '2025-03-06' },
+    ]);
+  });
+});
+
+describe('GET /api/lock-health', () => {
+  // Registry locks with their latest level and alerts; invalid overrides are rejected
+  it('returns health and alerts', async () => {
+    const { GET } = await import('../app/api/lock-health/route.js');
+    const res = await GET(new Request('http://test/api/lock-health?lowBatteryPercent=20&tz=UTC'));
+    expect(res.status).toBe(200);
+    const json = await res.json();
+    expect(json.settings.lowBatteryPercent).toBe(20);
+    expect(json.locks.map(l => l.lockId)).toEqual(['19228015', '21920074']);
+    expect(json.alerts).toEqual([
+      { lockId: '19228015', kind: 'low_battery', level: 15 },
+      { lockId: '21920074', kind: 'silent', lastSeenAt: null },
+    ]);
+    expect(pipelines).toHaveLength(3);
+    expect((await GET(new Request('http://test/api/lock-health?silentHours=0'))).status).toBe(400);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DEFAULT_LOCKS, normalizeLock, toLockDto, visitLockIds, lockDisplayName } from '../lib/locks.js';
+import { evaluateRule, summarizeUserDays } from '../lib/achievements.js';
+import { topDistinctDaysStages } from '../lib/leaderboards.js';
+
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+// In-memory documents per model, and the pipelines sent to aggregate()
+const state = vi.hoisted(() => ({ docs: {}, aggregate: [], rows: {} }));
+
+vi.mock('mongoose', () => {
+  const query = (result) => {
+    const q = { sort: () => q, skip: () => q, limit: () => q, lean: () => q, then: (a, b) => Promise.resolve(result()).then(a, b) };
+    return q;
+  };
+  const matches = (doc, filter = {}) => Object.entries(filter).every(([k, v]) => typeof v !== 'object' || v === null ? doc[k] === v : true);
+  const makeModel = (name) => {
+    const docs = () => (state.docs[name] = state.docs[name] || []);
+    return {
+      find: (filter) => query(() => docs().filter(d => matches(d, filter))),
+      findOne: (filter) => query(() => docs().find(d => matches(d, filter)) || null),
+      create: async (doc) => { docs().push({ ...doc }); return { ...doc }; },
+      updateOne: async (filter, { $set }) => { const d = docs().find(x => matches(x, filter)); if (d) Object.assign(d, $set); return {}; },
+      deleteOne: async (filter) => { state.docs[name] = docs().filter(d => !matches(d, filter)); },
+      countDocuments: async () => 0,
+      distinct: async () => [],
+      aggregate: async (pipeline) => { state.aggregate.push(pipeline); return state.rows[name] ? state.rows[name](pipeline) : [{}]; },
+      collection: { collectionName: name },
+    };
+  };
+  const models = {};
+  const model = (name) => (models[name] = models[name] || makeModel(name));
+  function Schema() {}
+  Schema.prototype.index = function () {};
+  Schema.Types = { Mixed: Object, ObjectId: String };
+  return { default: { models, model, Schema }, models, model, Schema };
+});
+
+// A second gym door that also counts toward visits, next to the seed locks
+const GYM = { lockId: '19228015', names: { en: 'Gym', lv: 'Sporta zāle' }, countsTowardVisits: true, active: true };
+const GYM_B = { lockId: '30000001', mac: 'AA:BB:CC:DD:EE:01', names: { en: 'Gym (back door)' }, countsTowardVisits: true, active: true };
+const DRESSING = { lockId: '21920074', names: { en: 'Dressing room', lv: 'Garderobe' }, countsTowardVisits: false, active: true };
+
+describe('lock registry helpers', () => {
+  // Accepts a complete lock, normalizes the MAC and fills defaults
+  it('validates lock input', () => {
+    const { value, errors } = normalizeLock({ lockId: '30000001', mac: 'aa:bb:cc:dd:ee:01', names: { en: ' Back door ' } });
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ lockId: '30000001', mac: 'AA:BB:CC:DD:EE:01', names: { en: 'Back door' }, countsTowardVisits: false, location: '', active: true });
+    const bad = normalizeLock({ lockId: 'bad id', mac: 'nope', names: { english: 'x', lv: '' }, countsTowardVisits: 'yes' }).errors;
+    expect(bad).toEqual(expect.arrayContaining([
+      'mac must look like AA:BB:CC:DD:EE:FF',
+      'names.english: locale must be a two-letter code',
+      'names.lv must be 1-64 characters',
+      'countsTowardVisits must be a boolean',
+    ]));
+    expect(bad.some(e => e.startsWith('lockId must be'))).toBe(true);
+  });
+
+  // PATCH semantics: merge onto the current document and keep the lock id immutable
+  it('merges patches and forbids id changes', () => {
+    const current = normalizeLock(GYM_B).value;
+    expect(normalizeLock({ countsTowardVisits: false }, current).value).toMatchObject({ lockId: '30000001', countsTowardVisits: false, mac: 'AA:BB:CC:DD:EE:01' });
+    expect(normalizeLock({ lockId: 'other' }, current).errors).toContain('lockId cannot be changed');
+  });
+
+  // Visit locks include retired ones so their history keeps counting
+  it('lists visit locks and resolves names per locale', () => {
+    expect(visitLockIds(DEFAULT_LOCKS)).toEqual(['19228015']);
+    expect(visitLockIds([GYM, { ...GYM_B, active: false }, DRESSING])).toEqual(['19228015', '30000001']);
+    expect(lockDisplayName('19228015', DEFAULT_LOCKS, 'lv')).toBe('Sporta zāle');
+    expect(lockDisplayName('30000001', [GYM_B], 'lv')).toBe('Gym (back door)');
+    expect(lockDisplayName('99', DEFAULT_LOCKS, 'en')).toBe('99');
+    expect(toLockDto(GYM_B)).not.toHaveProperty('mac');
+  });
+
+  // Rules with `visits: true` count days on any visit lock, once per day
+  it('evaluates visit rules against the registry', () => {
+    const days = summarizeUserDays([
+      { entryTime: new Date('2025-05-01T08:00:00Z'), lockId: GYM.lockId },
+      { entryTime: new Date('2025-05-01T09:00:00Z'), lockId: GYM_B.lockId },
+      { entryTime: new Date('2025-05-02T08:00:00Z'), lockId: GYM_B.lockId },
+      { entryTime: new Date('2025-05-03T08:00:00Z'), lockId: DRESSING.lockId },
+    ]);
+    const rule = { type: 'distinct_days', params: { min: 2, visits: true } };
+    expect(evaluateRule(rule, days).value).toBe(1);
+    expect(evaluateRule(rule, days, { visitLockIds: visitLockIds([GYM, GYM_B]) })).toMatchObject({ earned: true, value: 2 });
+  });
+
+  // Entry builders match every listed lock; no list matches all locks
+  it('matches any of the given locks', () => {
+    expect(topDistinctDaysStages({ timeZone: 'UTC', lockIds: ['a', 'b'] })[0]).toEqual({ $match: { lockId: { $in: ['a', 'b'] } } });
+    expect(topDistinctDaysStages({ timeZone: 'UTC' })[0]).toHaveProperty('$project');
+  });
+});
+
+describe('/api/locks routes', () => {
+  const admin = { authorization: 'Bearer secret' };
+  const req = (url, method = 'GET', body, headers = {}) => new Request(`http://test${url}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  const params = (lockId) => ({ params: Promise.resolve({ lockId }) });
+
+  beforeEach(() => {
+    state.docs = {};
+    process.env.ADMIN_TOKEN = 'secret';
+  });
+
+  // The seed locks are served until the collection has documents
+  it('lists the seed locks while the registry is empty', async () => {
+    const { GET } = await import('../app/api/locks/route.js');
+    const json = await (await GET(req('/api/locks'))).json();
+    expect(json.locks.map(l => [l.lockId, l.countsTowardVisits])).toEqual([['19228015', true], ['21920074', false]]);
+  });
+
+  // Create, list (MAC for admins only), update and delete with validation
+  it('supports create, list, update and delete', async () => {
+    const { GET, POST } = await import('../app/api/locks/route.js');
+    const one = await import('../app/api/locks/[lockId]/route.js');
+
+    expect((await POST(req('/api/locks', 'POST', GYM_B))).status).toBe(401);
+    expect((await POST(req('/api/locks', 'POST', GYM_B, admin))).status).toBe(201);
+    expect((await POST(req('/api/locks', 'POST', GYM_B, admin))).status).toBe(409);
+    const invalid = await POST(req('/api/locks', 'POST', { lockId: 'x', mac: 'zz' }, admin));
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).details).toContain('mac must look like AA:BB:CC:DD:EE:FF');
+
+    expect((await (await GET(req('/api/locks'))).json()).locks[0]).not.toHaveProperty('mac');
+    expect((await (await GET(req('/api/locks', 'GET', null, admin))).json()).locks[0].mac).toBe('AA:BB:CC:DD:EE:01');
+
+    const patched = await one.PATCH(req('/api/locks/30000001', 'PATCH', { active: false, location: 'Back yard' }, admin), params('30000001'));
+    expect(patched.status).toBe(200);
+    expect((await patched.json()).lock).toMatchObject({ lockId: '30000001', active: false, location: 'Back yard', countsTowardVisits: true });
+    expect((await one.PATCH(req('/api/locks/missing', 'PATCH', { active: false }, admin), params('missing'))).status).toBe(404);
+
+    expect((await one.DELETE(req('/api/locks/30000001', 'DELETE', null, admin), params('30000001'))).status).toBe(200);
+    expect((await one.GET(req('/api/locks/30000001'), params('30000001'))).status).toBe(404);
+  });
+});
+
+describe('visit locks in the resource pipelines', () => {
+  beforeEach(() => {
+    state.docs = { Lock: [GYM, GYM_B, DRESSING] };
+    state.aggregate = [];
+    state.rows = {};
+  });
+
+  // Adding a second visit door needs no code change: every visit filter picks it up
+  it('counts every visit lock in aggregates, leaderboards and analytics', async () => {
+    const load = async (path, url) => (await import(path)).GET(new Request(`http://test${url}`));
+    expect((await load('../app/api/aggregates/route.js', '/api/aggregates?period=month&tz=UTC')).status).toBe(200);
+    expect((await load('../app/api/leaderboards/route.js', '/api/leaderboards?period=month&tz=UTC')).status).toBe(200);
+    expect((await load('../app/api/analytics/route.js', '/api/analytics?period=month&tz=UTC')).status).toBe(200);
+    const sent = JSON.stringify(state.aggregate);
+    const visitMatches = sent.match(/"lockId":\{"\$in":\[[^\]]*\]\}/g);
+    expect(visitMatches.length).toBeGreaterThanOrEqual(6);
+    expect(new Set(visitMatches)).toEqual(new Set(['"lockId":{"$in":["19228015","30000001"]}']));
+    expect(sent).not.toContain('21920074');
+  });
+
+  // A day on both gym doors is one visit on the profile
+  it('counts profile visits across visit locks', async () => {
+    state.rows.Entry = () => summarizeUserDays([
+      { entryTime: new Date('2025-05-01T08:00:00Z'), lockId: GYM.lockId },
+      { entryTime: new Date('2025-05-01T09:00:00Z'), lockId: GYM_B.lockId },
+      { entryTime: new Date('2025-05-02T08:00:00Z'), lockId: GYM_B.lockId },
+      { entryTime: new Date('2025-05-03T08:00:00Z'), lockId: DRESSING.lockId },
+    ]);
+    const { GET } = await import('../app/api/users/[username]/route.js');
+    const res = await GET(new Request('http://test/api/users/anna?tz=Asia/Tokyo'), { params: Promise.resolve({ username: 'anna' }) });
+    const { userProfile } = await res.json();
+    expect(userProfile).toMatchObject({ totalEntriesAllTime: 2, uniqueLocks: 3, longestStreakDays: 2 });
+  });
+});
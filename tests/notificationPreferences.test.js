@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { signToken, verifyToken } from '../lib/signedTokens.js';
+import {
+  preferenceChannels,
+  allowsNotification,
+  normalizePreferenceUpdate,
+  preferenceUpdateFromForm,
+  unsubscribeUpdate,
+  toPreferenceDto,
+  notificationDeliverySettings,
+  unsubscribeToken,
+  preferencesToken,
+  readUnsubscribeToken,
+  readPreferencesToken,
+  notificationLinks,
+} from '../lib/notificationPreferences.js';
+
+const SECRET = 'test-secret-0123456789';
+
+describe('signed tokens', () => {
+  // Tokens round-trip with the right secret only and stop working once tampered with or expired
+  it('verifies signature and expiry', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const token = signToken({ u: 'anna' }, SECRET, { ttlSeconds: 60, now });
+    expect(verifyToken(token, SECRET, { now })).toMatchObject({ u: 'anna' });
+    expect(verifyToken(token, 'another-secret-0123', { now })).toBeNull();
+    expect(verifyToken(`${token.split('.')[0]}x.${token.split('.')[1]}`, SECRET, { now })).toBeNull();
+    expect(verifyToken(token, SECRET, { now: new Date('2026-10-19T12:01:00Z') })).toBeNull();
+    expect(verifyToken('garbage', SECRET)).toBeNull();
+    expect(() => signToken({}, '')).toThrow();
+  });
+});
+
+describe('preferences', () => {
+  // Categories are on until switched off
+  it('defaults every category to on', () => {
+    expect(preferenceChannels(null)).toEqual({ email: { badge: true, streak: true, rank: true, digest: true } });
+    const pref = { channels: { email: { digest: false } } };
+    expect(allowsNotification(pref, 'email', 'digest')).toBe(false);
+    expect(allowsNotification(pref, 'email', 'badge')).toBe(true);
+    expect(toPreferenceDto(null, 'Anna')).toMatchObject({ user: 'anna', email: null, lang: null });
+  });
+
+  // Updates become dotted $set fields; unknown channels, categories and bad values are reported
+  it('validates updates', () => {
+    expect(normalizePreferenceUpdate({ email: ' anna@example.com ', lang: 'en', channels: { email: { rank: false } } })).toEqual({
+      value: { email: 'anna@example.com', lang: 'en', 'channels.email.rank': false },
+      errors: [],
+    });
+    expect(normalizePreferenceUpdate({ email: '' }).value).toEqual({ email: null });
+    expect(normalizePreferenceUpdate({ email: 'nope', lang: 'de', channels: { sms: {}, email: { weekly: true, badge: 'yes' } } }).errors).toEqual([
+      'email is not valid',
+      'lang must be one of: lv, en',
+      'unknown channel: sms',
+      'unknown category: email.weekly',
+      'email.badge must be true or false',
+    ]);
+    expect(normalizePreferenceUpdate([]).errors).toEqual(['preferences must be an object']);
+  });
+
+  // Unchecked boxes are missing from the form, so they switch their category off
+  it('reads the preferences form and unsubscribe claims', () => {
+    const form = new URLSearchParams({ 'email.badge': 'on', 'email.digest': 'on', email: 'a@example.com', lang: 'lv' });
+    expect(preferenceUpdateFromForm(form)).toEqual({
+      channels: { email: { badge: true, streak: false, rank: false, digest: true } },
+      email: 'a@example.com',
+      lang: 'lv',
+    });
+    expect(unsubscribeUpdate({ category: 'rank' })).toEqual({ 'channels.email.rank': false });
+    expect(Object.keys(unsubscribeUpdate())).toHaveLength(4);
+  });
+});
+
+describe('delivery settings and links', () => {
+  // Bad values are reported and switch the affected setting off
+  it('reads the environment', () => {
+    expect(notificationDeliverySettings({})).toEqual({ value: { maxPerDay: 5, baseUrl: null, secret: null }, errors: [] });
+    expect(notificationDeliverySettings({ NOTIFICATION_MAX_PER_DAY: '3', PUBLIC_BASE_URL: 'https://gym.example/', NOTIFICATION_SECRET: SECRET }).value)
+      .toEqual({ maxPerDay: 3, baseUrl: 'https://gym.example', secret: SECRET });
+    expect(notificationDeliverySettings({ NOTIFICATION_MAX_PER_DAY: '0', PUBLIC_BASE_URL: 'gym.example', NOTIFICATION_SECRET: 'short' }).errors).toHaveLength(3);
+  });
+
+  // Unsubscribe and preference tokens are not interchangeable
+  it('signs per-purpose tokens', () => {
+    const unsubscribe = unsubscribeToken(SECRET, { user: 'Anna', category: 'digest' });
+    expect(readUnsubscribeToken(unsubscribe, SECRET)).toEqual({ user: 'anna', category: 'digest', channel: 'email' });
+    expect(readPreferencesToken(unsubscribe, SECRET)).toBeNull();
+    expect(readPreferencesToken(preferencesToken(SECRET, 'Anna'), SECRET)).toEqual({ user: 'anna' });
+    expect(readUnsubscribeToken(signToken({ p: 'unsubscribe', u: 'anna', c: 'spam', ch: 'email' }, SECRET), SECRET)).toBeNull();
+  });
+
+  // Links need both a base URL and a secret
+  it('builds message links', () => {
+    const links = notificationLinks({ baseUrl: 'https://gym.example', secret: SECRET }, { user: 'anna', category: 'rank' });
+    const token = decodeURIComponent(new URL(links.unsubscribeUrl).searchParams.get('token'));
+    expect(readUnsubscribeToken(token, SECRET)).toMatchObject({ user: 'anna', category: 'rank' });
+    expect(links.oneClickUrl.startsWith('https://gym.example/api/unsubscribe?token=')).toBe(true);
+    expect(links.preferencesUrl.startsWith('https://gym.example/notifications/preferences?token=')).toBe(true);
+    expect(notificationLinks({ baseUrl: 'https://gym.example' }, { user: 'anna', category: 'rank' })).toBeNull();
+  });
+});
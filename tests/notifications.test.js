@@ -0,0 +1,283 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeRecipients,
+  notificationRecipients,
+  badgeEvents,
+  streakEvents,
+  rankEvents,
+  enqueueNotifications,
+  renderNotification,
+  deliverNotifications,
+  runNotifications,
+  withNotificationLinks,
+} from '../lib/notifications.js';
+import { smtpSettings, createMemoryTransport } from '../lib/mail.js';
+import { summarizeUserDays } from '../lib/achievements.js';
+
+const SEASON = { key: '2026Q4', name: 'Autumn 2026', startAt: new Date('2026-10-01T00:00:00Z'), endAt: new Date('2026-12-31T23:59:59Z'), scoring: { mode: 'distinct_days' } };
+
+// In-memory outbox with the bulkWrite/find/updateOne/aggregate calls lib/notifications.js makes
+function makeOutbox() {
+  const docs = [];
+  const Notification = {
+    docs,
+    bulkWrite: async (ops) => {
+      let upsertedCount = 0;
+      for (const { updateOne: { filter, update } } of ops) {
+        if (docs.some(d => d.dedupKey === filter.dedupKey)) continue;
+        docs.push({ _id: `n${docs.length + 1}`, createdAt: new Date(docs.length), ...update.$setOnInsert });
+        upsertedCount += 1;
+      }
+      return { upsertedCount };
+    },
+    find: (filter) => {
+      let rows = docs.filter(d => d.status === filter.status);
+      const q = {
+        sort: () => q,
+        limit: (n) => { rows = rows.slice(0, n); return q; },
+        lean: async () => rows.map(r => ({ ...r })),
+      };
+      return q;
+    },
+    updateOne: async ({ _id }, { $set }) => Object.assign(docs.find(d => d._id === _id), $set),
+    // Only the per-user count of recent sends is aggregated, by lowercased username
+    aggregate: async ([{ $match }]) => {
+      const counts = {};
+      for (const d of docs) {
+        const user = d.user.toLowerCase();
+        if (d.status === 'sent' && $match.user.$in.some(re => re.test(d.user)) && d.sentAt > $match.sentAt.$gt) counts[user] = (counts[user] || 0) + 1;
+      }
+      return Object.entries(counts).map(([_id, count]) => ({ _id, count }));
+    },
+  };
+  return Notification;
+}
+
+function makePreferences(rows) {
+  return { find: ({ user }) => ({ lean: async () => rows.filter(r => user.$in.includes(r.user)) }) };
+}
+
+function makeCheckpoints() {
+  const store = new Map();
+  return {
+    store,
+    findOne: ({ job }) => ({ lean: async () => store.get(job) || null }),
+    updateOne: async ({ job }, { $set, $inc }) => {
+      const doc = store.get(job) || { job, processed: 0 };
+      Object.assign(doc, $set);
+      for (const [k, v] of Object.entries($inc || {})) doc[k] = (doc[k] || 0) + v;
+      store.set(job, doc);
+    },
+  };
+}
+
+describe('recipients and SMTP settings', () => {
+  // Plain addresses default to Latvian; bad addresses and languages are reported and left out
+  it('normalizes recipient mappings', () => {
+    const { value, errors } = normalizeRecipients({ Anna: 'anna@example.com', bob: { email: 'bob@example.com', lang: 'en' }, eve: 'nope', max: { email: 'max@example.com', lang: 'de' } });
+    expect(value).toEqual({ anna: { email: 'anna@example.com', lang: 'lv' }, bob: { email: 'bob@example.com', lang: 'en' } });
+    expect(errors).toHaveLength(2);
+    expect(notificationRecipients({ NOTIFICATION_RECIPIENTS: '{' }).errors).toEqual(['NOTIFICATION_RECIPIENTS is not valid JSON']);
+  });
+
+  // SMTP is off without a host or URL and needs a sender once configured
+  it('reads SMTP settings from the environment', () => {
+    expect(smtpSettings({})).toEqual({ value: null, errors: [] });
+    expect(smtpSettings({ SMTP_HOST: 'mail.example.com' }).errors).toEqual(['MAIL_FROM is required to send mail']);
+    const { value } = smtpSettings({ SMTP_HOST: 'mail.example.com', SMTP_PORT: '465', SMTP_SECURE: 'true', MAIL_FROM: 'gym@example.com' });
+    expect(value).toMatchObject({ host: 'mail.example.com', port: 465, secure: true, from: 'gym@example.com' });
+  });
+});
+
+describe('event detection', () => {
+  // Awards of aliases count for the canonical identity and carry the rule's copy
+  it('turns new awards into badge events', () => {
+    const rules = [{ key: 'days_10', title: '10 days', description: 'Ten visits', translations: { lv: { title: '10 dienas' } } }];
+    const [e] = badgeEvents([{ user: 'anna.old', ruleKey: 'days_10', ruleVersion: 2 }], rules, [{ alias: 'anna.old', canonical: 'anna' }]);
+    expect(e).toMatchObject({ kind: 'badge', user: 'anna', dedupKey: 'badge:anna:days_10@2' });
+    expect(e.payload).toMatchObject({ title: '10 days', translations: { lv: { title: '10 dienas' } } });
+  });
+
+  // Only the highest milestone passed since the previous run is announced
+  it('announces streak milestones once', () => {
+    const streaks = [
+      { user: 'anna', current: 15, currentStart: '2026-10-01' },
+      { user: 'bob', current: 8, currentStart: '2026-10-08' },
+      { user: 'eve', current: 6, currentStart: '2026-10-10' },
+    ];
+    const events = streakEvents({ anna: 6, bob: 7 }, streaks);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ user: 'anna', dedupKey: 'streak:anna:14:2026-10-01', payload: { days: 14, current: 15 } });
+  });
+
+  // Rank changes within the top places, including new entrants; unchanged ranks stay quiet
+  it('announces season rank changes in the top places', () => {
+    const standings = [{ rank: 1, user: 'bob', points: 9 }, { rank: 2, user: 'anna', points: 8 }, { rank: 3, user: 'eve', points: 5 }, { rank: 4, user: 'max', points: 1 }];
+    const events = rankEvents({ anna: 1, bob: 2, eve: 3 }, standings, { season: SEASON, day: '2026-10-19', top: 3 });
+    expect(events.map(e => [e.user, e.payload.previousRank, e.payload.rank])).toEqual([['bob', 2, 1], ['anna', 1, 2]]);
+    expect(events[0].dedupKey).toBe('rank:2026Q4:bob:2026-10-19');
+    expect(rankEvents({}, [standings[0]], { season: SEASON, day: '2026-10-19' })[0].payload.previousRank).toBeNull();
+  });
+});
+
+describe('outbox', () => {
+  // Re-queueing an event with a known dedup key is a no-op
+  it('queues each dedup key once', async () => {
+    const Notification = makeOutbox();
+    const events = streakEvents({}, [{ user: 'anna', current: 7, currentStart: '2026-10-13' }]);
+    expect(await enqueueNotifications({ Notification, events })).toBe(1);
+    expect(await enqueueNotifications({ Notification, events })).toBe(0);
+    expect(Notification.docs[0]).toMatchObject({ status: 'pending', attempts: 0, kind: 'streak' });
+  });
+
+  // Templates come from lib/i18n.js in the recipient's language
+  it('renders notifications in Latvian and English', () => {
+    const n = { user: 'anna', kind: 'rank', payload: { seasonName: 'Autumn 2026', rank: 2, previousRank: 5, points: 12 } };
+    expect(renderNotification(n, 'en').subject).toBe('#2 in Autumn 2026');
+    expect(renderNotification(n, 'en').text).toContain('moved up from #5 to #2');
+    expect(renderNotification(n, 'lv').text).toMatch(/^Sveiki, anna!/);
+    const badge = { user: 'anna', kind: 'badge', payload: { title: '10 days', description: 'Ten visits', translations: { lv: { title: '10 dienas' } } } };
+    expect(renderNotification(badge, 'lv').subject).toBe('Jauna nozīmīte: 10 dienas');
+    expect(renderNotification(badge, 'en').subject).toBe('New badge: 10 days');
+  });
+
+  // Sent, skipped without a recipient, retried and finally failed after the last attempt
+  it('delivers through the transport and records the outcome', async () => {
+    const Notification = makeOutbox();
+    await enqueueNotifications({ Notification, events: [
+      ...streakEvents({}, [{ user: 'anna', current: 7, currentStart: '2026-10-13' }, { user: 'bob', current: 7, currentStart: '2026-10-13' }, { user: 'eve', current: 7, currentStart: '2026-10-13' }]),
+    ] });
+    const recipients = { anna: { email: 'anna@example.com', lang: 'en' }, bob: { email: 'bob@example.com', lang: 'lv' } };
+    const transport = createMemoryTransport({ fail: m => m.to === 'bob@example.com' });
+    const deliver = () => deliverNotifications({ Notification, transport, from: 'gym@example.com', recipientFor: u => recipients[u] || null, maxAttempts: 2 });
+
+    expect(await deliver()).toEqual({ sent: 1, failed: 0, skipped: 1, optedOut: 0, deferred: 0, retry: 1 });
+    expect(transport.sent).toEqual([expect.objectContaining({ to: 'anna@example.com', subject: '7-day streak!' })]);
+    expect(await deliver()).toEqual({ sent: 0, failed: 1, skipped: 0, optedOut: 0, deferred: 0, retry: 0 });
+    const byUser = Object.fromEntries(Notification.docs.map(d => [d.user, d]));
+    expect(byUser.anna).toMatchObject({ status: 'sent', attempts: 1, to: 'anna@example.com', lang: 'en', messageId: 'memory-1' });
+    expect(byUser.bob).toMatchObject({ status: 'failed', attempts: 2, lastError: 'Delivery to bob@example.com failed' });
+    expect(byUser.eve).toMatchObject({ status: 'skipped' });
+  });
+
+  // A dry run renders messages but leaves the outbox untouched
+  it('leaves statuses alone on a dry run', async () => {
+    const Notification = makeOutbox();
+    await enqueueNotifications({ Notification, events: streakEvents({}, [{ user: 'anna', current: 7, currentStart: '2026-10-13' }]) });
+    const transport = createMemoryTransport();
+    await deliverNotifications({ Notification, transport, from: 'gym@example.com', recipientFor: () => ({ email: 'anna@example.com', lang: 'lv' }), dryRun: true });
+    expect(transport.sent).toHaveLength(1);
+    expect(Notification.docs[0]).toMatchObject({ status: 'pending', attempts: 0 });
+  });
+
+  // Preferences are read at send time: opted-out categories are skipped, the member's own address and language win
+  it('respects member preferences', async () => {
+    const Notification = makeOutbox();
+    await enqueueNotifications({ Notification, events: [
+      ...streakEvents({}, [{ user: 'Anna', current: 7, currentStart: '2026-10-13' }, { user: 'bob', current: 7, currentStart: '2026-10-13' }]),
+    ] });
+    const NotificationPreference = makePreferences([
+      { user: 'anna', email: 'anna@home.example', lang: 'en' },
+      { user: 'bob', channels: { email: { streak: false } } },
+    ]);
+    const transport = createMemoryTransport();
+    const recipients = { Anna: { email: 'anna@example.com', lang: 'lv' }, bob: { email: 'bob@example.com' } };
+    const result = await deliverNotifications({ Notification, NotificationPreference, transport, from: 'gym@example.com', recipientFor: u => recipients[u] || null });
+    expect(result).toMatchObject({ sent: 1, optedOut: 1, skipped: 0 });
+    expect(transport.sent).toEqual([expect.objectContaining({ to: 'anna@home.example', subject: '7-day streak!' })]);
+    expect(Notification.docs.find(d => d.user === 'bob')).toMatchObject({ status: 'skipped', lastError: 'opted out' });
+  });
+
+  // Past the daily limit, notifications stay queued for a later run
+  it('defers sends over the per-user daily limit', async () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const Notification = makeOutbox();
+    Notification.docs.push({ _id: 'old', user: 'anna', kind: 'badge', status: 'sent', sentAt: new Date('2026-10-19T02:00:00Z') });
+    await enqueueNotifications({ Notification, events: [
+      ...streakEvents({}, [{ user: 'anna', current: 7, currentStart: '2026-10-13' }]),
+      ...streakEvents({}, [{ user: 'anna', current: 14, currentStart: '2026-10-06' }]),
+    ] });
+    const transport = createMemoryTransport();
+    const deliver = (at) => deliverNotifications({ Notification, transport, from: 'gym@example.com', recipientFor: () => ({ email: 'anna@example.com' }), maxPerDay: 2, now: at });
+    expect(await deliver(now)).toMatchObject({ sent: 1, deferred: 1 });
+    expect(Notification.docs.filter(d => d.status === 'pending')).toHaveLength(1);
+    expect(await deliver(new Date('2026-10-20T03:00:00Z'))).toMatchObject({ sent: 1, deferred: 0 });
+  });
+
+  // Badges (keyed by the lowercased award user) and streaks (named as in the logs) share one member's limit
+  it('counts one member under any case against the daily limit', async () => {
+    const Notification = makeOutbox();
+    await enqueueNotifications({ Notification, events: [
+      ...badgeEvents([{ user: 'anna', ruleKey: 'days_10', ruleVersion: 1 }], [{ key: 'days_10', title: '10 days' }]),
+      ...streakEvents({}, [{ user: 'Anna', current: 7, currentStart: '2026-10-13' }]),
+    ] });
+    expect(Notification.docs.map(d => [d.user, d.dedupKey])).toEqual([['anna', 'badge:anna:days_10@1'], ['anna', 'streak:anna:7:2026-10-13']]);
+    const transport = createMemoryTransport();
+    const deliver = () => deliverNotifications({ Notification, transport, from: 'gym@example.com', recipientFor: () => ({ email: 'anna@example.com', lang: 'en' }), maxPerDay: 1, now: new Date('2026-10-19T12:00:00Z') });
+    expect(await deliver()).toMatchObject({ sent: 1, deferred: 1 });
+    expect(await deliver()).toMatchObject({ sent: 0, deferred: 1 });
+    expect(renderNotification(Notification.docs[1], 'en').text).toMatch(/^Hi Anna,/);
+  });
+
+  // Every message links to the unsubscribe and preference pages and carries the one-click headers
+  it('adds unsubscribe links and headers', async () => {
+    const Notification = makeOutbox();
+    await enqueueNotifications({ Notification, events: streakEvents({}, [{ user: 'anna', current: 7, currentStart: '2026-10-13' }]) });
+    const transport = createMemoryTransport();
+    const links = { baseUrl: 'https://gym.example', secret: 'test-secret-0123456789' };
+    await deliverNotifications({ Notification, transport, from: 'gym@example.com', recipientFor: () => ({ email: 'anna@example.com', lang: 'en' }), links });
+    const [m] = transport.sent;
+    expect(m.text).toMatch(/Unsubscribe from these e-mails: https:\/\/gym\.example\/unsubscribe\?token=/);
+    expect(m.text).toContain('https://gym.example/notifications/preferences?token=');
+    expect(m.headers['List-Unsubscribe']).toMatch(/^<https:\/\/gym\.example\/api\/unsubscribe\?token=.+>$/);
+    expect(m.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+
+    // Without links the message is left as rendered
+    const plain = { subject: 's', text: 't' };
+    expect(withNotificationLinks(plain, null, 'en')).toBe(plain);
+  });
+});
+
+describe('runNotifications', () => {
+  // The first run records a baseline; the next one queues the badge, streak and rank changes since then
+  it('diffs awards, streaks and season ranks against the previous run', async () => {
+    const state = {
+      awards: [{ user: 'anna', ruleKey: 'days_10', ruleVersion: 1, createdAt: new Date('2026-10-18T12:00:00Z') }],
+      streaks: [{ _id: 'anna', current: 6, currentStart: '2026-10-13' }],
+      days: [
+        ...summarizeUserDays([{ entryTime: new Date('2026-10-05T10:00:00Z'), lockId: 'L' }, { entryTime: new Date('2026-10-06T10:00:00Z'), lockId: 'L' }], 'UTC').map(d => ({ user: 'bob', ...d })),
+        ...summarizeUserDays([{ entryTime: new Date('2026-10-05T10:00:00Z'), lockId: 'L' }], 'UTC').map(d => ({ user: 'anna', ...d })),
+      ],
+    };
+    const models = {
+      Award: { find: (filter) => ({ lean: async () => state.awards.filter(a => a.createdAt > filter.createdAt.$gt && a.createdAt <= filter.createdAt.$lte) }) },
+      UserDay: { aggregate: async () => state.streaks },
+      Entry: { aggregate: async () => state.days },
+      Season: { find: () => ({ lean: async () => [SEASON] }) },
+      Notification: makeOutbox(),
+      JobCheckpoint: makeCheckpoints(),
+    };
+    const rules = [{ key: 'days_10', title: '10 days' }];
+
+    const first = await runNotifications({ ...models, rules, now: new Date('2026-10-18T20:00:00Z') });
+    expect(first).toEqual({ baseline: true, events: 0, queued: 0 });
+    expect(models.JobCheckpoint.store.get('notifications').cursor.ranks).toEqual({ '2026Q4': [['bob', 1], ['anna', 2]] });
+
+    // anna earns a badge after the baseline, reaches a 7-day streak and overtakes bob
+    state.awards.push({ user: 'anna', ruleKey: 'days_10', ruleVersion: 2, createdAt: new Date('2026-10-19T08:00:00Z') });
+    state.streaks = [{ _id: 'anna', current: 7, currentStart: '2026-10-13' }];
+    state.days.push(...summarizeUserDays([{ entryTime: new Date('2026-10-07T10:00:00Z'), lockId: 'L' }, { entryTime: new Date('2026-10-08T10:00:00Z'), lockId: 'L' }], 'UTC').map(d => ({ user: 'anna', ...d })));
+
+    const second = await runNotifications({ ...models, rules, now: new Date('2026-10-19T20:00:00Z') });
+    expect(second).toEqual({ baseline: false, events: 4, queued: 4 });
+    expect(models.Notification.docs.map(d => d.dedupKey)).toEqual([
+      'badge:anna:days_10@2',
+      'streak:anna:7:2026-10-13',
+      'rank:2026Q4:anna:2026-10-19',
+      'rank:2026Q4:bob:2026-10-19',
+    ]);
+
+    // Nothing changed since: nothing new is queued
+    expect(await runNotifications({ ...models, rules, now: new Date('2026-10-19T21:00:00Z') })).toEqual({ baseline: false, events: 0, queued: 0 });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_OCCUPANCY,
+  normalizeOccupancySettings,
+  occupancySettings,
+  headCount,
+  typicalOccupancy,
+  typicalAt,
+  bestTimeToGo,
+} from '../lib/occupancy.js';
+
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+// Entry answers the recent-taps pipeline (the one that sorts) and the weekday x hour pipeline; the registry is the seed locks
+const pipelines = vi.hoisted(() => []);
+const Entry = vi.hoisted(() => ({
+  aggregate: async (p) => {
+    pipelines.push(p);
+    if (p.some(s => s.$sort)) {
+      return [
+        { _id: 'anna', taps: [{ t: new Date(), l: '19228015' }] },
+        { _id: 'bob', taps: [{ t: new Date(), l: '19228015' }, { t: new Date(), l: '21920074' }] },
+      ];
+    }
+    return [{ _id: { wd: 1, h: 18 }, count: 16 }];
+  },
+}));
+const emptyModel = vi.hoisted(() => {
+  const q = { sort: () => q, lean: () => q, then: (a, b) => Promise.resolve([]).then(a, b) };
+  return { find: () => q };
+});
+vi.mock('@/lib/models/Entry', () => ({ default: Entry }));
+vi.mock('@/lib/models/Lock', () => ({ default: emptyModel }));
+vi.mock('@/lib/models/UserAlias', () => ({ default: emptyModel }));
+
+// Monday 2025-03-03 17:30 UTC
+const NOW = new Date('2025-03-03T17:30:00Z');
+const row = (wd, h, count) => ({ _id: { wd, h }, count });
+
+describe('occupancy settings', () => {
+  // Query values arrive as strings; out-of-range values are reported and the defaults kept
+  it('validates overrides', () => {
+    expect(normalizeOccupancySettings({ stayMinutes: '90', historyWeeks: 0 })).toEqual({
+      value: { ...DEFAULT_OCCUPANCY, stayMinutes: 90 },
+      errors: ['historyWeeks must be an integer from 1 to 52'],
+    });
+    const env = occupancySettings({ OCCUPANCY_STAY_MINUTES: 'x', OCCUPANCY_HISTORY_WEEKS: '4' });
+    expect(env.value).toMatchObject({ stayMinutes: 60, historyWeeks: 4 });
+    expect(env.errors).toEqual(['OCCUPANCY_STAY_MINUTES must be an integer from 10 to 360']);
+  });
+});
+
+describe('headCount', () => {
+  // Inside = the last recent tap is on a visit lock; leaving through the dressing room or never entering the gym does not count
+  it('counts users whose last tap is on a visit lock', () => {
+    const rows = [
+      { _id: 'anna', taps: [{ l: 'door' }, { l: 'gym' }] },
+      { _id: 'bob', taps: [{ l: 'gym' }, { l: 'door' }] },
+      { _id: 'cid', taps: [{ l: 'door' }] },
+      { _id: 'dan', taps: [{ l: 'gym' }] },
+    ];
+    expect(headCount(rows, ['gym'])).toBe(2);
+    expect(headCount([], ['gym'])).toBe(0);
+  });
+});
+
+describe('typical occupancy', () => {
+  // Averaged per week and spread over the stay; Sunday late evening wraps into Monday
+  it('builds the weekday x hour heatmap', () => {
+    const heatmap = typicalOccupancy([row(1, 18, 8), row(7, 23, 4)], { historyWeeks: 4, stayMinutes: 90 });
+    expect(heatmap).toHaveLength(7);
+    expect(heatmap[0].hours.slice(17, 21)).toEqual([0, 2, 2, 0]);
+    expect(heatmap[6].hours[23]).toBe(1);
+    expect(heatmap[0].hours[0]).toBe(1);
+    expect(typicalAt(heatmap, NOW, 'UTC')).toEqual({ day: '2025-03-03', hour: 17, weekday: 1, expected: 0 });
+    expect(typicalAt(heatmap, NOW, 'Europe/Riga')).toMatchObject({ hour: 19, expected: 2 });
+  });
+
+  // The quietest hour that usually sees visitors within the look-ahead; none when every hour is empty
+  it('suggests the best time to go', () => {
+    const heatmap = typicalOccupancy([row(1, 18, 12), row(1, 20, 4), row(1, 22, 4)], { historyWeeks: 4, stayMinutes: 60 });
+    expect(bestTimeToGo(heatmap, { now: NOW, timeZone: 'UTC', lookaheadHours: 6 })).toEqual({ day: '2025-03-03', hour: 20, weekday: 1, expected: 1 });
+    expect(bestTimeToGo(heatmap, { now: NOW, timeZone: 'UTC', lookaheadHours: 2 })).toMatchObject({ hour: 18, expected: 3 });
+    expect(bestTimeToGo(typicalOccupancy([]), { now: NOW })).toBeNull();
+  });
+});
+
+describe('GET /api/occupancy', () => {
+  // Current estimate, heatmap and suggestion with the query overrides; invalid overrides are rejected
+  it('returns the occupancy estimate', async () => {
+    const { GET } = await import('../app/api/occupancy/route.js');
+    const res = await GET(new Request('http://test/api/occupancy?historyWeeks=4&tz=UTC'));
+    expect(res.status).toBe(200);
+    const json = await res.json();
+    expect(json.settings).toEqual({ ...DEFAULT_OCCUPANCY, historyWeeks: 4 });
+    expect(json.current.headCount).toBe(1);
+    expect(json.heatmap[0].hours[18]).toBe(4);
+    expect(pipelines).toHaveLength(2);
+    expect(pipelines.find(p => !p.some(s => s.$sort))[0].$match.lockId).toEqual({ $in: ['19228015'] });
+    expect((await GET(new Request('http://test/api/occupancy?stayMinutes=5'))).status).toBe(400);
+  });
+});
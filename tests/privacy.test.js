@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PRIVACY,
+  toPrivacyDto,
+  normalizePrivacyUpdate,
+  privacyUpdateFromForm,
+  loadPrivacySettings,
+  privacyPolicy,
+  privacyOf,
+  hiddenMemberCount,
+  applyLeaderboardPrivacy,
+  profileHidden,
+  entryTimesHidden,
+  applyEntryPrivacy,
+  maskAggregateTimes,
+  maskProfileTimes,
+  maskAnalyticsTimes,
+} from '../lib/privacy.js';
+
+const SETTINGS = new Map([
+  ['anna', { leaderboard: 'hidden', privateProfile: true, hideEntryTimes: false }],
+  ['bob', { leaderboard: 'anonymous', privateProfile: false, hideEntryTimes: true }],
+]);
+
+const ROWS = [{ id: 'Anna', count: 9 }, { id: 'Bob', count: 7 }, { id: 'Cleo', count: 5 }, { id: 'Dan', count: 3 }];
+
+describe('privacy settings', () => {
+  // Members without a document are shown everywhere
+  it('defaults to showing everything', () => {
+    expect(toPrivacyDto(null, 'Anna')).toEqual({ user: 'anna', ...DEFAULT_PRIVACY, updatedAt: null });
+    expect(toPrivacyDto({ user: 'anna', leaderboard: 'bogus', privateProfile: true }).leaderboard).toBe('show');
+  });
+
+  // Only known visibilities and real booleans are accepted
+  it('validates updates', () => {
+    expect(normalizePrivacyUpdate({ leaderboard: 'anonymous', hideEntryTimes: true })).toEqual({ value: { leaderboard: 'anonymous', hideEntryTimes: true }, errors: [] });
+    expect(normalizePrivacyUpdate({ leaderboard: 'gone', privateProfile: 'yes' }).errors)
+      .toEqual(['leaderboard must be one of: show, anonymous, hidden', 'privateProfile must be true or false']);
+    expect(normalizePrivacyUpdate([]).errors).toEqual(['privacy settings must be an object']);
+  });
+
+  // Unchecked boxes are not submitted, so they turn the setting off
+  it('reads the privacy form', () => {
+    const form = new FormData();
+    form.set('leaderboard', 'hidden');
+    form.set('hideEntryTimes', 'on');
+    expect(privacyUpdateFromForm(form)).toEqual({ leaderboard: 'hidden', privateProfile: false, hideEntryTimes: true });
+  });
+
+  // Only settings that differ from the defaults are loaded
+  it('loads stored settings by user', async () => {
+    const PrivacySetting = { find: (filter) => ({ lean: async () => (filter.$or ? [{ user: 'anna', leaderboard: 'hidden' }] : []) }) };
+    const settings = await loadPrivacySettings({ PrivacySetting });
+    expect(settings.get('anna')).toMatchObject({ leaderboard: 'hidden', privateProfile: false });
+  });
+});
+
+describe('privacy policy', () => {
+  // Admins see everything; members always see themselves
+  it('exempts admins and the member themselves', () => {
+    expect(privacyPolicy(SETTINGS, { user: 'carl', admin: true })).toBeNull();
+    const own = privacyPolicy(SETTINGS, { user: 'Anna' });
+    expect(privacyOf(own, 'Anna')).toBe(DEFAULT_PRIVACY);
+    expect(hiddenMemberCount(own)).toBe(0);
+    expect(applyLeaderboardPrivacy(ROWS, null)).toBe(ROWS);
+  });
+
+  // Hidden members are skipped, anonymous ones lose their name, and the board stays full
+  it('applies leaderboard visibility', () => {
+    const policy = privacyPolicy(SETTINGS, { user: null });
+    expect(hiddenMemberCount(policy)).toBe(1);
+    expect(applyLeaderboardPrivacy(ROWS, policy, { limit: 3 })).toEqual([
+      { id: null, anonymous: true, count: 7 },
+      { id: 'Cleo', count: 5 },
+      { id: 'Dan', count: 3 },
+    ]);
+    expect(applyLeaderboardPrivacy([{ user: 'bob', points: 4 }], policy, { field: 'user' })).toEqual([{ user: null, anonymous: true, points: 4 }]);
+  });
+
+  // Private profiles are hidden from others only
+  it('hides private profiles', () => {
+    expect(profileHidden(privacyPolicy(SETTINGS, {}), 'Anna')).toBe(true);
+    expect(profileHidden(privacyPolicy(SETTINGS, { user: 'anna' }), 'Anna')).toBe(false);
+    expect(profileHidden(privacyPolicy(SETTINGS, {}), 'Bob')).toBe(false);
+  });
+
+  // Hidden entry times become the local day, also for a member's aliases
+  it('reduces hidden entry times to the day', () => {
+    const entries = [
+      { username: 'bobby', entryTime: '2026-10-18T22:30:00Z' },
+      { username: 'Cleo', entryTime: '2026-10-18T22:30:00Z' },
+    ];
+    const aliases = [{ alias: 'bobby', canonical: 'Bob' }];
+    const [bob, cleo] = applyEntryPrivacy(entries, privacyPolicy(SETTINGS, {}), { aliases, timeZone: 'Europe/Riga' });
+    expect(bob).toEqual({ username: 'bobby', entryTime: null, entryDay: '2026-10-19', timeHidden: true });
+    expect(cleo).toBe(entries[1]);
+    expect(applyEntryPrivacy(entries, privacyPolicy(SETTINGS, { user: 'bob' }), { aliases })).toEqual(entries);
+  });
+
+  // Aggregates, profiles and analytics of a member who hides times keep days and durations only
+  it('masks times in aggregates, profiles and analytics', () => {
+    expect(entryTimesHidden(privacyPolicy(SETTINGS, {}), 'Bob')).toBe(true);
+    expect(entryTimesHidden(privacyPolicy(SETTINGS, { user: 'bob' }), 'Bob')).toBe(false);
+    const at = '2026-10-18T22:30:00Z';
+    expect(maskAggregateTimes({ totalEntries: 2, busiestHour: { hour: 1, count: 2 }, firstEntryTime: at, lastEntryTime: at }, { timeZone: 'Europe/Riga' }))
+      .toEqual({ totalEntries: 2, busiestHour: null, firstEntryTime: null, firstEntryDay: '2026-10-19', lastEntryTime: null, lastEntryDay: '2026-10-19', timeHidden: true });
+    const profile = maskProfileTimes({ firstSeen: at, lastSeen: at, sessions: { count: 1, longest: [{ day: '2026-10-19', start: at, end: at, durationMs: 60000 }] } }, { timeZone: 'Europe/Riga' });
+    expect(profile).toMatchObject({ firstSeen: null, firstSeenDay: '2026-10-19', lastSeen: null, lastSeenDay: '2026-10-19', timeHidden: true });
+    expect(profile.sessions.longest).toEqual([{ day: '2026-10-19', start: null, end: null, durationMs: 60000 }]);
+    expect(maskAnalyticsTimes({ entriesPerDay: [{ day: '2026-10-19', count: 1 }], entriesPerHour: [{ hour: 1, count: 1 }], dauPerHour: [] }))
+      .toEqual({ entriesPerDay: [{ day: '2026-10-19', count: 1 }], entriesPerHour: [], dauPerHour: [], timeHidden: true });
+  });
+});
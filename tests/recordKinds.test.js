@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  kindOf,
+  normalizeRecordKinds,
+  recordKindSettings,
+  recordKindFilter,
+  visitKindFilter,
+  withRecordFilter,
+  parseKindParam,
+  countsByKind,
+} from '../lib/recordKinds.js';
+import { seasonDaysPipeline } from '../lib/seasonArchive.js';
+
+const DEFAULTS = normalizeRecordKinds(null).value;
+
+describe('recordType kinds', () => {
+  // TTLock codes map to kinds; unmapped codes are "other", missing ones "unknown"
+  it('maps recordType codes', () => {
+    expect(kindOf(1)).toBe('app');
+    expect(kindOf(17)).toBe('card');
+    expect(kindOf(7)).toBe('failed');
+    expect(kindOf(999)).toBe('other');
+    expect(kindOf(null)).toBe('unknown');
+  });
+
+  // RECORD_KINDS overrides merge over the defaults; invalid parts are reported and ignored
+  it('reads instance settings', () => {
+    const { value, errors } = recordKindSettings({ RECORD_KINDS: '{"kinds":{"28":"app","x":"card","5":"nope"},"visitKinds":["app","card"]}' });
+    expect(kindOf(28, value)).toBe('app');
+    expect(value.visitKinds).toEqual(['app', 'card']);
+    expect(errors).toEqual([expect.stringMatching(/^kinds\.5 must be one of/), 'kinds.x: recordType must be a non-negative integer']);
+    expect(recordKindSettings({ RECORD_KINDS: '{' })).toEqual({ value: DEFAULTS, errors: ['RECORD_KINDS is not valid JSON'] });
+    expect(normalizeRecordKinds({ visitKinds: [] }).errors).toHaveLength(1);
+  });
+});
+
+describe('kind filters', () => {
+  // Filters are one recordType condition; "unknown" also matches entries without a recordType
+  it('builds recordType filters', () => {
+    expect(recordKindFilter(['failed']).recordType.$in).toEqual([7, 11, 12, 13, 22, 25, 38, 39, 40, 41]);
+    expect(recordKindFilter(['app', 'unknown']).recordType.$in).toEqual([1, null]);
+    const other = recordKindFilter(['other']).recordType.$nin;
+    expect(other).toContain(1);
+    expect(other).toContain(null);
+    expect(visitKindFilter(DEFAULTS).recordType.$in).toEqual(expect.arrayContaining([1, 4, 17, 20, 27, null]));
+    expect(visitKindFilter(DEFAULTS).recordType.$in).not.toContain(28);
+    expect(visitKindFilter({ ...DEFAULTS, visitKinds: normalizeRecordKinds(null).value.visitKinds.concat(['remote', 'failed', 'admin', 'lock', 'other']) })).toBeNull();
+  });
+
+  // A ?kind= filter and the visit filter on the same match are both kept
+  it('combines with existing matches', () => {
+    const visits = visitKindFilter(DEFAULTS);
+    expect(withRecordFilter({ lockId: 'L1' }, null)).toEqual({ lockId: 'L1' });
+    expect(withRecordFilter({ lockId: 'L1' }, visits)).toEqual({ lockId: 'L1', ...visits });
+    const kinds = recordKindFilter(['card']);
+    expect(withRecordFilter({ lockId: 'L1', ...kinds }, visits)).toEqual({ lockId: 'L1', ...kinds, $and: [visits] });
+    expect(seasonDaysPipeline({ startAt: '2025-01-01', endAt: '2025-03-31' }, { kindFilter: visits })[0].$match.recordType).toEqual(visits.recordType);
+  });
+
+  // Unknown kinds in the query are dropped
+  it('parses the kind parameter', () => {
+    expect(parseKindParam('app, card,app,bogus')).toEqual(['app', 'card']);
+    expect(parseKindParam(null)).toEqual([]);
+  });
+
+  // recordType counts fold into kinds, most used first
+  it('counts entries by kind', () => {
+    expect(countsByKind([{ _id: 1, count: 3 }, { _id: 7, count: 4 }, { _id: 11, count: 1 }, { _id: null, count: 3 }])).toEqual([
+      { kind: 'failed', count: 5 },
+      { kind: 'app', count: 3 },
+      { kind: 'unknown', count: 3 },
+    ]);
+  });
+});
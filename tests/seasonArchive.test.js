@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { composeSeasonArchive, closeSeason, seasonSnapshotPipeline, seasonDaysPipeline } from '../lib/seasonArchive.js';
+
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+// Per-user day summaries as produced by seasonDaysPipeline(): anna 12 days, bob 9, cid 9, dan 2
+const dayRow = (user, i) => {
+  const day = `2026-01-${String(i + 1).padStart(2, '0')}`;
+  const at = new Date(`${day}T10:00:00Z`);
+  return { user, day, lockId: '19228015', first: at, last: at, count: 1, hours: [10] };
+};
+const DAYS = [
+  ...Array.from({ length: 12 }, (_, i) => dayRow('anna', i)),
+  ...Array.from({ length: 9 }, (_, i) => dayRow('bob', i)),
+  ...Array.from({ length: 9 }, (_, i) => dayRow('cid', i)),
+  ...Array.from({ length: 2 }, (_, i) => dayRow('dan', i)),
+];
+// Snapshot facet as produced by seasonSnapshotPipeline()
+const FACET = {
+  streaks: [{ _id: 'bob', count: 5, finalRun: 1 }, { _id: 'anna', count: 4, finalRun: 4 }, { _id: 'cid', count: 2, finalRun: 2 }, { _id: 'dan', count: 1, finalRun: 1 }],
+  topEarlyBirds: [{ _id: 'cid', count: 3 }],
+  topNightOwls: [],
+};
+const SEASON = { key: '2026Q1', name: 'Q1 2026', startAt: new Date('2026-01-01T00:00:00Z'), endAt: new Date('2026-03-31T23:59:59Z'), scoring: { mode: 'distinct_days' } };
+
+// In-memory stores backing the mocked models
+const seasons = new Map();
+const archives = new Map();
+let aggregateCalls = 0;
+const query = (result) => {
+  const q = { sort: () => q, limit: () => q, lean: () => q, then: (res, rej) => Promise.resolve(result()).then(res, rej) };
+  return q;
+};
+const Entry = {
+  find: () => query(() => []),
+  aggregate: async (pipeline) => {
+    aggregateCalls += 1;
+    return pipeline.some(st => st.$facet) ? [FACET] : DAYS;
+  },
+};
+const Season = {
+  findOne: ({ key }) => query(() => seasons.get(key) || null),
+  updateOne: async ({ key }, { $set }) => { seasons.set(key, { ...seasons.get(key), ...$set }); },
+};
+const SeasonArchive = {
+  findOne: ({ seasonKey }) => query(() => archives.get(seasonKey) || null),
+  find: () => query(() => Array.from(archives.values()).sort((a, b) => b.startAt - a.startAt)),
+  replaceOne: async ({ seasonKey }, doc) => { archives.set(seasonKey, { ...doc }); },
+};
+// Empty registry: the seed locks apply; no anomaly flags, merged usernames or privacy settings
+const Lock = { find: () => query(() => []) };
+const Flag = { find: () => query(() => []) };
+const JobCheckpoint = { findOne: () => query(() => null) };
+const UserAlias = { find: () => query(() => []) };
+const PrivacySetting = { find: () => query(() => []) };
+vi.mock('@/lib/models/Entry', () => ({ default: Entry }));
+vi.mock('@/lib/models/Lock', () => ({ default: Lock }));
+vi.mock('@/lib/models/Flag', () => ({ default: Flag }));
+vi.mock('@/lib/models/JobCheckpoint', () => ({ default: JobCheckpoint }));
+vi.mock('@/lib/models/UserAlias', () => ({ default: UserAlias }));
+vi.mock('@/lib/models/Season', () => ({ default: Season }));
+vi.mock('@/lib/models/SeasonArchive', () => ({ default: SeasonArchive }));
+vi.mock('@/lib/models/PrivacySetting', () => ({ default: PrivacySetting }));
+
+describe('composeSeasonArchive', () => {
+  // Standings are ranked in order and joined with each user's longest and final streak
+  it('builds standings, records and the podium', () => {
+    const closedAt = new Date('2026-04-01T00:00:00Z');
+    const a = composeSeasonArchive(SEASON, DAYS, FACET, { closedAt });
+    expect(a.seasonKey).toBe('2026Q1');
+    expect(a.closedAt).toBe(closedAt);
+    expect(a.standings[0]).toMatchObject({ rank: 1, user: 'anna', points: 12, longestStreakDays: 4, finalStreakDays: 4 });
+    expect(a.standings[0].breakdown.activeDays).toBe(12);
+    expect(a.standings[3].rank).toBe(4);
+    expect(a.winners).toEqual([
+      { rank: 1, user: 'anna', points: 12 },
+      { rank: 2, user: 'bob', points: 9 },
+      { rank: 3, user: 'cid', points: 9 },
+    ]);
+    expect(a.leaderboards.topUsers).toHaveLength(4);
+    expect(a.leaderboards.topEarlyBirds).toEqual([{ id: 'cid', count: 3 }]);
+    expect(a.leaderboards.topNightOwls).toEqual([]);
+    expect(a.leaderboards.topLongestStreaks[0]).toEqual({ id: 'bob', count: 5 });
+  });
+
+  // An empty season still produces a valid (empty) archive
+  it('handles a season without entries', () => {
+    const a = composeSeasonArchive(SEASON, [], undefined);
+    expect(a.standings).toEqual([]);
+    expect(a.winners).toEqual([]);
+    expect(a.leaderboards.topLongestStreaks).toEqual([]);
+  });
+
+  // The snapshot only looks at entries inside the season window
+  it('matches the season window', () => {
+    for (const [match] of [seasonSnapshotPipeline(SEASON), seasonDaysPipeline(SEASON)]) {
+      expect(match.$match.entryTime.$gte).toEqual(SEASON.startAt);
+      expect(match.$match.entryTime.$lte).toEqual(SEASON.endAt);
+    }
+  });
+
+  // Standings follow the season's scoring model, not plain day counts
+  it('scores standings with the season scoring', () => {
+    const weighted = { ...SEASON, scoring: { mode: 'weighted', weeklyCap: 3 } };
+    const a = composeSeasonArchive(weighted, DAYS, FACET);
+    // 2026-01-01 is a Thursday: weeks hold 4, 7 and 1 of anna's days -> 3 + 3 + 1 counted
+    expect(a.standings[0]).toMatchObject({ user: 'anna', points: 7 });
+    expect(a.standings[0].breakdown.cappedDays).toBe(5);
+  });
+});
+
+describe('closeSeason', () => {
+  beforeEach(() => {
+    seasons.clear();
+    archives.clear();
+    aggregateCalls = 0;
+    seasons.set(SEASON.key, { ...SEASON });
+  });
+
+  // Closing twice keeps the first snapshot unless forced
+  it('is idempotent and re-snapshots only with force', async () => {
+    const now = new Date('2026-04-01T00:00:00Z');
+    const first = await closeSeason({ Entry, Season, SeasonArchive, season: SEASON, now });
+    expect(first.created).toBe(true);
+    expect(seasons.get(SEASON.key).closedAt).toEqual(now);
+
+    const again = await closeSeason({ Entry, Season, SeasonArchive, season: SEASON, now: new Date('2026-05-01T00:00:00Z') });
+    expect(again.created).toBe(false);
+    expect(again.archive.closedAt).toEqual(now);
+    expect(aggregateCalls).toBe(2);
+
+    const forced = await closeSeason({ Entry, Season, SeasonArchive, season: SEASON, now: new Date('2026-05-01T00:00:00Z'), force: true });
+    expect(forced.created).toBe(true);
+    expect(aggregateCalls).toBe(4);
+  });
+});
+
+describe('season close and hall of fame routes', () => {
+  const post = (key, { token = 'secret', force = false } = {}) => new Request(
+    `http://localhost/api/seasons/${key}/close${force ? '?force=1' : ''}`,
+    { method: 'POST', headers: token ? { authorization: `Bearer ${token}` } : {} }
+  );
+
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'secret';
+    seasons.clear();
+    archives.clear();
+    seasons.set(SEASON.key, { ...SEASON });
+    seasons.set('future', { ...SEASON, key: 'future', endAt: new Date(Date.now() + 86400000) });
+  });
+
+  // Closing requires admin, an existing season and an ended window
+  it('guards the close endpoint', async () => {
+    const { POST } = await import('../app/api/seasons/[key]/close/route.js');
+    expect((await POST(post('2026Q1', { token: null }), { params: Promise.resolve({ key: '2026Q1' }) })).status).toBe(401);
+    expect((await POST(post('missing'), { params: Promise.resolve({ key: 'missing' }) })).status).toBe(404);
+    expect((await POST(post('future'), { params: Promise.resolve({ key: 'future' }) })).status).toBe(409);
+  });
+
+  // A closed season shows up in the hall of fame with its podium
+  it('closes a season and lists it in the hall of fame', async () => {
+    const { POST } = await import('../app/api/seasons/[key]/close/route.js');
+    const { GET } = await import('../app/api/hall-of-fame/route.js');
+    const res = await POST(post('2026Q1'), { params: Promise.resolve({ key: '2026Q1' }) });
+    expect(res.status).toBe(201);
+    const repeat = await POST(post('2026Q1'), { params: Promise.resolve({ key: '2026Q1' }) });
+    expect(repeat.status).toBe(200);
+
+    const body = await (await GET(new Request('http://localhost/api/hall-of-fame'))).json();
+    expect(body.seasons).toHaveLength(1);
+    expect(body.seasons[0].seasonKey).toBe('2026Q1');
+    expect(body.seasons[0].winners.map(w => w.user)).toEqual(['anna', 'bob', 'cid']);
+    expect(body.seasons[0].standings).toBeUndefined();
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeScoring, scoreUserDays, scoreSeason, levelFor } from '../lib/seasonScoring.js';
+import { summarizeUserDays } from '../lib/achievements.js';
+
+// Day summaries for one user from a list of ISO timestamps on the primary lock
+const days = (...times) => summarizeUserDays(times.map(t => ({ entryTime: new Date(t), lockId: '19228015' })), 'UTC');
+
+describe('normalizeScoring', () => {
+  // Keeps valid fields and defaults a missing scoring object to distinct days
+  it('accepts valid models', () => {
+    expect(normalizeScoring(undefined)).toEqual({ value: { mode: 'distinct_days' }, errors: [] });
+    const input = {
+      mode: 'weighted', dayPoints: 2, early: { beforeHour: 7, points: 3 }, night: { fromHour: 22, points: 1 },
+      streak: { length: 5, points: 10 }, weeklyCap: 4, levels: [5, 15, 40], junk: true,
+    };
+    const { value, errors } = normalizeScoring(input);
+    expect(errors).toEqual([]);
+    expect(value).not.toHaveProperty('junk');
+    expect(value.levels).toEqual([5, 15, 40]);
+  });
+
+  // Each malformed field produces its own message
+  it('rejects malformed fields', () => {
+    const { errors } = normalizeScoring({
+      mode: 'weighted', dayPoints: -1, early: { beforeHour: 30, points: 1 }, streak: { length: 1, points: 1 },
+      weeklyCap: 9, levels: [5, 3],
+    });
+    expect(errors).toHaveLength(5);
+    expect(normalizeScoring({ mode: 'points' }).errors[0]).toMatch(/scoring.mode/);
+  });
+});
+
+describe('scoreUserDays', () => {
+  // Plain mode: one point per distinct active day, several entries a day count once
+  it('counts distinct days in distinct_days mode', () => {
+    const { points, breakdown } = scoreUserDays(days('2026-01-05T06:00:00Z', '2026-01-05T23:00:00Z', '2026-01-06T12:00:00Z'), { mode: 'distinct_days', early: { beforeHour: 8, points: 5 } });
+    expect(points).toBe(2);
+    expect(breakdown.earlyPoints).toBe(0);
+  });
+
+  // Early bonus uses the day's first entry; night bonus any entry at/after the hour
+  it('adds early and night bonuses', () => {
+    const scoring = { mode: 'weighted', dayPoints: 1, early: { beforeHour: 8, points: 2 }, night: { fromHour: 22, points: 3 } };
+    const { points, breakdown } = scoreUserDays(days(
+      '2026-01-05T06:00:00Z', // early
+      '2026-01-06T09:00:00Z', '2026-01-06T22:30:00Z', // night
+      '2026-01-07T12:00:00Z',
+    ), scoring);
+    expect(breakdown).toMatchObject({ activeDays: 3, dayPoints: 3, earlyDays: 1, earlyPoints: 2, nightDays: 1, nightPoints: 3 });
+    expect(points).toBe(8);
+  });
+
+  // Every completed block of consecutive days earns one bonus; gaps restart the count
+  it('awards streak bonuses per completed block', () => {
+    const run = (start, n) => Array.from({ length: n }, (_, i) => new Date(Date.parse(start) + i * 86400000).toISOString());
+    const scoring = { mode: 'weighted', streak: { length: 3, points: 10 } };
+    const { breakdown } = scoreUserDays(days(...run('2026-01-01T12:00:00Z', 7), ...run('2026-01-10T12:00:00Z', 2)), scoring);
+    expect(breakdown.streakBonuses).toBe(2);
+    expect(breakdown.total).toBe(9 + 20);
+  });
+
+  // Days past the weekly cap (ISO weeks, Monday start) earn nothing
+  it('applies the weekly cap', () => {
+    // Mon..Sun of one week plus the following Monday
+    const week = Array.from({ length: 8 }, (_, i) => `2026-01-${String(5 + i).padStart(2, '0')}T12:00:00Z`);
+    const { breakdown } = scoreUserDays(days(...week), { mode: 'weighted', weeklyCap: 2, dayPoints: 1 });
+    expect(breakdown).toMatchObject({ activeDays: 8, countedDays: 3, cappedDays: 5, total: 3 });
+  });
+
+  // Day summaries split by lock collapse into one local day
+  it('merges the same day across locks', () => {
+    const rows = [
+      { day: '2026-01-05', lockId: 'A', first: new Date('2026-01-05T09:00:00Z'), hours: [9] },
+      { day: '2026-01-05', lockId: 'B', first: new Date('2026-01-05T07:00:00Z'), hours: [7] },
+    ];
+    const { breakdown } = scoreUserDays(rows, { mode: 'weighted', early: { beforeHour: 8, points: 1 } });
+    expect(breakdown).toMatchObject({ activeDays: 1, earlyDays: 1, total: 2 });
+  });
+});
+
+describe('scoreSeason / levelFor', () => {
+  // Ranked by points desc with the username as tie-break
+  it('ranks users', () => {
+    const rows = [
+      ...days('2026-01-05T12:00:00Z').map(d => ({ ...d, user: 'zed' })),
+      ...days('2026-01-05T06:00:00Z').map(d => ({ ...d, user: 'bob' })),
+      ...days('2026-01-05T12:00:00Z').map(d => ({ ...d, user: 'amy' })),
+    ];
+    const standings = scoreSeason(rows, { mode: 'weighted', early: { beforeHour: 8, points: 1 } });
+    expect(standings.map(s => [s.rank, s.user, s.points])).toEqual([[1, 'bob', 2], [2, 'amy', 1], [3, 'zed', 1]]);
+  });
+
+  // Custom ladders replace the default 1/5/10/20/30 thresholds
+  it('resolves levels on a ladder', () => {
+    expect(levelFor(0)).toEqual({ level: 0, nextLevelAt: 1 });
+    expect(levelFor(12)).toEqual({ level: 3, nextLevelAt: 20 });
+    expect(levelFor(99)).toEqual({ level: 5, nextLevelAt: null });
+    expect(levelFor(50, [10, 100])).toEqual({ level: 1, nextLevelAt: 100 });
+  });
+});
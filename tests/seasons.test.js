@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { defaultSeasons, normalizeSeason, findOverlappingSeason, resolveSeason } from '../lib/seasons.js';
+
+vi.mock('next/server', () => ({
+  NextResponse: {
+    json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200, headers: init.headers }),
+  },
+}));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true, remaining: 1, resetSec: 1 }),
+  getRateLimitConfig: () => ({ capacity: 60, refillPerSec: 1 }),
+}));
+
+// In-memory Season model backing the route handlers
+const store = new Map();
+function lean(result) {
+  const q = { sort: () => q, lean: () => q, then: (res, rej) => Promise.resolve(result()).then(res, rej) };
+  return q;
+}
+vi.mock('@/lib/models/Season', () => ({
+  default: {
+    find: (filter = {}) => lean(() => Array.from(store.values())
+      .filter(s => (filter.active === undefined || s.active === filter.active) && (!filter.key || s.key !== filter.key.$ne))
+      .sort((a, b) => b.startAt - a.startAt)),
+    findOne: ({ key }) => lean(() => store.get(key) || null),
+    create: async (doc) => { store.set(doc.key, { ...doc }); return { ...doc }; },
+    updateOne: async ({ key }, { $set }) => { store.set(key, { ...store.get(key), ...$set }); },
+    deleteOne: async ({ key }) => { store.delete(key); },
+  },
+}));
+
+const Q1 = { key: '2026Q1', name: 'Q1 2026', startAt: '2026-01-01T00:00:00Z', endAt: '2026-03-31T23:59:59Z' };
+const Q2 = { key: '2026Q2', name: 'Q2 2026', startAt: '2026-04-01T00:00:00Z', endAt: '2026-06-30T23:59:59Z' };
+
+describe('normalizeSeason', () => {
+  // Accepts a complete season and fills defaults for scoring/active
+  it('accepts a valid season', () => {
+    const { value, errors } = normalizeSeason(Q1);
+    expect(errors).toEqual([]);
+    expect(value.startAt).toBeInstanceOf(Date);
+    expect(value.scoring).toEqual({ mode: 'distinct_days' });
+    expect(value.active).toBe(true);
+  });
+
+  // Rejects a window whose start is not before its end, and missing fields
+  it('requires start before end and mandatory fields', () => {
+    expect(normalizeSeason({ ...Q1, endAt: Q1.startAt }).errors).toContain('startAt must be before endAt');
+    const { errors } = normalizeSeason({ key: 'bad key!', startAt: 'nope' });
+    expect(errors).toEqual(expect.arrayContaining(['name is required', 'startAt must be a valid date', 'endAt must be a valid date']));
+    expect(errors.some(e => e.startsWith('key must be'))).toBe(true);
+  });
+
+  // Bodies that are not objects (e.g. JSON null) are validation errors, not crashes
+  it('rejects non-object bodies', () => {
+    for (const body of [null, 'Q1', 42, []]) {
+      expect(normalizeSeason(body)).toEqual({ value: null, errors: ['season must be an object'] });
+    }
+    expect(normalizeSeason(null, normalizeSeason(Q1).value).errors).toEqual(['season must be an object']);
+  });
+
+  // PATCH semantics: merge onto the current document and keep the key immutable
+  it('merges patches and forbids key changes', () => {
+    const current = normalizeSeason(Q1).value;
+    expect(normalizeSeason({ name: 'Winter' }, current).value.name).toBe('Winter');
+    expect(normalizeSeason({ key: 'other' }, current).errors).toContain('key cannot be changed');
+    expect(normalizeSeason({ scoring: { mode: 'points' } }, current).errors[0]).toMatch(/scoring.mode/);
+  });
+
+  // Closed seasons keep their window and scoring; the name and visibility can still change
+  it('freezes the window of a closed season', () => {
+    const closed = { ...normalizeSeason(Q1).value, closedAt: new Date('2026-04-01T00:00:00Z') };
+    expect(normalizeSeason({ endAt: '2026-04-15T00:00:00Z' }, closed).errors).toContain('window and scoring of a closed season are frozen');
+    expect(normalizeSeason({ name: 'Winter', active: false }, closed).errors).toEqual([]);
+  });
+});
+
+describe('defaultSeasons', () => {
+  // The seed windows run from local midnight to local midnight of the instance zone
+  it('uses local quarter boundaries', () => {
+    expect(defaultSeasons('Europe/Riga').map(s => [s.startAt.toISOString(), s.endAt.toISOString()])).toEqual([
+      ['2025-09-30T21:00:00.000Z', '2025-12-31T21:59:59.999Z'],
+      ['2025-06-30T21:00:00.000Z', '2025-09-30T20:59:59.999Z'],
+    ]);
+    expect(defaultSeasons('UTC')[0].startAt.toISOString()).toBe('2025-10-01T00:00:00.000Z');
+  });
+});
+
+describe('findOverlappingSeason / resolveSeason', () => {
+  // Inclusive windows that share any instant overlap; adjacent windows do not
+  it('detects overlapping windows', () => {
+    const q1 = normalizeSeason(Q1).value;
+    const q2 = normalizeSeason(Q2).value;
+    expect(findOverlappingSeason(q2, [q1])).toBeNull();
+    const clash = { ...q2, key: 'clash', startAt: new Date('2026-03-31T00:00:00Z') };
+    expect(findOverlappingSeason(clash, [q1])?.key).toBe('2026Q1');
+    // A season never overlaps itself (PATCH)
+    expect(findOverlappingSeason(q1, [q1])).toBeNull();
+  });
+
+  // Keys are matched case-insensitively
+  it('resolves keys case-insensitively', () => {
+    expect(resolveSeason('2026q1', [Q1, Q2])?.key).toBe('2026Q1');
+    expect(resolveSeason('', [Q1])).toBeNull();
+    expect(resolveSeason('missing', [Q1])).toBeNull();
+  });
+});
+
+describe('/api/seasons routes', () => {
+  const admin = { authorization: 'Bearer secret' };
+  const req = (url, method = 'GET', body, headers = {}) => new Request(`http://test${url}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  const params = (key) => ({ params: Promise.resolve({ key }) });
+
+  beforeEach(() => {
+    store.clear();
+    process.env.ADMIN_TOKEN = 'secret';
+  });
+
+  // Writes require the admin bearer token
+  it('rejects unauthenticated writes', async () => {
+    const { POST } = await import('../app/api/seasons/route.js');
+    const res = await POST(req('/api/seasons', 'POST', Q1));
+    expect(res.status).toBe(401);
+    expect(res.headers.get('X-Request-ID')).toBeTruthy();
+  });
+
+  // Full lifecycle: create, reject overlap, list, patch, delete
+  it('supports create, list, update and delete with validation', async () => {
+    const { GET, POST } = await import('../app/api/seasons/route.js');
+    const one = await import('../app/api/seasons/[key]/route.js');
+
+    expect((await POST(req('/api/seasons', 'POST', Q1, admin))).status).toBe(201);
+    expect((await POST(req('/api/seasons', 'POST', Q1, admin))).status).toBe(409);
+    const overlapping = await POST(req('/api/seasons', 'POST', { ...Q2, startAt: '2026-03-15T00:00:00Z' }, admin));
+    expect(overlapping.status).toBe(409);
+    const invalid = await POST(req('/api/seasons', 'POST', { ...Q2, endAt: '2026-01-01T00:00:00Z' }, admin));
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).details).toContain('startAt must be before endAt');
+    expect((await POST(req('/api/seasons', 'POST', { ...Q2, active: false }, admin))).status).toBe(201);
+
+    // Public listing hides inactive seasons; admins see all
+    expect((await (await GET(req('/api/seasons'))).json()).seasons.map(s => s.key)).toEqual(['2026Q1']);
+    expect((await (await GET(req('/api/seasons', 'GET', null, admin))).json()).seasons.map(s => s.key)).toEqual(['2026Q2', '2026Q1']);
+
+    const patched = await one.PATCH(req('/api/seasons/2026Q2', 'PATCH', { active: true, name: 'Spring' }, admin), params('2026Q2'));
+    expect(patched.status).toBe(200);
+    expect((await patched.json()).season).toMatchObject({ key: '2026Q2', name: 'Spring', active: true });
+    const clash = await one.PATCH(req('/api/seasons/2026Q2', 'PATCH', { startAt: '2026-02-01T00:00:00Z' }, admin), params('2026Q2'));
+    expect(clash.status).toBe(409);
+
+    expect((await one.DELETE(req('/api/seasons/2026Q1', 'DELETE', null, admin), params('2026Q1'))).status).toBe(200);
+    expect((await one.GET(req('/api/seasons/2026Q1'), params('2026Q1'))).status).toBe(404);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SESSION_RULES,
+  normalizeSessionRules,
+  sessionRules,
+  buildSessions,
+  sessionsFromDays,
+  summarizeSessions,
+  topTimeSpent,
+} from '../lib/sessions.js';
+
+const GYM = '19228015';
+const DRESSING = '21920074';
+const VISIT = { visitLockIds: [GYM] };
+const MIN = 60 * 1000;
+const tap = (iso, l) => ({ t: new Date(iso), l });
+
+describe('session rules', () => {
+  // Query or env values may be strings; out-of-range values are reported and the defaults kept
+  it('validates overrides', () => {
+    expect(normalizeSessionRules({ maxGapMinutes: '90', openEndMinutes: -1 })).toEqual({
+      value: { ...DEFAULT_SESSION_RULES, maxGapMinutes: 90 },
+      errors: ['openEndMinutes must be an integer from 0 to 240'],
+    });
+    expect(sessionRules({ SESSION_MAX_MINUTES: 'x' }).errors).toEqual(['SESSION_MAX_MINUTES must be an integer from 15 to 1440']);
+  });
+});
+
+describe('buildSessions', () => {
+  // Dressing room in, gym, dressing room out: one visit from the first to the last tap
+  it('pairs taps into a closed session', () => {
+    const [s] = buildSessions([
+      tap('2025-03-01T17:00:00Z', DRESSING),
+      tap('2025-03-01T17:05:00Z', GYM),
+      tap('2025-03-01T18:20:00Z', DRESSING),
+    ], VISIT);
+    expect(s).toMatchObject({ durationMs: 80 * MIN, taps: 3, lockIds: [DRESSING, GYM], openEnd: false });
+  });
+
+  // A long gap splits visits; without an exit tap the end is estimated; dressing-room-only visits are dropped
+  it('splits on gaps and estimates open ends', () => {
+    const sessions = buildSessions([
+      tap('2025-03-01T07:00:00Z', GYM),
+      tap('2025-03-01T12:00:00Z', DRESSING),
+      tap('2025-03-01T18:00:00Z', DRESSING),
+      tap('2025-03-01T18:10:00Z', GYM),
+    ], VISIT);
+    expect(sessions.map(s => [s.start.toISOString(), s.durationMs / MIN, s.openEnd])).toEqual([
+      ['2025-03-01T07:00:00.000Z', 45, true],
+      ['2025-03-01T18:00:00.000Z', 55, true],
+    ]);
+  });
+
+  // Sessions never exceed maxSessionMinutes
+  it('caps long sessions', () => {
+    const taps = [0, 100, 200, 300, 400].map(m => tap(new Date(Date.parse('2025-03-01T06:00:00Z') + m * MIN), GYM));
+    expect(buildSessions(taps, VISIT)[0].durationMs).toBe(360 * MIN);
+  });
+});
+
+describe('session stats', () => {
+  const rows = [
+    { _id: { u: 'anna', d: '2025-02-27' }, taps: [tap('2025-02-27T17:00:00Z', GYM), tap('2025-02-27T19:00:00Z', DRESSING)] },
+    { _id: { u: 'anna', d: '2025-03-01' }, taps: [tap('2025-03-01T17:00:00Z', GYM), tap('2025-03-01T17:30:00Z', DRESSING)] },
+    { _id: { u: 'bob', d: '2025-03-01' }, taps: [tap('2025-03-01T08:00:00Z', GYM)] },
+  ];
+
+  // Average, longest and this month's time per user; the leaderboard ranks total time
+  it('summarizes and ranks time spent', () => {
+    const sessions = sessionsFromDays(rows, VISIT);
+    const anna = summarizeSessions(sessions.filter(s => s.user === 'anna'), { now: new Date('2025-03-02T00:00:00Z') });
+    expect(anna).toMatchObject({ count: 2, totalMs: 150 * MIN, averageMs: 75 * MIN, thisMonthMs: 30 * MIN });
+    expect(anna.longest.map(s => s.day)).toEqual(['2025-02-27', '2025-03-01']);
+    expect(summarizeSessions([]).averageMs).toBeNull();
+    expect(topTimeSpent(sessions, { limit: 1 })).toEqual([{ id: 'anna', durationMs: 150 * MIN, sessions: 2 }]);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { computeStreaks, streakReduce, streakStages, entryStreakStages, rollupStreakStages } from '../lib/streaks.js';
+import { longestStreakStages } from '../lib/leaderboards.js';
+import { zonedDayHour } from '../lib/timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const keysOf = (instants, timeZone) => instants.map(i => zonedDayHour(new Date(i), timeZone).day);
+
+// Three visits on consecutive local days around each DST switch; gaps between them are 23h or 25h
+const DST_CASES = [
+  {
+    name: 'Riga spring forward (23h day)',
+    timeZone: 'Europe/Riga',
+    instants: ['2025-03-29T10:00:00Z', '2025-03-30T09:00:00Z', '2025-03-31T09:00:00Z'],
+    start: '2025-03-29', end: '2025-03-31',
+  },
+  {
+    name: 'Riga fall back (25h day)',
+    timeZone: 'Europe/Riga',
+    instants: ['2025-10-25T09:00:00Z', '2025-10-26T10:00:00Z', '2025-10-27T10:00:00Z'],
+    start: '2025-10-25', end: '2025-10-27',
+  },
+  {
+    name: 'New York spring forward, late-evening visits',
+    timeZone: 'America/New_York',
+    instants: ['2025-03-09T04:30:00Z', '2025-03-10T03:30:00Z', '2025-03-11T03:30:00Z'],
+    start: '2025-03-08', end: '2025-03-10',
+  },
+  {
+    name: 'New York fall back',
+    timeZone: 'America/New_York',
+    instants: ['2025-11-01T12:00:00Z', '2025-11-02T13:00:00Z', '2025-11-03T13:00:00Z'],
+    start: '2025-11-01', end: '2025-11-03',
+  },
+  {
+    name: 'Riga just after local midnight (previous UTC date)',
+    timeZone: 'Europe/Riga',
+    instants: ['2025-03-28T22:30:00Z', '2025-03-29T22:30:00Z', '2025-03-30T21:30:00Z'],
+    start: '2025-03-29', end: '2025-03-31',
+  },
+];
+
+describe('computeStreaks across DST transitions', () => {
+  for (const c of DST_CASES) {
+    // Local day keys keep the run intact even though the instants are not 24h apart
+    it(c.name, () => {
+      const gaps = c.instants.slice(1).map((t, i) => Date.parse(t) - Date.parse(c.instants[i]));
+      expect(gaps.some(g => g !== DAY_MS)).toBe(true);
+      const s = computeStreaks(keysOf(c.instants, c.timeZone), { today: c.end });
+      expect(s).toMatchObject({ longest: 3, longestStart: c.start, longestEnd: c.end, current: 3, currentStart: c.start, currentEnd: c.end });
+    });
+  }
+});
+
+describe('computeStreaks', () => {
+  const TABLE = [
+    { name: 'no days', days: [], today: '2025-01-10', want: { longest: 0, longestStart: null, longestEnd: null, current: 0, currentStart: null, currentEnd: null, finalRun: 0 } },
+    { name: 'single day today', days: ['2025-01-10'], today: '2025-01-10', want: { longest: 1, current: 1, currentStart: '2025-01-10', currentEnd: '2025-01-10' } },
+    { name: 'unsorted with duplicates', days: ['2025-01-03', '2025-01-01', '2025-01-02', '2025-01-02'], today: '2025-01-03', want: { longest: 3, longestStart: '2025-01-01', longestEnd: '2025-01-03', current: 3 } },
+    { name: 'gap breaks the run', days: ['2025-01-01', '2025-01-02', '2025-01-04'], today: '2025-01-04', want: { longest: 2, longestEnd: '2025-01-02', current: 1, currentStart: '2025-01-04', finalRun: 1 } },
+    { name: 'earliest run wins ties', days: ['2025-01-01', '2025-01-02', '2025-01-05', '2025-01-06'], today: '2025-01-06', want: { longest: 2, longestStart: '2025-01-01', longestEnd: '2025-01-02', current: 2, currentStart: '2025-01-05' } },
+    { name: 'run ending yesterday is still current', days: ['2025-01-08', '2025-01-09'], today: '2025-01-10', want: { current: 2, currentEnd: '2025-01-09' } },
+    { name: 'run ending two days ago is over', days: ['2025-01-07', '2025-01-08'], today: '2025-01-10', want: { longest: 2, current: 0, currentStart: null, currentEnd: null, finalRun: 2 } },
+    { name: 'days after today are not current', days: ['2025-01-11'], today: '2025-01-10', want: { current: 0, finalRun: 1 } },
+    { name: 'month and year boundaries', days: ['2024-12-30', '2024-12-31', '2025-01-01', '2025-02-28', '2025-03-01'], today: '2025-03-01', want: { longest: 3, longestStart: '2024-12-30', longestEnd: '2025-01-01', current: 2, currentStart: '2025-02-28' } },
+    { name: 'leap day', days: ['2024-02-28', '2024-02-29', '2024-03-01'], today: '2024-03-01', want: { longest: 3, current: 3 } },
+  ];
+  for (const c of TABLE) {
+    // Longest, current (anchored to today) and start/end keys for one input list
+    it(c.name, () => {
+      expect(computeStreaks(c.days, { today: c.today })).toMatchObject(c.want);
+    });
+  }
+});
+
+describe('streak stages', () => {
+  // Day keys are read as UTC midnights, so steps between days are always exactly 24h
+  it('pushes day keys as UTC dates and reduces them in order', () => {
+    const stages = streakStages({ today: '2025-01-10' });
+    expect(stages[0]).toEqual({ $sort: { '_id.u': 1, '_id.d': 1 } });
+    expect(stages[1].$group.days).toEqual({ $push: { $dateFromString: { dateString: '$_id.d', timezone: 'UTC' } } });
+    expect(stages[2]).toEqual({ $project: { run: streakReduce('$days') } });
+    expect(streakReduce('$days').$reduce.in.$let.vars.next.$and[1]).toEqual({ $eq: [{ $subtract: ['$$this', '$$value.last'] }, DAY_MS] });
+  });
+
+  // The current run is live when its last day is today or yesterday
+  it('anchors the current streak to today', () => {
+    const live = streakStages({ today: '2025-01-10' })[3].$project.current.$cond[0];
+    expect(live).toEqual({ $and: [
+      { $gte: ['$run.last', new Date('2025-01-09T00:00:00Z')] },
+      { $lte: ['$run.last', new Date('2025-01-10T00:00:00Z')] },
+    ] });
+  });
+
+  // Every output field of the pure version is projected by the pipeline too
+  it('projects the same fields as computeStreaks', () => {
+    const fields = Object.keys(streakStages()[3].$project).filter(k => k !== 'count').sort();
+    expect(fields).toEqual(Object.keys(computeStreaks([])).sort());
+  });
+
+  // Entries use local day keys of entryTime; the rollup uses its stored day key
+  it('builds day keys per source', () => {
+    expect(entryStreakStages({ timeZone: 'Europe/Riga' })[0]).toEqual({
+      $group: { _id: { u: '$username', d: { $dateToString: { format: '%Y-%m-%d', date: '$entryTime', timezone: 'Europe/Riga' } } } },
+    });
+    expect(rollupStreakStages()[0]).toEqual({ $group: { _id: { u: '$user', d: '$day' } } });
+  });
+
+  // Leaderboard builders rank by the longest streak
+  it('is used by the leaderboard streak builder', () => {
+    const stages = longestStreakStages({ timeZone: 'UTC', limit: 5, today: '2025-01-10' });
+    expect(stages.slice(0, 5)).toEqual(entryStreakStages({ timeZone: 'UTC', today: '2025-01-10' }));
+    expect(stages.slice(-2)).toEqual([{ $sort: { count: -1, _id: 1 } }, { $limit: 5 }]);
+  });
+});
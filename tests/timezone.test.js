@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  isValidTimeZone,
+  appTimeZone,
+  resolveTimeZone,
+  zonedDayHour,
+  addDays,
+  startOfZonedDay,
+  zonedDayRange,
+  zonedMonthRange,
+  wholeLocalDays,
+} from '../lib/timezone.js';
+import { rangeForPeriod, parseDayKey } from '../lib/resources/context.js';
+import { summarizeUserDays } from '../lib/achievements.js';
+import { computeStreaks } from '../lib/streaks.js';
+import { formatLocalYMD } from '../lib/utils.js';
+
+// Captures queries and pipelines sent by the resource endpoints
+const captured = vi.hoisted(() => ({ find: [], aggregate: [] }));
+
+vi.mock('mongoose', () => {
+  const query = (r) => { const q = { sort: () => q, skip: () => q, limit: () => q, lean: () => q, then: (a, b) => Promise.resolve(r).then(a, b) }; return q; };
+  const makeModel = () => ({
+    find: (filter) => { captured.find.push(filter); return query([]); },
+    findOne: () => query(null),
+    countDocuments: () => Promise.resolve(0),
+    distinct: () => Promise.resolve([]),
+    aggregate: (p) => { captured.aggregate.push(p); return Promise.resolve([{}]); },
+    updateOne: () => Promise.resolve({}),
+    collection: { collectionName: 'test' },
+  });
+  const models = {};
+  const model = (name) => (models[name] = models[name] || makeModel());
+  function Schema() {}
+  Schema.prototype.index = function () {};
+  Schema.Types = { Mixed: Object, ObjectId: String };
+  return { default: { models, model, Schema }, models, model, Schema };
+});
+vi.mock('next/server', () => ({ NextResponse: { json: (obj, init = {}) => new Response(JSON.stringify(obj), { status: init.status ?? 200 }) } }));
+vi.mock('@/lib/mongodb', () => ({ connectToDatabase: vi.fn().mockResolvedValue(undefined) }));
+vi.mock('@/lib/logger', () => ({
+  createLogger: () => ({ info(){}, warn(){}, error(){}, debug(){} }),
+  getRequestIdFromHeaders: () => undefined,
+  timed: async (_logger, _name, fn) => await fn(),
+}));
+vi.mock('@/lib/rateLimit', () => ({
+  rateLimitKeyFromRequest: () => 'test:ip',
+  rateLimitConsume: () => ({ ok: true }),
+  getRateLimitConfig: () => ({}),
+}));
+
+const HOUR = 60 * 60 * 1000;
+const ZONES = ['UTC', 'Europe/Riga', 'America/New_York', 'Asia/Tokyo'];
+
+// One dataset, bucketed in every zone below
+const DATASET = [
+  { username: 'anna', lockId: '19228015', entryTime: new Date('2025-03-29T05:30:00Z') },
+  { username: 'anna', lockId: '19228015', entryTime: new Date('2025-03-29T23:30:00Z') },
+  { username: 'anna', lockId: '19228015', entryTime: new Date('2025-03-30T21:15:00Z') },
+  { username: 'anna', lockId: '19228015', entryTime: new Date('2025-03-31T13:00:00Z') },
+];
+
+// Expected local days, hours and streaks of DATASET per zone
+const EXPECTED = {
+  'UTC': { days: ['2025-03-29', '2025-03-29', '2025-03-30', '2025-03-31'], hours: [5, 23, 21, 13], longest: 3, earlyDays: 1 },
+  'Europe/Riga': { days: ['2025-03-29', '2025-03-30', '2025-03-31', '2025-03-31'], hours: [7, 1, 0, 16], longest: 3, earlyDays: 3 },
+  'America/New_York': { days: ['2025-03-29', '2025-03-29', '2025-03-30', '2025-03-31'], hours: [1, 19, 17, 9], longest: 3, earlyDays: 1 },
+  'Asia/Tokyo': { days: ['2025-03-29', '2025-03-30', '2025-03-31', '2025-03-31'], hours: [14, 8, 6, 22], longest: 3, earlyDays: 1 },
+};
+
+describe('time zone resolution', () => {
+  // APP_TIMEZONE wins when valid; otherwise the server zone is used
+  it('reads APP_TIMEZONE', () => {
+    expect(appTimeZone({ APP_TIMEZONE: 'Europe/Riga' })).toBe('Europe/Riga');
+    expect(appTimeZone({ APP_TIMEZONE: 'Mars/Olympus' })).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+  });
+
+  // A valid tz query value overrides the instance zone; invalid ones are ignored
+  it('resolves the per-request zone', () => {
+    const env = { APP_TIMEZONE: 'Europe/Riga' };
+    expect(resolveTimeZone('Asia/Tokyo', env)).toBe('Asia/Tokyo');
+    expect(resolveTimeZone('nope', env)).toBe('Europe/Riga');
+    expect(resolveTimeZone('', env)).toBe('Europe/Riga');
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+});
+
+describe('zonedDayHour', () => {
+  // Converts an instant to the local day/hour of the requested zone
+  it('uses the requested time zone', () => {
+    const d = new Date('2025-01-01T22:30:00Z');
+    expect(zonedDayHour(d, 'UTC')).toEqual({ day: '2025-01-01', hour: 22 });
+    expect(zonedDayHour(d, 'Europe/Riga')).toEqual({ day: '2025-01-02', hour: 0 });
+  });
+});
+
+describe('zoned calendar helpers', () => {
+  // Local midnights, including the short and long days around DST
+  it.each([
+    ['UTC', '2025-03-30', '2025-03-30T00:00:00.000Z', 24],
+    ['Europe/Riga', '2025-03-30', '2025-03-29T22:00:00.000Z', 23],
+    ['Europe/Riga', '2025-10-26', '2025-10-25T21:00:00.000Z', 25],
+    ['America/New_York', '2025-03-09', '2025-03-09T05:00:00.000Z', 23],
+    ['America/New_York', '2025-11-02', '2025-11-02T04:00:00.000Z', 25],
+    ['Asia/Tokyo', '2025-03-30', '2025-03-29T15:00:00.000Z', 24],
+  ])('%s %s starts at %s and lasts %ih', (tz, day, start, hours) => {
+    expect(startOfZonedDay(day, tz).toISOString()).toBe(start);
+    const { start: s, end } = zonedDayRange(day, tz);
+    expect(end.getTime() + 1 - s.getTime()).toBe(hours * HOUR);
+  });
+
+  // Month ranges run from the first local midnight to the last millisecond of the month
+  it('builds month ranges', () => {
+    const { start, end } = zonedMonthRange('2025-12-15', 'Asia/Tokyo');
+    expect(start.toISOString()).toBe('2025-11-30T15:00:00.000Z');
+    expect(end.toISOString()).toBe('2025-12-31T14:59:59.999Z');
+    expect(addDays('2025-12-31', 1)).toBe('2026-01-01');
+  });
+
+  // Ranges on local midnights map to day keys; ranges cutting into a day do not
+  it('finds whole local days', () => {
+    const { start, end } = zonedMonthRange('2025-10-01', 'Europe/Riga');
+    expect(wholeLocalDays(start, end, 'Europe/Riga')).toEqual({ from: '2025-10-01', to: '2025-10-31' });
+    expect(wholeLocalDays(start, new Date(end.getTime() - 999), 'Europe/Riga')).toEqual({ from: '2025-10-01', to: '2025-10-31' });
+    expect(wholeLocalDays(start, end, 'UTC')).toBeNull();
+    expect(wholeLocalDays('2025-10-01T00:00:00Z', '2025-10-01T12:00:00Z', 'UTC')).toBeNull();
+  });
+
+  // formatLocalYMD formats in the given zone when one is passed
+  it('formats day keys in a zone', () => {
+    const at = new Date('2025-03-29T23:30:00Z');
+    expect(formatLocalYMD(at, 'UTC')).toBe('2025-03-29');
+    expect(formatLocalYMD(at, 'Europe/Riga')).toBe('2025-03-30');
+    expect(formatLocalYMD(at, 'America/New_York')).toBe('2025-03-29');
+  });
+});
+
+describe('the same dataset in several zones', () => {
+  const NOW = new Date('2025-03-31T14:00:00Z');
+
+  for (const tz of ZONES) {
+    // Day keys, hour buckets and streaks follow the zone
+    it(`buckets entries in ${tz}`, () => {
+      const want = EXPECTED[tz];
+      const days = summarizeUserDays(DATASET, tz);
+      expect(days.map(d => d.day)).toEqual(Array.from(new Set(want.days)));
+      expect(days.flatMap(d => d.hours)).toEqual(want.hours);
+      expect(days.filter(d => Math.min(...d.hours) < 8).length).toBe(want.earlyDays);
+      expect(computeStreaks(days.map(d => d.day), { today: formatLocalYMD(NOW, tz) }).longest).toBe(want.longest);
+    });
+
+    // Day and period windows are local days of the zone, so each entry lands in its local day
+    it(`computes ranges in ${tz}`, () => {
+      for (const [i, e] of DATASET.entries()) {
+        const { rangeStart, rangeEnd } = rangeForPeriod('day', EXPECTED[tz].days[i], { timeZone: tz, now: NOW });
+        expect(e.entryTime >= rangeStart && e.entryTime <= rangeEnd).toBe(true);
+      }
+      const last7 = rangeForPeriod('last7', parseDayKey('', tz, NOW), { timeZone: tz, now: NOW });
+      expect(last7.rangeStart.getTime()).toBe(startOfZonedDay(addDays(formatLocalYMD(NOW, tz), -6), tz).getTime());
+      expect(DATASET.every(e => e.entryTime >= last7.rangeStart && e.entryTime <= last7.rangeEnd)).toBe(true);
+    });
+  }
+
+  // YYYY-MM selects the month; other values are read as instants in the zone
+  it('parses the date parameter', () => {
+    expect(parseDayKey('2025-03', 'UTC')).toBe('2025-03-01');
+    expect(parseDayKey('2025-03-29T23:30:00Z', 'Asia/Tokyo')).toBe('2025-03-30');
+    expect(parseDayKey('garbage', 'UTC', NOW)).toBe('2025-03-31');
+  });
+});
+
+// Aggregation pipelines sent by the resource endpoints carry the request zone
+describe('tz query parameter', () => {
+  beforeEach(() => {
+    captured.find = [];
+    captured.aggregate = [];
+  });
+
+  for (const tz of ZONES) {
+    // The entries window and every date operator use the requested zone
+    it(`honours tz=${tz}`, async () => {
+      const { GET } = await import('../app/api/aggregates/route.js');
+      const res = await GET(new Request(`http://test/api/aggregates?date=2025-03-30&tz=${encodeURIComponent(tz)}`));
+      expect(res.status).toBe(200);
+      const { GET: entries } = await import('../app/api/entries/route.js');
+      const json = await (await entries(new Request(`http://test/api/entries?date=2025-03-30&tz=${encodeURIComponent(tz)}`))).json();
+      expect(json.filters.timeZone).toBe(tz);
+      expect(json.filters.date).toBe(startOfZonedDay('2025-03-30', tz).toISOString());
+      const { start, end } = zonedDayRange('2025-03-30', tz);
+      expect(captured.find.find(f => f.entryTime)?.entryTime).toEqual({ $gte: start, $lte: end });
+      const zones = new Set(JSON.stringify(captured.aggregate).match(/"timezone":"[^"]+"/g));
+      expect(Array.from(zones)).toEqual([`"timezone":"${tz}"`]);
+    });
+  }
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { affectedUserDays, refreshUserDays, syncUserDays, rollupReady, rebuildUserDays, USER_DAYS_JOB } from '../lib/userDays.js';
+import { rollupLockView, rollupTopDistinctDaysStages, rollupLongestStreakStages } from '../lib/leaderboards.js';
+
+// Minimal query chain resolving to `result`
+const query = (result) => {
+  const q = { sort: () => q, limit: () => q, lean: () => q, then: (res, rej) => Promise.resolve(result()).then(res, rej) };
+  return q;
+};
+
+// Fake Entry/UserDay/JobCheckpoint models that record aggregation pipelines and checkpoint writes
+function fakeModels(entries = []) {
+  const pipelines = [];
+  const checkpoints = new Map();
+  const deleted = [];
+  const Entry = {
+    find: (filter = {}, _proj) => {
+      let rows = entries.slice().sort((a, b) => a._id - b._id);
+      if (filter._id?.$gt !== undefined) rows = rows.filter(e => e._id > filter._id.$gt);
+      let n = Infinity;
+      const q = query(() => rows.slice(0, n));
+      q.limit = (x) => { n = x; return q; };
+      return q;
+    },
+    findOne: () => query(() => (entries.length ? { _id: Math.max(...entries.map(e => e._id)) } : null)),
+    aggregate: async (p) => { pipelines.push(p); return []; },
+  };
+  const UserDay = {
+    collection: { collectionName: 'userdays' },
+    deleteMany: async (f) => { deleted.push(f); },
+    countDocuments: async () => 7,
+  };
+  const JobCheckpoint = {
+    findOne: ({ job }) => query(() => checkpoints.get(job) || null),
+    updateOne: async ({ job }, { $set }) => { checkpoints.set(job, { ...checkpoints.get(job), job, ...$set }); },
+  };
+  return { Entry, UserDay, JobCheckpoint, pipelines, checkpoints, deleted };
+}
+
+const entry = (_id, username, iso, lockId = '19228015') => ({ _id, username, lockId, entryTime: new Date(iso) });
+
+describe('affectedUserDays', () => {
+  // Pairs are deduplicated and bucketed by the local day of the given time zone
+  it('collects distinct user-days in the time zone', () => {
+    const keys = affectedUserDays([
+      entry(1, 'anna', '2026-03-01T21:30:00Z'),
+      entry(2, 'anna', '2026-03-01T22:30:00Z'),
+      entry(3, 'bob', '2026-03-01T10:00:00Z'),
+      { _id: 4, entryTime: new Date() },
+    ], 'Europe/Riga');
+    expect(keys).toEqual([
+      { user: 'anna', day: '2026-03-01' },
+      { user: 'anna', day: '2026-03-02' },
+      { user: 'bob', day: '2026-03-01' },
+    ]);
+  });
+});
+
+describe('refreshUserDays', () => {
+  // Only the touched users (in any case) and user-days are re-aggregated, then merged on (user, day)
+  it('limits the aggregation to the touched user-days', async () => {
+    const m = fakeModels();
+    await refreshUserDays({ ...m, keys: [{ user: 'anna', day: '2026-03-02' }, { user: 'bob', day: '2026-03-01' }], timeZone: 'Europe/Riga' });
+    const [p] = m.pipelines;
+    expect(p[0].$match.username.$in.map(String)).toEqual(['/^anna$/i', '/^bob$/i']);
+    expect(p[0].$match.entryTime.$gte).toEqual(new Date('2026-02-28T00:00:00Z'));
+    expect(p[0].$match.entryTime.$lt).toEqual(new Date('2026-03-04T00:00:00Z'));
+    expect(p[2].$match.$expr.$in[1]).toEqual(['anna|2026-03-02', 'bob|2026-03-01']);
+    expect(p.at(-1).$merge).toMatchObject({ into: 'userdays', on: ['user', 'day'] });
+  });
+});
+
+describe('syncUserDays', () => {
+  // Walks new entries by _id in chunks and resumes from the checkpoint on the next call
+  it('follows new entries incrementally', async () => {
+    const entries = [1, 2, 3, 4, 5].map(i => entry(i, 'anna', `2026-03-0${i}T10:00:00Z`));
+    const m = fakeModels(entries);
+    const first = await syncUserDays({ ...m, timeZone: 'UTC', chunkSize: 2 });
+    expect(first).toEqual({ processed: 5, touched: 5 });
+    expect(m.pipelines).toHaveLength(3);
+    expect(m.checkpoints.get(USER_DAYS_JOB).cursor).toEqual({ lastId: 5, timeZone: 'UTC', visitKinds: 'app,card,fingerprint,key,passcode,unknown' });
+
+    entries.push(entry(6, 'bob', '2026-02-01T10:00:00Z'));
+    const second = await syncUserDays({ ...m, timeZone: 'UTC', chunkSize: 2 });
+    expect(second).toEqual({ processed: 1, touched: 1 });
+    expect(m.checkpoints.get(USER_DAYS_JOB).processed).toBe(6);
+
+    expect(await syncUserDays({ ...m, timeZone: 'UTC' })).toEqual({ processed: 0, touched: 0 });
+  });
+});
+
+describe('rollupReady', () => {
+  // Reads use the rollup once it was synced in their zone with the current visit kinds
+  it('checks the checkpoint without writing', async () => {
+    const m = fakeModels([entry(1, 'anna', '2026-03-01T10:00:00Z')]);
+    expect(await rollupReady({ ...m, timeZone: 'UTC' })).toBe(false);
+    await syncUserDays({ ...m, timeZone: 'UTC' });
+    expect(await rollupReady({ ...m, timeZone: 'UTC' })).toBe(true);
+    expect(await rollupReady({ ...m, timeZone: 'Europe/Riga' })).toBe(false);
+    expect(await rollupReady({ ...m, timeZone: 'UTC', recordKinds: { visitKinds: ['card'] } })).toBe(false);
+    expect(m.pipelines).toHaveLength(1);
+  });
+});
+
+describe('rebuildUserDays', () => {
+  // A ranged rebuild replaces only that range and leaves the sync checkpoint alone
+  it('rebuilds a date range', async () => {
+    const m = fakeModels([entry(1, 'anna', '2026-03-01T10:00:00Z')]);
+    const res = await rebuildUserDays({ ...m, from: '2026-03-01', to: '2026-03-31' });
+    expect(res).toEqual({ userDays: 7 });
+    expect(m.deleted).toEqual([{ day: { $gte: '2026-03-01', $lte: '2026-03-31' } }]);
+    expect(m.pipelines[0][2]).toEqual({ $match: { day: { $gte: '2026-03-01', $lte: '2026-03-31' } } });
+    expect(m.checkpoints.size).toBe(0);
+  });
+
+  // A full rebuild clears the rollup and moves the checkpoint to the newest entry
+  it('rebuilds everything and resets the checkpoint', async () => {
+    const m = fakeModels([entry(1, 'anna', '2026-03-01T10:00:00Z'), entry(9, 'bob', '2026-03-02T10:00:00Z')]);
+    await rebuildUserDays({ ...m, timeZone: 'Europe/Riga' });
+    expect(m.deleted).toEqual([{}]);
+    expect(m.checkpoints.get(USER_DAYS_JOB).cursor).toEqual({ lastId: 9, timeZone: 'Europe/Riga', visitKinds: 'app,card,fingerprint,key,passcode,unknown' });
+  });
+});
+
+describe('rollup leaderboard stages', () => {
+  // Narrowing to locks keeps their per-lock summaries and recomputes the day's timing from them; no locks keeps whole days
+  it('projects the per-lock view', () => {
+    expect(rollupLockView(null)).toEqual([]);
+    expect(rollupLockView([])).toEqual([]);
+    const view = rollupLockView(['L1', 'L2']);
+    expect(view[0]).toEqual({ $match: { 'locks.lockId': { $in: ['L1', 'L2'] } } });
+    expect(view[1].$set.locks.$filter.cond).toEqual({ $in: ['$$this.lockId', ['L1', 'L2']] });
+    expect(view.at(-1).$set).toMatchObject({ firstEntry: { $min: '$locks.firstEntry' }, firstAfter22: { $min: '$locks.firstAfter22' } });
+    expect(rollupTopDistinctDaysStages({ limit: 5 }).at(-1)).toEqual({ $limit: 5 });
+  });
+
+  // Streak days come from the day key parsed as UTC so DST never breaks a run
+  it('builds streak days from the day key', () => {
+    const stages = rollupLongestStreakStages();
+    expect(stages[0]).toEqual({ $group: { _id: { u: '$user', d: '$day' } } });
+    expect(stages[2].$group.days).toEqual({ $push: { $dateFromString: { dateString: '$_id.d', timezone: 'UTC' } } });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { buildQuery, formatLocalYMD, computeAchievements, formatDurationHM } from '../lib/utils.js';
+import { buildQuery, formatLocalYMD, computeAchievements, formatDurationHM, formatWeekday } from '../lib/utils.js';
 
 describe('buildQuery', () => {
   // Ensures buildQuery builds a query string and omits empty/null/undefined values
@@ -129,3 +129,11 @@ describe('formatDurationHM', () => {
     expect(formatDurationHM(25 * 60 * 60 * 1000 + 5 * 60 * 1000)).toBe('25h 5m');
   });
 });
+
+describe('formatWeekday', () => {
+  // ISO weekdays map to short localized names, Monday first
+  it('names ISO weekdays', () => {
+    expect(formatWeekday(1, 'en')).toBe('Mon');
+    expect(formatWeekday(7, 'en')).toBe('Sun');
+  });
+});
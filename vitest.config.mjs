@@ -0,0 +1,11 @@
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+// Mirror the "@/*" path alias from jsconfig.json so route modules resolve under test
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@": fileURLToPath(new URL("./", import.meta.url)),
+    },
+  },
+});